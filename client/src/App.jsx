@@ -4,16 +4,22 @@
  * Defines the application routes:
  * - / : Home page with session creation
  * - /session/:id : Collaborative coding session
+ * - /session/:id/replay : Replay of a session (interviewers only)
+ * - /session/:id/archive : Read-only final state of an ended interview
  */
 import { Routes, Route } from 'react-router-dom';
 import Home from './pages/Home.jsx';
 import Session from './pages/Session.jsx';
+import Replay from './pages/Replay.jsx';
+import Archive from './pages/Archive.jsx';
 
 function App() {
   return (
     <Routes>
       <Route path="/" element={<Home />} />
       <Route path="/session/:id" element={<Session />} />
+      <Route path="/session/:id/replay" element={<Replay />} />
+      <Route path="/session/:id/archive" element={<Archive />} />
     </Routes>
   );
 }
@@ -0,0 +1,115 @@
+/**
+ * ChatPanel Component
+ *
+ * Session chat shown as a sidebar next to the workspace.
+ * Enter sends the message, Shift+Enter adds a new line.
+ */
+import { useState, useEffect, useRef } from 'react';
+import { MAX_CHAT_MESSAGE_LENGTH } from '../../../shared/chat.js';
+import './ChatPanel.css';
+
+/**
+ * Format the time a message was sent
+ */
+function formatSentTime(sentAt) {
+  const date = new Date(sentAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.messages - [{ id, name, color, role, text, sentAt, isOwn }], oldest first
+ * @param {Function} props.onSend - Called with the trimmed message text
+ * @param {Function} props.onClose - Called to hide the chat
+ * @param {boolean} props.disabled - Whether messages can be sent
+ */
+function ChatPanel({ messages, onSend, onClose, disabled = false }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }, [messages]);
+
+  const send = () => {
+    const text = draft.trim();
+    if (!text || disabled) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    send();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      send();
+    }
+  };
+
+  return (
+    <aside className="chat-panel" aria-label="Chat">
+      <div className="chat-panel__header">
+        <span className="chat-panel__title">Chat</span>
+        <button className="chat-panel__close" onClick={onClose} aria-label="Close chat">
+          ×
+        </button>
+      </div>
+
+      <ul className="chat-panel__messages" ref={listRef} role="log">
+        {messages.length === 0 && (
+          <li className="chat-panel__empty">No messages yet</li>
+        )}
+        {messages.map(message => (
+          <li
+            key={message.id}
+            className={`chat-panel__message ${message.isOwn ? 'chat-panel__message--own' : ''}`}
+          >
+            <div className="chat-panel__meta">
+              <span className="chat-panel__sender" style={{ color: message.color }}>
+                {message.isOwn ? 'You' : message.name}
+              </span>
+              {message.role === 'interviewer' && (
+                <span className="chat-panel__role">Interviewer</span>
+              )}
+              <time className="chat-panel__time" dateTime={message.sentAt}>
+                {formatSentTime(message.sentAt)}
+              </time>
+            </div>
+            <p className="chat-panel__text">{message.text}</p>
+          </li>
+        ))}
+      </ul>
+
+      <form className="chat-panel__form" onSubmit={handleSubmit}>
+        <textarea
+          className="chat-panel__input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={disabled ? 'Reconnecting...' : 'Message everyone'}
+          maxLength={MAX_CHAT_MESSAGE_LENGTH}
+          rows={2}
+          aria-label="Chat message"
+        />
+        <button
+          type="submit"
+          className="chat-panel__send"
+          disabled={disabled || !draft.trim()}
+        >
+          Send
+        </button>
+      </form>
+    </aside>
+  );
+}
+
+export default ChatPanel;
@@ -5,10 +5,19 @@
  * Features:
  * - Syntax highlighting for JavaScript and Python
  * - Real-time collaborative editing via Socket.IO
+ * - One model per workspace file (switching files keeps each file's undo history)
+ * - Incremental edits (remote operations are applied in place, keeping the local cursor)
+ * - Remote participants' cursors and selections
+ * - Line comments: margin glyphs with the thread on hover, "Add comment" in the context menu
+ * - "Follow me" mode: reports the visible lines and can follow someone else's
  * - Dark theme matching the app design
  * - Language switching
  */
+import { forwardRef, useImperativeHandle, useRef, useState, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
+import { operationFromMonacoChanges } from '../utils/otClient.js';
+import { useRemoteCursors } from '../hooks/useRemoteCursors.js';
+import { useCommentDecorations } from '../hooks/useCommentDecorations.js';
 import './CodeEditor.css';
 
 /**
@@ -20,22 +29,235 @@ const languageMap = {
   other: 'plaintext'
 };
 
+// Stable default so cursor decorations are not rebuilt on every render
+const NO_CURSORS = [];
+const NO_COMMENTS = [];
+
+/**
+ * Convert a TextOperation into Monaco edits against the current model
+ */
+function operationToEdits(operation, model) {
+  const edits = [];
+  let index = 0;
+
+  for (const op of operation.ops) {
+    if (typeof op === 'string' || op < 0) {
+      const deleteLength = typeof op === 'string' ? 0 : -op;
+      const start = model.getPositionAt(index);
+      const end = model.getPositionAt(index + deleteLength);
+      edits.push({
+        range: {
+          startLineNumber: start.lineNumber,
+          startColumn: start.column,
+          endLineNumber: end.lineNumber,
+          endColumn: end.column
+        },
+        text: typeof op === 'string' ? op : ''
+      });
+      index += deleteLength;
+    } else {
+      index += op;
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * First and last visible line of the editor
+ * @returns {Object|null} { startLine, endLine }
+ */
+function getVisibleLines(editor) {
+  const ranges = editor.getVisibleRanges();
+  if (ranges.length === 0) return null;
+
+  return {
+    startLine: ranges[0].startLineNumber,
+    endLine: ranges[ranges.length - 1].endLineNumber
+  };
+}
+
+/**
+ * Header file name when the editor is not given one
+ */
+function defaultFileName(language) {
+  return `main.${language === 'javascript' ? 'js' : language === 'python' ? 'py' : 'txt'}`;
+}
+
 /**
  * @param {Object} props
  * @param {string} props.value - Current code content
- * @param {Function} props.onChange - Callback when code changes
+ * @param {Function} props.onChange - Callback when code changes: (newValue, operation)
+ *   where operation is the TextOperation for the edit (undefined if unknown)
  * @param {string} props.language - Current language for syntax highlighting
+ * @param {string} [props.path] - ID of the open file; each path gets its own editor model
+ * @param {string} [props.fileName] - Name shown in the header (defaults to main.<ext>)
  * @param {boolean} props.disabled - Whether the editor is disabled
+ * @param {Array} props.remoteCursors - Other participants' cursors [{ id, anchor, head, color, label }]
+ * @param {Function} props.onCursorChange - Callback when the local cursor/selection moves: (anchor, head)
+ * @param {Function} props.onViewportChange - Callback when the user scrolls: ({ startLine, endLine })
+ *   (not called for scrolling caused by followViewport)
+ * @param {Object|null} props.followViewport - Viewport to follow ({ startLine, endLine }), null to scroll freely
+ * @param {Array} props.comments - Comment threads of the open file [{ id, start, end, authorName, text, resolved, replies }]
+ * @param {Function} props.onAddComment - Called with ({ start, end }) to comment on the selected lines
+ * @param {Function} props.onSelectComment - Called with a thread ID when its margin glyph is clicked
+ * @param {Object} ref - Exposes applyOperation(operation, path) to apply remote edits in place,
+ *   getViewport() returning the visible lines and revealOffset(offset) to scroll to a position
  */
-function CodeEditor({ value, onChange, language, disabled = false }) {
+const CodeEditor = forwardRef(function CodeEditor({
+  value,
+  onChange,
+  language,
+  path,
+  fileName,
+  disabled = false,
+  remoteCursors = NO_CURSORS,
+  onCursorChange,
+  onViewportChange,
+  followViewport = null,
+  comments = NO_COMMENTS,
+  onAddComment,
+  onSelectComment
+}, ref) {
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const [editor, setEditor] = useState(null);
+  // Set while applying remote edits so they are not echoed back as local changes
+  const applyingRemoteRef = useRef(false);
+
+  // Set while scrolling to a followed viewport so it is not reported as the user's
+  const followingScrollRef = useRef(false);
+
+  // Model the last scroll event came from; switching files scrolls too
+  const scrolledModelRef = useRef(null);
+
+  // Keep the latest callbacks without re-subscribing to Monaco events
+  const onCursorChangeRef = useRef(onCursorChange);
+  onCursorChangeRef.current = onCursorChange;
+  const onViewportChangeRef = useRef(onViewportChange);
+  onViewportChangeRef.current = onViewportChange;
+
+  useRemoteCursors(editor, remoteCursors);
+  useCommentDecorations(editor, comments, { onAddComment, onSelectComment });
+
+  /**
+   * Report local cursor/selection moves as character offsets
+   */
+  useEffect(() => {
+    if (!editor) return;
+
+    const subscription = editor.onDidChangeCursorSelection((event) => {
+      const model = editor.getModel();
+      if (!model) return;
+
+      const { selection } = event;
+      const anchor = model.getOffsetAt({
+        lineNumber: selection.selectionStartLineNumber,
+        column: selection.selectionStartColumn
+      });
+      const head = model.getOffsetAt({
+        lineNumber: selection.positionLineNumber,
+        column: selection.positionColumn
+      });
+      onCursorChangeRef.current?.(anchor, head);
+    });
+
+    return () => subscription.dispose();
+  }, [editor]);
+
+  /**
+   * Report scrolling done by the user
+   */
+  useEffect(() => {
+    if (!editor) return;
+
+    const subscription = editor.onDidScrollChange((event) => {
+      // Remote edits can shift the scroll position too; only report the user's own scrolling
+      if (!event.scrollTopChanged || followingScrollRef.current || applyingRemoteRef.current) return;
+
+      const model = editor.getModel();
+      if (model !== scrolledModelRef.current) {
+        scrolledModelRef.current = model;
+        return;
+      }
+
+      const viewport = getVisibleLines(editor);
+      if (viewport) onViewportChangeRef.current?.(viewport);
+    });
+
+    return () => subscription.dispose();
+  }, [editor]);
+
+  /**
+   * Scroll so the followed viewport's first line is at the top
+   */
+  useEffect(() => {
+    if (!editor || !followViewport) return;
+
+    followingScrollRef.current = true;
+    try {
+      editor.setScrollTop(editor.getTopForLineNumber(followViewport.startLine));
+    } finally {
+      followingScrollRef.current = false;
+    }
+  }, [editor, followViewport]);
+
+  useImperativeHandle(ref, () => ({
+    /**
+     * Apply a remote TextOperation to the editor model without
+     * replacing the whole document (keeps cursor and selection)
+     * @param {TextOperation} operation
+     * @param {string} [targetPath] - File the edit belongs to (defaults to the open one);
+     *   files without a model yet are skipped, they are created from `value` when opened
+     */
+    applyOperation(operation, targetPath) {
+      const model = targetPath === undefined
+        ? editorRef.current?.getModel()
+        : monacoRef.current?.editor.getModel(monacoRef.current.Uri.parse(targetPath));
+      if (!model) return;
+
+      applyingRemoteRef.current = true;
+      try {
+        model.applyEdits(operationToEdits(operation, model));
+      } finally {
+        applyingRemoteRef.current = false;
+      }
+    },
+
+    /**
+     * First and last visible line, or null before the editor mounts
+     */
+    getViewport() {
+      return editorRef.current ? getVisibleLines(editorRef.current) : null;
+    },
+
+    /**
+     * Scroll the open file so the given character offset is in view and put the cursor there
+     */
+    revealOffset(offset) {
+      const editor = editorRef.current;
+      const model = editor?.getModel();
+      if (!model) return;
+
+      const position = model.getPositionAt(offset);
+      editor.revealLineInCenter(position.lineNumber);
+      editor.setPosition(position);
+    }
+  }), []);
+
   /**
    * Handle editor content changes
    * This is called on every keystroke - we pass it up to parent
    * which triggers the Socket.IO emit for real-time sync
    */
-  const handleEditorChange = (newValue) => {
+  const handleEditorChange = (newValue, event) => {
+    if (applyingRemoteRef.current) return;
+
     if (!disabled && newValue !== undefined) {
-      onChange(newValue);
+      const operation = event?.changes
+        ? operationFromMonacoChanges(event.changes, newValue.length)
+        : undefined;
+      onChange(newValue, operation);
     }
   };
 
@@ -43,6 +265,11 @@ function CodeEditor({ value, onChange, language, disabled = false }) {
    * Configure editor options when it mounts
    */
   const handleEditorMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    scrolledModelRef.current = editor.getModel();
+    setEditor(editor);
+
     // Focus the editor when mounted
     editor.focus();
     
@@ -81,7 +308,7 @@ function CodeEditor({ value, onChange, language, disabled = false }) {
           <span className="code-editor__dot code-editor__dot--green"></span>
         </div>
         <span className="code-editor__filename">
-          main.{language === 'javascript' ? 'js' : language === 'python' ? 'py' : 'txt'}
+          {fileName || defaultFileName(language)}
         </span>
       </div>
       
@@ -89,6 +316,7 @@ function CodeEditor({ value, onChange, language, disabled = false }) {
         <Editor
           height="100%"
           language={languageMap[language] || 'plaintext'}
+          path={path}
           value={value}
           onChange={handleEditorChange}
           onMount={handleEditorMount}
@@ -105,7 +333,7 @@ function CodeEditor({ value, onChange, language, disabled = false }) {
             scrollBeyondLastLine: false,
             renderLineHighlight: 'line',
             lineNumbers: 'on',
-            glyphMargin: false,
+            glyphMargin: Boolean(onAddComment) || comments.length > 0,
             folding: true,
             
             // Layout & UX
@@ -151,6 +379,6 @@ function CodeEditor({ value, onChange, language, disabled = false }) {
       </div>
     </div>
   );
-}
+});
 
 export default CodeEditor;
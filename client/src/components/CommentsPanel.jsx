@@ -0,0 +1,227 @@
+/**
+ * CommentsPanel Component
+ *
+ * Review comments on the code, shown as a sidebar.
+ * Each thread is anchored to lines of a file and follows them as the code
+ * is edited. Threads can be replied to, resolved and reopened by anyone.
+ * New comments are started from the editor ("Add comment" in its context menu).
+ */
+import { useState } from 'react';
+import { commentLines, formatCommentLines } from '../utils/comments.js';
+import './CommentsPanel.css';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Format the time a comment was written
+ */
+function formatCommentTime(createdAt) {
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Text box with a submit button, used for new comments and replies
+ */
+function CommentForm({ label, placeholder, submitLabel, onSubmit, onCancel, disabled, autoFocus = false }) {
+  const [draft, setDraft] = useState('');
+
+  const submit = () => {
+    const text = draft.trim();
+    if (!text || disabled) return;
+    onSubmit(text);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape' && onCancel) {
+      onCancel();
+    }
+  };
+
+  return (
+    <form
+      className="comments-panel__form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit();
+      }}
+    >
+      <textarea
+        className="comments-panel__input"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        aria-label={label}
+        autoFocus={autoFocus}
+      />
+      <div className="comments-panel__form-actions">
+        {onCancel && (
+          <button type="button" className="comments-panel__button" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          className="comments-panel__button comments-panel__button--primary"
+          disabled={disabled || !draft.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.comments - [{ id, fileId, start, end, authorName, text, createdAt, resolved, resolvedBy, replies }], oldest first
+ * @param {Array} props.files - Workspace files [{ id, name }]
+ * @param {Object} props.codes - fileId -> code, to tell which lines a comment is on
+ * @param {Object|null} props.pendingComment - Lines picked for a new comment ({ fileId, start, end }), null if none
+ * @param {string|null} props.selectedCommentId - Thread to highlight
+ * @param {Function} props.onAdd - Called with the trimmed text of the pending comment
+ * @param {Function} props.onCancelPending - Called to drop the pending comment
+ * @param {Function} props.onReply - Called with (commentId, text)
+ * @param {Function} props.onResolve - Called with (commentId, resolved)
+ * @param {Function} props.onSelect - Called with a thread to show its code
+ * @param {Function} props.onClose - Called to hide the comments
+ * @param {boolean} props.disabled - Whether comments can be changed
+ */
+function CommentsPanel({
+  comments,
+  files,
+  codes,
+  pendingComment,
+  selectedCommentId,
+  onAdd,
+  onCancelPending,
+  onReply,
+  onResolve,
+  onSelect,
+  onClose,
+  disabled = false
+}) {
+  const [showResolved, setShowResolved] = useState(false);
+
+  const fileNames = new Map(files.map(file => [file.id, file.name]));
+  const resolvedCount = comments.filter(comment => comment.resolved).length;
+  const shown = comments.filter(comment => showResolved || !comment.resolved || comment.id === selectedCommentId);
+
+  const describeLocation = (range) => {
+    const lines = formatCommentLines(commentLines(codes[range.fileId] ?? '', range));
+    return `${fileNames.get(range.fileId) ?? 'Deleted file'}, ${lines}`;
+  };
+
+  return (
+    <aside className="comments-panel" aria-label="Comments">
+      <div className="comments-panel__header">
+        <span className="comments-panel__title">🗨 Comments</span>
+        <button className="comments-panel__close" onClick={onClose} aria-label="Close comments">
+          ×
+        </button>
+      </div>
+
+      {pendingComment && (
+        <div className="comments-panel__new">
+          <span className="comments-panel__location">{describeLocation(pendingComment)}</span>
+          <CommentForm
+            label="New comment"
+            placeholder="Comment on these lines (Ctrl+Enter to add)"
+            submitLabel="Comment"
+            onSubmit={onAdd}
+            onCancel={onCancelPending}
+            disabled={disabled}
+            autoFocus
+          />
+        </div>
+      )}
+
+      <label className="comments-panel__filter">
+        <input
+          type="checkbox"
+          checked={showResolved}
+          onChange={(e) => setShowResolved(e.target.checked)}
+        />
+        Show resolved ({resolvedCount})
+      </label>
+
+      <ul className="comments-panel__list">
+        {shown.length === 0 && (
+          <li className="comments-panel__empty">
+            No open comments. Select lines in the editor and right-click → Add comment.
+          </li>
+        )}
+        {shown.map(comment => (
+          <li
+            key={comment.id}
+            className={[
+              'comments-panel__thread',
+              comment.resolved ? 'comments-panel__thread--resolved' : '',
+              comment.id === selectedCommentId ? 'comments-panel__thread--selected' : ''
+            ].join(' ')}
+          >
+            <button
+              className="comments-panel__location comments-panel__location--link"
+              onClick={() => onSelect(comment)}
+              title="Show in the editor"
+            >
+              {describeLocation(comment)}
+            </button>
+
+            {[comment, ...comment.replies].map(entry => (
+              <div key={entry.id} className="comments-panel__entry">
+                <div className="comments-panel__meta">
+                  <span className="comments-panel__author">{entry.authorName}</span>
+                  <time className="comments-panel__time" dateTime={entry.createdAt}>
+                    {formatCommentTime(entry.createdAt)}
+                  </time>
+                </div>
+                <p className="comments-panel__text">{entry.text}</p>
+              </div>
+            ))}
+
+            {comment.resolved ? (
+              <div className="comments-panel__status">
+                Resolved by {comment.resolvedBy}
+                <button
+                  className="comments-panel__button"
+                  onClick={() => onResolve(comment.id, false)}
+                  disabled={disabled}
+                >
+                  Reopen
+                </button>
+              </div>
+            ) : (
+              <>
+                <CommentForm
+                  label={`Reply to ${comment.authorName}`}
+                  placeholder="Reply"
+                  submitLabel="Reply"
+                  onSubmit={(text) => onReply(comment.id, text)}
+                  disabled={disabled}
+                />
+                <button
+                  className="comments-panel__button comments-panel__resolve"
+                  onClick={() => onResolve(comment.id, true)}
+                  disabled={disabled}
+                >
+                  ✓ Resolve
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default CommentsPanel;
@@ -0,0 +1,51 @@
+/**
+ * EditorTabs Component
+ *
+ * Tabs for the files open in the editor.
+ * Tabs are local to each participant; the files themselves are shared.
+ */
+import './EditorTabs.css';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.tabs - Open files [{ id, name }]
+ * @param {string} props.activeFileId - File shown in the editor
+ * @param {Function} props.onSelect - Called with a fileId to show it
+ * @param {Function} [props.onClose] - Called with a fileId to close its tab (tabs cannot be closed without it)
+ */
+function EditorTabs({ tabs, activeFileId, onSelect, onClose }) {
+  return (
+    <div className="editor-tabs" role="tablist">
+      {tabs.map((tab) => {
+        const isActive = tab.id === activeFileId;
+
+        return (
+          <div
+            key={tab.id}
+            className={`editor-tabs__tab ${isActive ? 'editor-tabs__tab--active' : ''}`}
+          >
+            <button
+              className="editor-tabs__label"
+              role="tab"
+              aria-selected={isActive}
+              onClick={() => onSelect(tab.id)}
+            >
+              {tab.name}
+            </button>
+            {onClose && tabs.length > 1 && (
+              <button
+                className="editor-tabs__close"
+                onClick={() => onClose(tab.id)}
+                aria-label={`Close ${tab.name}`}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default EditorTabs;
@@ -0,0 +1,200 @@
+/**
+ * FileExplorer Component
+ *
+ * File tree of the session workspace.
+ * Features:
+ * - Open a file by clicking it
+ * - Create, rename and delete files (shared with all connected clients)
+ * - Names are checked locally before they are sent
+ */
+import { useState } from 'react';
+import { MAX_FILE_NAME_LENGTH, MAX_FILES, isValidFileName } from '../../../shared/files.js';
+import './FileExplorer.css';
+
+const FILE_ICONS = {
+  javascript: '📜',
+  python: '🐍',
+  other: '📄'
+};
+
+/**
+ * Why a name cannot be used, or null if it can
+ * @param {string} name
+ * @param {Array} files - Current files
+ * @param {string|null} exceptFileId - File being renamed
+ */
+function validateFileName(name, files, exceptFileId = null) {
+  if (!isValidFileName(name)) {
+    return 'Use letters, digits, ".", "-" or "_"';
+  }
+  const lowerName = name.toLowerCase();
+  if (files.some(file => file.id !== exceptFileId && file.name.toLowerCase() === lowerName)) {
+    return 'A file with that name already exists';
+  }
+  return null;
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.files - Files [{ id, name, language }]
+ * @param {string} props.activeFileId - File open in the editor
+ * @param {Function} props.onSelect - Called with a fileId to open it
+ * @param {Function} props.onCreate - Called with the new file's name
+ * @param {Function} props.onRename - Called with (fileId, name)
+ * @param {Function} props.onDelete - Called with the fileId to delete
+ * @param {boolean} props.disabled - Whether files can be managed
+ */
+function FileExplorer({ files, activeFileId, onSelect, onCreate, onRename, onDelete, disabled = false }) {
+  // What is being edited: { mode: 'create' } or { mode: 'rename', fileId }
+  const [editing, setEditing] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const trimmed = draftName.trim();
+  const exceptFileId = editing?.mode === 'rename' ? editing.fileId : null;
+  const draftError = editing && trimmed ? validateFileName(trimmed, files, exceptFileId) : null;
+  const canCreate = !disabled && files.length < MAX_FILES;
+
+  const startCreating = () => {
+    setEditing({ mode: 'create' });
+    setDraftName('');
+  };
+
+  const startRenaming = (file) => {
+    setEditing({ mode: 'rename', fileId: file.id });
+    setDraftName(file.name);
+  };
+
+  const stopEditing = () => {
+    setEditing(null);
+    setDraftName('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!trimmed || draftError) return;
+
+    if (editing.mode === 'create') {
+      onCreate(trimmed);
+    } else if (files.find(file => file.id === editing.fileId)?.name !== trimmed) {
+      onRename(editing.fileId, trimmed);
+    }
+    stopEditing();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      stopEditing();
+    }
+  };
+
+  const renderNameForm = (label) => (
+    <form className="file-explorer__form" onSubmit={handleSubmit}>
+      <input
+        className={`file-explorer__input ${draftError ? 'file-explorer__input--invalid' : ''}`}
+        type="text"
+        aria-label={label}
+        value={draftName}
+        maxLength={MAX_FILE_NAME_LENGTH}
+        onChange={(e) => setDraftName(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={stopEditing}
+        autoFocus
+      />
+      {draftError && <span className="file-explorer__error">{draftError}</span>}
+    </form>
+  );
+
+  return (
+    <nav className="file-explorer" aria-label="Files">
+      <div className="file-explorer__header">
+        <span className="file-explorer__title">Files</span>
+        <button
+          className="file-explorer__action"
+          onClick={startCreating}
+          disabled={!canCreate}
+          title={files.length >= MAX_FILES ? `At most ${MAX_FILES} files` : 'New file'}
+          aria-label="New file"
+        >
+          +
+        </button>
+      </div>
+
+      <ul className="file-explorer__list">
+        {files.map((file) => {
+          const isActive = file.id === activeFileId;
+
+          if (editing?.mode === 'rename' && editing.fileId === file.id) {
+            return (
+              <li key={file.id} className="file-explorer__item">
+                {renderNameForm(`Rename ${file.name}`)}
+              </li>
+            );
+          }
+
+          return (
+            <li
+              key={file.id}
+              className={`file-explorer__item ${isActive ? 'file-explorer__item--active' : ''}`}
+            >
+              <button
+                className="file-explorer__file"
+                onClick={() => onSelect(file.id)}
+                aria-current={isActive ? 'true' : undefined}
+              >
+                <span className="file-explorer__icon">{FILE_ICONS[file.language] || FILE_ICONS.other}</span>
+                <span className="file-explorer__name">{file.name}</span>
+              </button>
+
+              {!disabled && (
+                <div className="file-explorer__item-actions">
+                  <button
+                    className="file-explorer__action"
+                    onClick={() => startRenaming(file)}
+                    title="Rename"
+                    aria-label={`Rename ${file.name}`}
+                  >
+                    ✎
+                  </button>
+                  {files.length > 1 && (
+                    confirmDeleteId === file.id ? (
+                      <button
+                        className="file-explorer__action file-explorer__action--danger"
+                        onClick={() => {
+                          setConfirmDeleteId(null);
+                          onDelete(file.id);
+                        }}
+                        onBlur={() => setConfirmDeleteId(null)}
+                        aria-label={`Confirm deleting ${file.name}`}
+                        autoFocus
+                      >
+                        Delete?
+                      </button>
+                    ) : (
+                      <button
+                        className="file-explorer__action"
+                        onClick={() => setConfirmDeleteId(file.id)}
+                        title="Delete"
+                        aria-label={`Delete ${file.name}`}
+                      >
+                        ×
+                      </button>
+                    )
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+
+        {editing?.mode === 'create' && (
+          <li className="file-explorer__item">
+            {renderNameForm('New file name')}
+          </li>
+        )}
+      </ul>
+    </nav>
+  );
+}
+
+export default FileExplorer;
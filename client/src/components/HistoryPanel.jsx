@@ -0,0 +1,118 @@
+/**
+ * HistoryPanel Component
+ *
+ * Version history of the workspace, shown as a sidebar.
+ * Lists the snapshots taken by hand, on every run and before each restore,
+ * newest first. Snapshots are shared with everyone in the session.
+ * Any two versions can be compared.
+ */
+import { useState } from 'react';
+import './HistoryPanel.css';
+
+const MAX_SNAPSHOT_NAME_LENGTH = 80;
+
+// Label shown next to snapshots that were not taken by hand
+const KIND_LABELS = {
+  run: 'Run',
+  restore: 'Auto-saved'
+};
+
+/**
+ * Format the time a snapshot was taken
+ */
+function formatSnapshotTime(createdAt) {
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.snapshots - [{ id, name, kind, createdBy, createdAt, fileNames }], oldest first
+ * @param {Function} props.onCreate - Called with the trimmed name of a new snapshot
+ * @param {Function} props.onPreview - Called with the ID of the snapshot to preview
+ * @param {Function} props.onCompare - Called to compare versions
+ * @param {Function} props.onClose - Called to hide the history
+ * @param {boolean} props.disabled - Whether snapshots can be taken
+ */
+function HistoryPanel({ snapshots, onCreate, onPreview, onCompare, onClose, disabled = false }) {
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || disabled) return;
+    onCreate(trimmed);
+    setName('');
+  };
+
+  return (
+    <aside className="history-panel" aria-label="Version history">
+      <div className="history-panel__header">
+        <span className="history-panel__title">🕘 History</span>
+        <button className="history-panel__close" onClick={onClose} aria-label="Close history">
+          ×
+        </button>
+      </div>
+
+      <form className="history-panel__form" onSubmit={handleSubmit}>
+        <input
+          className="history-panel__input"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this version"
+          maxLength={MAX_SNAPSHOT_NAME_LENGTH}
+          aria-label="Snapshot name"
+        />
+        <button
+          type="submit"
+          className="history-panel__save"
+          disabled={disabled || !name.trim()}
+        >
+          Save
+        </button>
+      </form>
+
+      <button
+        className="history-panel__compare"
+        onClick={onCompare}
+        disabled={snapshots.length === 0}
+        title="Compare two snapshots, runs or the current code"
+      >
+        ⇄ Compare versions
+      </button>
+
+      <ul className="history-panel__list">
+        {snapshots.length === 0 && (
+          <li className="history-panel__empty">No snapshots yet. Runs are saved automatically.</li>
+        )}
+        {[...snapshots].reverse().map(snapshot => (
+          <li key={snapshot.id} className={`history-panel__snapshot history-panel__snapshot--${snapshot.kind}`}>
+            <button
+              className="history-panel__preview"
+              onClick={() => onPreview(snapshot.id)}
+              title={snapshot.fileNames.join(', ')}
+            >
+              <span className="history-panel__name">
+                {snapshot.name}
+                {KIND_LABELS[snapshot.kind] && (
+                  <span className="history-panel__kind">{KIND_LABELS[snapshot.kind]}</span>
+                )}
+              </span>
+              <span className="history-panel__meta">
+                <time dateTime={snapshot.createdAt}>{formatSnapshotTime(snapshot.createdAt)}</time>
+                {' · '}
+                {snapshot.createdBy}
+                {' · '}
+                {snapshot.fileNames.length} file{snapshot.fileNames.length === 1 ? '' : 's'}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default HistoryPanel;
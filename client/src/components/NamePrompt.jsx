@@ -0,0 +1,56 @@
+/**
+ * NamePrompt Component
+ * 
+ * Asks for a display name before joining a session.
+ * The name is shown to other participants in presence and cursor labels.
+ */
+import { useState } from 'react';
+import './NamePrompt.css';
+
+const MAX_NAME_LENGTH = 32;
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with the trimmed name
+ */
+function NamePrompt({ onSubmit }) {
+  const [name, setName] = useState('');
+  const trimmed = name.trim();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (trimmed) {
+      onSubmit(trimmed);
+    }
+  };
+
+  return (
+    <div className="name-prompt">
+      <form className="name-prompt__card" onSubmit={handleSubmit}>
+        <h2 className="name-prompt__title">Join session</h2>
+        <p className="name-prompt__hint">
+          Your name is shown to other participants.
+        </p>
+        <input
+          className="name-prompt__input"
+          type="text"
+          placeholder="Your name"
+          aria-label="Your name"
+          value={name}
+          maxLength={MAX_NAME_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+        />
+        <button
+          className="name-prompt__submit"
+          type="submit"
+          disabled={!trimmed}
+        >
+          Join
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default NamePrompt;
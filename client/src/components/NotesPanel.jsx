@@ -0,0 +1,116 @@
+/**
+ * NotesPanel Component
+ *
+ * Private notes for interviewers, shown as a sidebar.
+ * The server timestamps each note and never sends them to candidates.
+ * Ctrl+Enter (Cmd+Enter on macOS) adds the note.
+ */
+import { useState, useEffect, useRef } from 'react';
+import './NotesPanel.css';
+
+/**
+ * Format the time a note was written
+ */
+function formatNoteTime(createdAt) {
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.notes - [{ id, authorName, text, createdAt }], oldest first
+ * @param {Function} props.onAdd - Called with the trimmed note text
+ * @param {Function} props.onDelete - Called with the ID of the note to delete
+ * @param {Function} props.onClose - Called to hide the notes
+ * @param {boolean} props.disabled - Whether notes can be changed
+ */
+function NotesPanel({ notes, onAdd, onDelete, onClose, disabled = false }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the latest note in view
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }, [notes]);
+
+  const add = () => {
+    const text = draft.trim();
+    if (!text || disabled) return;
+    onAdd(text);
+    setDraft('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    add();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      add();
+    }
+  };
+
+  return (
+    <aside className="notes-panel" aria-label="Private notes">
+      <div className="notes-panel__header">
+        <span className="notes-panel__title">📝 Private notes</span>
+        <button className="notes-panel__close" onClick={onClose} aria-label="Close notes">
+          ×
+        </button>
+      </div>
+      <p className="notes-panel__hint">Only interviewers can see these notes</p>
+
+      <ul className="notes-panel__list" ref={listRef}>
+        {notes.length === 0 && (
+          <li className="notes-panel__empty">No notes yet</li>
+        )}
+        {notes.map(note => (
+          <li key={note.id} className="notes-panel__note">
+            <div className="notes-panel__meta">
+              <time className="notes-panel__time" dateTime={note.createdAt}>
+                {formatNoteTime(note.createdAt)}
+              </time>
+              <span className="notes-panel__author">{note.authorName}</span>
+              <button
+                className="notes-panel__delete"
+                onClick={() => onDelete(note.id)}
+                disabled={disabled}
+                aria-label={`Delete note from ${formatNoteTime(note.createdAt)}`}
+              >
+                🗑
+              </button>
+            </div>
+            <p className="notes-panel__text">{note.text}</p>
+          </li>
+        ))}
+      </ul>
+
+      <form className="notes-panel__form" onSubmit={handleSubmit}>
+        <textarea
+          className="notes-panel__input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Write a note (Ctrl+Enter to add)"
+          rows={3}
+          aria-label="New note"
+        />
+        <button
+          type="submit"
+          className="notes-panel__add"
+          disabled={disabled || !draft.trim()}
+        >
+          Add note
+        </button>
+      </form>
+    </aside>
+  );
+}
+
+export default NotesPanel;
@@ -4,7 +4,12 @@
  * Displays code execution output and errors.
  * Shows loading state when Python runtime is initializing.
  * Indicates when output is from a remote client (interviewer sees interviewee's output).
+ * When the session has tests, a second tab shows them with the last run's results,
+ * followed for interviewers by the hidden tests and their local results.
  */
+import { useState, useEffect } from 'react';
+import TestCasesTable from './TestCasesTable';
+import { summarizeTestResults } from '../utils/testCases.js';
 import './OutputPanel.css';
 
 /**
@@ -16,6 +21,8 @@ import './OutputPanel.css';
  * @param {string} props.loadingMessage - Loading status message
  * @param {boolean} props.isRemote - Whether this output came from another client
  * @param {Function} props.onClear - Callback to clear output
+ * @param {Object} [props.tests] - Props of the tests tab: { testCases, testRun, canEdit, onChange, disabled }
+ * @param {Object} [props.hiddenTests] - Same for the hidden tests, plus onRun and canRun
  */
 function OutputPanel({ 
   output, 
@@ -24,8 +31,22 @@ function OutputPanel({
   isLoading, 
   loadingMessage,
   isRemote = false,
-  onClear
+  onClear,
+  tests,
+  hiddenTests
 }) {
+  const [tab, setTab] = useState('console');
+  const isRunningTests = Boolean(tests?.testRun?.isRunning);
+
+  // Whoever starts a test run, everyone gets to watch the results come in
+  useEffect(() => {
+    if (isRunningTests) setTab('tests');
+  }, [isRunningTests]);
+
+  const activeTab = tests ? tab : 'console';
+  const testSummary = tests && summarizeTestResults(tests.testCases, tests.testRun?.results ?? []);
+  const { onRun: onRunHiddenTests, canRun: canRunHiddenTests, ...hiddenTable } = hiddenTests ?? {};
+
   return (
     <div className="output-panel">
       <div className="output-panel__header">
@@ -34,11 +55,33 @@ function OutputPanel({
             <path d="M4 17L10 11L4 5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
             <path d="M12 19H20" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
           </svg>
-          Output
+          {tests ? (
+            <span className="output-panel__tabs" role="tablist">
+              <button
+                className={`output-panel__tab ${activeTab === 'console' ? 'output-panel__tab--active' : ''}`}
+                onClick={() => setTab('console')}
+                role="tab"
+                aria-selected={activeTab === 'console'}
+              >
+                Console
+              </button>
+              <button
+                className={`output-panel__tab ${activeTab === 'tests' ? 'output-panel__tab--active' : ''}`}
+                onClick={() => setTab('tests')}
+                role="tab"
+                aria-selected={activeTab === 'tests'}
+              >
+                Tests
+                {tests.testRun && !isRunningTests && testSummary.total > 0 && ` (${testSummary.passed}/${testSummary.total})`}
+              </button>
+            </span>
+          ) : (
+            'Output'
+          )}
         </span>
         
         <div className="output-panel__header-right">
-          {isRemote && (
+          {isRemote && activeTab === 'console' && (
             <span className="output-panel__remote-badge">
               <svg viewBox="0 0 24 24" fill="none" width="12" height="12">
                 <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
@@ -63,7 +106,7 @@ function OutputPanel({
             </span>
           )}
           
-          {(output || error) && onClear && !isRunning && (
+          {activeTab === 'console' && (output || error) && onClear && !isRunning && (
             <button 
               className="output-panel__clear-btn" 
               onClick={onClear}
@@ -79,7 +122,26 @@ function OutputPanel({
       </div>
       
       <div className="output-panel__content">
-        {isLoading ? (
+        {activeTab === 'tests' ? (
+          <>
+            <TestCasesTable {...tests} />
+            {hiddenTests && (
+              <section className="output-panel__hidden-tests" aria-label="Hidden tests">
+                <div className="output-panel__hidden-header">
+                  <span>🔒 Hidden tests · only interviewers see them and their results</span>
+                  <button
+                    className="output-panel__hidden-run"
+                    onClick={onRunHiddenTests}
+                    disabled={!canRunHiddenTests}
+                  >
+                    Run hidden tests
+                  </button>
+                </div>
+                <TestCasesTable {...hiddenTable} />
+              </section>
+            )}
+          </>
+        ) : isLoading ? (
           <div className="output-panel__loading">
             <div className="output-panel__loading-spinner"></div>
             <p>{loadingMessage}</p>
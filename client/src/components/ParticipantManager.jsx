@@ -0,0 +1,132 @@
+/**
+ * ParticipantManager Component
+ *
+ * Interviewer menu next to the presence indicator: admit or turn away the
+ * candidates in the waiting room, and remove candidates from the session.
+ * Removed and turned away candidates are disconnected and cannot join again.
+ */
+import { useState, useEffect, useRef } from 'react';
+import './ParticipantManager.css';
+
+/**
+ * Format when someone started waiting as a short local time
+ */
+function formatRequestTime(requestedAt) {
+  const date = new Date(requestedAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.waiting - Candidates waiting to be admitted [{ id, name, requestedAt }]
+ * @param {Array} props.users - Participants in the session (see PresenceIndicator)
+ * @param {Function} props.onAdmit - Called with the ID of a waiting candidate to let in
+ * @param {Function} props.onRemove - Called with the ID of a candidate to disconnect for good
+ * @param {boolean} props.disabled - Whether the actions are disabled
+ */
+function ParticipantManager({ waiting = [], users = [], onAdmit, onRemove, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const candidates = users.filter(user => user.role !== 'interviewer');
+
+  // Close the menu when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleRemove = (user) => {
+    if (window.confirm(`Remove ${user.name} from the session? They will not be able to join again.`)) {
+      onRemove(user.id);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="participant-manager">
+      <button
+        className={`participant-manager__toggle ${waiting.length > 0 ? 'participant-manager__toggle--attention' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        title="Manage participants"
+      >
+        Participants
+        {waiting.length > 0 && (
+          <span className="participant-manager__badge" aria-label={`${waiting.length} waiting`}>
+            {waiting.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="participant-manager__menu">
+          <h3 className="participant-manager__heading">Waiting room</h3>
+          {waiting.length === 0 ? (
+            <p className="participant-manager__empty">Nobody is waiting</p>
+          ) : (
+            <ul className="participant-manager__list" aria-label="Waiting room">
+              {waiting.map(entry => (
+                <li key={entry.id} className="participant-manager__item">
+                  <div className="participant-manager__info">
+                    <span className="participant-manager__name">{entry.name}</span>
+                    <span className="participant-manager__meta">Waiting since {formatRequestTime(entry.requestedAt)}</span>
+                  </div>
+                  <button
+                    className="participant-manager__btn participant-manager__btn--primary"
+                    onClick={() => onAdmit(entry.id)}
+                    disabled={disabled}
+                    aria-label={`Admit ${entry.name}`}
+                  >
+                    Admit
+                  </button>
+                  <button
+                    className="participant-manager__btn"
+                    onClick={() => onRemove(entry.id)}
+                    disabled={disabled}
+                    aria-label={`Turn away ${entry.name}`}
+                  >
+                    Deny
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h3 className="participant-manager__heading">Candidates</h3>
+          {candidates.length === 0 ? (
+            <p className="participant-manager__empty">No candidate in the session</p>
+          ) : (
+            <ul className="participant-manager__list" aria-label="Candidates">
+              {candidates.map(user => (
+                <li key={user.id} className="participant-manager__item">
+                  <div className="participant-manager__info">
+                    <span className="participant-manager__name">{user.name}</span>
+                  </div>
+                  <button
+                    className="participant-manager__btn participant-manager__btn--danger"
+                    onClick={() => handleRemove(user)}
+                    disabled={disabled}
+                    aria-label={`Remove ${user.name}`}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ParticipantManager;
@@ -0,0 +1,55 @@
+/**
+ * PasscodePrompt Component
+ *
+ * Asks for the passcode of a protected session before connecting to it.
+ */
+import { useState } from 'react';
+import { MAX_PASSCODE_LENGTH } from '../../../shared/passcode.js';
+import './PasscodePrompt.css';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with the passcode
+ * @param {string|null} props.error - Why the last passcode was refused
+ */
+function PasscodePrompt({ onSubmit, error = null }) {
+  const [passcode, setPasscode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (passcode) {
+      onSubmit(passcode);
+    }
+  };
+
+  return (
+    <div className="passcode-prompt">
+      <form className="passcode-prompt__card" onSubmit={handleSubmit}>
+        <h2 className="passcode-prompt__title">🔑 Passcode required</h2>
+        <p className="passcode-prompt__hint">
+          Ask your interviewer for the passcode of this session.
+        </p>
+        <input
+          className="passcode-prompt__input"
+          type="password"
+          placeholder="Passcode"
+          aria-label="Passcode"
+          value={passcode}
+          maxLength={MAX_PASSCODE_LENGTH}
+          onChange={(e) => setPasscode(e.target.value)}
+          autoFocus
+        />
+        {error && <p className="passcode-prompt__error" role="alert">{error}</p>}
+        <button
+          className="passcode-prompt__submit"
+          type="submit"
+          disabled={!passcode}
+        >
+          Join
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default PasscodePrompt;
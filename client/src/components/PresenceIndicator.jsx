@@ -1,22 +1,79 @@
 /**
  * PresenceIndicator Component
- * 
+ *
  * Displays the number of active users in the session and their status.
  * Helps monitor if participants are active in the tab or away.
+ * Clicking it opens a list of participants with their name, color,
+ * active/away state and join time.
  */
+import { useState, useEffect, useRef } from 'react';
 import './PresenceIndicator.css';
 
+/**
+ * Initials shown in a participant's avatar
+ */
+function getInitials(name = '') {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return '?';
+  return parts.slice(0, 2).map(part => part[0].toUpperCase()).join('');
+}
+
+/**
+ * Format a join timestamp as a short local time
+ */
+function formatJoinTime(joinedAt) {
+  const date = new Date(joinedAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
 /**
  * @param {Object} props
  * @param {number} props.userCount - Total users connected
  * @param {number} props.activeCount - Users with tab focused
- * @param {Array} props.users - List of user objects { id, isActive, joinedAt }
+ * @param {Array} props.users - List of user objects { id, name, color, role, isActive, joinedAt }
+ * @param {string} props.currentUserId - ID of the local user (marked as "you")
  */
-function PresenceIndicator({ userCount = 0, activeCount = 0 }) {
+function PresenceIndicator({ userCount = 0, activeCount = 0, users = [], currentUserId = null }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
   const isAllActive = userCount > 0 && userCount === activeCount;
-  
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setIsOpen(open => !open);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
   return (
-    <div className="presence-indicator" title={`${activeCount} of ${userCount} users active`}>
+    <div
+      ref={containerRef}
+      className={`presence-indicator ${isOpen ? 'presence-indicator--open' : ''}`}
+      title={`${activeCount} of ${userCount} users active`}
+      role="button"
+      tabIndex={0}
+      aria-haspopup="true"
+      aria-expanded={isOpen}
+      onClick={() => setIsOpen(open => !open)}
+      onKeyDown={handleKeyDown}
+    >
       <div className="presence-indicator__count">
         <svg viewBox="0 0 24 24" fill="none" width="16" height="16">
           <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -26,10 +83,43 @@ function PresenceIndicator({ userCount = 0, activeCount = 0 }) {
         </svg>
         <span>{userCount}</span>
       </div>
-      
+
       <div className={`presence-indicator__status ${isAllActive ? 'presence-indicator__status--all-active' : 'presence-indicator__status--some-inactive'}`}>
         <span className="presence-indicator__dot"></span>
       </div>
+
+      {isOpen && (
+        <ul className="presence-indicator__dropdown" onClick={(e) => e.stopPropagation()}>
+          {users.length === 0 && (
+            <li className="presence-indicator__empty">Nobody here yet</li>
+          )}
+          {users.map(user => (
+            <li key={user.id} className="presence-indicator__user">
+              <span
+                className="presence-indicator__avatar"
+                style={{ backgroundColor: user.color }}
+              >
+                {getInitials(user.name)}
+              </span>
+              <div className="presence-indicator__user-info">
+                <span className="presence-indicator__user-name">
+                  {user.name}
+                  {user.id === currentUserId && (
+                    <span className="presence-indicator__you"> (you)</span>
+                  )}
+                </span>
+                <span className="presence-indicator__user-meta">
+                  {user.role === 'interviewer' && 'Interviewer · '}
+                  Joined {formatJoinTime(user.joinedAt)}
+                </span>
+              </div>
+              <span className={`presence-indicator__user-status ${user.isActive ? 'presence-indicator__user-status--active' : 'presence-indicator__user-status--away'}`}>
+                {user.isActive ? 'Active' : 'Away'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
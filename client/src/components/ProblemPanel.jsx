@@ -0,0 +1,183 @@
+/**
+ * ProblemPanel Component
+ *
+ * The problem statement, rendered from Markdown next to the editor.
+ * Interviewers can edit it; saving replaces it for everyone. Images are
+ * pasted or picked from a file and embedded as data URIs.
+ * Ctrl+Enter (Cmd+Enter on macOS) saves.
+ */
+import { useState, useRef, useMemo } from 'react';
+import { MAX_PROBLEM_STATEMENT_LENGTH } from '../../../shared/problem.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import './ProblemPanel.css';
+
+/**
+ * Read an image file as a data URI
+ */
+function readAsDataUri(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.statement - Markdown statement shared with everyone
+ * @param {boolean} props.canEdit - Whether this participant may change it
+ * @param {Function} props.onSave - Called with the new statement
+ * @param {Function} props.onClose - Called to hide the panel
+ * @param {boolean} props.disabled - Whether the statement can be saved now
+ */
+function ProblemPanel({ statement, canEdit, onSave, onClose, disabled = false }) {
+  // Text being edited, null while reading
+  const [draft, setDraft] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const textareaRef = useRef(null);
+
+  const isEditing = draft !== null;
+  const shownText = isEditing ? draft : statement;
+  const html = useMemo(
+    () => (isEditing && !isPreviewing ? '' : renderMarkdown(shownText)),
+    [shownText, isEditing, isPreviewing]
+  );
+  const isTooLong = isEditing && draft.length > MAX_PROBLEM_STATEMENT_LENGTH;
+
+  const startEditing = () => {
+    setDraft(statement);
+    setIsPreviewing(false);
+  };
+
+  const save = () => {
+    if (disabled || isTooLong) return;
+    if (draft !== statement) {
+      onSave(draft);
+    }
+    setDraft(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  // Insert images at the cursor as Markdown with a data URI
+  const insertImages = async (imageFiles) => {
+    const textarea = textareaRef.current;
+    const start = textarea?.selectionStart ?? draft.length;
+    const end = textarea?.selectionEnd ?? draft.length;
+    const uris = await Promise.all(imageFiles.map(readAsDataUri));
+    const markdown = imageFiles
+      .map((file, index) => `![${file.name.replace(/[[\]]/g, '')}](${uris[index]})`)
+      .join('\n');
+    setDraft(prev => prev.slice(0, start) + markdown + prev.slice(end));
+  };
+
+  const handlePaste = (e) => {
+    const imageFiles = Array.from(e.clipboardData?.files ?? [])
+      .filter(file => file.type.startsWith('image/'));
+    if (imageFiles.length === 0) return;
+    e.preventDefault();
+    insertImages(imageFiles);
+  };
+
+  const handlePickImages = (e) => {
+    const imageFiles = Array.from(e.target.files ?? [])
+      .filter(file => file.type.startsWith('image/'));
+    e.target.value = '';
+    if (imageFiles.length > 0) {
+      insertImages(imageFiles);
+    }
+  };
+
+  return (
+    <section className="problem-panel" aria-label="Problem">
+      <div className="problem-panel__header">
+        <span className="problem-panel__title">📄 Problem</span>
+        {isEditing ? (
+          <div className="problem-panel__modes" role="tablist" aria-label="Editing mode">
+            <button
+              className={`problem-panel__mode ${!isPreviewing ? 'problem-panel__mode--active' : ''}`}
+              onClick={() => setIsPreviewing(false)}
+              role="tab"
+              aria-selected={!isPreviewing}
+            >
+              Write
+            </button>
+            <button
+              className={`problem-panel__mode ${isPreviewing ? 'problem-panel__mode--active' : ''}`}
+              onClick={() => setIsPreviewing(true)}
+              role="tab"
+              aria-selected={isPreviewing}
+            >
+              Preview
+            </button>
+          </div>
+        ) : canEdit && (
+          <button className="problem-panel__edit" onClick={startEditing}>
+            Edit
+          </button>
+        )}
+        <button className="problem-panel__close" onClick={onClose} aria-label="Close problem statement">
+          ×
+        </button>
+      </div>
+
+      {isEditing && !isPreviewing ? (
+        <textarea
+          ref={textareaRef}
+          className="problem-panel__input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+          placeholder="Describe the problem in Markdown: code blocks, tables and pasted images are supported"
+          aria-label="Problem statement"
+          autoFocus
+        />
+      ) : html ? (
+        <div className="problem-panel__content" dangerouslySetInnerHTML={{ __html: html }} />
+      ) : (
+        <p className="problem-panel__empty">
+          {canEdit ? 'No problem statement yet' : 'The interviewer has not written a problem statement yet'}
+        </p>
+      )}
+
+      {isEditing && (
+        <div className="problem-panel__footer">
+          <label className="problem-panel__image">
+            🖼 Add image
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={handlePickImages}
+              hidden
+            />
+          </label>
+          {isTooLong && (
+            <span className="problem-panel__error" role="alert">
+              Too long ({draft.length} / {MAX_PROBLEM_STATEMENT_LENGTH} characters)
+            </span>
+          )}
+          <button className="problem-panel__cancel" onClick={() => setDraft(null)}>
+            Cancel
+          </button>
+          <button
+            className="problem-panel__save"
+            onClick={save}
+            disabled={disabled || isTooLong}
+          >
+            Save
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ProblemPanel;
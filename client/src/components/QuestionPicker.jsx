@@ -0,0 +1,72 @@
+/**
+ * QuestionPicker Component
+ *
+ * Chooses the question of the bank a new session starts from, and which
+ * of its starter codes to use. "Blank session" starts with an empty editor.
+ */
+import './QuestionPicker.css';
+
+const LANGUAGE_LABELS = {
+  javascript: 'JavaScript',
+  python: 'Python'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.questions - [{ id, title, languages, testCaseCount }]
+ * @param {string|null} props.questionId - Chosen question, null for a blank session
+ * @param {string|null} props.language - Chosen starter code language
+ * @param {Function} props.onChange - Called with { questionId, language }
+ * @param {boolean} props.disabled - Whether the choice can be changed
+ */
+function QuestionPicker({ questions, questionId, language, onChange, disabled = false }) {
+  const question = questions.find(q => q.id === questionId);
+
+  const handleQuestionChange = (e) => {
+    const next = questions.find(q => q.id === e.target.value);
+    onChange({
+      questionId: next?.id ?? null,
+      // Keep the language when the new question has it
+      language: next ? (next.languages.includes(language) ? language : next.languages[0]) : null
+    });
+  };
+
+  return (
+    <div className="question-picker">
+      <label className="question-picker__field">
+        <span className="question-picker__label">Question</span>
+        <select
+          className="question-picker__select"
+          value={questionId ?? ''}
+          onChange={handleQuestionChange}
+          disabled={disabled}
+        >
+          <option value="">Blank session</option>
+          {questions.map(q => (
+            <option key={q.id} value={q.id}>
+              {q.title}{q.testCaseCount > 0 ? ` (${q.testCaseCount} tests)` : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {question && (
+        <label className="question-picker__field">
+          <span className="question-picker__label">Language</span>
+          <select
+            className="question-picker__select"
+            value={language ?? ''}
+            onChange={(e) => onChange({ questionId, language: e.target.value })}
+            disabled={disabled}
+          >
+            {question.languages.map(lang => (
+              <option key={lang} value={lang}>{LANGUAGE_LABELS[lang] ?? lang}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default QuestionPicker;
@@ -0,0 +1,84 @@
+/**
+ * ReplayControls Component
+ *
+ * Play/pause, speed and a timeline scrubber for the session replay.
+ * Runs are marked on the timeline.
+ */
+import { formatPlaybackTime } from '../utils/replay.js';
+import './ReplayControls.css';
+
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isPlaying - Whether the replay is playing
+ * @param {Function} props.onTogglePlay - Called to play or pause
+ * @param {number} props.speed - Playback speed (one of PLAYBACK_SPEEDS)
+ * @param {Function} props.onSpeedChange - Called with the new speed
+ * @param {number} props.position - Playback time (ms)
+ * @param {number} props.duration - Playback length (ms)
+ * @param {Function} props.onSeek - Called with the playback time to jump to (ms)
+ * @param {Array} props.runTimes - Playback times at which code was run (ms)
+ */
+function ReplayControls({
+  isPlaying,
+  onTogglePlay,
+  speed,
+  onSpeedChange,
+  position,
+  duration,
+  onSeek,
+  runTimes = []
+}) {
+  return (
+    <div className="replay-controls">
+      <button
+        className="replay-controls__play"
+        onClick={onTogglePlay}
+        disabled={duration === 0}
+        aria-label={isPlaying ? 'Pause' : 'Play'}
+      >
+        {isPlaying ? '⏸' : '▶'}
+      </button>
+
+      <div className="replay-controls__timeline">
+        <input
+          className="replay-controls__scrubber"
+          type="range"
+          min={0}
+          max={duration}
+          step={1}
+          value={position}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          aria-label="Timeline"
+          aria-valuetext={formatPlaybackTime(position)}
+        />
+        {duration > 0 && runTimes.map(time => (
+          <span
+            key={time}
+            className="replay-controls__marker"
+            style={{ left: `${(time / duration) * 100}%` }}
+            title={`Run at ${formatPlaybackTime(time)}`}
+          />
+        ))}
+      </div>
+
+      <span className="replay-controls__time">
+        {formatPlaybackTime(position)} / {formatPlaybackTime(duration)}
+      </span>
+
+      <select
+        className="replay-controls__speed"
+        value={speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        aria-label="Playback speed"
+      >
+        {PLAYBACK_SPEEDS.map(option => (
+          <option key={option} value={option}>{option}×</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ReplayControls;
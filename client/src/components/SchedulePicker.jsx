@@ -0,0 +1,78 @@
+/**
+ * SchedulePicker Component
+ *
+ * Optional schedule of a new session, on the home page: when candidates can
+ * join (start and end, in local time) and how long the session is kept once
+ * nobody uses it.
+ */
+import './SchedulePicker.css';
+
+const TTL_OPTIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 7 * 24, label: '1 week' },
+  { hours: 30 * 24, label: '30 days' }
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.schedule - { enabled, startsAt, endsAt, ttlHours } (dates as datetime-local values)
+ * @param {Function} props.onChange - Called with the new schedule
+ * @param {boolean} props.disabled - Whether the schedule can be changed
+ */
+function SchedulePicker({ schedule, onChange, disabled = false }) {
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  return (
+    <div className="schedule-picker">
+      <label className="schedule-picker__toggle">
+        <input
+          type="checkbox"
+          checked={schedule.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+        />
+        Schedule for later
+      </label>
+
+      {schedule.enabled && (
+        <div className="schedule-picker__fields">
+          <label className="schedule-picker__field">
+            <span className="schedule-picker__label">Starts</span>
+            <input
+              type="datetime-local"
+              className="schedule-picker__input"
+              value={schedule.startsAt}
+              onChange={(e) => update({ startsAt: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+          <label className="schedule-picker__field">
+            <span className="schedule-picker__label">Ends</span>
+            <input
+              type="datetime-local"
+              className="schedule-picker__input"
+              value={schedule.endsAt}
+              onChange={(e) => update({ endsAt: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+          <label className="schedule-picker__field">
+            <span className="schedule-picker__label">Keep unused for</span>
+            <select
+              className="schedule-picker__input"
+              value={schedule.ttlHours}
+              onChange={(e) => update({ ttlHours: Number(e.target.value) })}
+              disabled={disabled}
+            >
+              {TTL_OPTIONS.map(({ hours, label }) => (
+                <option key={hours} value={hours}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SchedulePicker;
@@ -0,0 +1,303 @@
+/**
+ * ScorecardPanel Component
+ *
+ * Interviewer scorecard, shown as a sidebar: a 1-4 rating per criterion of
+ * the rubric, a justification and a hire/no-hire recommendation. Once an
+ * interviewer submitted theirs, they see every interviewer's scorecard and
+ * the averages. The criteria can be changed until the first submission.
+ */
+import { useState } from 'react';
+import { MIN_RATING, MAX_RATING, MAX_CRITERIA, MAX_CRITERION_LABEL_LENGTH, MAX_JUSTIFICATION_LENGTH } from '../../../shared/evaluation.js';
+import './ScorecardPanel.css';
+
+const RATING_LABELS = {
+  1: 'Poor',
+  2: 'Fair',
+  3: 'Good',
+  4: 'Excellent'
+};
+
+const RECOMMENDATION_LABELS = {
+  hire: 'Hire',
+  'no-hire': 'No hire'
+};
+
+const RATINGS = Array.from({ length: MAX_RATING - MIN_RATING + 1 }, (_, index) => MIN_RATING + index);
+
+/**
+ * Editor of the rubric criteria
+ */
+function RubricEditor({ rubric, onSave, onCancel, disabled }) {
+  const [criteria, setCriteria] = useState(rubric);
+
+  const isValid = criteria.length > 0 && criteria.every(criterion => criterion.label.trim());
+
+  const updateLabel = (index, label) => {
+    setCriteria(prev => prev.map((criterion, i) => i === index ? { ...criterion, label } : criterion));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!disabled && isValid) onSave(criteria);
+  };
+
+  return (
+    <form className="scorecard-panel__rubric" onSubmit={handleSubmit}>
+      {criteria.map((criterion, index) => (
+        <div key={criterion.id ?? `new-${index}`} className="scorecard-panel__criterion-row">
+          <input
+            className="scorecard-panel__input"
+            value={criterion.label}
+            onChange={(e) => updateLabel(index, e.target.value)}
+            maxLength={MAX_CRITERION_LABEL_LENGTH}
+            aria-label={`Criterion ${index + 1}`}
+          />
+          <button
+            type="button"
+            className="scorecard-panel__remove"
+            onClick={() => setCriteria(prev => prev.filter((_, i) => i !== index))}
+            aria-label={`Remove criterion ${index + 1}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="scorecard-panel__link"
+        onClick={() => setCriteria(prev => [...prev, { label: '' }])}
+        disabled={criteria.length >= MAX_CRITERIA}
+      >
+        + Add criterion
+      </button>
+      <div className="scorecard-panel__actions">
+        <button type="button" className="scorecard-panel__secondary" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="scorecard-panel__primary" disabled={disabled || !isValid}>
+          Save criteria
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Ratings, justification and recommendation of one interviewer
+ */
+function ScorecardForm({ rubric, initial, onSubmit, disabled }) {
+  const [ratings, setRatings] = useState(initial?.ratings ?? {});
+  const [justification, setJustification] = useState(initial?.justification ?? '');
+  const [recommendation, setRecommendation] = useState(initial?.recommendation ?? null);
+
+  const isComplete = rubric.every(({ id }) => ratings[id]) && recommendation !== null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (disabled || !isComplete) return;
+    // Only the current criteria (the rubric may have changed since a draft was started)
+    const current = Object.fromEntries(rubric.map(({ id }) => [id, ratings[id]]));
+    onSubmit({ ratings: current, justification, recommendation });
+  };
+
+  return (
+    <form className="scorecard-panel__form" onSubmit={handleSubmit}>
+      {rubric.map(criterion => (
+        <fieldset key={criterion.id} className="scorecard-panel__fieldset">
+          <legend className="scorecard-panel__legend">{criterion.label}</legend>
+          <div className="scorecard-panel__ratings">
+            {RATINGS.map(rating => (
+              <label
+                key={rating}
+                className={`scorecard-panel__rating ${ratings[criterion.id] === rating ? 'scorecard-panel__rating--selected' : ''}`}
+                title={RATING_LABELS[rating]}
+              >
+                <input
+                  type="radio"
+                  name={`rating-${criterion.id}`}
+                  value={rating}
+                  checked={ratings[criterion.id] === rating}
+                  onChange={() => setRatings(prev => ({ ...prev, [criterion.id]: rating }))}
+                  aria-label={`${criterion.label}: ${rating} (${RATING_LABELS[rating]})`}
+                />
+                {rating}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      ))}
+
+      <textarea
+        className="scorecard-panel__input"
+        value={justification}
+        onChange={(e) => setJustification(e.target.value)}
+        placeholder="Why these ratings? Strengths, concerns, evidence..."
+        rows={5}
+        maxLength={MAX_JUSTIFICATION_LENGTH}
+        aria-label="Justification"
+      />
+
+      <fieldset className="scorecard-panel__fieldset">
+        <legend className="scorecard-panel__legend">Recommendation</legend>
+        <div className="scorecard-panel__ratings">
+          {Object.entries(RECOMMENDATION_LABELS).map(([value, label]) => (
+            <label
+              key={value}
+              className={`scorecard-panel__rating scorecard-panel__rating--${value} ${recommendation === value ? 'scorecard-panel__rating--selected' : ''}`}
+            >
+              <input
+                type="radio"
+                name="recommendation"
+                value={value}
+                checked={recommendation === value}
+                onChange={() => setRecommendation(value)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <button type="submit" className="scorecard-panel__primary" disabled={disabled || !isComplete}>
+        {initial ? 'Update scorecard' : 'Submit scorecard'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Averages and every interviewer's scorecard
+ */
+function ScorecardResults({ rubric, aggregate, submissions }) {
+  return (
+    <div className="scorecard-panel__results">
+      <div className="scorecard-panel__overall" role="status">
+        <strong>{aggregate.average.toFixed(2)}</strong> / {MAX_RATING} average
+        {' · '}
+        {aggregate.recommendations.hire} hire, {aggregate.recommendations['no-hire']} no hire
+        {' · '}
+        {aggregate.count} {aggregate.count === 1 ? 'scorecard' : 'scorecards'}
+      </div>
+
+      <table className="scorecard-panel__table">
+        <tbody>
+          {aggregate.criteria.map(criterion => (
+            <tr key={criterion.id}>
+              <th scope="row">{criterion.label}</th>
+              <td>{criterion.average.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <ul className="scorecard-panel__submissions">
+        {submissions.map(submission => (
+          <li key={submission.evaluatorId} className="scorecard-panel__submission">
+            <div className="scorecard-panel__submission-header">
+              <span className="scorecard-panel__evaluator">{submission.evaluatorName}</span>
+              <span className={`scorecard-panel__recommendation scorecard-panel__recommendation--${submission.recommendation}`}>
+                {RECOMMENDATION_LABELS[submission.recommendation]}
+              </span>
+            </div>
+            <p className="scorecard-panel__scores">
+              {rubric.map(({ id, label }) => `${label} ${submission.ratings[id]}`).join(' · ')}
+            </p>
+            {submission.justification && (
+              <p className="scorecard-panel__justification">{submission.justification}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.evaluation - { rubric, submissionCount, submission, submissions, aggregate }
+ * @param {string|null} props.error - Why loading or saving failed
+ * @param {boolean} props.isLoading - Whether the scorecard is loading
+ * @param {boolean} props.isSaving - Whether a change is being saved
+ * @param {Function} props.onSubmit - Called with { ratings, justification, recommendation }; resolves to whether it was saved
+ * @param {Function} props.onSaveRubric - Called with the new criteria; resolves to whether they were saved
+ * @param {Function} props.onClose - Called to hide the scorecard
+ */
+function ScorecardPanel({ evaluation, error, isLoading, isSaving, onSubmit, onSaveRubric, onClose }) {
+  // 'results' once submitted, 'form' while rating, 'rubric' while changing the criteria
+  const [mode, setMode] = useState(null);
+
+  const submission = evaluation?.submission ?? null;
+  const currentMode = mode ?? (submission ? 'results' : 'form');
+
+  const handleSubmit = async (scorecard) => {
+    if (await onSubmit(scorecard)) setMode('results');
+  };
+
+  const handleSaveRubric = async (criteria) => {
+    if (await onSaveRubric(criteria)) setMode('form');
+  };
+
+  let content = null;
+  if (evaluation && currentMode === 'rubric') {
+    content = (
+      <RubricEditor
+        rubric={evaluation.rubric}
+        onSave={handleSaveRubric}
+        onCancel={() => setMode('form')}
+        disabled={isSaving}
+      />
+    );
+  } else if (evaluation && currentMode === 'results' && submission) {
+    content = (
+      <>
+        <ScorecardResults rubric={evaluation.rubric} aggregate={evaluation.aggregate} submissions={evaluation.submissions} />
+        <button className="scorecard-panel__link" onClick={() => setMode('form')}>
+          Edit my scorecard
+        </button>
+      </>
+    );
+  } else if (evaluation) {
+    content = (
+      <>
+        {evaluation.submissionCount === 0 && (
+          <button className="scorecard-panel__link" onClick={() => setMode('rubric')}>
+            Edit criteria
+          </button>
+        )}
+        {!submission && evaluation.submissionCount > 0 && (
+          <p className="scorecard-panel__hint">
+            {evaluation.submissionCount} {evaluation.submissionCount === 1 ? 'interviewer has' : 'interviewers have'} submitted:
+            submit yours to see the results
+          </p>
+        )}
+        <ScorecardForm
+          key={submission?.submittedAt ?? 'new'}
+          rubric={evaluation.rubric}
+          initial={submission}
+          onSubmit={handleSubmit}
+          disabled={isSaving}
+        />
+      </>
+    );
+  }
+
+  return (
+    <aside className="scorecard-panel" aria-label="Scorecard">
+      <div className="scorecard-panel__header">
+        <span className="scorecard-panel__title">📋 Scorecard</span>
+        <button className="scorecard-panel__close" onClick={onClose} aria-label="Close scorecard">
+          ×
+        </button>
+      </div>
+      <p className="scorecard-panel__notice">Only interviewers can see scorecards</p>
+
+      <div className="scorecard-panel__body">
+        {error && <p className="scorecard-panel__error" role="alert">{error}</p>}
+        {isLoading && !evaluation && <p className="scorecard-panel__empty">Loading scorecard...</p>}
+        {content}
+      </div>
+    </aside>
+  );
+}
+
+export default ScorecardPanel;
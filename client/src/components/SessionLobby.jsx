@@ -0,0 +1,78 @@
+/**
+ * SessionLobby Component
+ *
+ * Shown over the session page while it cannot be joined: before a scheduled
+ * session opens (with a countdown; the session joins by itself when it
+ * does), while waiting for an interviewer to let us in, or once it ended,
+ * no longer exists or we were removed from it. An ended interview links to
+ * its archive.
+ */
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatClock } from '../utils/timer.js';
+import './SessionLobby.css';
+
+/**
+ * @param {Object} props
+ * @param {number|null} props.startsAt - When the session opens (server time in ms), null when it cannot be joined at all
+ * @param {number} props.clockOffset - Server time minus local time, in ms
+ * @param {string} props.message - Why the session cannot be joined (when startsAt is null)
+ * @param {boolean} props.isWaitingForAdmission - Whether we are in the waiting room
+ * @param {string|null} props.archiveUrl - Where the final state of the session can be read, if anywhere
+ */
+function SessionLobby({ startsAt = null, clockOffset = 0, message = '', isWaitingForAdmission = false, archiveUrl = null }) {
+  const [now, setNow] = useState(() => Date.now() + clockOffset);
+
+  useEffect(() => {
+    if (startsAt === null) return;
+    setNow(Date.now() + clockOffset);
+    const interval = setInterval(() => setNow(Date.now() + clockOffset), 1000);
+    return () => clearInterval(interval);
+  }, [startsAt, clockOffset]);
+
+  if (isWaitingForAdmission) {
+    return (
+      <div className="session-lobby">
+        <div className="session-lobby__card" role="status">
+          <h2 className="session-lobby__title">Waiting for the interviewer to let you in</h2>
+          <p className="session-lobby__hint">
+            They know you are here. This page joins the interview as soon as they admit you.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (startsAt === null) {
+    return (
+      <div className="session-lobby">
+        <div className="session-lobby__card" role="alert">
+          <h2 className="session-lobby__title">{message}</h2>
+          {archiveUrl && (
+            <Link to={archiveUrl} className="session-lobby__link">See the final code</Link>
+          )}
+          <Link to="/" className="session-lobby__link">Back to the home page</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const remainingMs = startsAt - now;
+
+  return (
+    <div className="session-lobby">
+      <div className="session-lobby__card">
+        <h2 className="session-lobby__title">The interview has not started yet</h2>
+        <p className="session-lobby__hint">
+          It starts at {new Date(startsAt - clockOffset).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.
+          This page joins it by itself.
+        </p>
+        <p className="session-lobby__countdown" role="timer" aria-label="Time until the interview starts">
+          {remainingMs > 0 ? formatClock(remainingMs) : 'Joining...'}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default SessionLobby;
@@ -0,0 +1,185 @@
+/**
+ * SessionTimer Component
+ *
+ * The interview countdown shown in the session header. The server runs the
+ * timer; this counts down from its last state, corrected for the difference
+ * between our clock and the server's. Interviewers start it (optionally in
+ * named phases), pause, extend and reset it.
+ */
+import { useState, useEffect } from 'react';
+import { describeTimer } from '../../../shared/timer.js';
+import { parsePhases, formatClock } from '../utils/timer.js';
+import './SessionTimer.css';
+
+// Time added by the extend button
+const EXTENSION_MS = 5 * 60 * 1000;
+
+// Below this, the clock turns to a warning color
+const WARNING_MS = 60 * 1000;
+
+/**
+ * Form starting a timer
+ */
+function TimerForm({ onStart, onCancel }) {
+  const [text, setText] = useState('45m');
+  const [lockOnTimeUp, setLockOnTimeUp] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const phases = parsePhases(text);
+    if (!phases) {
+      setError('Use a duration such as 45m, or phases such as "intro 5m, coding 35m, Q&A 5m"');
+      return;
+    }
+    onStart(phases, lockOnTimeUp);
+  };
+
+  return (
+    <form className="session-timer__form" onSubmit={handleSubmit}>
+      <input
+        className="session-timer__input"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setError(null);
+        }}
+        placeholder="intro 5m, coding 35m, Q&A 5m"
+        aria-label="Phases"
+        autoFocus
+      />
+      <label className="session-timer__option">
+        <input
+          type="checkbox"
+          checked={lockOnTimeUp}
+          onChange={(e) => setLockOnTimeUp(e.target.checked)}
+        />
+        Make the code read-only for everyone when time is up
+      </label>
+      {error && <p className="session-timer__error" role="alert">{error}</p>}
+      <div className="session-timer__form-actions">
+        <button type="button" className="session-timer__btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="session-timer__btn session-timer__btn--primary">
+          Start
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.timer - Timer state from the server (see shared/timer.js)
+ * @param {number} props.clockOffset - Server time minus local time, in ms
+ * @param {boolean} props.canControl - Whether the timer can be started, paused, extended and reset
+ * @param {Function} props.onStart - Called with (phases, lockOnTimeUp)
+ * @param {Function} props.onPause
+ * @param {Function} props.onResume
+ * @param {Function} props.onExtend - Called with the time to add, in ms
+ * @param {Function} props.onReset
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+function SessionTimer({
+  timer,
+  clockOffset = 0,
+  canControl = false,
+  onStart,
+  onPause,
+  onResume,
+  onExtend,
+  onReset,
+  disabled = false
+}) {
+  const [now, setNow] = useState(() => Date.now() + clockOffset);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const isRunning = timer?.status === 'running';
+
+  // Tick while running
+  useEffect(() => {
+    setNow(Date.now() + clockOffset);
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now() + clockOffset), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning, timer, clockOffset]);
+
+  if (!timer) {
+    if (!canControl) return null;
+    return (
+      <div className="session-timer">
+        <button
+          className="session-timer__btn"
+          onClick={() => setIsFormOpen(!isFormOpen)}
+          disabled={disabled}
+          aria-expanded={isFormOpen}
+        >
+          ⏱ Timer
+        </button>
+        {isFormOpen && (
+          <TimerForm
+            onStart={(phases, lockOnTimeUp) => {
+              onStart(phases, lockOnTimeUp);
+              setIsFormOpen(false);
+            }}
+            onCancel={() => setIsFormOpen(false)}
+          />
+        )}
+      </div>
+    );
+  }
+
+  const { remainingMs, phaseIndex, phaseRemainingMs, isTimeUp } = describeTimer(timer, now);
+  const phase = timer.phases[phaseIndex];
+  const hasPhases = timer.phases.length > 1 || phase.name;
+
+  let modifier = timer.status;
+  if (isTimeUp) modifier = 'finished';
+  else if (isRunning && remainingMs <= WARNING_MS) modifier = 'warning';
+
+  return (
+    <div className={`session-timer session-timer--${modifier}`}>
+      <div className="session-timer__display" role="timer" aria-label="Interview timer">
+        {hasPhases && !isTimeUp && (
+          <span className="session-timer__phase">
+            {phase.name || `Phase ${phaseIndex + 1}`}
+            {timer.phases.length > 1 && ` (${phaseIndex + 1}/${timer.phases.length})`}
+          </span>
+        )}
+        <span className="session-timer__clock" title={`${formatClock(remainingMs)} left in total`}>
+          {isTimeUp ? 'Time is up' : formatClock(hasPhases ? phaseRemainingMs : remainingMs)}
+        </span>
+        {timer.status === 'paused' && <span className="session-timer__paused">Paused</span>}
+      </div>
+
+      {canControl && (
+        <div className="session-timer__controls">
+          {isRunning && (
+            <button className="session-timer__btn" onClick={onPause} disabled={disabled} aria-label="Pause timer">
+              ⏸
+            </button>
+          )}
+          {timer.status === 'paused' && (
+            <button className="session-timer__btn" onClick={onResume} disabled={disabled} aria-label="Resume timer">
+              ▶
+            </button>
+          )}
+          <button
+            className="session-timer__btn"
+            onClick={() => onExtend(EXTENSION_MS)}
+            disabled={disabled}
+            aria-label="Add 5 minutes"
+          >
+            +5m
+          </button>
+          <button className="session-timer__btn" onClick={onReset} disabled={disabled} aria-label="Reset timer">
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionTimer;
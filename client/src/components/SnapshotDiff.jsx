@@ -0,0 +1,217 @@
+/**
+ * SnapshotDiff Component
+ *
+ * Compares two points in the session history (snapshots, runs or the current
+ * code) in a Monaco diff editor, side by side or inline. Files are listed
+ * with what happened to them between the two points.
+ */
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { compareWorkspaces } from '../utils/snapshotDiff.js';
+import './SnapshotDiff.css';
+
+// Point in history standing for the workspace as it is now
+export const CURRENT_VERSION = 'current';
+
+const languageMap = {
+  javascript: 'javascript',
+  python: 'python',
+  other: 'plaintext'
+};
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Deleted',
+  modified: 'Modified',
+  unchanged: 'Unchanged'
+};
+
+/**
+ * Label of a snapshot in the version pickers
+ */
+function describeSnapshot(snapshot) {
+  const time = new Date(snapshot.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${snapshot.name} (${time})`;
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.snapshots - Snapshot summaries [{ id, name, kind, createdAt }], oldest first
+ * @param {Array} props.currentFiles - Current workspace [{ id, name, language, code }]
+ * @param {Function} props.loadSnapshot - Called with a snapshot ID, resolves to the snapshot with its files
+ * @param {string} [props.initialFromId] - Older point (defaults to the first run, else the oldest snapshot)
+ * @param {string} [props.initialToId] - Newer point (defaults to the current code)
+ * @param {Function} props.onClose - Called to close the comparison
+ */
+function SnapshotDiff({ snapshots, currentFiles, loadSnapshot, initialFromId, initialToId, onClose }) {
+  const [fromId, setFromId] = useState(() => initialFromId
+    ?? (snapshots.find(snapshot => snapshot.kind === 'run') ?? snapshots[0])?.id
+    ?? CURRENT_VERSION);
+  const [toId, setToId] = useState(initialToId ?? CURRENT_VERSION);
+  const [sideBySide, setSideBySide] = useState(true);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  // Files of the snapshots loaded so far: snapshotId -> files
+  const [loadedFiles, setLoadedFiles] = useState({});
+  const [error, setError] = useState(null);
+  // Snapshots already asked for
+  const requestedRef = useRef(new Set());
+
+  // Escape closes the comparison
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Load the files of the snapshots being compared (each one once)
+   */
+  useEffect(() => {
+    for (const snapshotId of [fromId, toId]) {
+      if (snapshotId === CURRENT_VERSION || requestedRef.current.has(snapshotId)) continue;
+
+      requestedRef.current.add(snapshotId);
+      loadSnapshot(snapshotId)
+        .then((snapshot) => {
+          setLoadedFiles(prev => ({ ...prev, [snapshotId]: snapshot.files }));
+        })
+        .catch((err) => {
+          // Picking it again retries
+          requestedRef.current.delete(snapshotId);
+          setError(err.message);
+        });
+    }
+  }, [fromId, toId, loadSnapshot]);
+
+  const filesAt = (pointId) => (pointId === CURRENT_VERSION ? currentFiles : loadedFiles[pointId]);
+  const fromFiles = filesAt(fromId);
+  const toFiles = filesAt(toId);
+
+  const entries = useMemo(
+    () => (fromFiles && toFiles ? compareWorkspaces(fromFiles, toFiles) : null),
+    [fromFiles, toFiles]
+  );
+
+  // Show the selected file, else the first one that changed
+  const entry = entries
+    ? entries.find(candidate => candidate.key === selectedKey)
+      ?? entries.find(candidate => candidate.status !== 'unchanged')
+      ?? entries[0]
+    : null;
+  const entryLanguage = (entry?.to ?? entry?.from)?.language;
+
+  const handlePointChange = (setPoint) => (e) => {
+    setError(null);
+    setPoint(e.target.value);
+  };
+
+  const renderPicker = (label, value, setPoint) => (
+    <label className="snapshot-diff__picker">
+      <span className="snapshot-diff__picker-label">{label}</span>
+      <select
+        className="snapshot-diff__select"
+        value={value}
+        onChange={handlePointChange(setPoint)}
+        aria-label={`Compare ${label.toLowerCase()}`}
+      >
+        <option value={CURRENT_VERSION}>Current code</option>
+        {[...snapshots].reverse().map(snapshot => (
+          <option key={snapshot.id} value={snapshot.id}>{describeSnapshot(snapshot)}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="snapshot-diff" onClick={onClose}>
+      <div
+        className="snapshot-diff__dialog"
+        role="dialog"
+        aria-label="Compare versions"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="snapshot-diff__header">
+          {renderPicker('From', fromId, setFromId)}
+          <span className="snapshot-diff__arrow">→</span>
+          {renderPicker('To', toId, setToId)}
+
+          <div className="snapshot-diff__modes" role="group" aria-label="Diff layout">
+            <button
+              className={`snapshot-diff__mode ${sideBySide ? 'snapshot-diff__mode--active' : ''}`}
+              onClick={() => setSideBySide(true)}
+              aria-pressed={sideBySide}
+            >
+              Side by side
+            </button>
+            <button
+              className={`snapshot-diff__mode ${!sideBySide ? 'snapshot-diff__mode--active' : ''}`}
+              onClick={() => setSideBySide(false)}
+              aria-pressed={!sideBySide}
+            >
+              Inline
+            </button>
+          </div>
+
+          <button className="snapshot-diff__close" onClick={onClose} aria-label="Close comparison">
+            ×
+          </button>
+        </div>
+
+        {error ? (
+          <div className="snapshot-diff__message snapshot-diff__message--error">{error}</div>
+        ) : !entries ? (
+          <div className="snapshot-diff__message">Loading versions...</div>
+        ) : (
+          <div className="snapshot-diff__body">
+            <ul className="snapshot-diff__files" aria-label="Files">
+              {entries.map(candidate => (
+                <li key={candidate.key}>
+                  <button
+                    className={`snapshot-diff__file ${candidate === entry ? 'snapshot-diff__file--active' : ''}`}
+                    onClick={() => setSelectedKey(candidate.key)}
+                    aria-current={candidate === entry}
+                  >
+                    <span className="snapshot-diff__file-name">
+                      {candidate.renamed ? `${candidate.from.name} → ${candidate.name}` : candidate.name}
+                    </span>
+                    <span className={`snapshot-diff__status snapshot-diff__status--${candidate.status}`}>
+                      {STATUS_LABELS[candidate.status]}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="snapshot-diff__editor">
+              <DiffEditor
+                height="100%"
+                original={entry?.from?.code ?? ''}
+                modified={entry?.to?.code ?? ''}
+                language={languageMap[entryLanguage] || 'plaintext'}
+                theme="vs-dark"
+                options={{
+                  readOnly: true,
+                  renderSideBySide: sideBySide,
+                  minimap: { enabled: false },
+                  scrollBeyondLastLine: false,
+                  fontSize: 14,
+                  fontFamily: "'JetBrains Mono', 'Fira Code', 'Consolas', monospace",
+                  automaticLayout: true,
+                  wordWrap: 'on'
+                }}
+                loading={<div className="snapshot-diff__message">Loading editor...</div>}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SnapshotDiff;
@@ -0,0 +1,101 @@
+/**
+ * SnapshotPreview Component
+ *
+ * Shows the files saved in a snapshot, read-only, over the session page.
+ * Restoring replaces the workspace for everyone; the current workspace is
+ * saved as a snapshot first so the restore can be undone.
+ */
+import { useState, useEffect } from 'react';
+import CodeEditor from './CodeEditor.jsx';
+import EditorTabs from './EditorTabs.jsx';
+import './SnapshotPreview.css';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.snapshot - { id, name, createdBy, createdAt, files: [{ id, name, language, code }] }, null while loading
+ * @param {string|null} props.error - Why the snapshot could not be loaded
+ * @param {Function} props.onRestore - Called with the snapshot ID to restore it for everyone
+ * @param {Function} props.onCompare - Called with the snapshot ID to compare it with the current code
+ * @param {Function} props.onClose - Called to close the preview
+ * @param {boolean} props.canRestore - Whether this participant may restore it now
+ */
+function SnapshotPreview({ snapshot, error, onRestore, onCompare, onClose, canRestore }) {
+  const [selectedFileId, setSelectedFileId] = useState(null);
+
+  // Escape closes the preview
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const shownFile = snapshot
+    ? snapshot.files.find(file => file.id === selectedFileId) ?? snapshot.files[0]
+    : null;
+
+  return (
+    <div className="snapshot-preview" onClick={onClose}>
+      <div
+        className="snapshot-preview__dialog"
+        role="dialog"
+        aria-label="Snapshot preview"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="snapshot-preview__header">
+          <div className="snapshot-preview__info">
+            <span className="snapshot-preview__title">{snapshot?.name ?? 'Snapshot'}</span>
+            {snapshot && (
+              <span className="snapshot-preview__meta">
+                Saved by {snapshot.createdBy} at {new Date(snapshot.createdAt).toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+          <button
+            className="snapshot-preview__compare"
+            onClick={() => onCompare(snapshot.id)}
+            disabled={!snapshot}
+          >
+            Compare with current
+          </button>
+          <button
+            className="snapshot-preview__restore"
+            onClick={() => onRestore(snapshot.id)}
+            disabled={!snapshot || !canRestore}
+            title="Replace the workspace with this version for everyone (the current version is saved first)"
+          >
+            Restore for everyone
+          </button>
+          <button className="snapshot-preview__close" onClick={onClose} aria-label="Close preview">
+            ×
+          </button>
+        </div>
+
+        {error ? (
+          <div className="snapshot-preview__message snapshot-preview__message--error">{error}</div>
+        ) : !snapshot ? (
+          <div className="snapshot-preview__message">Loading snapshot...</div>
+        ) : (
+          <div className="snapshot-preview__editor">
+            <EditorTabs
+              tabs={snapshot.files}
+              activeFileId={shownFile?.id}
+              onSelect={setSelectedFileId}
+            />
+            <CodeEditor
+              value={shownFile?.code ?? ''}
+              language={shownFile?.language ?? 'javascript'}
+              fileName={shownFile?.name}
+              disabled
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SnapshotPreview;
@@ -0,0 +1,96 @@
+/**
+ * StdinPanel Component
+ *
+ * Standard input for the programs being run, shared with everyone in the session.
+ * In interactive mode, programs that read past the shared input pause and
+ * this panel asks for the next line.
+ */
+import { useState } from 'react';
+import './StdinPanel.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Shared stdin text
+ * @param {Function} props.onChange - Called with the new stdin text
+ * @param {boolean} props.disabled - Whether the shared stdin can be edited
+ * @param {boolean} props.interactive - Whether programs ask for more lines
+ * @param {Function} props.onInteractiveChange - Called with the new interactive setting
+ * @param {boolean} props.interactiveSupported - Whether this browser can pause programs
+ * @param {boolean} props.isWaitingForInput - Whether a program is waiting for a line
+ * @param {Function} props.onSubmitInput - Called with the typed line
+ * @param {Function} props.onEndInput - Called to send end of input
+ */
+function StdinPanel({
+  value,
+  onChange,
+  disabled = false,
+  interactive,
+  onInteractiveChange,
+  interactiveSupported,
+  isWaitingForInput,
+  onSubmitInput,
+  onEndInput
+}) {
+  const [line, setLine] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmitInput(line);
+    setLine('');
+  };
+
+  return (
+    <div className="stdin-panel">
+      <div className="stdin-panel__header">
+        <span className="stdin-panel__title">Input</span>
+        <label
+          className="stdin-panel__toggle"
+          title={interactiveSupported
+            ? 'Ask for more lines once the input is used up'
+            : 'Interactive input is not available in this browser'}
+        >
+          <input
+            type="checkbox"
+            checked={interactive && interactiveSupported}
+            onChange={(e) => onInteractiveChange(e.target.checked)}
+            disabled={!interactiveSupported}
+          />
+          Interactive
+        </label>
+      </div>
+
+      {isWaitingForInput && (
+        <form className="stdin-panel__prompt" onSubmit={handleSubmit}>
+          <input
+            className="stdin-panel__prompt-input"
+            type="text"
+            value={line}
+            onChange={(e) => setLine(e.target.value)}
+            placeholder="Program is waiting for input..."
+            aria-label="Program input"
+            autoFocus
+          />
+          <button type="submit" className="stdin-panel__btn stdin-panel__btn--primary">
+            Send
+          </button>
+          <button type="button" className="stdin-panel__btn" onClick={onEndInput}>
+            End input
+          </button>
+        </form>
+      )}
+
+      <textarea
+        className="stdin-panel__textarea"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        placeholder="One line per input() call"
+        aria-label="Standard input"
+        spellCheck={false}
+      />
+      <small className="stdin-panel__hint">Input is shared with other session participants</small>
+    </div>
+  );
+}
+
+export default StdinPanel;
@@ -0,0 +1,169 @@
+/**
+ * TestCasesTable Component
+ *
+ * The session's test cases with the results of the last run, shown in the
+ * output panel. Interviewers can add and remove test cases.
+ */
+import { useState } from 'react';
+import { summarizeTestResults } from '../utils/testCases.js';
+import './TestCasesTable.css';
+
+const STATUS_LABELS = {
+  passed: '✓ Passed',
+  failed: '✗ Failed',
+  error: '⚠ Error',
+  timeout: '⏱ Timed out',
+  running: '… Running',
+  pending: '—'
+};
+
+/**
+ * Form adding a test case
+ */
+function TestCaseForm({ onAdd, disabled }) {
+  const [input, setInput] = useState('');
+  const [expectedOutput, setExpectedOutput] = useState('');
+  const [assertion, setAssertion] = useState('');
+
+  const isEmpty = !input && !expectedOutput && !assertion.trim();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (disabled || isEmpty) return;
+    onAdd({ input, expectedOutput, assertion: assertion.trim() });
+    setInput('');
+    setExpectedOutput('');
+    setAssertion('');
+  };
+
+  return (
+    <form className="test-cases__form" onSubmit={handleSubmit}>
+      <textarea
+        className="test-cases__input"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder="Input (stdin)"
+        rows={2}
+        aria-label="Test input"
+      />
+      <textarea
+        className="test-cases__input"
+        value={expectedOutput}
+        onChange={(e) => setExpectedOutput(e.target.value)}
+        placeholder="Expected output"
+        rows={2}
+        aria-label="Expected output"
+      />
+      <input
+        className="test-cases__input"
+        value={assertion}
+        onChange={(e) => setAssertion(e.target.value)}
+        placeholder="Or an assertion, e.g. twoSum([3, 3], 6)[1] === 1"
+        aria-label="Assertion"
+      />
+      <button type="submit" className="test-cases__add" disabled={disabled || isEmpty}>
+        Add test
+      </button>
+    </form>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.testCases - [{ id, input, expectedOutput, assertion }]
+ * @param {Object|null} props.testRun - Last run: { ranBy, isRunning, results: [{ testCaseId, status, actual, error, durationMs }] }
+ * @param {boolean} props.canEdit - Whether test cases can be added and removed
+ * @param {Function} props.onChange - Called with the new list of test cases
+ * @param {boolean} props.disabled - Whether test cases can be changed now
+ */
+function TestCasesTable({ testCases, testRun, canEdit = false, onChange, disabled = false }) {
+  const results = testRun?.results ?? [];
+  const resultsById = new Map(results.map(result => [result.testCaseId, result]));
+  const { passed, total } = summarizeTestResults(testCases, results);
+
+  let summary = 'Tests have not been run yet';
+  if (testRun?.isRunning) {
+    summary = `Running tests (${total}/${testCases.length}) · started by ${testRun.ranBy}`;
+  } else if (testRun) {
+    summary = `${passed}/${total} passed · run by ${testRun.ranBy}`;
+  }
+
+  return (
+    <div className="test-cases">
+      <div
+        className={`test-cases__summary ${testRun && !testRun.isRunning && total > 0
+          ? (passed === total ? 'test-cases__summary--passed' : 'test-cases__summary--failed')
+          : ''}`}
+        role="status"
+      >
+        {summary}
+      </div>
+
+      {testCases.length === 0 ? (
+        <p className="test-cases__empty">
+          {canEdit ? 'No test cases yet: add one below' : 'No test cases in this session'}
+        </p>
+      ) : (
+        <table className="test-cases__table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Result</th>
+              <th>Input</th>
+              <th>Expected</th>
+              <th>Actual</th>
+              <th>Time</th>
+              {canEdit && <th aria-label="Actions"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {testCases.map((testCase, index) => {
+              const result = resultsById.get(testCase.id);
+              const status = result?.status ?? (testRun?.isRunning ? 'running' : 'pending');
+              return (
+                <tr key={testCase.id} className={`test-cases__row test-cases__row--${status}`}>
+                  <td>{index + 1}</td>
+                  <td className="test-cases__status">{STATUS_LABELS[status]}</td>
+                  <td><pre className="test-cases__text">{testCase.input || '(none)'}</pre></td>
+                  <td>
+                    {testCase.assertion ? (
+                      <code className="test-cases__assertion" title="Assertion">{testCase.assertion}</code>
+                    ) : (
+                      <pre className="test-cases__text">{testCase.expectedOutput}</pre>
+                    )}
+                  </td>
+                  <td>
+                    {result?.error ? (
+                      <pre className="test-cases__text test-cases__text--error">{result.error}</pre>
+                    ) : (
+                      <pre className="test-cases__text">{result?.actual ?? ''}</pre>
+                    )}
+                  </td>
+                  <td className="test-cases__time">{result ? `${result.durationMs} ms` : ''}</td>
+                  {canEdit && (
+                    <td>
+                      <button
+                        className="test-cases__delete"
+                        onClick={() => onChange(testCases.filter(other => other.id !== testCase.id))}
+                        disabled={disabled}
+                        aria-label={`Delete test ${index + 1}`}
+                      >
+                        🗑
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <TestCaseForm onAdd={(testCase) => onChange([...testCases, testCase])} disabled={disabled} />
+      )}
+    </div>
+  );
+}
+
+export default TestCasesTable;
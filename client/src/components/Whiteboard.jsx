@@ -0,0 +1,555 @@
+/**
+ * Whiteboard Component
+ *
+ * Shared drawing board for system-design and diagram questions:
+ * rectangles, ellipses, freehand pen strokes, text and connectors
+ * (arrows between two elements that follow them when they move).
+ * - Select tool: drag to move, double-click to edit a label, Delete to erase
+ * - Drawings are sent as they are finished; moves when they are dropped
+ * - Export as SVG or PNG
+ */
+import { useState, useMemo, useRef } from 'react';
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  MAX_PATH_POINTS,
+  MAX_WHITEBOARD_TEXT_LENGTH,
+  isShape
+} from '../../../shared/whiteboard.js';
+import {
+  TEXT_FONT_SIZE,
+  toBoardPoint,
+  elementBounds,
+  connectorEndpoints,
+  arrowHeadPoints,
+  pathData,
+  serializeWhiteboard
+} from '../utils/whiteboard.js';
+import './Whiteboard.css';
+
+const TOOLS = [
+  { id: 'select', label: 'Select', icon: '↖' },
+  { id: 'rect', label: 'Rectangle', icon: '▭' },
+  { id: 'ellipse', label: 'Ellipse', icon: '◯' },
+  { id: 'pen', label: 'Pen', icon: '✎' },
+  { id: 'text', label: 'Text', icon: 'T' },
+  { id: 'connector', label: 'Connector', icon: '→' }
+];
+
+const COLORS = [
+  { name: 'Black', value: '#1f2937' },
+  { name: 'Red', value: '#ef4444' },
+  { name: 'Orange', value: '#f59e0b' },
+  { name: 'Green', value: '#10b981' },
+  { name: 'Blue', value: '#3b82f6' },
+  { name: 'Purple', value: '#8b5cf6' }
+];
+
+// The board stays white in both themes, like a real whiteboard (and its exports)
+const BOARD_BACKGROUND = '#ffffff';
+const LABEL_COLOR = '#1f2937';
+const FONT_FAMILY = 'Inter, system-ui, sans-serif';
+
+// A shape clicked rather than dragged gets this size
+const DEFAULT_SHAPE_SIZE = { width: 160, height: 80 };
+const MIN_SHAPE_DRAG = 5;
+
+// Pen points closer than this to the previous one are skipped
+const MIN_POINT_DISTANCE = 3;
+
+// Space between an element and its selection outline
+const SELECTION_PADDING = 6;
+
+/**
+ * Element under a pointer event, if any
+ */
+function elementIdAt(target) {
+  return target?.closest?.('[data-element-id]')?.getAttribute('data-element-id') ?? null;
+}
+
+/**
+ * Middle of a connector, where its label goes
+ */
+function connectorMiddle({ start, end }) {
+  return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+}
+
+/**
+ * Offer a file for download
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.elements - Elements in drawing order (see shared/whiteboard.js)
+ * @param {Function} props.onAdd - Called with a new element
+ * @param {Function} props.onUpdate - Called with (elementId, changes)
+ * @param {Function} props.onDelete - Called with the IDs of the elements to erase
+ * @param {Function} props.onClear - Called to erase everything
+ * @param {boolean} props.disabled - Whether the board is view-only
+ */
+function Whiteboard({ elements, onAdd, onUpdate, onDelete, onClear, disabled = false }) {
+  const svgRef = useRef(null);
+  const [tool, setTool] = useState('select');
+  const [color, setColor] = useState(COLORS[0].value);
+  const [selectedId, setSelectedId] = useState(null);
+  // Element being drawn (not sent yet)
+  const [draft, setDraft] = useState(null);
+  // Element being moved: { id, origin, dx, dy }
+  const [drag, setDrag] = useState(null);
+  // Label being typed: { id (null for a new text), x, y, centered, value }
+  const [label, setLabel] = useState(null);
+
+  const elementsById = useMemo(() => new Map(elements.map(element => [element.id, element])), [elements]);
+
+  // Elements as shown, with the one being moved at its new place
+  const shownById = useMemo(() => {
+    if (!drag || !elementsById.has(drag.id)) return elementsById;
+    const moved = elementsById.get(drag.id);
+    return new Map(elementsById).set(drag.id, { ...moved, x: moved.x + drag.dx, y: moved.y + drag.dy });
+  }, [elementsById, drag]);
+
+  const selected = shownById.get(selectedId) ?? null;
+
+  const pointOf = (e) => toBoardPoint(svgRef.current, e.clientX, e.clientY);
+
+  /**
+   * Ends of a connector as shown, or null when one of its elements is gone
+   */
+  const endpointsOf = (connector) => {
+    const from = shownById.get(connector.from);
+    const to = shownById.get(connector.to);
+    return from && to ? connectorEndpoints(from, to) : null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || label) return;
+
+    const point = pointOf(e);
+    const targetId = elementIdAt(e.target);
+
+    switch (tool) {
+      case 'select':
+        setSelectedId(targetId);
+        if (isShape(elementsById.get(targetId))) {
+          setDrag({ id: targetId, origin: point, dx: 0, dy: 0 });
+        }
+        break;
+      case 'rect':
+      case 'ellipse':
+        setDraft({ id: crypto.randomUUID(), type: tool, x: point.x, y: point.y, width: 0, height: 0, color, text: '', origin: point });
+        break;
+      case 'pen':
+        setDraft({ id: crypto.randomUUID(), type: 'path', x: 0, y: 0, color, points: [[point.x, point.y]] });
+        break;
+      case 'connector':
+        if (isShape(elementsById.get(targetId))) {
+          setDraft({ id: crypto.randomUUID(), type: 'connector', from: targetId, color, text: '', point });
+        }
+        break;
+      case 'text':
+        setLabel({ id: null, x: point.x, y: point.y, centered: false, value: '' });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft && !drag) return;
+    const point = pointOf(e);
+
+    if (drag) {
+      setDrag(prev => ({ ...prev, dx: point.x - prev.origin.x, dy: point.y - prev.origin.y }));
+    } else if (draft.type === 'path') {
+      const [lastX, lastY] = draft.points[draft.points.length - 1];
+      if (Math.hypot(point.x - lastX, point.y - lastY) >= MIN_POINT_DISTANCE && draft.points.length < MAX_PATH_POINTS) {
+        setDraft(prev => ({ ...prev, points: [...prev.points, [point.x, point.y]] }));
+      }
+    } else if (draft.type === 'connector') {
+      setDraft(prev => ({ ...prev, point }));
+    } else {
+      setDraft(prev => ({
+        ...prev,
+        x: Math.min(prev.origin.x, point.x),
+        y: Math.min(prev.origin.y, point.y),
+        width: Math.abs(point.x - prev.origin.x),
+        height: Math.abs(point.y - prev.origin.y)
+      }));
+    }
+  };
+
+  /**
+   * Drop the element being moved, or finish the one being drawn
+   * (leaving the board finishes it too; a connector then goes nowhere)
+   */
+  const handlePointerUp = (e) => {
+    if (drag) {
+      const element = elementsById.get(drag.id);
+      if (element && (drag.dx !== 0 || drag.dy !== 0)) {
+        onUpdate(drag.id, { x: element.x + drag.dx, y: element.y + drag.dy });
+      }
+      setDrag(null);
+      return;
+    }
+    if (!draft) return;
+
+    const { origin, point, ...element } = draft;
+    setDraft(null);
+
+    if (element.type === 'connector') {
+      const targetId = elementIdAt(e.target);
+      if (targetId !== element.from && isShape(elementsById.get(targetId))) {
+        onAdd({ ...element, to: targetId });
+      }
+    } else if (element.type === 'path') {
+      if (element.points.length >= 2) onAdd(element);
+    } else if (element.width < MIN_SHAPE_DRAG && element.height < MIN_SHAPE_DRAG) {
+      onAdd({
+        ...element,
+        ...DEFAULT_SHAPE_SIZE,
+        x: origin.x - DEFAULT_SHAPE_SIZE.width / 2,
+        y: origin.y - DEFAULT_SHAPE_SIZE.height / 2
+      });
+    } else {
+      onAdd(element);
+    }
+  };
+
+  /**
+   * Double-click: edit the label of a shape, text or connector
+   */
+  const handleDoubleClick = (e) => {
+    if (disabled) return;
+    const element = shownById.get(elementIdAt(e.target));
+    if (!element || element.type === 'path') return;
+
+    if (element.type === 'connector') {
+      const endpoints = endpointsOf(element);
+      if (!endpoints) return;
+      setLabel({ id: element.id, ...connectorMiddle(endpoints), centered: true, value: element.text });
+    } else if (element.type === 'text') {
+      setLabel({ id: element.id, x: element.x, y: element.y, centered: false, value: element.text });
+    } else {
+      setLabel({
+        id: element.id,
+        x: element.x + element.width / 2,
+        y: element.y + element.height / 2,
+        centered: true,
+        value: element.text
+      });
+    }
+  };
+
+  /**
+   * Save the label being typed (an emptied text element is erased)
+   */
+  const commitLabel = () => {
+    if (!label) return;
+    const value = label.value.trim();
+    setLabel(null);
+
+    if (!label.id) {
+      if (value) {
+        onAdd({ id: crypto.randomUUID(), type: 'text', x: label.x, y: label.y, color, text: value });
+      }
+      return;
+    }
+
+    const element = elementsById.get(label.id);
+    if (!element || value === element.text) return;
+    if (element.type === 'text' && !value) {
+      onDelete([element.id]);
+    } else {
+      onUpdate(element.id, { text: value });
+    }
+  };
+
+  const handleLabelKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitLabel();
+    } else if (e.key === 'Escape') {
+      setLabel(null);
+    }
+    // Keep Delete/Backspace for the text
+    e.stopPropagation();
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Delete' || e.key === 'Backspace') && selected && !disabled) {
+      e.preventDefault();
+      onDelete([selected.id]);
+      setSelectedId(null);
+    } else if (e.key === 'Escape') {
+      setSelectedId(null);
+      setDraft(null);
+      setDrag(null);
+    }
+  };
+
+  const handleClear = () => {
+    if (window.confirm('Erase the whole whiteboard for everyone?')) {
+      setSelectedId(null);
+      onClear();
+    }
+  };
+
+  const handleExportSvg = () => {
+    const svg = serializeWhiteboard(svgRef.current);
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'whiteboard.svg');
+  };
+
+  const handleExportPng = () => {
+    const url = URL.createObjectURL(new Blob([serializeWhiteboard(svgRef.current)], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = BOARD_WIDTH;
+      canvas.height = BOARD_HEIGHT;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (blob) downloadBlob(blob, 'whiteboard.png');
+      }, 'image/png');
+    };
+    image.onerror = () => URL.revokeObjectURL(url);
+    image.src = url;
+  };
+
+  const renderLabel = (text, x, y) => text && (
+    <text
+      x={x}
+      y={y}
+      textAnchor="middle"
+      dominantBaseline="central"
+      fontSize="18"
+      fontFamily={FONT_FAMILY}
+      fill={LABEL_COLOR}
+      paintOrder="stroke"
+      stroke={BOARD_BACKGROUND}
+      strokeWidth="4"
+    >
+      {text}
+    </text>
+  );
+
+  const renderElement = (element) => {
+    switch (element.type) {
+      case 'rect':
+      case 'ellipse': {
+        const shapeProps = { fill: element.color, fillOpacity: 0.08, stroke: element.color, strokeWidth: 2 };
+        return (
+          <>
+            {element.type === 'rect' ? (
+              <rect x={element.x} y={element.y} width={element.width} height={element.height} rx="6" {...shapeProps} />
+            ) : (
+              <ellipse
+                cx={element.x + element.width / 2}
+                cy={element.y + element.height / 2}
+                rx={element.width / 2}
+                ry={element.height / 2}
+                {...shapeProps}
+              />
+            )}
+            {label?.id !== element.id && renderLabel(element.text, element.x + element.width / 2, element.y + element.height / 2)}
+          </>
+        );
+      }
+      case 'text':
+        return label?.id === element.id ? null : (
+          <text
+            x={element.x}
+            y={element.y}
+            dominantBaseline="hanging"
+            fontSize={TEXT_FONT_SIZE}
+            fontFamily={FONT_FAMILY}
+            fill={element.color}
+          >
+            {element.text}
+          </text>
+        );
+      case 'path':
+        return (
+          <g transform={`translate(${element.x} ${element.y})`}>
+            <path d={pathData(element.points)} fill="none" stroke="transparent" strokeWidth="12" />
+            <path
+              d={pathData(element.points)}
+              fill="none"
+              stroke={element.color}
+              strokeWidth="3"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </g>
+        );
+      case 'connector': {
+        const endpoints = element.to ? endpointsOf(element) : connectorEndpoints(shownById.get(element.from), element.point);
+        if (!endpoints) return null;
+        const { start, end } = endpoints;
+        const middle = connectorMiddle(endpoints);
+        return (
+          <>
+            <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="transparent" strokeWidth="12" />
+            <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke={element.color} strokeWidth="2" />
+            <polygon points={arrowHeadPoints(start, end)} fill={element.color} />
+            {label?.id !== element.id && renderLabel(element.text, middle.x, middle.y)}
+          </>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  // Outline around the selection
+  let selectionBox = null;
+  if (selected) {
+    const endpoints = selected.type === 'connector' ? endpointsOf(selected) : null;
+    const bounds = endpoints
+      ? {
+        x: Math.min(endpoints.start.x, endpoints.end.x),
+        y: Math.min(endpoints.start.y, endpoints.end.y),
+        width: Math.abs(endpoints.end.x - endpoints.start.x),
+        height: Math.abs(endpoints.end.y - endpoints.start.y)
+      }
+      : selected.type !== 'connector' ? elementBounds(selected) : null;
+    if (bounds) {
+      selectionBox = (
+        <rect
+          className="whiteboard__selection"
+          data-export="skip"
+          x={bounds.x - SELECTION_PADDING}
+          y={bounds.y - SELECTION_PADDING}
+          width={bounds.width + SELECTION_PADDING * 2}
+          height={bounds.height + SELECTION_PADDING * 2}
+        />
+      );
+    }
+  }
+
+  return (
+    <div className="whiteboard" tabIndex={0} onKeyDown={handleKeyDown} aria-label="Whiteboard">
+      <div className="whiteboard__toolbar">
+        <div className="whiteboard__group" role="group" aria-label="Tools">
+          {TOOLS.map(({ id, label: toolLabel, icon }) => (
+            <button
+              key={id}
+              className={`whiteboard__tool ${tool === id ? 'whiteboard__tool--active' : ''}`}
+              onClick={() => setTool(id)}
+              aria-pressed={tool === id}
+              aria-label={toolLabel}
+              title={toolLabel}
+              disabled={disabled}
+            >
+              {icon}
+            </button>
+          ))}
+        </div>
+
+        <div className="whiteboard__group" role="group" aria-label="Colors">
+          {COLORS.map(({ name, value }) => (
+            <button
+              key={value}
+              className={`whiteboard__color ${color === value ? 'whiteboard__color--active' : ''}`}
+              style={{ backgroundColor: value }}
+              onClick={() => {
+                setColor(value);
+                if (selected && !disabled) onUpdate(selected.id, { color: value });
+              }}
+              aria-pressed={color === value}
+              aria-label={name}
+              title={name}
+              disabled={disabled}
+            />
+          ))}
+        </div>
+
+        <div className="whiteboard__group">
+          <button
+            className="whiteboard__action"
+            onClick={() => {
+              onDelete([selected.id]);
+              setSelectedId(null);
+            }}
+            disabled={disabled || !selected}
+          >
+            Delete
+          </button>
+          <button
+            className="whiteboard__action"
+            onClick={handleClear}
+            disabled={disabled || elements.length === 0}
+          >
+            Clear
+          </button>
+        </div>
+
+        <div className="whiteboard__group whiteboard__group--end">
+          <button className="whiteboard__action" onClick={handleExportSvg}>Export SVG</button>
+          <button className="whiteboard__action" onClick={handleExportPng}>Export PNG</button>
+        </div>
+      </div>
+
+      <svg
+        ref={svgRef}
+        className={`whiteboard__board whiteboard__board--${tool}`}
+        viewBox={`0 0 ${BOARD_WIDTH} ${BOARD_HEIGHT}`}
+        preserveAspectRatio="xMidYMid meet"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+        role="img"
+        aria-label="Whiteboard drawing"
+      >
+        <rect width={BOARD_WIDTH} height={BOARD_HEIGHT} fill={BOARD_BACKGROUND} />
+
+        {elements.map(element => (
+          <g key={element.id} className="whiteboard__element" data-element-id={element.id}>
+            {renderElement(shownById.get(element.id))}
+          </g>
+        ))}
+
+        {draft && (
+          <g data-export="skip" pointerEvents="none" opacity="0.6">
+            {renderElement(draft)}
+          </g>
+        )}
+
+        {selectionBox}
+
+        {label && (
+          <foreignObject
+            data-export="skip"
+            x={label.centered ? label.x - 120 : label.x}
+            y={label.centered ? label.y - 18 : label.y}
+            width="240"
+            height="36"
+          >
+            <input
+              className="whiteboard__label-input"
+              value={label.value}
+              onChange={(e) => setLabel(prev => ({ ...prev, value: e.target.value }))}
+              onKeyDown={handleLabelKeyDown}
+              onBlur={commitLabel}
+              maxLength={MAX_WHITEBOARD_TEXT_LENGTH}
+              aria-label="Label"
+              autoFocus
+            />
+          </foreignObject>
+        )}
+      </svg>
+    </div>
+  );
+}
+
+export default Whiteboard;
@@ -1,18 +1,46 @@
 /**
  * useCodeExecution Hook
- * 
+ *
  * Handles client-side code execution for JavaScript and Python.
- * - JavaScript: Executed using sandboxed Function wrapper
- * - Python: Executed using Pyodide (Python compiled to WebAssembly)
- * 
+ * - JavaScript: Executed in a Web Worker using a sandboxed Function wrapper
+ * - Python: Executed in a Web Worker using Pyodide (Python compiled to WebAssembly)
+ *
+ * The other workspace files are available to the code being run:
+ * JavaScript through require('./name'), Python through import.
+ *
+ * Programs read the shared stdin with input() / prompt(). In interactive mode
+ * they then pause until the user types a line (see submitInput / endInput).
+ *
+ * runTests runs the code once per test case, each with its own input and
+ * time limit, and reports pass/fail results (see utils/testCases.js).
+ *
  * SECURITY: All code execution happens in the browser.
  * The server NEVER executes user code.
  */
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import {
+  createInputChannel,
+  sendInputLine,
+  closeInput,
+  isInteractiveInputSupported
+} from '../utils/programInput.js';
+import { testCaseResult } from '../utils/testCases.js';
+
+// JavaScript runs are stopped after this long (time spent waiting for input excluded)
+const JS_TIMEOUT_MS = 5000;
+
+// Python runs are stopped after this long, counted once the runtime is loaded
+// (time spent waiting for input excluded). Stopping Python means discarding the
+// runtime and loading it again, hence the more generous limit.
+const PYTHON_TIMEOUT_MS = 30000;
+
+// Each test case is stopped after this long, in either language
+const TEST_TIMEOUT_MS = 5000;
 
 /**
  * Custom hook for code execution
- * @returns {Object} { output, isRunning, isLoading, error, runCode, loadingMessage }
+ * @returns {Object} { output, isRunning, isLoading, error, runCode, loadingMessage,
+ *   isWaitingForInput, submitInput, endInput, runTests, isRunningTests }
  */
 export function useCodeExecution() {
   const [output, setOutput] = useState('');
@@ -20,118 +48,104 @@ export function useCodeExecution() {
   const [isLoading, setIsLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [error, setError] = useState(null);
-  
-  // Store Pyodide instance
-  const pyodideRef = useRef(null);
-  const pyodideLoadingRef = useRef(false);
+  const [isWaitingForInput, setIsWaitingForInput] = useState(false);
+  const [isRunningTests, setIsRunningTests] = useState(false);
 
-  /**
-   * Load Pyodide runtime (lazy-loaded on first Python execution)
-   */
-  const loadPyodide = useCallback(async () => {
-    if (pyodideRef.current) {
-      return pyodideRef.current;
-    }
+  // Python worker, kept between runs so Pyodide is only loaded once
+  const pythonWorkerRef = useRef(null);
+  // Python run in progress: { resolve, inputChannel, startTimer, stopTimer }
+  const pythonRunRef = useRef(null);
+  // Program waiting for a typed line: { channel, onResume }
+  const pendingInputRef = useRef(null);
 
-    // Prevent multiple simultaneous loads
-    if (pyodideLoadingRef.current) {
-      // Wait for existing load to complete
-      while (pyodideLoadingRef.current && !pyodideRef.current) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      return pyodideRef.current;
-    }
+  useEffect(() => {
+    return () => {
+      pythonWorkerRef.current?.terminate();
+      pythonWorkerRef.current = null;
+    };
+  }, []);
 
-    pyodideLoadingRef.current = true;
-    setIsLoading(true);
-    setLoadingMessage('Loading Python runtime...');
+  /**
+   * Show the output printed so far and wait for the user to type a line
+   * @param {SharedArrayBuffer} channel - Channel the program waits on
+   * @param {string} partialOutput - Output printed before asking
+   * @param {Function} [onResume] - Called once the line is handed over
+   */
+  const awaitInput = useCallback((channel, partialOutput, onResume) => {
+    pendingInputRef.current = { channel, onResume };
+    setOutput(partialOutput);
+    setIsWaitingForInput(true);
+  }, []);
 
-    try {
-      // Load Pyodide from CDN
-      setLoadingMessage('Downloading Pyodide...');
-      
-      // Check if loadPyodide is already available (script loaded)
-      if (!window.loadPyodide) {
-        // Load Pyodide script dynamically
-        await new Promise((resolve, reject) => {
-          const script = document.createElement('script');
-          script.src = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js';
-          script.onload = resolve;
-          script.onerror = () => reject(new Error('Failed to load Pyodide'));
-          document.head.appendChild(script);
-        });
-      }
+  const stopWaitingForInput = useCallback(() => {
+    pendingInputRef.current = null;
+    setIsWaitingForInput(false);
+  }, []);
 
-      setLoadingMessage('Initializing Python interpreter...');
-      
-      // Initialize Pyodide
-      const pyodide = await window.loadPyodide({
-        indexURL: 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/'
-      });
+  /**
+   * Hand a typed line to the program waiting for input
+   */
+  const submitInput = useCallback((line) => {
+    const pending = pendingInputRef.current;
+    if (!pending) return;
 
-      // Set up stdout capture
-      pyodide.runPython(`
-import sys
-from io import StringIO
-
-class CaptureOutput:
-    def __init__(self):
-        self.output = StringIO()
-    
-    def write(self, text):
-        self.output.write(text)
-    
-    def flush(self):
-        pass
-    
-    def getvalue(self):
-        return self.output.getvalue()
-    
-    def clear(self):
-        self.output = StringIO()
-
-_stdout_capture = CaptureOutput()
-sys.stdout = _stdout_capture
-sys.stderr = _stdout_capture
-      `);
-
-      pyodideRef.current = pyodide;
-      setLoadingMessage('');
-      setIsLoading(false);
-      
-      return pyodide;
-    } catch (err) {
-      setIsLoading(false);
-      setLoadingMessage('');
-      pyodideLoadingRef.current = false;
-      throw new Error(`Failed to load Python runtime: ${err.message}`);
-    }
-  }, []);
+    stopWaitingForInput();
+    sendInputLine(pending.channel, line);
+    pending.onResume?.();
+  }, [stopWaitingForInput]);
 
   /**
-   * Execute JavaScript code safely in the browser
-   * Uses a sandboxed Function to prevent access to global scope
+   * Send end of input to the waiting program (EOF)
    */
+  const endInput = useCallback(() => {
+    const pending = pendingInputRef.current;
+    if (!pending) return;
+
+    stopWaitingForInput();
+    closeInput(pending.channel);
+    pending.onResume?.();
+  }, [stopWaitingForInput]);
+
   /**
    * Execute JavaScript code safely using a Web Worker
    * This prevents access to DOM/Cookies and handles infinite loops via timeout
+   * @param {string} code - Code of the file being run
+   * @param {Object} options - { files, entryName, stdin, inputChannel } (see runCode),
+   *   and for test cases an assertion and a time limit
    */
-  const executeJavaScript = useCallback((code) => {
+  const executeJavaScript = useCallback((code, {
+    files,
+    entryName,
+    stdin,
+    inputChannel,
+    assertion = null,
+    timeoutMs = JS_TIMEOUT_MS
+  }) => {
     return new Promise((resolve) => {
       try {
         const worker = new Worker(new URL('../workers/javascript.worker.js', import.meta.url), { type: 'module' });
-        
-        const timeoutId = setTimeout(() => {
-          worker.terminate();
-          resolve({
-            success: false,
-            output: '',
-            error: 'Execution timed out (5s limit)'
-          });
-        }, 5000);
+
+        // The time limit is paused while the program waits for input
+        let timeoutId = null;
+        const startTimer = () => {
+          timeoutId = setTimeout(() => {
+            worker.terminate();
+            resolve({
+              success: false,
+              output: '',
+              error: `Execution timed out (${timeoutMs / 1000}s limit)`,
+              timedOut: true
+            });
+          }, timeoutMs);
+        };
+        startTimer();
 
         worker.onmessage = (e) => {
           clearTimeout(timeoutId);
+          if (e.data.type === 'input-request') {
+            awaitInput(inputChannel, e.data.output, startTimer);
+            return;
+          }
           worker.terminate();
           resolve(e.data);
         };
@@ -146,7 +160,7 @@ sys.stderr = _stdout_capture
           });
         };
 
-        worker.postMessage({ code });
+        worker.postMessage({ code, files, entryName, stdin, inputChannel, assertion });
       } catch (err) {
         resolve({
           success: false,
@@ -155,79 +169,164 @@ sys.stderr = _stdout_capture
         });
       }
     });
-  }, []);
+  }, [awaitInput]);
+
+  /**
+   * Python worker (created on the first Python run)
+   */
+  const getPythonWorker = useCallback(() => {
+    if (pythonWorkerRef.current) {
+      return pythonWorkerRef.current;
+    }
+
+    const worker = new Worker(new URL('../workers/python.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (e) => {
+      const { data } = e;
+      switch (data.type) {
+        case 'loading':
+          setIsLoading(true);
+          setLoadingMessage(data.message);
+          break;
+        case 'ready':
+          setIsLoading(false);
+          setLoadingMessage('');
+          break;
+        case 'running':
+          pythonRunRef.current?.startTimer();
+          break;
+        case 'input-request': {
+          const run = pythonRunRef.current;
+          run.stopTimer();
+          awaitInput(run.inputChannel, data.output, run.startTimer);
+          break;
+        }
+        case 'result':
+          setIsLoading(false);
+          setLoadingMessage('');
+          pythonRunRef.current?.resolve(data);
+          pythonRunRef.current = null;
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (err) => {
+      setIsLoading(false);
+      setLoadingMessage('');
+      pythonRunRef.current?.resolve({
+        success: false,
+        output: '',
+        error: `Runtime Error: ${err.message}`
+      });
+      pythonRunRef.current = null;
+      // Start from a fresh runtime next time
+      worker.terminate();
+      pythonWorkerRef.current = null;
+    };
+
+    pythonWorkerRef.current = worker;
+    return worker;
+  }, [awaitInput]);
 
   /**
    * Execute Python code using Pyodide
+   * @param {string} code - Code of the file being run
+   * @param {Object} options - { files, stdin, inputChannel } (see runCode), and
+   *   for test cases an assertion and a time limit (the runtime is discarded when it is hit)
+   * The worker runs one program at a time: a run started meanwhile fails right away.
    */
-  const executePython = useCallback(async (code) => {
-    try {
-      const pyodide = await loadPyodide();
-      
-      // Clear previous output
-      pyodide.runPython('_stdout_capture.clear()');
-      
-      // Run the user code
-      let result;
-      try {
-        result = pyodide.runPython(code);
-      } catch (pyErr) {
-        // Get any partial output before the error
-        const partialOutput = pyodide.runPython('_stdout_capture.getvalue()');
-        return {
+  const executePython = useCallback((code, {
+    files,
+    stdin,
+    inputChannel,
+    assertion = null,
+    timeoutMs = PYTHON_TIMEOUT_MS
+  }) => {
+    return new Promise((resolve) => {
+      if (pythonRunRef.current) {
+        resolve({
           success: false,
-          output: partialOutput || '',
-          error: pyErr.message
-        };
+          output: '',
+          error: 'Another Python program is already running'
+        });
+        return;
       }
-      
-      // Get captured stdout
-      const stdout = pyodide.runPython('_stdout_capture.getvalue()');
-      
-      let output = stdout;
-      
-      // If there's a result and no stdout, show the result
-      if (result !== undefined && result !== null && (!output || !output.trim())) {
-         output = result.toString();
+
+      try {
+        const worker = getPythonWorker();
+        let timeoutId = null;
+        const stopTimer = () => clearTimeout(timeoutId);
+        const finish = (result) => {
+          stopTimer();
+          resolve(result);
+        };
+
+        // The time limit starts once the runtime is loaded, and is paused while
+        // the program waits for input
+        const startTimer = () => {
+          timeoutId = setTimeout(() => {
+            worker.terminate();
+            pythonWorkerRef.current = null;
+            pythonRunRef.current = null;
+            resolve({
+              success: false,
+              output: '',
+              error: `Execution timed out (${timeoutMs / 1000}s limit)`,
+              timedOut: true
+            });
+          }, timeoutMs);
+        };
+
+        pythonRunRef.current = { resolve: finish, inputChannel, startTimer, stopTimer };
+        worker.postMessage({ code, files, stdin, inputChannel, assertion });
+      } catch (err) {
+        resolve({
+          success: false,
+          output: '',
+          error: `Failed to start worker: ${err.message}`
+        });
       }
-      
-      return { success: true, output: output || '(No output)' };
-    } catch (err) {
-      return { 
-        success: false, 
-        output: '',
-        error: err.message 
-      };
-    }
-  }, [loadPyodide]);
+    });
+  }, [getPythonWorker]);
 
   /**
    * Main execution function
    * @param {string} code - Code to execute
    * @param {string} language - 'javascript' or 'python'
+   * @param {Object} [options]
+   * @param {Array} [options.files] - Workspace files [{ name, code }] the code may import
+   * @param {string} [options.entryName] - Name of the file being run
+   * @param {string} [options.stdin] - Standard input, read line by line
+   * @param {boolean} [options.interactive] - Ask the user for more lines once stdin is used up
    */
-  const runCode = useCallback(async (code, language) => {
+  const runCode = useCallback(async (code, language, { files = [], entryName, stdin = '', interactive = false } = {}) => {
     setIsRunning(true);
     setError(null);
     setOutput('');
 
+    // Without a channel, reading past the end of stdin is end of input
+    const inputChannel = interactive && isInteractiveInputSupported() ? createInputChannel() : null;
+    const options = { files, entryName, stdin, inputChannel };
+
     try {
       let result;
-      
+
       if (language === 'javascript') {
-        result = await executeJavaScript(code);
+        result = await executeJavaScript(code, options);
       } else if (language === 'python') {
-        result = await executePython(code);
+        result = await executePython(code, options);
       } else {
-        result = { 
-          success: false, 
-          output: '', 
-          error: `Execution not supported for language: ${language}` 
+        result = {
+          success: false,
+          output: '',
+          error: `Execution not supported for language: ${language}`
         };
       }
 
       if (result.success) {
-        setOutput(result.output);
+        setOutput(result.output || '(No output)');
       } else {
         setOutput(result.output);
         setError(result.error);
@@ -235,8 +334,55 @@ sys.stderr = _stdout_capture
     } catch (err) {
       setError(`Execution failed: ${err.message}`);
     } finally {
+      stopWaitingForInput();
       setIsRunning(false);
     }
+  }, [executeJavaScript, executePython, stopWaitingForInput]);
+
+  /**
+   * Run the code against each test case, one after the other
+   * Every case starts from a fresh run with the case's input as stdin.
+   * @param {string} code - Code to test
+   * @param {string} language - 'javascript' or 'python'
+   * @param {Array} testCases - [{ id, input, expectedOutput, assertion }]
+   * @param {Object} [options]
+   * @param {Array} [options.files] - Workspace files [{ name, code }] the code may import
+   * @param {string} [options.entryName] - Name of the file being tested
+   * @param {Function} [options.onResult] - Called with the results so far after each case
+   * @returns {Promise<Array>} [{ testCaseId, status, actual, error, durationMs }]
+   */
+  const runTests = useCallback(async (code, language, testCases, { files = [], entryName, onResult } = {}) => {
+    setIsRunningTests(true);
+    const results = [];
+
+    try {
+      for (const testCase of testCases) {
+        const options = {
+          files,
+          entryName,
+          stdin: testCase.input,
+          inputChannel: null,
+          assertion: testCase.assertion || null,
+          timeoutMs: TEST_TIMEOUT_MS
+        };
+
+        let run;
+        if (language === 'javascript') {
+          run = await executeJavaScript(code, options);
+        } else if (language === 'python') {
+          run = await executePython(code, options);
+        } else {
+          run = { success: false, output: '', error: `Execution not supported for language: ${language}` };
+        }
+
+        results.push(testCaseResult(testCase, run));
+        onResult?.([...results]);
+      }
+    } finally {
+      setIsRunningTests(false);
+    }
+
+    return results;
   }, [executeJavaScript, executePython]);
 
   return {
@@ -245,6 +391,11 @@ sys.stderr = _stdout_capture
     isLoading,
     loadingMessage,
     error,
-    runCode
+    runCode,
+    isWaitingForInput,
+    submitInput,
+    endInput,
+    runTests,
+    isRunningTests
   };
 }
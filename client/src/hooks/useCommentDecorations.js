@@ -0,0 +1,152 @@
+/**
+ * useCommentDecorations Hook - Review Comments in the Editor
+ *
+ * Marks the lines of each comment thread in a Monaco editor:
+ * - A glyph in the margin, whose hover shows the thread
+ * - A faint highlight of the commented lines
+ * - An "Add comment" context menu action for the selected lines
+ */
+import { useEffect, useRef } from 'react';
+
+// Monaco's MouseTargetType.GUTTER_GLYPH_MARGIN
+const GUTTER_GLYPH_MARGIN = 2;
+
+/**
+ * Escape user text for a Markdown hover message
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_{}[\]()#+\-.!|<>~]/g, '\\$&');
+}
+
+/**
+ * Hover message showing a thread
+ */
+function describeThread(comment) {
+  const entries = [comment, ...comment.replies].map(
+    entry => `**${escapeMarkdown(entry.authorName)}**: ${escapeMarkdown(entry.text)}`
+  );
+  if (comment.resolved) {
+    entries.push(`_Resolved by ${escapeMarkdown(comment.resolvedBy ?? 'someone')}_`);
+  }
+  return entries.join('\n\n');
+}
+
+/**
+ * Custom hook drawing comment threads in an editor
+ * @param {Object|null} editor - Monaco editor instance (null until mounted)
+ * @param {Array} comments - Threads of the open file [{ id, start, end, authorName, text, resolved, resolvedBy, replies }]
+ * @param {Object} handlers
+ * @param {Function} [handlers.onAddComment] - Called with ({ start, end }) covering the selected lines;
+ *   the "Add comment" action is only offered with it
+ * @param {Function} [handlers.onSelectComment] - Called with a thread ID when its glyph is clicked
+ */
+export function useCommentDecorations(editor, comments, { onAddComment, onSelectComment } = {}) {
+  const decorationsRef = useRef(null);
+
+  // Keep the latest values without re-registering Monaco listeners
+  const commentsRef = useRef(comments);
+  commentsRef.current = comments;
+  const onAddCommentRef = useRef(onAddComment);
+  onAddCommentRef.current = onAddComment;
+  const onSelectCommentRef = useRef(onSelectComment);
+  onSelectCommentRef.current = onSelectComment;
+
+  const canAddComments = Boolean(onAddComment);
+
+  useEffect(() => {
+    if (!editor) return;
+
+    const model = editor.getModel();
+    if (!model) return;
+
+    if (!decorationsRef.current) {
+      decorationsRef.current = editor.createDecorationsCollection();
+    }
+
+    const maxOffset = model.getValueLength();
+    const clamp = (offset) => Math.max(0, Math.min(offset, maxOffset));
+
+    decorationsRef.current.set(comments.map((comment) => {
+      const start = model.getPositionAt(clamp(comment.start));
+      const end = model.getPositionAt(clamp(comment.end));
+      const state = comment.resolved ? 'resolved' : 'open';
+
+      return {
+        range: {
+          startLineNumber: start.lineNumber,
+          startColumn: 1,
+          endLineNumber: end.lineNumber,
+          endColumn: 1
+        },
+        options: {
+          isWholeLine: true,
+          className: comment.resolved ? undefined : 'line-comment-range',
+          glyphMarginClassName: `line-comment-glyph line-comment-glyph--${state}`,
+          glyphMarginHoverMessage: { value: describeThread(comment) }
+        }
+      };
+    }));
+  }, [editor, comments]);
+
+  /**
+   * Open a thread from its glyph
+   */
+  useEffect(() => {
+    if (!editor) return;
+
+    const subscription = editor.onMouseDown((event) => {
+      if (event.target.type !== GUTTER_GLYPH_MARGIN || !event.target.position) return;
+
+      const model = editor.getModel();
+      const line = event.target.position.lineNumber;
+      const comment = commentsRef.current.find((candidate) => {
+        const startLine = model.getPositionAt(candidate.start).lineNumber;
+        const endLine = model.getPositionAt(candidate.end).lineNumber;
+        return line >= startLine && line <= endLine;
+      });
+      if (comment) {
+        onSelectCommentRef.current?.(comment.id);
+      }
+    });
+
+    return () => subscription.dispose();
+  }, [editor]);
+
+  /**
+   * "Add comment" on the selected lines
+   */
+  useEffect(() => {
+    if (!editor || !canAddComments) return;
+
+    const action = editor.addAction({
+      id: 'codecollab.add-comment',
+      label: 'Add comment',
+      contextMenuGroupId: 'navigation',
+      contextMenuOrder: 0,
+      run: (target) => {
+        const model = target.getModel();
+        const selection = target.getSelection();
+        if (!model || !selection) return;
+
+        // A selection ending at the start of a line does not include that line
+        const endLine = selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+          ? selection.endLineNumber - 1
+          : selection.endLineNumber;
+        onAddCommentRef.current?.({
+          start: model.getOffsetAt({ lineNumber: selection.startLineNumber, column: 1 }),
+          end: model.getOffsetAt({ lineNumber: endLine, column: model.getLineMaxColumn(endLine) })
+        });
+      }
+    });
+
+    return () => action.dispose();
+  }, [editor, canAddComments]);
+
+  // Drop decorations when the editor goes away
+  useEffect(() => {
+    return () => {
+      decorationsRef.current?.clear();
+      decorationsRef.current = null;
+    };
+  }, [editor]);
+}
@@ -0,0 +1,148 @@
+/**
+ * useEvaluation Hook - Interviewer scorecard
+ *
+ * Loads and saves the session's scorecard through the REST API with the
+ * interviewer token. Each interviewer submits their own scorecard, under the
+ * evaluator token the server issued them (kept in localStorage); the server
+ * only returns the others' and the aggregate once ours is in.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { getEvaluatorToken, storeEvaluatorToken } from '../utils/identity.js';
+
+// Server URL for API calls (uses Vite proxy in development)
+const API_URL = '/api';
+
+/**
+ * Error message for a failed request
+ */
+async function describeFailure(response, fallback) {
+  if (response.status === 403) return 'Only interviewers can see the scorecard.';
+  if (response.status === 404) return 'Session not found. It may have expired.';
+  const body = await response.json().catch(() => null);
+  return body?.error || fallback;
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string|null} token - Interviewer token
+ * @param {boolean} enabled - Whether the scorecard is shown (it is reloaded each time it is)
+ * @returns {Object} { evaluation, error, isLoading, isSaving, submit, saveRubric }
+ *   evaluation is { rubric, submissionCount, submission, submissions, aggregate } once loaded
+ */
+export function useEvaluation(sessionId, token, enabled) {
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const request = useCallback((path, options = {}) => fetch(`${API_URL}/sessions/${sessionId}/evaluation${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...options.headers
+    }
+  }), [sessionId, token]);
+
+  /**
+   * Request as this interviewer, getting an evaluator token first if we have none
+   */
+  const requestAsEvaluator = useCallback(async (options = {}) => {
+    let evaluatorToken = getEvaluatorToken(sessionId);
+    if (!evaluatorToken) {
+      const response = await request('/evaluators', { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, 'Unable to load the scorecard. Please try again.'));
+      }
+      ({ evaluatorToken } = await response.json());
+      storeEvaluatorToken(sessionId, evaluatorToken);
+    }
+    return request('', { ...options, headers: { 'X-Evaluator-Token': evaluatorToken } });
+  }, [sessionId, request]);
+
+  useEffect(() => {
+    if (!enabled || !token) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await requestAsEvaluator();
+        if (!response.ok) {
+          throw new Error(await describeFailure(response, 'Unable to load the scorecard. Please try again.'));
+        }
+        const data = await response.json();
+        if (!cancelled) setEvaluation(data);
+      } catch (err) {
+        console.error('[useEvaluation] Error loading scorecard:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, token, requestAsEvaluator]);
+
+  /**
+   * Submit (or revise) this interviewer's scorecard
+   * @param {Object} scorecard - { ratings, justification, recommendation }
+   * @param {string} evaluatorName - Display name shown to the other interviewers
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const submit = useCallback(async (scorecard, evaluatorName) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await requestAsEvaluator({
+        method: 'PUT',
+        body: JSON.stringify({ ...scorecard, evaluatorName })
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, 'Unable to submit the scorecard. Please try again.'));
+      }
+      setEvaluation(await response.json());
+      return true;
+    } catch (err) {
+      console.error('[useEvaluation] Error submitting scorecard:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [requestAsEvaluator]);
+
+  /**
+   * Replace the criteria (refused once a scorecard was submitted)
+   * @param {Array} criteria - [{ id?, label }]
+   * @returns {Promise<boolean>} Whether they were saved
+   */
+  const saveRubric = useCallback(async (criteria) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await request('/rubric', {
+        method: 'PUT',
+        body: JSON.stringify({ criteria })
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, 'Unable to save the criteria. Please try again.'));
+      }
+      const { rubric } = await response.json();
+      setEvaluation(prev => ({ ...prev, rubric }));
+      return true;
+    } catch (err) {
+      console.error('[useEvaluation] Error saving rubric:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [request]);
+
+  return { evaluation, error, isLoading, isSaving, submit, saveRubric };
+}
@@ -0,0 +1,123 @@
+/**
+ * useRemoteCursors Hook - Remote Cursor Decorations
+ *
+ * Renders other participants' carets and selections in a Monaco editor:
+ * - Colored caret with a name label
+ * - Translucent selection highlight
+ * - Per-participant colors via an injected stylesheet
+ */
+import { useEffect, useRef } from 'react';
+
+/**
+ * Make an id safe to use inside a CSS class name
+ */
+function classKey(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+}
+
+/**
+ * Quote a string for use as a CSS `content` value
+ */
+function cssString(text) {
+  return `"${String(text).replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+/**
+ * Build the stylesheet giving each remote cursor its color and label
+ */
+function buildCursorStyles(cursors) {
+  return cursors.map(({ id, color, label }) => {
+    const key = classKey(id);
+    return `
+.remote-cursor--${key} { border-left-color: ${color}; }
+.remote-cursor--${key}::after { content: ${cssString(label)}; background: ${color}; }
+.remote-selection--${key} { background: ${color}40; }`;
+  }).join('\n');
+}
+
+/**
+ * Custom hook drawing remote cursors in an editor
+ * @param {Object|null} editor - Monaco editor instance (null until mounted)
+ * @param {Array} cursors - [{ id, anchor, head, color, label }] with character offsets
+ *   and color as a 6-digit hex string
+ */
+export function useRemoteCursors(editor, cursors) {
+  const decorationsRef = useRef(null);
+  const styleRef = useRef(null);
+
+  // Stylesheet lifetime follows the editor
+  useEffect(() => {
+    const style = document.createElement('style');
+    style.setAttribute('data-remote-cursors', '');
+    document.head.appendChild(style);
+    styleRef.current = style;
+
+    return () => {
+      style.remove();
+      styleRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!editor) return;
+
+    const model = editor.getModel();
+    if (!model) return;
+
+    if (!decorationsRef.current) {
+      decorationsRef.current = editor.createDecorationsCollection();
+    }
+
+    const maxOffset = model.getValueLength();
+    const clamp = (offset) => Math.max(0, Math.min(offset, maxOffset));
+
+    const decorations = [];
+    for (const cursor of cursors) {
+      const key = classKey(cursor.id);
+      const anchor = model.getPositionAt(clamp(cursor.anchor));
+      const head = model.getPositionAt(clamp(cursor.head));
+
+      if (cursor.anchor !== cursor.head) {
+        const [start, end] = cursor.anchor < cursor.head ? [anchor, head] : [head, anchor];
+        decorations.push({
+          range: {
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column
+          },
+          options: {
+            className: `remote-selection remote-selection--${key}`
+          }
+        });
+      }
+
+      decorations.push({
+        range: {
+          startLineNumber: head.lineNumber,
+          startColumn: head.column,
+          endLineNumber: head.lineNumber,
+          endColumn: head.column
+        },
+        options: {
+          beforeContentClassName: `remote-cursor remote-cursor--${key}`,
+          hoverMessage: { value: cursor.label }
+        }
+      });
+    }
+
+    decorationsRef.current.set(decorations);
+
+    if (styleRef.current) {
+      styleRef.current.textContent = buildCursorStyles(cursors);
+    }
+  }, [editor, cursors]);
+
+  // Drop decorations when the editor goes away
+  useEffect(() => {
+    return () => {
+      decorationsRef.current?.clear();
+      decorationsRef.current = null;
+    };
+  }, [editor]);
+}
@@ -5,58 +5,201 @@
  * - Socket connection lifecycle
  * - Session joining
  * - Event subscriptions
+ * - Operational transformation of code edits (one OTClient per workspace file)
+ * - Workspace files: create, rename and delete
+ * - Offline edits: kept in localStorage and reconciled with the server
+ *   history when the connection comes back
  * - Cleanup on unmount
  */
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import { TextOperation } from '../../../shared/textOperation.js';
+import { OTClient } from '../utils/otClient.js';
+import { loadPendingChanges, savePendingChanges, clearPendingChanges } from '../utils/pendingChanges.js';
 
 // Socket.IO server URL (uses Vite proxy in development)
 const SOCKET_URL = '/';
 
+// Minimum delay between two viewport broadcasts while presenting
+const VIEWPORT_THROTTLE_MS = 100;
+
+/**
+ * Persist (or forget) the unsynced edits of every file's OT client
+ * @param {string} sessionId
+ * @param {Map<string, OTClient>} clients - fileId -> OT client
+ * @returns {number} Number of unsynced edits
+ */
+function persistPendingChanges(sessionId, clients) {
+  const snapshots = {};
+  let count = 0;
+  for (const [fileId, client] of clients) {
+    if (client.getPendingCount() > 0) {
+      snapshots[fileId] = client.toJSON();
+      count += client.getPendingCount();
+    }
+  }
+
+  if (count > 0) {
+    savePendingChanges(sessionId, snapshots);
+  } else {
+    clearPendingChanges(sessionId);
+  }
+  return count;
+}
+
 /**
  * Custom hook for real-time Socket.IO communication
  * 
  * @param {string} sessionId - The session ID to join
  * @param {Object} callbacks - Event callback functions
  * @param {Function} callbacks.onSessionState - Called when initial state is received
- * @param {Function} callbacks.onCodeUpdate - Called when code changes from other clients
- * @param {Function} callbacks.onLanguageUpdate - Called when language changes from other clients
+ * @param {Function} callbacks.onSessionNotStarted - Called when the session is scheduled for later ({ startsAt, serverTime }); we join once it opens
+ * @param {Function} callbacks.onWaitingForAdmission - Called when we are put in the waiting room; we join once an interviewer admits us
+ * @param {Function} callbacks.onWaitingRoomUpdate - Called with the candidates waiting to be admitted [{ id, name, requestedAt }] (interviewers only)
+ * @param {Function} callbacks.onParticipantToken - Called with the token the server gave us when it let us in (candidates only)
+ * @param {Function} callbacks.onRemovedFromSession - Called when an interviewer removed us (we are disconnected for good)
+ * @param {Function} callbacks.onSessionEnded - Called when an interviewer ended the interview ({ endedAt, endedBy }); we are disconnected for good
+ * @param {Function} callbacks.onCodeUpdate - Called with (fileId, TextOperation) when code changes from other clients
+ * @param {Function} callbacks.onLanguageUpdate - Called with (fileId, language) when a file's language changes from other clients
+ * @param {Function} callbacks.onFileCreated - Called when a file is created ({ file, createdBy })
+ * @param {Function} callbacks.onFileRenamed - Called when a file is renamed ({ fileId, name, language })
+ * @param {Function} callbacks.onFileDeleted - Called when a file is deleted ({ fileId, mainFileId })
  * @param {Function} callbacks.onOutputUpdate - Called when execution output changes from other clients
+ * @param {Function} callbacks.onStdinUpdate - Called with the new text when another client edits the shared stdin
+ * @param {Function} callbacks.onProblemUpdate - Called when an interviewer saves a new problem statement ({ statement, updatedBy })
+ * @param {Function} callbacks.onTestCasesUpdate - Called when the session's test cases change, including our own changes ({ testCases })
+ * @param {Function} callbacks.onHiddenTestCasesUpdate - Called when the hidden test cases change ({ testCases }, interviewers only)
+ * @param {Function} callbacks.onTestResultsUpdate - Called with the progress or outcome of another client's test run ({ ranBy, language, isRunning, results, ranAt })
+ * @param {Function} callbacks.onChatMessage - Called when a chat message is posted, including our own
+ * @param {Function} callbacks.onNoteAdded - Called with a new private note (interviewers only)
+ * @param {Function} callbacks.onNoteDeleted - Called with the ID of a deleted private note (interviewers only)
+ * @param {Function} callbacks.onSnapshotCreated - Called with the summary of a new snapshot
+ * @param {Function} callbacks.onSnapshotRestored - Called once a snapshot was restored ({ snapshotId, name, restoredBy })
+ * @param {Function} callbacks.onCommentAdded - Called with a new comment thread
+ * @param {Function} callbacks.onCommentUpdated - Called with a thread that got a reply or was resolved/reopened
+ * @param {Function} callbacks.onWhiteboardElementAdded - Called with an element another client drew
+ * @param {Function} callbacks.onWhiteboardElementUpdated - Called with an element another client changed
+ * @param {Function} callbacks.onWhiteboardElementsDeleted - Called with the IDs of erased elements, including our own erasures
+ * @param {Function} callbacks.onWhiteboardCleared - Called when someone erased the whole whiteboard ({ clearedBy })
  * @param {Function} callbacks.onPresenceUpdate - Called when user presence/activity changes
+ * @param {Function} callbacks.onCursorUpdate - Called when another client's cursor/selection moves
+ * @param {Function} callbacks.onCursorRemove - Called when another client's cursor goes away
+ * @param {Function} callbacks.onEditorLockUpdate - Called when an interviewer locks/unlocks the editor
+ * @param {Function} callbacks.onTimerUpdate - Called when the interview timer starts, pauses, changes or runs out ({ timer, serverTime })
+ * @param {Function} callbacks.onPresenterUpdate - Called when someone starts/stops presenting ({ userId, viewport })
+ * @param {Function} callbacks.onViewportUpdate - Called when the presenter scrolls ({ userId, fileId, startLine, endLine })
  * @param {Function} callbacks.onError - Called when an error occurs
+ * @param {Object} identity - Who is joining
+ * @param {string} identity.name - Display name shown to other participants
+ * @param {string} identity.participantId - Stable ID of this browser
+ * @param {string} identity.participantToken - Token the server gave us when it let us in, if any
+ * @param {string} identity.token - Interviewer token, if this user created the session
+ * @param {string} identity.passcode - Passcode of a protected session
  */
-export function useSocket(sessionId, callbacks) {
+export function useSocket(sessionId, callbacks, identity = {}) {
   const socketRef = useRef(null);
+  // fileId -> OTClient
+  const otClientsRef = useRef(new Map());
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
+  // Local edits the server has not acknowledged yet
+  const [pendingChangeCount, setPendingChangeCount] = useState(0);
+  // Trailing throttle for viewport broadcasts
+  const viewportThrottleRef = useRef({ lastSentAt: 0, timer: null, pending: null });
 
   // Store callbacks in a ref to avoid reconnection on callback changes
   const callbacksRef = useRef(callbacks);
   callbacksRef.current = callbacks;
 
+  // Identity is read when (re)joining, it does not trigger a reconnection
+  const identityRef = useRef(identity);
+  identityRef.current = identity;
+
   useEffect(() => {
     if (!sessionId) return;
 
     console.log('[useSocket] Connecting to socket server...');
 
     // Create socket connection
+    // Keep retrying: edits made meanwhile are buffered, not lost
     const socket = io(SOCKET_URL, {
       transports: ['websocket', 'polling'],
       reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000
     });
 
     socketRef.current = socket;
 
+    // Edits are only sent while connected; unsent ones go out on reconnect
+    const sendOperation = (fileId) => (revision, operation, opId) => {
+      if (socket.connected) {
+        socket.emit('code-change', { sessionId, fileId, revision, operation: operation.toJSON(), opId });
+      }
+    };
+    const applyRemoteOperation = (fileId) => (operation) => {
+      callbacksRef.current.onCodeUpdate?.(fileId, operation);
+    };
+    const createClient = (file) => new OTClient(
+      file.revision,
+      sendOperation(file.id),
+      applyRemoteOperation(file.id),
+      file.code
+    );
+    const trackPendingChanges = () => {
+      setPendingChangeCount(persistPendingChanges(sessionId, otClientsRef.current));
+    };
+
+    // Pick up edits left unsynced by a previous visit
+    const saved = loadPendingChanges(sessionId);
+    if (saved) {
+      try {
+        const restored = new Map(Object.entries(saved).map(([fileId, snapshot]) => [
+          fileId,
+          OTClient.fromJSON(snapshot, sendOperation(fileId), applyRemoteOperation(fileId))
+        ]));
+        otClientsRef.current = restored;
+        const count = persistPendingChanges(sessionId, restored);
+        setPendingChangeCount(count);
+        console.log('[useSocket] Restored unsynced edits:', count);
+      } catch (error) {
+        console.warn('[useSocket] Discarding invalid unsynced edits:', error);
+        clearPendingChanges(sessionId);
+      }
+    }
+
+    // Set while a join-session is waiting for its session-state
+    let isJoining = false;
+    // Joins again once a scheduled session opens
+    let lobbyTimeout = null;
+
+    // Join the session room, telling the server which revision of each file
+    // we already have so it can send what we missed instead of a fresh copy
+    const join = () => {
+      clearTimeout(lobbyTimeout);
+      isJoining = true;
+      const revisions = {};
+      for (const [fileId, client] of otClientsRef.current) {
+        revisions[fileId] = client.revision;
+      }
+      socket.emit('join-session', {
+        sessionId,
+        name: identityRef.current.name,
+        participantId: identityRef.current.participantId,
+        participantToken: identityRef.current.participantToken,
+        token: identityRef.current.token,
+        passcode: identityRef.current.passcode,
+        revisions
+      });
+    };
+
     // Connection event handlers
     socket.on('connect', () => {
       console.log('[useSocket] Connected:', socket.id);
       setIsConnected(true);
       setConnectionError(null);
-
-      // Join the session room
-      socket.emit('join-session', { sessionId });
+      join();
     });
 
     socket.on('disconnect', (reason) => {
@@ -73,17 +216,96 @@ export function useSocket(sessionId, callbacks) {
     // Session event handlers
     socket.on('session-state', (data) => {
       console.log('[useSocket] Received session state:', data);
-      callbacksRef.current.onSessionState?.(data);
+
+      const previousClients = otClientsRef.current;
+      const isRejoin = isJoining;
+      isJoining = false;
+
+      // Catching up runs once the caller has the state it applies to
+      const clients = new Map();
+      const catchUps = [];
+
+      const files = data.files.map(({ operations, ...file }) => {
+        // A resync after a rejected edit (not a join) drops unsynced work
+        const previous = isRejoin ? previousClients.get(file.id) : null;
+
+        // Reconnected with history: keep our document and replay what we missed
+        if (previous && Array.isArray(operations)) {
+          try {
+            const missed = operations.map(({ operation, opId }) => ({
+              operation: TextOperation.fromJSON(operation),
+              opId
+            }));
+            clients.set(file.id, previous);
+            catchUps.push(() => previous.reconnect(missed));
+            return { ...file, code: previous.document, revision: previous.revision };
+          } catch (error) {
+            console.warn('[useSocket] Could not replay missed operations:', error);
+          }
+        }
+
+        // Otherwise the server state is authoritative: restart OT from its revision
+        const client = createClient(file);
+        clients.set(file.id, client);
+
+        // Without the history, re-apply unsynced work on top as a single edit
+        if (previous?.getPendingCount() > 0 && previous.document !== file.code) {
+          catchUps.push(() => {
+            const operation = TextOperation.fromDiff(file.code, previous.document);
+            callbacksRef.current.onCodeUpdate?.(file.id, operation);
+            client.applyClient(operation);
+          });
+        }
+        return file;
+      });
+
+      otClientsRef.current = clients;
+      if (data.participantToken) {
+        callbacksRef.current.onParticipantToken?.(data.participantToken);
+      }
+      const mainFile = files.find(file => file.id === data.mainFileId);
+      callbacksRef.current.onSessionState?.({
+        ...data,
+        code: mainFile.code,
+        revision: mainFile.revision,
+        files
+      });
+      catchUps.forEach(catchUp => catchUp());
+      trackPendingChanges();
+    });
+
+    socket.on('code-ack', (data) => {
+      otClientsRef.current.get(data.fileId)?.serverAck();
+      trackPendingChanges();
     });
 
     socket.on('code-update', (data) => {
-      console.log('[useSocket] Received code update');
-      callbacksRef.current.onCodeUpdate?.(data.code);
+      console.log('[useSocket] Received code update at revision', data.revision);
+      otClientsRef.current.get(data.fileId)?.applyServer(TextOperation.fromJSON(data.operation));
+      trackPendingChanges();
     });
 
     socket.on('language-update', (data) => {
       console.log('[useSocket] Received language update:', data.language);
-      callbacksRef.current.onLanguageUpdate?.(data.language);
+      callbacksRef.current.onLanguageUpdate?.(data.fileId, data.language);
+    });
+
+    socket.on('file-created', (data) => {
+      console.log('[useSocket] File created:', data.file.name);
+      otClientsRef.current.set(data.file.id, createClient(data.file));
+      callbacksRef.current.onFileCreated?.(data);
+    });
+
+    socket.on('file-renamed', (data) => {
+      console.log('[useSocket] File renamed:', data.name);
+      callbacksRef.current.onFileRenamed?.(data);
+    });
+
+    socket.on('file-deleted', (data) => {
+      console.log('[useSocket] File deleted:', data.fileId);
+      otClientsRef.current.delete(data.fileId);
+      trackPendingChanges();
+      callbacksRef.current.onFileDeleted?.(data);
     });
 
     socket.on('output-update', (data) => {
@@ -91,39 +313,205 @@ export function useSocket(sessionId, callbacks) {
       callbacksRef.current.onOutputUpdate?.(data);
     });
 
+    socket.on('stdin-update', (data) => {
+      callbacksRef.current.onStdinUpdate?.(data.stdin);
+    });
+
+    socket.on('problem-update', (data) => {
+      callbacksRef.current.onProblemUpdate?.(data);
+    });
+
+    // Too early: wait for the session to open (the server's clock decides)
+    socket.on('session-not-started', (data) => {
+      console.log('[useSocket] Session not started yet, opens at', new Date(data.startsAt));
+      callbacksRef.current.onSessionNotStarted?.(data);
+      lobbyTimeout = setTimeout(join, Math.max(0, data.startsAt - data.serverTime));
+    });
+
+    socket.on('waiting-for-admission', () => {
+      console.log('[useSocket] Waiting for an interviewer to admit us');
+      callbacksRef.current.onWaitingForAdmission?.();
+    });
+
+    // Join with the token right away, the caller keeps it for next time
+    socket.on('admission-granted', (data) => {
+      console.log('[useSocket] Admitted, joining');
+      identityRef.current = { ...identityRef.current, participantToken: data.participantToken };
+      callbacksRef.current.onParticipantToken?.(data.participantToken);
+      join();
+    });
+
+    socket.on('waiting-room-update', (data) => {
+      callbacksRef.current.onWaitingRoomUpdate?.(data.waiting);
+    });
+
+    // The server disconnects us right after, and does not let us back in
+    socket.on('removed-from-session', () => {
+      console.log('[useSocket] Removed from the session');
+      callbacksRef.current.onRemovedFromSession?.();
+    });
+
+    // Also followed by a disconnection from the server
+    socket.on('session-ended', (data) => {
+      console.log('[useSocket] Interview ended by', data.endedBy);
+      callbacksRef.current.onSessionEnded?.(data);
+    });
+
+    socket.on('test-cases-update', (data) => {
+      callbacksRef.current.onTestCasesUpdate?.(data);
+    });
+
+    socket.on('hidden-test-cases-update', (data) => {
+      callbacksRef.current.onHiddenTestCasesUpdate?.(data);
+    });
+
+    socket.on('test-results-update', (data) => {
+      callbacksRef.current.onTestResultsUpdate?.(data);
+    });
+
+    socket.on('chat-message', (data) => {
+      callbacksRef.current.onChatMessage?.(data);
+    });
+
+    socket.on('note-added', (data) => {
+      callbacksRef.current.onNoteAdded?.(data.note);
+    });
+
+    socket.on('note-deleted', (data) => {
+      callbacksRef.current.onNoteDeleted?.(data.noteId);
+    });
+
+    socket.on('snapshot-created', (data) => {
+      callbacksRef.current.onSnapshotCreated?.(data);
+    });
+
+    socket.on('snapshot-restored', (data) => {
+      console.log('[useSocket] Snapshot restored:', data.name);
+      callbacksRef.current.onSnapshotRestored?.(data);
+    });
+
+    socket.on('comment-added', (data) => {
+      callbacksRef.current.onCommentAdded?.(data.comment);
+    });
+
+    socket.on('comment-updated', (data) => {
+      callbacksRef.current.onCommentUpdated?.(data.comment);
+    });
+
+    socket.on('whiteboard-element-added', (data) => {
+      callbacksRef.current.onWhiteboardElementAdded?.(data.element);
+    });
+
+    socket.on('whiteboard-element-updated', (data) => {
+      callbacksRef.current.onWhiteboardElementUpdated?.(data.element);
+    });
+
+    socket.on('whiteboard-elements-deleted', (data) => {
+      callbacksRef.current.onWhiteboardElementsDeleted?.(data.elementIds);
+    });
+
+    socket.on('whiteboard-cleared', (data) => {
+      console.log('[useSocket] Whiteboard cleared by', data.clearedBy);
+      callbacksRef.current.onWhiteboardCleared?.(data);
+    });
+
     socket.on('presence-update', (data) => {
       // Don't log every update as it can be frequent
       callbacksRef.current.onPresenceUpdate?.(data);
     });
 
+    socket.on('editor-lock-update', (data) => {
+      console.log('[useSocket] Editor lock changed:', data.locked);
+      callbacksRef.current.onEditorLockUpdate?.(data.locked);
+    });
+
+    socket.on('timer-update', (data) => {
+      console.log('[useSocket] Timer changed:', data.timer?.status ?? 'reset');
+      callbacksRef.current.onTimerUpdate?.(data);
+    });
+
+    socket.on('presenter-update', (data) => {
+      console.log('[useSocket] Presenter changed:', data.userId);
+      callbacksRef.current.onPresenterUpdate?.(data);
+    });
+
+    socket.on('viewport-update', (data) => {
+      callbacksRef.current.onViewportUpdate?.(data);
+    });
+
+    socket.on('cursor-update', (data) => {
+      callbacksRef.current.onCursorUpdate?.(data);
+    });
+
+    socket.on('cursor-remove', (data) => {
+      callbacksRef.current.onCursorRemove?.(data);
+    });
+
     socket.on('error', (data) => {
       console.error('[useSocket] Server error:', data.message);
       callbacksRef.current.onError?.(data.message);
     });
 
     // Cleanup on unmount
+    const viewportThrottle = viewportThrottleRef.current;
     return () => {
       console.log('[useSocket] Cleaning up socket connection');
+      clearTimeout(lobbyTimeout);
+      clearTimeout(viewportThrottle.timer);
+      viewportThrottle.timer = null;
       socket.disconnect();
       socketRef.current = null;
+      otClientsRef.current = new Map();
     };
   }, [sessionId]);
 
   /**
-   * Emit a code change to the server
+   * Emit a local code edit to the server
+   * While offline the edit is queued (and persisted) until the next reconnection.
+   * @param {string} fileId - File that was edited
+   * @param {TextOperation} operation - The edit, based on the file's current local document
+   */
+  const emitCodeChange = useCallback((fileId, operation) => {
+    const client = otClientsRef.current.get(fileId);
+    if (!client) return;
+
+    client.applyClient(operation);
+    setPendingChangeCount(persistPendingChanges(sessionId, otClientsRef.current));
+  }, [sessionId]);
+
+  /**
+   * Emit a file's language change to the server
+   */
+  const emitLanguageChange = useCallback((fileId, language) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('language-change', { sessionId, fileId, language });
+    }
+  }, [sessionId]);
+
+  /**
+   * Create a file for everyone (answered with file-created)
    */
-  const emitCodeChange = useCallback((code) => {
+  const emitFileCreate = useCallback((name) => {
     if (socketRef.current?.connected) {
-      socketRef.current.emit('code-change', { sessionId, code });
+      socketRef.current.emit('file-create', { sessionId, name });
     }
   }, [sessionId]);
 
   /**
-   * Emit a language change to the server
+   * Rename a file for everyone (answered with file-renamed)
    */
-  const emitLanguageChange = useCallback((language) => {
+  const emitFileRename = useCallback((fileId, name) => {
     if (socketRef.current?.connected) {
-      socketRef.current.emit('language-change', { sessionId, language });
+      socketRef.current.emit('file-rename', { sessionId, fileId, name });
+    }
+  }, [sessionId]);
+
+  /**
+   * Delete a file for everyone (answered with file-deleted)
+   */
+  const emitFileDelete = useCallback((fileId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('file-delete', { sessionId, fileId });
     }
   }, [sessionId]);
 
@@ -136,6 +524,294 @@ export function useSocket(sessionId, callbacks) {
     }
   }, [sessionId]);
 
+  /**
+   * Clear the shared console for everyone (interviewers only)
+   */
+  const emitOutputClear = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('output-clear', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Replace the shared stdin for everyone (last write wins)
+   */
+  const emitStdinChange = useCallback((stdin) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('stdin-change', { sessionId, stdin });
+    }
+  }, [sessionId]);
+
+  /**
+   * Replace the problem statement for everyone (interviewers only)
+   */
+  const emitProblemChange = useCallback((statement) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('problem-change', { sessionId, statement });
+    }
+  }, [sessionId]);
+
+  /**
+   * Replace the session's test cases (interviewers only, echoed back with test-cases-update)
+   */
+  const emitTestCasesChange = useCallback((testCases) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('test-cases-change', { sessionId, testCases });
+    }
+  }, [sessionId]);
+
+  /**
+   * Replace the hidden test cases (interviewers only, echoed back to them with hidden-test-cases-update)
+   */
+  const emitHiddenTestCasesChange = useCallback((testCases) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('hidden-test-cases-change', { sessionId, testCases });
+    }
+  }, [sessionId]);
+
+  /**
+   * Share the progress or outcome of a local test run
+   */
+  const emitTestResultsChange = useCallback((language, isRunning, results) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('test-results-change', { sessionId, language, isRunning, results });
+    }
+  }, [sessionId]);
+
+  /**
+   * Post a chat message (echoed back with chat-message once stored)
+   */
+  const emitChatMessage = useCallback((text) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('chat-send', { sessionId, text });
+    }
+  }, [sessionId]);
+
+  /**
+   * Add a private note (interviewers only; answered with note-added)
+   */
+  const emitNoteAdd = useCallback((text) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('note-add', { sessionId, text });
+    }
+  }, [sessionId]);
+
+  /**
+   * Delete a private note (interviewers only; answered with note-deleted)
+   */
+  const emitNoteDelete = useCallback((noteId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('note-delete', { sessionId, noteId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Take a snapshot of the workspace (answered with snapshot-created)
+   * @param {Object} options - { name } for a named snapshot, { onRun: true } when code is run
+   */
+  const emitSnapshotCreate = useCallback((options) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('snapshot-create', { sessionId, ...options });
+    }
+  }, [sessionId]);
+
+  /**
+   * Restore a snapshot for everyone in the session
+   */
+  const emitSnapshotRestore = useCallback((snapshotId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('snapshot-restore', { sessionId, snapshotId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Comment on a range of a file (answered with comment-added)
+   * @param {string} fileId
+   * @param {number} start - Offset where the commented code starts
+   * @param {number} end - Offset where it ends
+   * @param {string} text
+   */
+  const emitCommentAdd = useCallback((fileId, start, end, text) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('comment-add', { sessionId, fileId, start, end, text });
+    }
+  }, [sessionId]);
+
+  /**
+   * Reply to a comment thread (answered with comment-updated)
+   */
+  const emitCommentReply = useCallback((commentId, text) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('comment-reply', { sessionId, commentId, text });
+    }
+  }, [sessionId]);
+
+  /**
+   * Resolve or reopen a comment thread (answered with comment-updated)
+   */
+  const emitCommentResolve = useCallback((commentId, resolved) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('comment-resolve', { sessionId, commentId, resolved });
+    }
+  }, [sessionId]);
+
+  /**
+   * Add an element drawn on the whiteboard
+   */
+  const emitWhiteboardAdd = useCallback((element) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('whiteboard-add', { sessionId, element });
+    }
+  }, [sessionId]);
+
+  /**
+   * Move, recolor or relabel a whiteboard element
+   */
+  const emitWhiteboardUpdate = useCallback((elementId, changes) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('whiteboard-update', { sessionId, elementId, changes });
+    }
+  }, [sessionId]);
+
+  /**
+   * Erase whiteboard elements (answered with whiteboard-elements-deleted)
+   */
+  const emitWhiteboardDelete = useCallback((elementIds) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('whiteboard-delete', { sessionId, elementIds });
+    }
+  }, [sessionId]);
+
+  /**
+   * Erase the whole whiteboard for everyone (answered with whiteboard-cleared)
+   */
+  const emitWhiteboardClear = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('whiteboard-clear', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Lock or unlock the editor for candidates (interviewers only)
+   */
+  const emitEditorLock = useCallback((locked) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('lock-editor', { sessionId, locked });
+    }
+  }, [sessionId]);
+
+  /**
+   * Start the interview timer (interviewers only)
+   * @param {Array} phases - [{ name, durationMs }]
+   * @param {boolean} lockOnTimeUp - Whether the code becomes read-only for everyone at time-up
+   */
+  const emitTimerStart = useCallback((phases, lockOnTimeUp) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('timer-start', { sessionId, phases, lockOnTimeUp });
+    }
+  }, [sessionId]);
+
+  /**
+   * Pause the running timer (interviewers only)
+   */
+  const emitTimerPause = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('timer-pause', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Resume the paused timer (interviewers only)
+   */
+  const emitTimerResume = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('timer-resume', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Give the current phase more time (interviewers only)
+   */
+  const emitTimerExtend = useCallback((extensionMs) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('timer-extend', { sessionId, extensionMs });
+    }
+  }, [sessionId]);
+
+  /**
+   * Remove the timer (interviewers only)
+   */
+  const emitTimerReset = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('timer-reset', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Let a candidate out of the waiting room (interviewers only)
+   * @param {string} userId - Their ID in the waiting room
+   */
+  const emitParticipantAdmit = useCallback((userId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('participant-admit', { sessionId, userId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Disconnect a candidate (present or waiting) and keep them out (interviewers only)
+   * @param {string} userId - Their ID in the presence list or the waiting room
+   */
+  const emitParticipantRemove = useCallback((userId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('participant-remove', { sessionId, userId });
+    }
+  }, [sessionId]);
+
+  /**
+   * End the interview for everyone (interviewers only)
+   */
+  const emitSessionEnd = useCallback(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('session-end', { sessionId });
+    }
+  }, [sessionId]);
+
+  /**
+   * Start or stop presenting ("follow me" mode)
+   */
+  const emitPresenting = useCallback((presenting) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('presenter-change', { sessionId, presenting });
+    }
+  }, [sessionId]);
+
+  /**
+   * Broadcast the presenter's visible lines
+   * Throttled; the latest viewport is always sent last.
+   * @param {Object} viewport - { fileId, startLine, endLine }
+   */
+  const emitViewportChange = useCallback((viewport) => {
+    const throttle = viewportThrottleRef.current;
+    throttle.pending = viewport;
+    if (throttle.timer) return;
+
+    const send = () => {
+      throttle.timer = null;
+      throttle.lastSentAt = Date.now();
+      if (socketRef.current?.connected && throttle.pending) {
+        socketRef.current.emit('viewport-change', { sessionId, ...throttle.pending });
+      }
+      throttle.pending = null;
+    };
+
+    const wait = throttle.lastSentAt + VIEWPORT_THROTTLE_MS - Date.now();
+    if (wait <= 0) {
+      send();
+    } else {
+      throttle.timer = setTimeout(send, wait);
+    }
+  }, [sessionId]);
+
   /**
    * Emit activity status change
    */
@@ -145,12 +821,55 @@ export function useSocket(sessionId, callbacks) {
     }
   }, [sessionId]);
 
+  /**
+   * Emit the local cursor/selection as character offsets into a file
+   */
+  const emitCursorChange = useCallback((fileId, anchor, head) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('cursor-change', { sessionId, fileId, anchor, head });
+    }
+  }, [sessionId]);
+
   return {
     isConnected,
     connectionError,
+    pendingChangeCount,
     emitCodeChange,
     emitLanguageChange,
+    emitFileCreate,
+    emitFileRename,
+    emitFileDelete,
     emitOutputChange,
-    emitActivityChange
+    emitOutputClear,
+    emitStdinChange,
+    emitProblemChange,
+    emitTestCasesChange,
+    emitHiddenTestCasesChange,
+    emitTestResultsChange,
+    emitChatMessage,
+    emitNoteAdd,
+    emitNoteDelete,
+    emitSnapshotCreate,
+    emitSnapshotRestore,
+    emitCommentAdd,
+    emitCommentReply,
+    emitCommentResolve,
+    emitWhiteboardAdd,
+    emitWhiteboardUpdate,
+    emitWhiteboardDelete,
+    emitWhiteboardClear,
+    emitEditorLock,
+    emitTimerStart,
+    emitTimerPause,
+    emitTimerResume,
+    emitTimerExtend,
+    emitTimerReset,
+    emitParticipantAdmit,
+    emitParticipantRemove,
+    emitSessionEnd,
+    emitPresenting,
+    emitViewportChange,
+    emitActivityChange,
+    emitCursorChange
   };
 }
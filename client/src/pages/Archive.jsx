@@ -0,0 +1,202 @@
+/**
+ * Archive Page - Final state of an ended interview
+ *
+ * Read-only view of what an interview ended with: every file, the last
+ * shared console output and test run, the problem statement, who took part
+ * and who ended it. Anyone who could open the session (with its passcode,
+ * when it has one, and let in by an interviewer when it has a waiting room)
+ * can read its archive.
+ */
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useTheme } from '../hooks/useTheme.js';
+import CodeEditor from '../components/CodeEditor.jsx';
+import EditorTabs from '../components/EditorTabs.jsx';
+import OutputPanel from '../components/OutputPanel.jsx';
+import PasscodePrompt from '../components/PasscodePrompt.jsx';
+import ThemeToggle from '../components/ThemeToggle.jsx';
+import {
+  getSessionToken,
+  getSessionPasscode,
+  storeSessionPasscode,
+  getParticipantToken
+} from '../utils/identity.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import './Archive.css';
+
+// Server URL for API calls (uses Vite proxy in development)
+const API_URL = '/api';
+
+function Archive() {
+  const { id: sessionId } = useParams();
+  const { theme, toggleTheme } = useTheme();
+  const [token] = useState(() => getSessionToken(sessionId));
+  const [passcode, setPasscode] = useState(() => getSessionPasscode(sessionId));
+  const [participantToken] = useState(() => getParticipantToken(sessionId));
+
+  const [archive, setArchive] = useState(null);
+  const [error, setError] = useState(null);
+  // Set when the session is protected and we have no (valid) passcode
+  const [passcodeError, setPasscodeError] = useState(undefined);
+  const [selectedFileId, setSelectedFileId] = useState(null);
+
+  /**
+   * Load the archive
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      const headers = {};
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (passcode) headers['X-Session-Passcode'] = passcode;
+      if (participantToken) headers['X-Participant-Token'] = participantToken;
+
+      try {
+        const response = await fetch(`${API_URL}/sessions/${sessionId}/archive`, { headers });
+
+        if (response.status === 401) {
+          if (!cancelled) {
+            storeSessionPasscode(sessionId, null);
+            setPasscodeError(passcode ? 'Wrong passcode, please try again.' : null);
+          }
+          return;
+        }
+        if (response.status === 429) {
+          throw new Error('Too many wrong passcodes. Please try again in a few minutes.');
+        }
+        if (response.status === 403) {
+          throw new Error('Only participants let into this interview can see its archive.');
+        }
+        if (response.status === 409) {
+          throw new Error('This interview has not ended yet.');
+        }
+        if (response.status === 404) {
+          throw new Error('Session not found. It may have expired.');
+        }
+        if (!response.ok) {
+          throw new Error('Unable to load the archive. Please try again.');
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          console.log(`[Archive] Loaded ${data.files.length} files`);
+          setPasscodeError(undefined);
+          setArchive(data);
+        }
+      } catch (err) {
+        console.error('[Archive] Error loading archive:', err);
+        if (!cancelled) {
+          setError(err.message);
+        }
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, token, passcode, participantToken]);
+
+  const handlePasscodeSubmit = (value) => {
+    storeSessionPasscode(sessionId, value);
+    setPasscode(value);
+  };
+
+  const shownFile = archive
+    ? archive.files.find(file => file.id === selectedFileId)
+      ?? archive.files.find(file => file.id === archive.mainFileId)
+      ?? archive.files[0]
+    : null;
+
+  return (
+    <div className="archive">
+      {passcodeError !== undefined && (
+        <PasscodePrompt onSubmit={handlePasscodeSubmit} error={passcodeError} />
+      )}
+
+      <header className="archive__header">
+        <Link to="/" className="archive__logo">
+          <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M8 3L4 7L8 11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M16 3L20 7L16 11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M14 3L10 21" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+          <span className="gradient-text">CodeCollab</span>
+        </Link>
+
+        <div className="archive__info">
+          <span className="archive__label">Archive</span>
+          <code className="archive__session-id">{sessionId.slice(0, 8)}...</code>
+          <span className="archive__badge">Read-only</span>
+        </div>
+
+        <div className="archive__header-right">
+          {token && (
+            <Link to={`/session/${sessionId}/replay`} className="archive__link">⏪ Replay</Link>
+          )}
+          <ThemeToggle theme={theme} onToggle={toggleTheme} />
+        </div>
+      </header>
+
+      <main className="archive__main">
+        {error ? (
+          <div className="archive__message archive__message--error">{error}</div>
+        ) : !archive ? (
+          <div className="archive__message">
+            <div className="archive__spinner"></div>
+            <p>Loading archive...</p>
+          </div>
+        ) : (
+          <>
+            <p className="archive__summary">
+              Ended by {archive.endedBy} on{' '}
+              <time dateTime={archive.endedAt}>
+                {new Date(archive.endedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              </time>
+              {archive.participants.length > 0 && (
+                <> · With {archive.participants.map(participant => participant.name).join(', ')}</>
+              )}
+            </p>
+
+            <div className="archive__workspace">
+              {archive.problemStatement && (
+                <section className="archive__problem" aria-label="Problem statement">
+                  <div dangerouslySetInnerHTML={{ __html: renderMarkdown(archive.problemStatement) }} />
+                </section>
+              )}
+
+              <div className="archive__code">
+                <div className="archive__editor">
+                  <EditorTabs
+                    tabs={archive.files}
+                    activeFileId={shownFile?.id}
+                    onSelect={setSelectedFileId}
+                  />
+                  <CodeEditor
+                    value={shownFile?.code ?? ''}
+                    language={shownFile?.language ?? 'javascript'}
+                    fileName={shownFile?.name}
+                    disabled
+                  />
+                </div>
+
+                <div className="archive__output">
+                  <OutputPanel
+                    output={archive.output?.output ?? ''}
+                    error={archive.output?.error ?? null}
+                    isRunning={false}
+                    isLoading={false}
+                    tests={{ testCases: archive.testCases, testRun: archive.testResults, canEdit: false }}
+                  />
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default Archive;
@@ -3,29 +3,75 @@
  * 
  * Features:
  * - Hero section with app branding
- * - Create Session CTA button
+ * - Create Session CTA button, optionally from a question of the bank
+ *   scheduled for later, protected by a passcode and with a waiting room
  * - Animated background elements
  * - Premium glassmorphism design
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTheme } from '../hooks/useTheme.js';
 import ThemeToggle from '../components/ThemeToggle.jsx';
+import QuestionPicker from '../components/QuestionPicker.jsx';
+import SchedulePicker from '../components/SchedulePicker.jsx';
+import { storeSessionToken } from '../utils/identity.js';
+import { DEFAULT_TTL_HOURS, normalizeSchedule } from '../../../shared/schedule.js';
+import { MIN_PASSCODE_LENGTH, MAX_PASSCODE_LENGTH, isValidPasscode } from '../../../shared/passcode.js';
 import './Home.css';
 
 // Server URL for API calls (uses Vite proxy in development)
 const API_URL = '/api';
 
+/**
+ * Schedule fields of the create request (dates picked in local time)
+ */
+function scheduleRequest({ startsAt, endsAt, ttlHours }) {
+  return {
+    startsAt: startsAt ? new Date(startsAt).toISOString() : undefined,
+    endsAt: endsAt ? new Date(endsAt).toISOString() : undefined,
+    ttlHours
+  };
+}
+
 function Home() {
   const navigate = useNavigate();
   const { theme, toggleTheme } = useTheme();
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [template, setTemplate] = useState({ questionId: null, language: null });
+  const [schedule, setSchedule] = useState({ enabled: false, startsAt: '', endsAt: '', ttlHours: DEFAULT_TTL_HOURS });
+  const [passcode, setPasscode] = useState('');
+  const [waitingRoom, setWaitingRoom] = useState(false);
+
+  // The picker only shows once the question bank has loaded
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/questions`)
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .then(data => {
+        if (!cancelled) setQuestions(data.questions);
+      })
+      .catch(err => console.warn('[Home] Could not load the question bank:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   /**
    * Create a new session and navigate to it
    */
   const handleCreateSession = async () => {
+    const scheduled = schedule.enabled ? scheduleRequest(schedule) : {};
+    if (schedule.enabled && !normalizeSchedule(scheduled, Date.now())) {
+      setError('The interview must end after it starts, and start within 90 days.');
+      return;
+    }
+    if (passcode && !isValidPasscode(passcode)) {
+      setError(`The passcode must be at least ${MIN_PASSCODE_LENGTH} characters long.`);
+      return;
+    }
+
     setIsCreating(true);
     setError(null);
 
@@ -34,7 +80,13 @@ function Home() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({
+          ...(template.questionId && { templateId: template.questionId, language: template.language }),
+          ...scheduled,
+          ...(passcode && { passcode }),
+          waitingRoom
+        })
       });
 
       if (!response.ok) {
@@ -44,6 +96,9 @@ function Home() {
       const data = await response.json();
       console.log('[Home] Session created:', data.id);
       
+      // The creator is the interviewer
+      storeSessionToken(data.id, data.interviewerToken);
+      
       // Navigate to the new session
       navigate(`/session/${data.id}`);
     } catch (err) {
@@ -107,6 +162,40 @@ function Home() {
 
         {/* CTA Button */}
         <div className="home__cta animate-fade-in" style={{ animationDelay: '0.3s' }}>
+          {questions.length > 0 && (
+            <QuestionPicker
+              questions={questions}
+              questionId={template.questionId}
+              language={template.language}
+              onChange={setTemplate}
+              disabled={isCreating}
+            />
+          )}
+
+          <SchedulePicker schedule={schedule} onChange={setSchedule} disabled={isCreating} />
+
+          <input
+            className="home__passcode"
+            type="password"
+            placeholder="Passcode (optional)"
+            aria-label="Passcode"
+            title="Candidates will need it to join; share it with them separately"
+            value={passcode}
+            maxLength={MAX_PASSCODE_LENGTH}
+            onChange={(e) => setPasscode(e.target.value)}
+            disabled={isCreating}
+          />
+
+          <label className="home__option">
+            <input
+              type="checkbox"
+              checked={waitingRoom}
+              onChange={(e) => setWaitingRoom(e.target.checked)}
+              disabled={isCreating}
+            />
+            Waiting room: admit candidates yourself
+          </label>
+
           <button 
             className="home__create-btn"
             onClick={handleCreateSession}
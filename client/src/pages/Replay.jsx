@@ -0,0 +1,219 @@
+/**
+ * Replay Page - Watch a session unfold
+ *
+ * Plays back every edit, file and language change, run and output of a
+ * session from its replay log. The editor and the output panel are rebuilt
+ * at any point of the timeline. Only interviewers may replay a session.
+ */
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { useTheme } from '../hooks/useTheme.js';
+import CodeEditor from '../components/CodeEditor.jsx';
+import EditorTabs from '../components/EditorTabs.jsx';
+import OutputPanel from '../components/OutputPanel.jsx';
+import ReplayControls from '../components/ReplayControls.jsx';
+import ThemeToggle from '../components/ThemeToggle.jsx';
+import { getSessionToken } from '../utils/identity.js';
+import { createReplay } from '../utils/replay.js';
+import './Replay.css';
+
+// Server URL for API calls (uses Vite proxy in development)
+const API_URL = '/api';
+
+function Replay() {
+  const { id: sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { theme, toggleTheme } = useTheme();
+  const [token] = useState(() => searchParams.get('token') || getSessionToken(sessionId));
+
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Playback
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  // File picked by the viewer; otherwise the editor shows the file being edited
+  const [selectedFileId, setSelectedFileId] = useState(null);
+
+  /**
+   * Load the replay log
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(`${API_URL}/sessions/${sessionId}/replay`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+
+        if (response.status === 403) {
+          throw new Error('Only interviewers can replay this session.');
+        }
+        if (response.status === 404) {
+          throw new Error('Session not found. It may have expired.');
+        }
+        if (!response.ok) {
+          throw new Error('Unable to load the replay. Please try again.');
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          console.log(`[Replay] Loaded ${data.events.length} events`);
+          setEvents(data.events);
+        }
+      } catch (err) {
+        console.error('[Replay] Error loading replay:', err);
+        if (!cancelled) {
+          setError(err.message);
+        }
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, token]);
+
+  const replay = useMemo(() => (events ? createReplay(events) : null), [events]);
+  const duration = replay?.duration ?? 0;
+
+  // Latest values for the playback loop
+  const playbackRef = useRef({ speed, duration });
+  playbackRef.current = { speed, duration };
+
+  /**
+   * Advance the playback time while playing
+   */
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frameId;
+    let lastTimestamp = null;
+
+    const tick = (timestamp) => {
+      if (lastTimestamp !== null) {
+        const elapsed = (timestamp - lastTimestamp) * playbackRef.current.speed;
+        setPosition(prev => Math.min(prev + elapsed, playbackRef.current.duration));
+      }
+      lastTimestamp = timestamp;
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying]);
+
+  // Stop at the end
+  useEffect(() => {
+    if (isPlaying && position >= duration) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, position, duration]);
+
+  const eventCount = replay ? replay.eventCountAt(position) : 0;
+  const state = useMemo(() => replay?.stateAt(eventCount), [replay, eventCount]);
+
+  const shownFile = state
+    ? state.files.find(file => file.id === selectedFileId)
+      ?? state.files.find(file => file.id === state.lastEditedFileId)
+      ?? state.files[0]
+    : null;
+
+  // Wall-clock time of the moment shown, to match it with notes
+  const lastEvent = events && eventCount > 0 ? events[eventCount - 1] : null;
+
+  const handleTogglePlay = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Playing again follows the edits and restarts a finished replay
+    setSelectedFileId(null);
+    if (position >= duration) {
+      setPosition(0);
+    }
+    setIsPlaying(true);
+  };
+
+  return (
+    <div className="replay">
+      <header className="replay__header">
+        <Link to="/" className="replay__logo">
+          <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M8 3L4 7L8 11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M16 3L20 7L16 11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M14 3L10 21" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+          <span className="gradient-text">CodeCollab</span>
+        </Link>
+
+        <div className="replay__info">
+          <span className="replay__label">Replay</span>
+          <code className="replay__session-id">{sessionId.slice(0, 8)}...</code>
+          {lastEvent && (
+            <time className="replay__clock" dateTime={new Date(lastEvent.at).toISOString()}>
+              {new Date(lastEvent.at).toLocaleTimeString()}
+            </time>
+          )}
+        </div>
+
+        <div className="replay__header-right">
+          <Link to={`/session/${sessionId}`} className="replay__back">Back to session</Link>
+          <ThemeToggle theme={theme} onToggle={toggleTheme} />
+        </div>
+      </header>
+
+      <main className="replay__main">
+        {error ? (
+          <div className="replay__message replay__message--error">{error}</div>
+        ) : !state ? (
+          <div className="replay__message">
+            <div className="replay__spinner"></div>
+            <p>Loading replay...</p>
+          </div>
+        ) : (
+          <>
+            <ReplayControls
+              isPlaying={isPlaying}
+              onTogglePlay={handleTogglePlay}
+              speed={speed}
+              onSpeedChange={setSpeed}
+              position={position}
+              duration={duration}
+              onSeek={setPosition}
+              runTimes={replay.runTimes}
+            />
+
+            <div className="replay__editor">
+              <EditorTabs
+                tabs={state.files}
+                activeFileId={shownFile?.id}
+                onSelect={setSelectedFileId}
+              />
+              <CodeEditor
+                value={shownFile?.code ?? ''}
+                language={shownFile?.language ?? 'javascript'}
+                fileName={shownFile?.name}
+                disabled
+              />
+            </div>
+
+            <div className="replay__output">
+              <OutputPanel
+                output={state.output.output}
+                error={state.output.error}
+                isRunning={state.output.isRunning}
+                isLoading={false}
+              />
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default Replay;
@@ -3,32 +3,205 @@
  * 
  * Main interview session view featuring:
  * - Real-time code editor synced across clients
+ * - Multi-file workspace: file tree, editor tabs and a language per file
+ * - Remote participants' cursors and selections
+ * - "Follow me" mode: one participant presents, the others' editors follow their viewport
+ * - Named participants (display name prompted once, remembered locally)
+ * - Interviewer / candidate roles (controls adapt to the role)
  * - Language selector shared across clients
- * - Client-side code execution (JS + Python via Pyodide)
- * - Connection status indicator
+ * - Client-side code execution (JS + Python via Pyodide), able to import the other files
+ * - Version history: named snapshots (taken by hand and on every run), preview, diff and restore
+ * - Line comments: threads anchored to code that follow it as it is edited, resolvable
+ * - Whiteboard tab: shared shapes, pen strokes, text and connectors, exportable as SVG/PNG
+ * - Interview timer in the header, in optional phases, that can make the code read-only at time-up
+ * - Lobby with a countdown before a scheduled session opens
+ * - Waiting room: candidates wait until an interviewer admits them, and can be removed for good
+ * - "End interview": disconnects everyone and leaves a read-only archive of the final code
+ * - Connection status indicator (with the number of edits not yet synced while offline)
  * - Share link functionality
  */
-import { useState, useEffect, useCallback } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { TextOperation } from '../../../shared/textOperation.js';
+import { isLockedByTimer } from '../../../shared/timer.js';
 import { useSocket } from '../hooks/useSocket.js';
 import { useTheme } from '../hooks/useTheme.js';
 import { useCodeExecution } from '../hooks/useCodeExecution.js';
+import { useEvaluation } from '../hooks/useEvaluation.js';
 import CodeEditor from '../components/CodeEditor.jsx';
+import FileExplorer from '../components/FileExplorer.jsx';
+import EditorTabs from '../components/EditorTabs.jsx';
 import LanguageSelector from '../components/LanguageSelector.jsx';
 import ThemeToggle from '../components/ThemeToggle.jsx';
+import SessionTimer from '../components/SessionTimer.jsx';
 import OutputPanel from '../components/OutputPanel.jsx';
+import StdinPanel from '../components/StdinPanel.jsx';
+import ChatPanel from '../components/ChatPanel.jsx';
+import NotesPanel from '../components/NotesPanel.jsx';
+import ScorecardPanel from '../components/ScorecardPanel.jsx';
+import HistoryPanel from '../components/HistoryPanel.jsx';
+import SnapshotPreview from '../components/SnapshotPreview.jsx';
+import SnapshotDiff from '../components/SnapshotDiff.jsx';
+import CommentsPanel from '../components/CommentsPanel.jsx';
+import Whiteboard from '../components/Whiteboard.jsx';
 import PresenceIndicator from '../components/PresenceIndicator.jsx';
+import ParticipantManager from '../components/ParticipantManager.jsx';
+import NamePrompt from '../components/NamePrompt.jsx';
+import PasscodePrompt from '../components/PasscodePrompt.jsx';
+import SessionLobby from '../components/SessionLobby.jsx';
+import ProblemPanel from '../components/ProblemPanel.jsx';
+import {
+  getParticipantId,
+  getStoredDisplayName,
+  storeDisplayName,
+  getSessionToken,
+  storeSessionToken,
+  getSessionPasscode,
+  storeSessionPasscode,
+  getParticipantToken,
+  storeParticipantToken
+} from '../utils/identity.js';
+import { isInteractiveInputSupported } from '../utils/programInput.js';
+import { transformComments } from '../utils/comments.js';
+import { removeWhiteboardElements } from '../../../shared/whiteboard.js';
+import { MAX_CHAT_HISTORY } from '../../../shared/chat.js';
 import './Session.css';
 
+// Server URL for API calls (uses Vite proxy in development)
+const API_URL = '/api';
+
+// How long notices (snapshot restored, problem statement updated) stay in the toolbar
+const NOTICE_MS = 4000;
+
+// Server errors meaning the session cannot be joined, and what to tell the user
+const JOIN_ERRORS = {
+  'Session not found': 'This session does not exist or has expired',
+  'Session has ended': 'This session has ended',
+  'You were removed from this session': 'You were removed from this session',
+  'Interview has ended': 'The interview has ended'
+};
+
+// Server errors refusing our passcode, and what the passcode prompt says
+const PASSCODE_ERRORS = {
+  'Passcode required': null,
+  'Invalid passcode': 'Wrong passcode, please try again.',
+  'Too many attempts, try again later': 'Too many wrong passcodes. Please try again in a few minutes.'
+};
+
+/**
+ * Fetch a snapshot with its files
+ * @param {string} sessionId
+ * @param {string} snapshotId
+ * @param {Object} credentials - { token, passcode, participantToken }: what opens a protected session
+ * @returns {Promise<Object>} { id, name, kind, createdBy, createdAt, fileNames, files }
+ */
+async function fetchSnapshot(sessionId, snapshotId, { token, passcode, participantToken }) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (passcode) headers['X-Session-Passcode'] = passcode;
+  if (participantToken) headers['X-Participant-Token'] = participantToken;
+  const response = await fetch(`${API_URL}/sessions/${sessionId}/snapshots/${snapshotId}`, { headers });
+  if (!response.ok) {
+    throw new Error(response.status === 404
+      ? 'This snapshot no longer exists.'
+      : 'Unable to load the snapshot. Please try again.');
+  }
+  return response.json();
+}
+
+/**
+ * Move the remote cursors in an edited file so they stay on the same text
+ */
+function transformCursors(cursors, operation, fileId) {
+  const transformed = {};
+  for (const [userId, cursor] of Object.entries(cursors)) {
+    transformed[userId] = cursor.fileId === fileId
+      ? {
+        fileId,
+        anchor: operation.transformIndex(cursor.anchor),
+        head: operation.transformIndex(cursor.head)
+      }
+      : cursor;
+  }
+  return transformed;
+}
+
+/**
+ * File metadata kept in state (contents live in `codes`)
+ */
+function describeFile({ id, name, language }) {
+  return { id, name, language };
+}
+
 function Session() {
   const { id: sessionId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { theme, toggleTheme } = useTheme();
   
-  // Local state for code and language
-  const [code, setCode] = useState('');
-  const [language, setLanguage] = useState('javascript');
+  // Identity: the session is only joined once we have a display name
+  const [displayName, setDisplayName] = useState(() => getStoredDisplayName());
+  const [participantId] = useState(() => getParticipantId());
+  const [userId, setUserId] = useState(null);
+  
+  // Interviewer token: from an interviewer link (?token=) or saved when creating the session
+  const [token] = useState(() => searchParams.get('token') || getSessionToken(sessionId));
+
+  // Passcode of a protected session, asked before connecting (interviewers need none)
+  const [passcodeRequired, setPasscodeRequired] = useState(() => (token ? false : null));
+  const [passcode, setPasscode] = useState(() => getSessionPasscode(sessionId));
+  const [passcodeError, setPasscodeError] = useState(null);
+
+  // Proof the server let us in as a candidate, so we come back without waiting
+  const [participantToken, setParticipantToken] = useState(() => getParticipantToken(sessionId));
+
+  // Find out whether this session takes a passcode
+  useEffect(() => {
+    if (passcodeRequired !== null) return;
+    let cancelled = false;
+    fetch(`${API_URL}/sessions/${sessionId}/access`)
+      .then(response => response.ok ? response.json() : { passcodeRequired: false })
+      .then(data => {
+        if (!cancelled) setPasscodeRequired(data.passcodeRequired);
+      })
+      .catch(err => {
+        // Joining tells us if it does after all
+        console.warn('[Session] Could not check the session access:', err);
+        if (!cancelled) setPasscodeRequired(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, passcodeRequired]);
+  const [role, setRole] = useState(null);
+  const isInterviewer = role === 'interviewer';
+  const [isLocked, setIsLocked] = useState(false);
+
+  // Interview timer
+  const [timer, setTimer] = useState(null);
+  // How far the server's clock is ahead of ours (countdowns follow the server)
+  const [clockOffset, setClockOffset] = useState(0);
+  const isTimeUpLocked = isLockedByTimer(timer);
+  
+  // Workspace files [{ id, name, language }] and their contents (fileId -> code)
+  const [files, setFiles] = useState([]);
+  const [codes, setCodes] = useState({});
+  // Latest contents, readable synchronously while applying operations
+  const codesRef = useRef({});
+  // Tabs are local: which files this participant has open, and the one shown
+  const [openFileIds, setOpenFileIds] = useState([]);
+  const [activeFileId, setActiveFileId] = useState(null);
+  const editorRef = useRef(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [copied, setCopied] = useState(false);
+  // Set while waiting for a scheduled session to open ({ startsAt }), or when it cannot be joined
+  const [lobby, setLobby] = useState(null);
+  const [joinError, setJoinError] = useState(null);
+  // Set once an interviewer ended the interview (only its archive is left)
+  const [isEnded, setIsEnded] = useState(false);
+  // Set while an interviewer has not admitted us yet
+  const [isWaitingForAdmission, setIsWaitingForAdmission] = useState(false);
+  // Candidates waiting to be admitted [{ id, name, requestedAt }] (interviewers only)
+  const [waitingRoom, setWaitingRoom] = useState([]);
+  const [copiedLink, setCopiedLink] = useState(null); // 'candidate' | 'interviewer' | null
   
   // Output state (can come from local execution or remote sync)
   const [displayOutput, setDisplayOutput] = useState('');
@@ -36,9 +209,64 @@ function Session() {
   const [isRemoteOutput, setIsRemoteOutput] = useState(false);
   const [remoteIsRunning, setRemoteIsRunning] = useState(false);
   
+  // Shared stdin; whether runs ask for more lines is a local choice
+  const [stdin, setStdin] = useState('');
+  const [interactive, setInteractive] = useState(false);
+  
+  // Sidebar shown next to the workspace: 'chat', 'notes', 'scorecard', 'history', 'comments' or null
+  const [sidePanel, setSidePanel] = useState(null);
+  const isChatOpen = sidePanel === 'chat';
+  
+  // Chat: the history, and the last message read (undefined until the history arrives)
+  const [messages, setMessages] = useState([]);
+  const [lastReadMessageId, setLastReadMessageId] = useState(undefined);
+  
+  // Private notes (only ever received by interviewers)
+  const [notes, setNotes] = useState([]);
+  
+  // Version history: snapshot summaries, the one being previewed ({ id, snapshot, error }),
+  // and the versions being compared ({ fromId, toId })
+  const [snapshots, setSnapshots] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  
+  // Last change made by someone else worth announcing in the toolbar
+  const [notice, setNotice] = useState(null);
+  
+  // Line comments, the lines picked for a new one ({ fileId, start, end }), the thread
+  // shown in the sidebar and where the editor should scroll once its file is open ({ fileId, offset })
+  const [comments, setComments] = useState([]);
+  const [pendingComment, setPendingComment] = useState(null);
+  const [selectedCommentId, setSelectedCommentId] = useState(null);
+  const [commentReveal, setCommentReveal] = useState(null);
+  
+  // Markdown problem statement, and whether its pane is shown (null until the session state arrives)
+  const [problemStatement, setProblemStatement] = useState('');
+  const [isProblemOpen, setIsProblemOpen] = useState(null);
+  
+  // Test cases and the last test run, whoever started it ({ ranBy, isRunning, results })
+  const [testCases, setTestCases] = useState([]);
+  const [testResults, setTestResults] = useState(null);
+  
+  // Hidden test cases (interviewers only) and the results of running them here, never shared
+  const [hiddenTestCases, setHiddenTestCases] = useState([]);
+  const [hiddenTestResults, setHiddenTestResults] = useState(null);
+  
+  // What the workspace shows ('code' or 'whiteboard') and the whiteboard elements
+  const [workspaceView, setWorkspaceView] = useState('code');
+  const [whiteboard, setWhiteboard] = useState([]);
+  
   // Presence state
   const [presence, setPresence] = useState({ userCount: 0, activeCount: 0, users: [] });
   
+  // Other participants' cursors: userId -> { fileId, anchor, head } (character offsets)
+  const [remoteCursors, setRemoteCursors] = useState({});
+  
+  // "Follow me" mode: who presents, their last viewport, and whether we still follow it
+  const [presenterId, setPresenterId] = useState(null);
+  const [presenterViewport, setPresenterViewport] = useState(null);
+  const [isFollowing, setIsFollowing] = useState(false);
+  
   // Code execution hook (client-side only)
   const {
     output: localOutput,
@@ -46,29 +274,136 @@ function Session() {
     isLoading: isPyodideLoading,
     loadingMessage,
     error: localError,
-    runCode
+    runCode,
+    isWaitingForInput,
+    submitInput,
+    endInput,
+    runTests,
+    isRunningTests
   } = useCodeExecution();
 
+  // Scorecard (interviewers only), reloaded whenever its panel opens
+  const scorecard = useEvaluation(sessionId, token, isInterviewer && sidePanel === 'scorecard');
+
+  const activeFile = files.find(file => file.id === activeFileId) ?? null;
+  const code = codes[activeFileId] ?? '';
+  const language = activeFile?.language ?? 'javascript';
+
+  /**
+   * Store a file's latest contents
+   */
+  const setFileCode = useCallback((fileId, fileCode) => {
+    codesRef.current = { ...codesRef.current, [fileId]: fileCode };
+    setCodes(codesRef.current);
+  }, []);
+
+  /**
+   * Show a file, opening a tab for it if needed
+   */
+  const openFile = useCallback((fileId) => {
+    setOpenFileIds(prev => prev.includes(fileId) ? prev : [...prev, fileId]);
+    setActiveFileId(fileId);
+  }, []);
+
+  /**
+   * Keep comment anchors (and the lines picked for a new comment) on the same code after an edit
+   */
+  const moveComments = useCallback((operation, fileId) => {
+    setComments(prev => transformComments(prev, operation, fileId));
+    setPendingComment(prev => prev && transformComments([prev], operation, fileId)[0]);
+  }, []);
+
   /**
    * Socket event handlers
    */
   const handleSessionState = useCallback((data) => {
     console.log('[Session] Received initial state');
-    setCode(data.code);
-    setLanguage(data.language);
+    setLobby(null);
+    setIsWaitingForAdmission(false);
+    setWaitingRoom(data.waiting ?? []);
+    codesRef.current = Object.fromEntries(data.files.map(file => [file.id, file.code]));
+    setCodes(codesRef.current);
+    setFiles(data.files.map(describeFile));
+
+    // Keep the open tabs across reconnections when their files still exist
+    const fileIds = new Set(data.files.map(file => file.id));
+    setOpenFileIds(prev => {
+      const kept = prev.filter(fileId => fileIds.has(fileId));
+      return kept.length > 0 ? kept : [data.mainFileId];
+    });
+    setActiveFileId(prev => fileIds.has(prev) ? prev : data.mainFileId);
+
+    setUserId(data.userId);
+    setRole(data.role);
+    setIsLocked(data.isLocked);
+    setTimer(data.timer ?? null);
+    if (data.serverTime) setClockOffset(data.serverTime - Date.now());
+    setStdin(data.stdin ?? '');
+    setProblemStatement(data.problemStatement ?? '');
+    // Shown by default when there is something to read, or for interviewers to write it
+    setIsProblemOpen(prev => prev ?? (Boolean(data.problemStatement) || data.role === 'interviewer'));
+    setTestCases(data.testCases ?? []);
+    setTestResults(data.testResults ?? null);
+    setHiddenTestCases(data.hiddenTestCases ?? []);
+    const history = data.messages ?? [];
+    setMessages(history);
+    // History from before we joined is not unread; messages missed while reconnecting are
+    setLastReadMessageId(prev => prev === undefined ? (history.at(-1)?.id ?? null) : prev);
+    setNotes(data.notes ?? []);
+    setSnapshots(data.snapshots ?? []);
+    setComments(data.comments ?? []);
+    setWhiteboard(data.whiteboard ?? []);
+    setRemoteCursors(Object.fromEntries(
+      (data.cursors || []).map(({ userId, fileId, anchor, head }) => [userId, { fileId, anchor, head }])
+    ));
+    setPresenterId(data.presenter?.userId ?? null);
+    setPresenterViewport(data.presenter?.viewport ?? null);
+    setIsFollowing(Boolean(data.presenter));
     setIsLoading(false);
   }, []);
 
-  const handleCodeUpdate = useCallback((newCode) => {
+  const handleCodeUpdate = useCallback((fileId, operation) => {
     console.log('[Session] Code updated by another client');
-    setCode(newCode);
-  }, []);
+    // Patch the editor in place first so its cursor survives the update
+    editorRef.current?.applyOperation(operation, fileId);
+    setFileCode(fileId, operation.apply(codesRef.current[fileId] ?? ''));
+    setRemoteCursors(prev => transformCursors(prev, operation, fileId));
+    moveComments(operation, fileId);
+  }, [setFileCode, moveComments]);
 
-  const handleLanguageUpdate = useCallback((newLanguage) => {
+  const handleLanguageUpdate = useCallback((fileId, newLanguage) => {
     console.log('[Session] Language updated by another client:', newLanguage);
-    setLanguage(newLanguage);
+    setFiles(prev => prev.map(file => file.id === fileId ? { ...file, language: newLanguage } : file));
+  }, []);
+
+  const handleFileCreated = useCallback(({ file, createdBy }) => {
+    console.log('[Session] File created:', file.name);
+    setFileCode(file.id, file.code);
+    setFiles(prev => [...prev, describeFile(file)]);
+    // Open the files we create ourselves
+    if (createdBy === userId) {
+      openFile(file.id);
+    }
+  }, [userId, setFileCode, openFile]);
+
+  const handleFileRenamed = useCallback(({ fileId, name, language: newLanguage }) => {
+    console.log('[Session] File renamed:', name);
+    setFiles(prev => prev.map(file => file.id === fileId ? { ...file, name, language: newLanguage } : file));
   }, []);
 
+  const handleFileDeleted = useCallback(({ fileId, mainFileId: newMainFileId }) => {
+    console.log('[Session] File deleted:', fileId);
+    setFiles(prev => prev.filter(file => file.id !== fileId));
+    setComments(prev => prev.filter(comment => comment.fileId !== fileId));
+    setPendingComment(prev => prev?.fileId === fileId ? null : prev);
+
+    const remainingTabs = openFileIds.filter(openId => openId !== fileId);
+    setOpenFileIds(remainingTabs.length > 0 ? remainingTabs : [newMainFileId]);
+    if (activeFileId === fileId) {
+      setActiveFileId(remainingTabs[0] ?? newMainFileId);
+    }
+  }, [openFileIds, activeFileId]);
+
   const handleOutputUpdate = useCallback((data) => {
     console.log('[Session] Output received from another client');
     setDisplayOutput(data.output || '');
@@ -77,35 +412,300 @@ function Session() {
     setRemoteIsRunning(data.isRunning || false);
   }, []);
 
+  const handleStdinUpdate = useCallback((newStdin) => {
+    setStdin(newStdin);
+  }, []);
+
+  const handleProblemUpdate = useCallback(({ statement, updatedBy }) => {
+    setProblemStatement(statement);
+    if (statement) {
+      setIsProblemOpen(true);
+      setNotice(`${updatedBy} updated the problem statement`);
+    }
+  }, []);
+
+  const handleTestCasesUpdate = useCallback(({ testCases: newTestCases }) => {
+    setTestCases(newTestCases);
+  }, []);
+
+  const handleHiddenTestCasesUpdate = useCallback(({ testCases: newTestCases }) => {
+    setHiddenTestCases(newTestCases);
+  }, []);
+
+  const handleTestResultsUpdate = useCallback((run) => {
+    setTestResults(run);
+  }, []);
+
+  const handleChatMessage = useCallback((message) => {
+    setMessages(prev => [...prev, message].slice(-MAX_CHAT_HISTORY));
+  }, []);
+
+  const handleNoteAdded = useCallback((note) => {
+    setNotes(prev => [...prev, note]);
+  }, []);
+
+  const handleNoteDeleted = useCallback((noteId) => {
+    setNotes(prev => prev.filter(note => note.id !== noteId));
+  }, []);
+
+  const handleSnapshotCreated = useCallback((snapshot) => {
+    setSnapshots(prev => [...prev, snapshot]);
+  }, []);
+
+  const handleSnapshotRestored = useCallback(({ name, restoredBy }) => {
+    console.log('[Session] Snapshot restored:', name);
+    setNotice(`${restoredBy} restored "${name}"`);
+  }, []);
+
+  const handleCommentAdded = useCallback((comment) => {
+    setComments(prev => [...prev, comment]);
+  }, []);
+
+  const handleCommentUpdated = useCallback((comment) => {
+    // Our anchors already follow the edits we have seen; keep them
+    setComments(prev => prev.map(existing => existing.id === comment.id
+      ? { ...comment, start: existing.start, end: existing.end }
+      : existing));
+  }, []);
+
+  const handleWhiteboardElementAdded = useCallback((element) => {
+    setWhiteboard(prev => prev.some(existing => existing.id === element.id) ? prev : [...prev, element]);
+  }, []);
+
+  const handleWhiteboardElementUpdated = useCallback((element) => {
+    setWhiteboard(prev => prev.map(existing => existing.id === element.id ? element : existing));
+  }, []);
+
+  const handleWhiteboardElementsDeleted = useCallback((elementIds) => {
+    setWhiteboard(prev => removeWhiteboardElements(prev, elementIds).elements);
+  }, []);
+
+  const handleWhiteboardCleared = useCallback(() => {
+    setWhiteboard([]);
+  }, []);
+
   const handlePresenceUpdate = useCallback((data) => {
     console.log('[Session] Presence updated:', data);
     setPresence(data);
   }, []);
 
+  const handleEditorLockUpdate = useCallback((locked) => {
+    console.log('[Session] Editor lock changed:', locked);
+    setIsLocked(locked);
+  }, []);
+
+  const handleTimerUpdate = useCallback(({ timer: newTimer, serverTime }) => {
+    console.log('[Session] Timer changed:', newTimer?.status ?? 'reset');
+    setTimer(newTimer);
+    setClockOffset(serverTime - Date.now());
+  }, []);
+
+  const handlePresenterUpdate = useCallback(({ userId: newPresenterId, viewport }) => {
+    console.log('[Session] Presenter changed:', newPresenterId);
+    setPresenterId(newPresenterId);
+    setPresenterViewport(viewport);
+    // Everyone follows a new presenter until they scroll away
+    setIsFollowing(newPresenterId !== null);
+  }, []);
+
+  const handleViewportUpdate = useCallback(({ fileId, startLine, endLine }) => {
+    setPresenterViewport({ fileId, startLine, endLine });
+  }, []);
+
+  const handleCursorUpdate = useCallback(({ userId, fileId, anchor, head }) => {
+    setRemoteCursors(prev => ({ ...prev, [userId]: { fileId, anchor, head } }));
+  }, []);
+
+  const handleCursorRemove = useCallback(({ userId }) => {
+    setRemoteCursors(prev => {
+      const { [userId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  const handleSessionNotStarted = useCallback(({ startsAt, serverTime }) => {
+    console.log('[Session] Waiting for the session to open');
+    setLobby({ startsAt });
+    setClockOffset(serverTime - Date.now());
+  }, []);
+
+  const handleWaitingForAdmission = useCallback(() => {
+    console.log('[Session] Waiting to be admitted');
+    setIsWaitingForAdmission(true);
+  }, []);
+
+  const handleParticipantToken = useCallback((value) => {
+    storeParticipantToken(sessionId, value);
+    setParticipantToken(value);
+  }, [sessionId]);
+
+  const handleRemovedFromSession = useCallback(() => {
+    setJoinError(JOIN_ERRORS['You were removed from this session']);
+  }, []);
+
+  const handleSessionEnded = useCallback(({ endedBy }) => {
+    console.log('[Session] Interview ended by', endedBy);
+    setIsEnded(true);
+    setJoinError(`${endedBy} ended the interview`);
+  }, []);
+
   const handleError = useCallback((message) => {
     console.error('[Session] Socket error:', message);
-  }, []);
+    if (JOIN_ERRORS[message]) setJoinError(JOIN_ERRORS[message]);
+    if (message === 'Interview has ended') setIsEnded(true);
+    // Ask again (disconnecting until then)
+    if (message in PASSCODE_ERRORS) {
+      storeSessionPasscode(sessionId, null);
+      setPasscode(null);
+      setPasscodeError(PASSCODE_ERRORS[message]);
+    }
+  }, [sessionId]);
 
-  // Connect to socket
+  // Connect once we know who we are (and have the passcode, when one is needed)
+  const canJoin = Boolean(displayName) && passcodeRequired !== null && (!passcodeRequired || Boolean(passcode));
   const { 
     isConnected, 
     connectionError, 
+    pendingChangeCount,
     emitCodeChange, 
     emitLanguageChange, 
+    emitFileCreate,
+    emitFileRename,
+    emitFileDelete,
     emitOutputChange,
-    emitActivityChange
+    emitOutputClear,
+    emitStdinChange,
+    emitProblemChange,
+    emitTestCasesChange,
+    emitHiddenTestCasesChange,
+    emitTestResultsChange,
+    emitChatMessage,
+    emitNoteAdd,
+    emitNoteDelete,
+    emitSnapshotCreate,
+    emitSnapshotRestore,
+    emitCommentAdd,
+    emitCommentReply,
+    emitCommentResolve,
+    emitWhiteboardAdd,
+    emitWhiteboardUpdate,
+    emitWhiteboardDelete,
+    emitWhiteboardClear,
+    emitEditorLock,
+    emitTimerStart,
+    emitTimerPause,
+    emitTimerResume,
+    emitTimerExtend,
+    emitTimerReset,
+    emitParticipantAdmit,
+    emitParticipantRemove,
+    emitSessionEnd,
+    emitPresenting,
+    emitViewportChange,
+    emitActivityChange,
+    emitCursorChange
   } = useSocket(
-    sessionId,
+    canJoin ? sessionId : null,
     {
       onSessionState: handleSessionState,
+      onSessionNotStarted: handleSessionNotStarted,
+      onWaitingForAdmission: handleWaitingForAdmission,
+      onWaitingRoomUpdate: setWaitingRoom,
+      onParticipantToken: handleParticipantToken,
+      onRemovedFromSession: handleRemovedFromSession,
+      onSessionEnded: handleSessionEnded,
       onCodeUpdate: handleCodeUpdate,
       onLanguageUpdate: handleLanguageUpdate,
+      onFileCreated: handleFileCreated,
+      onFileRenamed: handleFileRenamed,
+      onFileDeleted: handleFileDeleted,
       onOutputUpdate: handleOutputUpdate,
+      onStdinUpdate: handleStdinUpdate,
+      onProblemUpdate: handleProblemUpdate,
+      onTestCasesUpdate: handleTestCasesUpdate,
+      onHiddenTestCasesUpdate: handleHiddenTestCasesUpdate,
+      onTestResultsUpdate: handleTestResultsUpdate,
+      onChatMessage: handleChatMessage,
+      onNoteAdded: handleNoteAdded,
+      onNoteDeleted: handleNoteDeleted,
+      onSnapshotCreated: handleSnapshotCreated,
+      onSnapshotRestored: handleSnapshotRestored,
+      onCommentAdded: handleCommentAdded,
+      onCommentUpdated: handleCommentUpdated,
+      onWhiteboardElementAdded: handleWhiteboardElementAdded,
+      onWhiteboardElementUpdated: handleWhiteboardElementUpdated,
+      onWhiteboardElementsDeleted: handleWhiteboardElementsDeleted,
+      onWhiteboardCleared: handleWhiteboardCleared,
       onPresenceUpdate: handlePresenceUpdate,
+      onCursorUpdate: handleCursorUpdate,
+      onCursorRemove: handleCursorRemove,
+      onEditorLockUpdate: handleEditorLockUpdate,
+      onTimerUpdate: handleTimerUpdate,
+      onPresenterUpdate: handlePresenterUpdate,
+      onViewportUpdate: handleViewportUpdate,
       onError: handleError
-    }
+    },
+    { name: displayName, participantId, participantToken, token, passcode }
   );
 
+  // Lost the connection after loading: edits keep working and are queued
+  const isOffline = !isConnected && !isLoading;
+
+  const isPresenting = presenterId !== null && presenterId === userId;
+  const presenter = presenterId && !isPresenting
+    ? presence.users.find(user => user.id === presenterId)
+    : null;
+
+  // The code is read-only for candidates while locked, and for everyone once a locking timer ran out
+  const isReadOnly = isTimeUpLocked || (isLocked && !isInterviewer);
+
+  // Files can be managed by anyone who can edit
+  const canManageFiles = isConnected && !isReadOnly;
+
+  // Messages from others posted after the last one read
+  const unreadCount = useMemo(() => {
+    const lastReadIndex = messages.findIndex(message => message.id === lastReadMessageId);
+    return messages.slice(lastReadIndex + 1).filter(message => !message.isOwn).length;
+  }, [messages, lastReadMessageId]);
+
+  // Everything is read while the chat is open
+  useEffect(() => {
+    if (isChatOpen && messages.length > 0) {
+      setLastReadMessageId(messages[messages.length - 1].id);
+    }
+  }, [isChatOpen, messages]);
+
+  // Hide the toolbar notice after a while
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Keep an interviewer token from the URL, then drop it from the address bar
+  useEffect(() => {
+    const urlToken = searchParams.get('token');
+    if (urlToken) {
+      storeSessionToken(sessionId, urlToken);
+      setSearchParams({}, { replace: true });
+    }
+  }, [sessionId, searchParams, setSearchParams]);
+
+  /**
+   * Remember the chosen display name and join the session
+   */
+  const handleNameSubmit = useCallback((name) => {
+    storeDisplayName(name);
+    setDisplayName(name);
+  }, []);
+
+  // Kept until the server refuses it
+  const handlePasscodeSubmit = useCallback((value) => {
+    storeSessionPasscode(sessionId, value);
+    setPasscode(value);
+    setPasscodeError(null);
+  }, [sessionId]);
+
   // Track visibility/activity status
   useEffect(() => {
     const handleVisibilityChange = () => {
@@ -127,32 +727,218 @@ function Session() {
 
   /**
    * Handle local code change
+   * Sends the edit as an operation rather than the whole buffer
+   */
+  const handleCodeChange = useCallback((newCode, operation) => {
+    const edit = operation || TextOperation.fromDiff(codesRef.current[activeFileId] ?? '', newCode);
+    setFileCode(activeFileId, newCode);
+    setRemoteCursors(prev => transformCursors(prev, edit, activeFileId));
+    moveComments(edit, activeFileId);
+    emitCodeChange(activeFileId, edit);
+  }, [activeFileId, setFileCode, moveComments, emitCodeChange]);
+
+  /**
+   * Report the local cursor in the open file
    */
-  const handleCodeChange = useCallback((newCode) => {
-    setCode(newCode);
-    emitCodeChange(newCode);
-  }, [emitCodeChange]);
+  const handleCursorChange = useCallback((anchor, head) => {
+    emitCursorChange(activeFileId, anchor, head);
+  }, [activeFileId, emitCursorChange]);
 
   /**
-   * Handle local language change
+   * Decorate the remote cursors in the open file with the owner's color and name for the editor
+   */
+  const editorCursors = useMemo(() => {
+    const usersById = new Map(presence.users.map(user => [user.id, user]));
+    return Object.entries(remoteCursors)
+      .filter(([cursorUserId, cursor]) => usersById.has(cursorUserId) && cursor.fileId === activeFileId)
+      .map(([cursorUserId, cursor]) => ({
+        id: cursorUserId,
+        anchor: cursor.anchor,
+        head: cursor.head,
+        color: usersById.get(cursorUserId).color,
+        label: usersById.get(cursorUserId).name
+      }));
+  }, [remoteCursors, presence.users, activeFileId]);
+
+  /**
+   * Handle local language change of the open file
    */
   const handleLanguageChange = useCallback((newLanguage) => {
-    setLanguage(newLanguage);
-    emitLanguageChange(newLanguage);
-  }, [emitLanguageChange]);
+    setFiles(prev => prev.map(file => file.id === activeFileId ? { ...file, language: newLanguage } : file));
+    emitLanguageChange(activeFileId, newLanguage);
+  }, [activeFileId, emitLanguageChange]);
 
   /**
-   * Copy session link to clipboard
+   * Open a file from the file tree or the tabs
+   * Choosing another file than the presenter's stops following them.
    */
-  const handleCopyLink = useCallback(async () => {
+  const handleSelectFile = useCallback((fileId) => {
+    if (presenter && isFollowing && fileId !== presenterViewport?.fileId) {
+      setIsFollowing(false);
+    }
+    openFile(fileId);
+  }, [presenter, isFollowing, presenterViewport, openFile]);
+
+  /**
+   * Close a tab, showing a neighbouring one if it was the active tab
+   */
+  const handleCloseTab = useCallback((fileId) => {
+    const index = openFileIds.indexOf(fileId);
+    const remainingTabs = openFileIds.filter(openId => openId !== fileId);
+    if (remainingTabs.length === 0) return;
+
+    setOpenFileIds(remainingTabs);
+    if (fileId === activeFileId) {
+      setActiveFileId(remainingTabs[Math.min(index, remainingTabs.length - 1)]);
+    }
+  }, [openFileIds, activeFileId]);
+
+  /**
+   * Comments drawn in the editor: those of the open file
+   */
+  const editorComments = useMemo(
+    () => comments.filter(comment => comment.fileId === activeFileId),
+    [comments, activeFileId]
+  );
+  const openCommentCount = comments.filter(comment => !comment.resolved).length;
+
+  /**
+   * Lines picked in the editor for a new comment: write it in the sidebar
+   */
+  const handleAddCommentRange = useCallback(({ start, end }) => {
+    setPendingComment({ fileId: activeFileId, start, end });
+    setSidePanel('comments');
+  }, [activeFileId]);
+
+  const handleAddComment = useCallback((text) => {
+    if (!pendingComment) return;
+    emitCommentAdd(pendingComment.fileId, pendingComment.start, pendingComment.end, text);
+    setPendingComment(null);
+  }, [pendingComment, emitCommentAdd]);
+
+  /**
+   * A comment glyph was clicked in the editor: show its thread
+   */
+  const handleSelectCommentGlyph = useCallback((commentId) => {
+    setSelectedCommentId(commentId);
+    setSidePanel('comments');
+  }, []);
+
+  /**
+   * A thread was clicked in the sidebar: show its code
+   */
+  const handleShowComment = useCallback((comment) => {
+    setSelectedCommentId(comment.id);
+    if (!files.some(file => file.id === comment.fileId)) return;
+    handleSelectFile(comment.fileId);
+    setCommentReveal({ fileId: comment.fileId, offset: comment.start });
+  }, [files, handleSelectFile]);
+
+  // Scroll to the comment once its file is in the editor
+  useEffect(() => {
+    if (commentReveal && commentReveal.fileId === activeFileId) {
+      editorRef.current?.revealOffset(commentReveal.offset);
+      setCommentReveal(null);
+    }
+  }, [commentReveal, activeFileId]);
+
+  /**
+   * Local whiteboard changes are shown right away, then sent
+   */
+  const handleWhiteboardAdd = useCallback((element) => {
+    setWhiteboard(prev => [...prev, element]);
+    emitWhiteboardAdd(element);
+  }, [emitWhiteboardAdd]);
+
+  const handleWhiteboardUpdate = useCallback((elementId, changes) => {
+    setWhiteboard(prev => prev.map(element => element.id === elementId ? { ...element, ...changes } : element));
+    emitWhiteboardUpdate(elementId, changes);
+  }, [emitWhiteboardUpdate]);
+
+  const handleWhiteboardDelete = useCallback((elementIds) => {
+    setWhiteboard(prev => removeWhiteboardElements(prev, elementIds).elements);
+    emitWhiteboardDelete(elementIds);
+  }, [emitWhiteboardDelete]);
+
+  const handleWhiteboardClear = useCallback(() => {
+    setWhiteboard([]);
+    emitWhiteboardClear();
+  }, [emitWhiteboardClear]);
+
+  /**
+   * Lock or unlock the editor for candidates
+   */
+  const handleToggleLock = useCallback(() => {
+    setIsLocked(!isLocked);
+    emitEditorLock(!isLocked);
+  }, [isLocked, emitEditorLock]);
+
+  /**
+   * End the interview for everyone, after confirmation
+   */
+  const handleEndInterview = useCallback(() => {
+    if (window.confirm('End the interview for everyone? Everyone is disconnected and the code can no longer be changed.')) {
+      emitSessionEnd();
+    }
+  }, [emitSessionEnd]);
+
+  /**
+   * Start or stop presenting our viewport to everyone else
+   */
+  const handleTogglePresenting = useCallback(() => {
+    emitPresenting(!isPresenting);
+  }, [isPresenting, emitPresenting]);
+
+  // While presenting, share the viewport when we start and whenever we switch files
+  useEffect(() => {
+    if (!isPresenting) return;
+
+    const viewport = editorRef.current?.getViewport();
+    if (viewport) {
+      emitViewportChange({ fileId: activeFileId, ...viewport });
+    }
+  }, [isPresenting, activeFileId, emitViewportChange]);
+
+  // While following, open the file the presenter is looking at and scroll along in it
+  const followedFileId = presenter && isFollowing ? presenterViewport?.fileId : null;
+  const followViewport = presenter && isFollowing && (!followedFileId || followedFileId === activeFileId)
+    ? presenterViewport
+    : null;
+  useEffect(() => {
+    if (followedFileId && followedFileId !== activeFileId && files.some(file => file.id === followedFileId)) {
+      openFile(followedFileId);
+    }
+  }, [followedFileId, activeFileId, files, openFile]);
+
+  /**
+   * Local scrolling: broadcast it while presenting, stop following otherwise
+   */
+  const handleViewportChange = useCallback((viewport) => {
+    if (isPresenting) {
+      emitViewportChange({ fileId: activeFileId, ...viewport });
+    } else if (isFollowing) {
+      setIsFollowing(false);
+    }
+  }, [isPresenting, isFollowing, activeFileId, emitViewportChange]);
+
+  /**
+   * Copy a session link to clipboard
+   * @param {'candidate'|'interviewer'} linkType - Candidate link, or interviewer link carrying the token
+   */
+  const handleCopyLink = useCallback(async (linkType = 'candidate') => {
+    const candidateLink = `${window.location.origin}/session/${sessionId}`;
+    const link = linkType === 'interviewer'
+      ? `${candidateLink}?token=${encodeURIComponent(token)}`
+      : candidateLink;
+    
     try {
-      await navigator.clipboard.writeText(window.location.href);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      await navigator.clipboard.writeText(link);
+      setCopiedLink(linkType);
+      setTimeout(() => setCopiedLink(null), 2000);
     } catch (err) {
       console.error('[Session] Failed to copy link:', err);
     }
-  }, []);
+  }, [sessionId, token]);
 
   /**
    * Handle Run button click
@@ -167,9 +953,102 @@ function Session() {
     emitOutputChange('', null, true);
     setRemoteIsRunning(false);
     
-    // Run locally
-    await runCode(code, language);
-  }, [code, language, runCode, emitOutputChange]);
+    // Keep the version that was run in the history
+    emitSnapshotCreate({ name: `Run of ${activeFile?.name ?? 'code'}`, onRun: true });
+    
+    // Run locally, with the other files available to import
+    const workspace = files.map(file => ({ name: file.name, code: codesRef.current[file.id] ?? '' }));
+    await runCode(code, language, { files: workspace, entryName: activeFile?.name, stdin, interactive });
+  }, [code, language, files, activeFile, stdin, interactive, runCode, emitOutputChange, emitSnapshotCreate]);
+
+  /**
+   * Run the test cases locally, sharing the results as they come in
+   */
+  const handleRunTests = useCallback(async () => {
+    const share = (results, isRunning) => {
+      setTestResults({ ranBy: displayName, isRunning, results });
+      emitTestResultsChange(language, isRunning, results);
+    };
+
+    share([], true);
+    const workspace = files.map(file => ({ name: file.name, code: codesRef.current[file.id] ?? '' }));
+    const results = await runTests(code, language, testCases, {
+      files: workspace,
+      entryName: activeFile?.name,
+      onResult: (partial) => share(partial, true)
+    });
+    share(results, false);
+  }, [code, language, files, activeFile, testCases, displayName, runTests, emitTestResultsChange]);
+
+  /**
+   * Run the hidden test cases against the current code, in this browser only
+   */
+  const handleRunHiddenTests = useCallback(async () => {
+    const show = (results, isRunning) => setHiddenTestResults({ ranBy: 'you', isRunning, results });
+
+    show([], true);
+    const workspace = files.map(file => ({ name: file.name, code: codesRef.current[file.id] ?? '' }));
+    const results = await runTests(code, language, hiddenTestCases, {
+      files: workspace,
+      entryName: activeFile?.name,
+      onResult: (partial) => show(partial, true)
+    });
+    show(results, false);
+  }, [code, language, files, activeFile, hiddenTestCases, runTests]);
+
+  const handleStdinChange = useCallback((newStdin) => {
+    setStdin(newStdin);
+    emitStdinChange(newStdin);
+  }, [emitStdinChange]);
+
+  const handleProblemSave = useCallback((statement) => {
+    setProblemStatement(statement);
+    emitProblemChange(statement);
+  }, [emitProblemChange]);
+
+  /**
+   * Load a snapshot's files and show them
+   */
+  const handlePreviewSnapshot = useCallback(async (snapshotId) => {
+    setPreview({ id: snapshotId, snapshot: null, error: null });
+    
+    try {
+      const snapshot = await fetchSnapshot(sessionId, snapshotId, { token, passcode, participantToken });
+      // Ignore the answer if another snapshot was opened meanwhile
+      setPreview(prev => prev?.id === snapshotId ? { ...prev, snapshot } : prev);
+    } catch (err) {
+      console.error('[Session] Error loading snapshot:', err);
+      setPreview(prev => prev?.id === snapshotId ? { ...prev, error: err.message } : prev);
+    }
+  }, [sessionId, token, passcode, participantToken]);
+
+  const handleRestoreSnapshot = useCallback((snapshotId) => {
+    emitSnapshotRestore(snapshotId);
+    setPreview(null);
+  }, [emitSnapshotRestore]);
+
+  const handleClosePreview = useCallback(() => setPreview(null), []);
+
+  const loadSnapshot = useCallback(
+    (snapshotId) => fetchSnapshot(sessionId, snapshotId, { token, passcode, participantToken }),
+    [sessionId, token, passcode, participantToken]
+  );
+
+  /**
+   * Compare a snapshot with the current code (or let the user pick both versions)
+   */
+  const handleCompare = useCallback((fromId) => {
+    setPreview(null);
+    setComparison({ fromId });
+  }, []);
+
+  const handleCloseComparison = useCallback(() => setComparison(null), []);
+
+  // The current workspace, as compared with snapshots
+  const currentFiles = useMemo(
+    () => files.map(file => ({ ...file, code: codes[file.id] ?? '' })),
+    [files, codes]
+  );
 
 
 
@@ -186,16 +1065,31 @@ function Session() {
 
   /**
    * Clear output
+   * Interviewers clear the shared console, candidates only their own view
    */
   const handleClearOutput = useCallback(() => {
     setDisplayOutput('');
     setDisplayError(null);
     setIsRemoteOutput(false);
-    emitOutputChange('', null, false);
-  }, [emitOutputChange]);
+    if (isInterviewer) {
+      emitOutputClear();
+    }
+  }, [isInterviewer, emitOutputClear]);
 
   return (
     <div className="session">
+      {!displayName && <NamePrompt onSubmit={handleNameSubmit} />}
+      {displayName && passcodeRequired && !passcode && (
+        <PasscodePrompt onSubmit={handlePasscodeSubmit} error={passcodeError} />
+      )}
+      {joinError ? (
+        <SessionLobby message={joinError} archiveUrl={isEnded ? `/session/${sessionId}/archive` : null} />
+      ) : isWaitingForAdmission ? (
+        <SessionLobby isWaitingForAdmission />
+      ) : lobby && (
+        <SessionLobby startsAt={lobby.startsAt} clockOffset={clockOffset} />
+      )}
+
       {/* Header */}
       <header className="session__header">
         <div className="session__header-left">
@@ -213,7 +1107,24 @@ function Session() {
           <div className="session__session-info">
             <span className="session__session-label">Session</span>
             <code className="session__session-id">{sessionId.slice(0, 8)}...</code>
+            {role && (
+              <span className={`session__role session__role--${role}`}>
+                {isInterviewer ? 'Interviewer' : 'Candidate'}
+              </span>
+            )}
           </div>
+
+          <SessionTimer
+            timer={timer}
+            clockOffset={clockOffset}
+            canControl={isInterviewer}
+            onStart={emitTimerStart}
+            onPause={emitTimerPause}
+            onResume={emitTimerResume}
+            onExtend={emitTimerExtend}
+            onReset={emitTimerReset}
+            disabled={!isConnected}
+          />
         </div>
 
         <div className="session__header-right">
@@ -221,26 +1132,113 @@ function Session() {
           <PresenceIndicator 
             userCount={presence.userCount} 
             activeCount={presence.activeCount} 
+            users={presence.users}
+            currentUserId={userId}
           />
 
+          {isInterviewer && (
+            <ParticipantManager
+              waiting={waitingRoom}
+              users={presence.users}
+              onAdmit={emitParticipantAdmit}
+              onRemove={emitParticipantRemove}
+              disabled={!isConnected}
+            />
+          )}
+
           {/* Connection status */}
-          <div className={`session__status ${isConnected ? 'session__status--connected' : 'session__status--disconnected'}`}>
+          <div
+            className={`session__status ${isConnected ? 'session__status--connected' : 'session__status--disconnected'}`}
+            title={isOffline ? 'Your edits are saved locally and will sync when the connection comes back' : undefined}
+          >
             <span className="session__status-dot"></span>
             <span className="session__status-text">
-              {isConnected ? 'Connected' : 'Connecting...'}
+              {isConnected
+                ? 'Connected'
+                : isOffline
+                  ? `Offline — ${pendingChangeCount} unsynced change${pendingChangeCount === 1 ? '' : 's'}`
+                  : 'Connecting...'}
             </span>
           </div>
 
+          {/* Problem statement */}
+          <button
+            className={`session__panel-btn ${isProblemOpen ? 'session__panel-btn--active' : ''}`}
+            onClick={() => setIsProblemOpen(!isProblemOpen)}
+            title={isProblemOpen ? 'Hide problem statement' : 'Show problem statement'}
+          >
+            📄 Problem
+          </button>
+
+          {/* Chat toggle */}
+          <button
+            className={`session__panel-btn ${isChatOpen ? 'session__panel-btn--active' : ''}`}
+            onClick={() => setSidePanel(isChatOpen ? null : 'chat')}
+            title={isChatOpen ? 'Hide chat' : 'Show chat'}
+          >
+            💬 Chat
+            {unreadCount > 0 && (
+              <span className="session__chat-badge" aria-label={`${unreadCount} unread`}>
+                {unreadCount > 99 ? '99+' : unreadCount}
+              </span>
+            )}
+          </button>
+
+          {/* Private notes (interviewers only) */}
+          {isInterviewer && (
+            <button
+              className={`session__panel-btn ${sidePanel === 'notes' ? 'session__panel-btn--active' : ''}`}
+              onClick={() => setSidePanel(sidePanel === 'notes' ? null : 'notes')}
+              title={sidePanel === 'notes' ? 'Hide notes' : 'Private notes (never shown to candidates)'}
+            >
+              📝 Notes
+            </button>
+          )}
+
+          {/* Scorecard (interviewers only) */}
+          {isInterviewer && (
+            <button
+              className={`session__panel-btn ${sidePanel === 'scorecard' ? 'session__panel-btn--active' : ''}`}
+              onClick={() => setSidePanel(sidePanel === 'scorecard' ? null : 'scorecard')}
+              title={sidePanel === 'scorecard' ? 'Hide scorecard' : 'Rate the candidate (never shown to candidates)'}
+            >
+              📋 Scorecard
+            </button>
+          )}
+
+          {/* Line comments */}
+          <button
+            className={`session__panel-btn ${sidePanel === 'comments' ? 'session__panel-btn--active' : ''}`}
+            onClick={() => setSidePanel(sidePanel === 'comments' ? null : 'comments')}
+            title={sidePanel === 'comments' ? 'Hide comments' : 'Comments on the code'}
+          >
+            🗨 Comments
+            {openCommentCount > 0 && (
+              <span className="session__chat-badge" aria-label={`${openCommentCount} open`}>
+                {openCommentCount}
+              </span>
+            )}
+          </button>
+
+          {/* Version history */}
+          <button
+            className={`session__panel-btn ${sidePanel === 'history' ? 'session__panel-btn--active' : ''}`}
+            onClick={() => setSidePanel(sidePanel === 'history' ? null : 'history')}
+            title={sidePanel === 'history' ? 'Hide history' : 'Snapshots and version history'}
+          >
+            🕘 History
+          </button>
+
           {/* Theme toggle */}
           <ThemeToggle theme={theme} onToggle={toggleTheme} />
 
-          {/* Share button */}
+          {/* Share buttons */}
           <button 
             className="session__share-btn"
-            onClick={handleCopyLink}
-            title="Copy session link"
+            onClick={() => handleCopyLink('candidate')}
+            title="Copy candidate link"
           >
-            {copied ? (
+            {copiedLink === 'candidate' ? (
               <>
                 <svg viewBox="0 0 24 24" fill="none">
                   <path d="M20 6L9 17L4 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -257,6 +1255,28 @@ function Session() {
               </>
             )}
           </button>
+
+          {isInterviewer && (
+            <Link
+              to={`/session/${sessionId}/replay`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="session__share-btn session__share-btn--secondary"
+              title="Watch how the session unfolded (opens in a new tab)"
+            >
+              ⏪ Replay
+            </Link>
+          )}
+
+          {isInterviewer && (
+            <button 
+              className="session__share-btn session__share-btn--secondary"
+              onClick={() => handleCopyLink('interviewer')}
+              title="Copy interviewer link (grants interviewer access)"
+            >
+              {copiedLink === 'interviewer' ? 'Copied!' : 'Interviewer link'}
+            </button>
+          )}
         </div>
       </header>
 
@@ -264,18 +1284,37 @@ function Session() {
       <main className="session__main">
         {/* Toolbar */}
         <div className="session__toolbar">
+          <div className="session__views" role="tablist" aria-label="Workspace">
+            <button
+              className={`session__view ${workspaceView === 'code' ? 'session__view--active' : ''}`}
+              onClick={() => setWorkspaceView('code')}
+              role="tab"
+              aria-selected={workspaceView === 'code'}
+            >
+              {'</>'} Code
+            </button>
+            <button
+              className={`session__view ${workspaceView === 'whiteboard' ? 'session__view--active' : ''}`}
+              onClick={() => setWorkspaceView('whiteboard')}
+              role="tab"
+              aria-selected={workspaceView === 'whiteboard'}
+            >
+              ✏️ Whiteboard
+            </button>
+          </div>
+
           <div className="session__toolbar-left">
             <LanguageSelector
               value={language}
               onChange={handleLanguageChange}
-              disabled={!isConnected}
+              disabled={!isConnected || !isInterviewer}
             />
             
             {/* Run Button */}
             <button
               className="session__run-btn"
               onClick={handleRunCode}
-              disabled={!isConnected || localIsRunning || isPyodideLoading || language === 'other'}
+              disabled={!isConnected || localIsRunning || isRunningTests || isPyodideLoading || language === 'other'}
               title={language === 'other' ? 'Execution not supported for this language' : 'Run code (Ctrl+Enter)'}
             >
               {localIsRunning ? (
@@ -292,8 +1331,75 @@ function Session() {
                 </>
               )}
             </button>
+
+            <button
+              className="session__tests-btn"
+              onClick={handleRunTests}
+              disabled={!isConnected || isRunningTests || localIsRunning || isPyodideLoading || language === 'other' || testCases.length === 0}
+              title={testCases.length === 0 ? 'This session has no test cases' : 'Run the test cases'}
+            >
+              {isRunningTests ? 'Testing...' : '✓ Run tests'}
+            </button>
+
+            {/* Editor lock (interviewers only) */}
+            {isInterviewer && (
+              <button
+                className={`session__lock-btn ${isLocked ? 'session__lock-btn--locked' : ''}`}
+                onClick={handleToggleLock}
+                disabled={!isConnected}
+                title={isLocked ? 'Let candidates edit again' : 'Make the code read-only for candidates'}
+              >
+                {isLocked ? '🔒 Unlock editor' : '🔓 Lock editor'}
+              </button>
+            )}
+
+            {isInterviewer && (
+              <button
+                className="session__end-btn"
+                onClick={handleEndInterview}
+                disabled={!isConnected}
+                title="Disconnect everyone and keep the final code as a read-only archive"
+              >
+                🏁 End interview
+              </button>
+            )}
+
+            {isTimeUpLocked ? (
+              <span className="session__locked-badge">⏰ Time is up: the code is read-only</span>
+            ) : !isInterviewer && isLocked && (
+              <span className="session__locked-badge">🔒 Editor locked by the interviewer</span>
+            )}
+
+            {/* Follow me mode */}
+            {presenter ? (
+              <div className={`session__follow ${isFollowing ? 'session__follow--active' : ''}`}>
+                <span className="session__follow-dot" style={{ backgroundColor: presenter.color }}></span>
+                <span className="session__follow-text">
+                  {isFollowing ? `Following ${presenter.name}` : `${presenter.name} is presenting`}
+                </span>
+                <button
+                  className="session__follow-btn"
+                  onClick={() => setIsFollowing(!isFollowing)}
+                >
+                  {isFollowing ? 'Stop following' : 'Follow'}
+                </button>
+              </div>
+            ) : (
+              <button
+                className={`session__present-btn ${isPresenting ? 'session__present-btn--active' : ''}`}
+                onClick={handleTogglePresenting}
+                disabled={!isConnected}
+                title={isPresenting ? 'Stop sharing your viewport' : 'Make everyone follow your scrolling'}
+              >
+                {isPresenting ? '📡 Stop presenting' : '📡 Present'}
+              </button>
+            )}
           </div>
           
+          {notice && (
+            <span className="session__notice" role="status">{notice}</span>
+          )}
+          
           {connectionError && (
             <div className="session__error">
               <svg viewBox="0 0 24 24" fill="none">
@@ -305,25 +1411,77 @@ function Session() {
           )}
         </div>
 
-        {/* Code editor */}
-        <div className="session__editor">
+        {/* Whiteboard (the code stays mounted underneath so editors keep their state) */}
+        {workspaceView === 'whiteboard' && !isLoading && (
+          <Whiteboard
+            elements={whiteboard}
+            onAdd={handleWhiteboardAdd}
+            onUpdate={handleWhiteboardUpdate}
+            onDelete={handleWhiteboardDelete}
+            onClear={handleWhiteboardClear}
+            disabled={!isConnected}
+          />
+        )}
+
+        {/* Files and code editor */}
+        <div className={`session__workspace ${workspaceView === 'whiteboard' && !isLoading ? 'session__workspace--hidden' : ''}`}>
           {isLoading ? (
             <div className="session__loading">
               <div className="session__loading-spinner"></div>
               <p>Loading session...</p>
             </div>
           ) : (
-            <CodeEditor
-              value={code}
-              onChange={handleCodeChange}
-              language={language}
-              disabled={!isConnected}
-            />
+            <>
+              <FileExplorer
+                files={files}
+                activeFileId={activeFileId}
+                onSelect={handleSelectFile}
+                onCreate={emitFileCreate}
+                onRename={emitFileRename}
+                onDelete={emitFileDelete}
+                disabled={!canManageFiles}
+              />
+              {isProblemOpen && (
+                <ProblemPanel
+                  statement={problemStatement}
+                  canEdit={isInterviewer}
+                  onSave={handleProblemSave}
+                  onClose={() => setIsProblemOpen(false)}
+                  disabled={!isConnected}
+                />
+              )}
+              <div className="session__editor">
+                <EditorTabs
+                  tabs={openFileIds
+                    .map(fileId => files.find(file => file.id === fileId))
+                    .filter(Boolean)}
+                  activeFileId={activeFileId}
+                  onSelect={handleSelectFile}
+                  onClose={handleCloseTab}
+                />
+                <CodeEditor
+                  ref={editorRef}
+                  value={code}
+                  onChange={handleCodeChange}
+                  language={language}
+                  path={activeFileId}
+                  fileName={activeFile?.name}
+                  disabled={isReadOnly}
+                  remoteCursors={editorCursors}
+                  onCursorChange={handleCursorChange}
+                  onViewportChange={handleViewportChange}
+                  followViewport={followViewport}
+                  comments={editorComments}
+                  onAddComment={isConnected ? handleAddCommentRange : undefined}
+                  onSelectComment={handleSelectCommentGlyph}
+                />
+              </div>
+            </>
           )}
         </div>
         
         {/* Output Panel */}
-        <div className="session__output">
+        <div className={`session__output ${workspaceView === 'whiteboard' && !isLoading ? 'session__output--hidden' : ''}`}>
           <OutputPanel
             output={displayOutput}
             error={displayError}
@@ -332,9 +1490,116 @@ function Session() {
             loadingMessage={loadingMessage}
             isRemote={isRemoteOutput}
             onClear={handleClearOutput}
+            tests={{
+              testCases,
+              testRun: testResults,
+              canEdit: isInterviewer,
+              onChange: emitTestCasesChange,
+              disabled: !isConnected
+            }}
+            hiddenTests={isInterviewer ? {
+              testCases: hiddenTestCases,
+              testRun: hiddenTestResults,
+              canEdit: true,
+              onChange: emitHiddenTestCasesChange,
+              disabled: !isConnected,
+              onRun: handleRunHiddenTests,
+              canRun: !isRunningTests && !localIsRunning && !isPyodideLoading && language !== 'other' && hiddenTestCases.length > 0
+            } : null}
+          />
+          <StdinPanel
+            value={stdin}
+            onChange={handleStdinChange}
+            disabled={!isConnected || isReadOnly}
+            interactive={interactive}
+            onInteractiveChange={setInteractive}
+            interactiveSupported={isInteractiveInputSupported()}
+            isWaitingForInput={isWaitingForInput}
+            onSubmitInput={submitInput}
+            onEndInput={endInput}
           />
         </div>
       </main>
+
+      {isChatOpen && (
+        <ChatPanel
+          messages={messages}
+          onSend={emitChatMessage}
+          onClose={() => setSidePanel(null)}
+          disabled={!isConnected}
+        />
+      )}
+
+      {sidePanel === 'notes' && isInterviewer && (
+        <NotesPanel
+          notes={notes}
+          onAdd={emitNoteAdd}
+          onDelete={emitNoteDelete}
+          onClose={() => setSidePanel(null)}
+          disabled={!isConnected}
+        />
+      )}
+
+      {sidePanel === 'scorecard' && isInterviewer && (
+        <ScorecardPanel
+          evaluation={scorecard.evaluation}
+          error={scorecard.error}
+          isLoading={scorecard.isLoading}
+          isSaving={scorecard.isSaving}
+          onSubmit={(values) => scorecard.submit(values, displayName)}
+          onSaveRubric={scorecard.saveRubric}
+          onClose={() => setSidePanel(null)}
+        />
+      )}
+
+      {sidePanel === 'history' && (
+        <HistoryPanel
+          snapshots={snapshots}
+          onCreate={(name) => emitSnapshotCreate({ name })}
+          onPreview={handlePreviewSnapshot}
+          onCompare={() => handleCompare()}
+          onClose={() => setSidePanel(null)}
+          disabled={!isConnected}
+        />
+      )}
+
+      {sidePanel === 'comments' && (
+        <CommentsPanel
+          comments={comments}
+          files={files}
+          codes={codes}
+          pendingComment={pendingComment}
+          selectedCommentId={selectedCommentId}
+          onAdd={handleAddComment}
+          onCancelPending={() => setPendingComment(null)}
+          onReply={emitCommentReply}
+          onResolve={emitCommentResolve}
+          onSelect={handleShowComment}
+          onClose={() => setSidePanel(null)}
+          disabled={!isConnected}
+        />
+      )}
+
+      {preview && (
+        <SnapshotPreview
+          snapshot={preview.snapshot}
+          error={preview.error}
+          onRestore={handleRestoreSnapshot}
+          onCompare={handleCompare}
+          onClose={handleClosePreview}
+          canRestore={canManageFiles}
+        />
+      )}
+
+      {comparison && (
+        <SnapshotDiff
+          snapshots={snapshots}
+          currentFiles={currentFiles}
+          loadSnapshot={loadSnapshot}
+          initialFromId={comparison.fromId}
+          onClose={handleCloseComparison}
+        />
+      )}
     </div>
   );
 }
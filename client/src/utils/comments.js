@@ -0,0 +1,42 @@
+/**
+ * Review comments
+ *
+ * Comments are anchored to character offsets of a file. The server moves the
+ * anchors along with every edit; clients do the same for the edits they see
+ * so comments stay on the right lines between updates.
+ */
+
+/**
+ * Move the comments of an edited file so they stay on the same code
+ * @param {Array} comments - [{ fileId, start, end, ... }]
+ * @param {TextOperation} operation - Edit applied to the file
+ * @param {string} fileId - Edited file
+ * @returns {Array} The comments, with new anchors for those in the file
+ */
+export function transformComments(comments, operation, fileId) {
+  if (!comments.some(comment => comment.fileId === fileId)) return comments;
+
+  return comments.map((comment) => {
+    if (comment.fileId !== fileId) return comment;
+    const start = operation.transformIndex(comment.start);
+    return { ...comment, start, end: Math.max(start, operation.transformIndex(comment.end)) };
+  });
+}
+
+/**
+ * Lines covered by a comment
+ * @param {string} code - File contents
+ * @param {Object} comment - { start, end }
+ * @returns {Object} { startLine, endLine } (1-based)
+ */
+export function commentLines(code, { start, end }) {
+  const lineAt = (offset) => code.slice(0, Math.min(offset, code.length)).split('\n').length;
+  return { startLine: lineAt(start), endLine: lineAt(end) };
+}
+
+/**
+ * Human-readable lines of a comment ("line 3" or "lines 3–5")
+ */
+export function formatCommentLines({ startLine, endLine }) {
+  return startLine === endLine ? `line ${startLine}` : `lines ${startLine}–${endLine}`;
+}
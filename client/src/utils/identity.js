@@ -0,0 +1,138 @@
+/**
+ * Participant identity
+ *
+ * Persists the local participant's ID, display name, interviewer tokens,
+ * evaluator tokens, participant tokens and session passcodes in localStorage
+ * so they survive reloads.
+ */
+
+const PARTICIPANT_ID_KEY = 'codecollab-participant-id';
+const DISPLAY_NAME_KEY = 'codecollab-display-name';
+
+/**
+ * Get (or create) the stable ID identifying this browser
+ * @returns {string}
+ */
+export function getParticipantId() {
+  let id = localStorage.getItem(PARTICIPANT_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(PARTICIPANT_ID_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * @returns {string|null} The remembered display name, if any
+ */
+export function getStoredDisplayName() {
+  return localStorage.getItem(DISPLAY_NAME_KEY) || null;
+}
+
+/**
+ * Remember the display name for future sessions
+ * @param {string} name
+ */
+export function storeDisplayName(name) {
+  localStorage.setItem(DISPLAY_NAME_KEY, name);
+}
+
+/**
+ * localStorage key holding the interviewer token for a session
+ */
+function sessionTokenKey(sessionId) {
+  return `codecollab-token-${sessionId}`;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {string|null} The interviewer token saved for this session, if any
+ */
+export function getSessionToken(sessionId) {
+  return localStorage.getItem(sessionTokenKey(sessionId)) || null;
+}
+
+/**
+ * Remember the interviewer token for a session
+ * @param {string} sessionId
+ * @param {string} token
+ */
+export function storeSessionToken(sessionId, token) {
+  localStorage.setItem(sessionTokenKey(sessionId), token);
+}
+
+/**
+ * localStorage key holding the evaluator token for a session
+ */
+function evaluatorTokenKey(sessionId) {
+  return `codecollab-evaluator-token-${sessionId}`;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {string|null} The token identifying us on this session's scorecard, if any
+ */
+export function getEvaluatorToken(sessionId) {
+  return localStorage.getItem(evaluatorTokenKey(sessionId)) || null;
+}
+
+/**
+ * Remember the evaluator token the server gave us for a session
+ * @param {string} sessionId
+ * @param {string} token
+ */
+export function storeEvaluatorToken(sessionId, token) {
+  localStorage.setItem(evaluatorTokenKey(sessionId), token);
+}
+
+/**
+ * localStorage key holding the participant token of a session
+ */
+function participantTokenKey(sessionId) {
+  return `codecollab-participant-token-${sessionId}`;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {string|null} The token the server gave us when it let us into this session, if any
+ */
+export function getParticipantToken(sessionId) {
+  return localStorage.getItem(participantTokenKey(sessionId)) || null;
+}
+
+/**
+ * Remember the participant token the server gave us for a session
+ * @param {string} sessionId
+ * @param {string} token
+ */
+export function storeParticipantToken(sessionId, token) {
+  localStorage.setItem(participantTokenKey(sessionId), token);
+}
+
+/**
+ * localStorage key holding the passcode of a session
+ */
+function sessionPasscodeKey(sessionId) {
+  return `codecollab-passcode-${sessionId}`;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {string|null} The passcode that last let us into this session, if any
+ */
+export function getSessionPasscode(sessionId) {
+  return localStorage.getItem(sessionPasscodeKey(sessionId)) || null;
+}
+
+/**
+ * Remember the passcode of a session, or forget it (null)
+ * @param {string} sessionId
+ * @param {string|null} passcode
+ */
+export function storeSessionPasscode(sessionId, passcode) {
+  if (passcode) {
+    localStorage.setItem(sessionPasscodeKey(sessionId), passcode);
+  } else {
+    localStorage.removeItem(sessionPasscodeKey(sessionId));
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Markdown rendering
+ *
+ * Turns the problem statement into HTML that is safe to inject: GitHub
+ * flavored Markdown (tables, fenced code blocks) sanitized with DOMPurify.
+ * Images must be embedded as data URIs; the page's content security policy
+ * would block any other source anyway, so those images are dropped.
+ */
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+const markdown = new Marked({ gfm: true, async: false });
+
+const IMAGE_DATA_URI_PATTERN = /^data:image\/[a-z0-9.+-]+[;,]/i;
+
+// Own instance so the hooks below do not leak into other users of DOMPurify
+const purify = DOMPurify(window);
+
+purify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'IMG' && !IMAGE_DATA_URI_PATTERN.test(node.getAttribute('src') ?? '')) {
+    node.remove();
+    return;
+  }
+  // Links leave the session in a new tab
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} text - Markdown source
+ * @returns {string} HTML safe to use with dangerouslySetInnerHTML
+ */
+export function renderMarkdown(text) {
+  if (!text) return '';
+  return purify.sanitize(markdown.parse(text), { ADD_ATTR: ['target'] });
+}
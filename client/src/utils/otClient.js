@@ -0,0 +1,212 @@
+/**
+ * OTClient - Client side of the operational transformation protocol
+ *
+ * Keeps at most one operation in flight to the server:
+ * - outstanding: sent, waiting for code-ack
+ * - buffer: local edits made while waiting, composed into one operation
+ *
+ * Remote operations are transformed against both before being applied
+ * locally, so every client converges on the server's document.
+ *
+ * The client also tracks the resulting document and can be serialized,
+ * so edits made while offline survive a reload and are rebased onto the
+ * server's history once the connection comes back (see reconnect()).
+ */
+import { TextOperation } from '../../../shared/textOperation.js';
+
+/**
+ * Unique ID for an operation sent to the server
+ */
+function createOperationId() {
+  return crypto.randomUUID();
+}
+
+export class OTClient {
+  /**
+   * @param {number} revision - Server revision the local document is based on
+   * @param {Function} sendOperation - (revision, operation, opId) => void
+   * @param {Function} applyOperation - (operation) => void, applies a remote edit locally
+   * @param {string} [document] - Local document at `revision`
+   */
+  constructor(revision, sendOperation, applyOperation, document = '') {
+    this.revision = revision;
+    this.document = document;
+    this.outstanding = null;
+    this.outstandingId = null;
+    this.buffer = null;
+    // Number of local edits folded into outstanding / buffer
+    this.outstandingCount = 0;
+    this.bufferCount = 0;
+    this.sendOperation = sendOperation;
+    this.applyOperation = applyOperation;
+  }
+
+  /**
+   * Whether local edits are still waiting to be acknowledged
+   */
+  hasPendingChanges() {
+    return this.outstanding !== null;
+  }
+
+  /**
+   * Number of local edits the server has not acknowledged yet
+   */
+  getPendingCount() {
+    return this.outstandingCount + this.bufferCount;
+  }
+
+  /**
+   * Handle an edit made in the local editor
+   * @param {TextOperation} operation
+   */
+  applyClient(operation) {
+    if (operation.isNoop()) return;
+
+    this.document = operation.apply(this.document);
+
+    if (!this.outstanding) {
+      this.outstanding = operation;
+      this.outstandingId = createOperationId();
+      this.outstandingCount = 1;
+      this.sendOperation(this.revision, operation, this.outstandingId);
+    } else if (!this.buffer) {
+      this.buffer = operation;
+      this.bufferCount = 1;
+    } else {
+      this.buffer = this.buffer.compose(operation);
+      this.bufferCount++;
+    }
+  }
+
+  /**
+   * Handle an operation broadcast by the server
+   * @param {TextOperation} operation
+   */
+  applyServer(operation) {
+    this.revision++;
+
+    let remote = operation;
+    if (this.outstanding) {
+      [this.outstanding, remote] = TextOperation.transform(this.outstanding, remote);
+    }
+    if (this.buffer) {
+      [this.buffer, remote] = TextOperation.transform(this.buffer, remote);
+    }
+
+    this.document = remote.apply(this.document);
+    this.applyOperation(remote);
+  }
+
+  /**
+   * Handle the server acknowledging the outstanding operation
+   */
+  serverAck() {
+    this.acknowledge();
+
+    if (this.outstanding) {
+      this.sendOperation(this.revision, this.outstanding, this.outstandingId);
+    }
+  }
+
+  /**
+   * Catch up with the server after (re)joining
+   * Operations the server applied while we were away are replayed in order;
+   * our own outstanding edit counts as acknowledged when it is among them,
+   * otherwise it never arrived and is sent again.
+   * @param {Array} missed - [{ operation: TextOperation, opId }] applied since this.revision
+   */
+  reconnect(missed) {
+    for (const { operation, opId } of missed) {
+      if (this.outstanding && opId === this.outstandingId) {
+        this.acknowledge();
+      } else {
+        this.applyServer(operation);
+      }
+    }
+
+    if (this.outstanding) {
+      this.sendOperation(this.revision, this.outstanding, this.outstandingId);
+    }
+  }
+
+  /**
+   * Promote the buffer to the outstanding operation (without sending it)
+   */
+  acknowledge() {
+    this.revision++;
+    this.outstanding = this.buffer;
+    this.outstandingId = this.buffer ? createOperationId() : null;
+    this.outstandingCount = this.bufferCount;
+    this.buffer = null;
+    this.bufferCount = 0;
+  }
+
+  /**
+   * Serializable snapshot of the local state, for persisting unsynced edits
+   */
+  toJSON() {
+    return {
+      revision: this.revision,
+      document: this.document,
+      outstanding: this.outstanding?.toJSON() ?? null,
+      outstandingId: this.outstandingId,
+      outstandingCount: this.outstandingCount,
+      buffer: this.buffer?.toJSON() ?? null,
+      bufferCount: this.bufferCount
+    };
+  }
+
+  /**
+   * Restore a client from toJSON() output
+   * @param {Object} data - Snapshot as produced by toJSON()
+   * @param {Function} sendOperation - See constructor
+   * @param {Function} applyOperation - See constructor
+   * @returns {OTClient}
+   * @throws {Error} If the snapshot is malformed
+   */
+  static fromJSON(data, sendOperation, applyOperation) {
+    if (!data || !Number.isInteger(data.revision) || typeof data.document !== 'string') {
+      throw new Error('Invalid OT client snapshot');
+    }
+
+    const client = new OTClient(data.revision, sendOperation, applyOperation, data.document);
+    if (data.outstanding) {
+      client.outstanding = TextOperation.fromJSON(data.outstanding);
+      client.outstandingId = String(data.outstandingId);
+      client.outstandingCount = data.outstandingCount || 1;
+    }
+    if (data.buffer) {
+      client.buffer = TextOperation.fromJSON(data.buffer);
+      client.bufferCount = data.bufferCount || 1;
+    }
+    return client;
+  }
+}
+
+/**
+ * Convert Monaco content change events into a single TextOperation
+ * Monaco reports every change of one event against the document as it was
+ * before the event, which maps directly onto a left-to-right operation.
+ * @param {Array} changes - IModelContentChange[] ({ rangeOffset, rangeLength, text })
+ * @param {number} newLength - Length of the document after the changes
+ * @returns {TextOperation}
+ */
+export function operationFromMonacoChanges(changes, newLength) {
+  const sorted = [...changes].sort((a, b) => a.rangeOffset - b.rangeOffset);
+
+  const oldLength = sorted.reduce(
+    (length, change) => length - change.text.length + change.rangeLength,
+    newLength
+  );
+
+  const operation = new TextOperation();
+  let index = 0;
+  for (const change of sorted) {
+    operation
+      .retain(change.rangeOffset - index)
+      .delete(change.rangeLength)
+      .insert(change.text);
+    index = change.rangeOffset + change.rangeLength;
+  }
+  return operation.retain(oldLength - index);
+}
@@ -0,0 +1,50 @@
+/**
+ * Unsynced edits
+ *
+ * Persists the OT client state of a session in localStorage while it has
+ * edits the server has not acknowledged, so work done offline survives
+ * a reload and can be reconciled on the next connection.
+ */
+
+/**
+ * localStorage key holding the unsynced edits of a session
+ */
+function pendingChangesKey(sessionId) {
+  return `codecollab-pending-${sessionId}`;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {Object|null} The saved OTClient snapshot, if any
+ */
+export function loadPendingChanges(sessionId) {
+  try {
+    const saved = localStorage.getItem(pendingChangesKey(sessionId));
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('[pendingChanges] Ignoring unreadable unsynced edits:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the OTClient snapshot of a session
+ * @param {string} sessionId
+ * @param {Object} snapshot - OTClient#toJSON() output
+ */
+export function savePendingChanges(sessionId, snapshot) {
+  try {
+    localStorage.setItem(pendingChangesKey(sessionId), JSON.stringify(snapshot));
+  } catch (error) {
+    // Quota exceeded or storage disabled: edits are still kept in memory
+    console.warn('[pendingChanges] Failed to save unsynced edits:', error);
+  }
+}
+
+/**
+ * Forget the unsynced edits of a session (everything was acknowledged)
+ * @param {string} sessionId
+ */
+export function clearPendingChanges(sessionId) {
+  localStorage.removeItem(pendingChangesKey(sessionId));
+}
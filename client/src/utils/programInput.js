@@ -0,0 +1,105 @@
+/**
+ * Standard input for programs run in the browser
+ *
+ * Programs read the shared stdin text line by line. In interactive mode,
+ * once those lines are used up, the worker running the program blocks on
+ * a SharedArrayBuffer until the user types the next line on the main thread.
+ * Blocking needs cross-origin isolation (see the server's COEP header).
+ *
+ * Channel layout: [state, byteLength] (Int32) followed by the UTF-8 line.
+ */
+
+const STATE_WAITING = 0;
+const STATE_READY = 1;
+const STATE_CLOSED = 2;
+
+const HEADER_BYTES = 8;
+export const MAX_INPUT_LINE_BYTES = 64 * 1024;
+
+/**
+ * Whether this page can pause programs for interactive input
+ * @returns {boolean}
+ */
+export function isInteractiveInputSupported() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Create the buffer shared with a worker for interactive input
+ * @returns {SharedArrayBuffer}
+ */
+export function createInputChannel() {
+  return new SharedArrayBuffer(HEADER_BYTES + MAX_INPUT_LINE_BYTES);
+}
+
+/**
+ * Hand a typed line to the waiting program (main thread)
+ * Lines longer than MAX_INPUT_LINE_BYTES are truncated.
+ */
+export function sendInputLine(channel, line) {
+  const header = new Int32Array(channel, 0, 2);
+  const { written } = new TextEncoder().encodeInto(line, new Uint8Array(channel, HEADER_BYTES));
+  Atomics.store(header, 1, written);
+  Atomics.store(header, 0, STATE_READY);
+  Atomics.notify(header, 0);
+}
+
+/**
+ * Signal end of input: the waiting read, and every later one, gets EOF (main thread)
+ */
+export function closeInput(channel) {
+  const header = new Int32Array(channel, 0, 2);
+  Atomics.store(header, 0, STATE_CLOSED);
+  Atomics.notify(header, 0);
+}
+
+/**
+ * Block until the next typed line arrives (worker)
+ * @returns {string|null} The line, or null at end of input
+ */
+export function waitForInputLine(channel) {
+  const header = new Int32Array(channel, 0, 2);
+  Atomics.wait(header, 0, STATE_WAITING);
+  if (Atomics.load(header, 0) === STATE_CLOSED) return null;
+
+  const length = Atomics.load(header, 1);
+  // TextDecoder refuses shared memory: copy first
+  const line = new TextDecoder().decode(new Uint8Array(channel, HEADER_BYTES, length).slice());
+  Atomics.store(header, 0, STATE_WAITING);
+  return line;
+}
+
+/**
+ * Split stdin text into lines (a trailing newline does not add an empty line)
+ * @param {string} stdin
+ * @returns {string[]}
+ */
+export function splitInputLines(stdin) {
+  if (!stdin) return [];
+  const lines = stdin.replace(/\r\n?/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Build the line reader a program's input() calls (worker)
+ * @param {string} stdin - Shared stdin text, read first
+ * @param {SharedArrayBuffer|null} channel - Interactive input channel, null for EOF after stdin
+ * @param {Function} onInputRequest - Called before blocking for a typed line
+ * @returns {Function} () => { line, typed } or null at end of input
+ */
+export function createLineReader(stdin, channel, onInputRequest) {
+  const lines = splitInputLines(stdin);
+  let next = 0;
+
+  return () => {
+    if (next < lines.length) {
+      return { line: lines[next++], typed: false };
+    }
+    if (!channel) return null;
+
+    onInputRequest();
+    const line = waitForInputLine(channel);
+    return line === null ? null : { line, typed: true };
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Session replay
+ *
+ * Rebuilds the workspace and the console at any point of a session from its
+ * replay log (GET /api/sessions/:id/replay). Playback time skips long idle
+ * stretches so a replay does not spend minutes on nothing.
+ */
+import { TextOperation } from '../../../shared/textOperation.js';
+
+// Pauses longer than this are shortened to it during playback
+export const MAX_IDLE_MS = 2000;
+
+// A copy of the state is kept every this many events so seeking stays fast
+const KEYFRAME_INTERVAL = 500;
+
+const EMPTY_STATE = {
+  files: [],
+  output: { output: '', error: null, isRunning: false },
+  lastEditedFileId: null
+};
+
+/**
+ * Copy a state so it can be changed without touching the original
+ */
+function cloneState(state) {
+  return {
+    files: state.files.map(file => ({ ...file })),
+    output: { ...state.output },
+    lastEditedFileId: state.lastEditedFileId
+  };
+}
+
+/**
+ * Apply one logged event to a state (in place)
+ */
+function applyEvent(state, event) {
+  const file = state.files.find(f => f.id === event.fileId);
+
+  switch (event.type) {
+    case 'file-create':
+      state.files.push({ ...event.file });
+      state.lastEditedFileId = event.file.id;
+      break;
+    case 'file-rename':
+      if (file) {
+        file.name = event.name;
+        file.language = event.language;
+      }
+      break;
+    case 'file-delete':
+      state.files = state.files.filter(f => f.id !== event.fileId);
+      if (state.lastEditedFileId === event.fileId) {
+        state.lastEditedFileId = null;
+      }
+      break;
+    case 'edit':
+      if (file) {
+        file.code = TextOperation.fromJSON(event.operation).apply(file.code);
+        state.lastEditedFileId = file.id;
+      }
+      break;
+    case 'language':
+      if (file) {
+        file.language = event.language;
+      }
+      break;
+    case 'run':
+    case 'output':
+      state.output = { output: event.output, error: event.error, isRunning: event.type === 'run' };
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Index of the first value greater than target in a sorted array
+ */
+function upperBound(values, target) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (values[mid] <= target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Prepare a replay log for playback
+ * @param {Array} events - [{ type, at, ...data }], oldest first
+ * @returns {Object} {
+ *   duration: playback length (ms),
+ *   times: playback time of each event (ms),
+ *   runTimes: playback times at which a run started,
+ *   eventCountAt(time): how many events happened up to a playback time,
+ *   stateAt(count): { files, output, lastEditedFileId } after that many events
+ * }
+ */
+export function createReplay(events) {
+  const times = [];
+  const runTimes = [];
+  const keyframes = [cloneState(EMPTY_STATE)];
+
+  const state = cloneState(EMPTY_STATE);
+  events.forEach((event, index) => {
+    const previous = events[index - 1];
+    const time = previous
+      ? times[index - 1] + Math.min(Math.max(event.at - previous.at, 0), MAX_IDLE_MS)
+      : 0;
+    times.push(time);
+
+    if (event.type === 'run' && !state.output.isRunning) {
+      runTimes.push(time);
+    }
+    applyEvent(state, event);
+
+    if ((index + 1) % KEYFRAME_INTERVAL === 0) {
+      keyframes.push(cloneState(state));
+    }
+  });
+
+  return {
+    duration: times.length > 0 ? times[times.length - 1] : 0,
+    times,
+    runTimes,
+    eventCountAt: (time) => upperBound(times, time),
+    stateAt: (count) => {
+      const target = Math.max(0, Math.min(count, events.length));
+      const keyframeIndex = Math.floor(target / KEYFRAME_INTERVAL);
+      const result = cloneState(keyframes[keyframeIndex]);
+      for (let i = keyframeIndex * KEYFRAME_INTERVAL; i < target; i++) {
+        applyEvent(result, events[i]);
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Format a playback time as m:ss
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatPlaybackTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
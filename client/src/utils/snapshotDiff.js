@@ -0,0 +1,59 @@
+/**
+ * Workspace comparison
+ *
+ * Pairs up the files of two versions of a workspace (snapshots or the
+ * current code) so each pair can be shown in a diff editor.
+ */
+
+/**
+ * Compare the files of two versions of a workspace
+ * Files are matched by ID, then by name (ignoring case), like a restore does.
+ * @param {Array} fromFiles - Older version [{ id, name, language, code }]
+ * @param {Array} toFiles - Newer version [{ id, name, language, code }]
+ * @returns {Array} [{ key, name, from, to, status, renamed }] in the newer version's order,
+ *   files only in the older version last; status is 'added', 'removed',
+ *   'modified' or 'unchanged' and renamed tells whether the name changed
+ */
+export function compareWorkspaces(fromFiles, toFiles) {
+  const unmatched = new Map(fromFiles.map(file => [file.id, file]));
+
+  // Match by ID first so a renamed file is not taken by a new file with its old name
+  const matches = new Map();
+  for (const file of toFiles) {
+    if (unmatched.has(file.id)) {
+      matches.set(file.id, unmatched.get(file.id));
+      unmatched.delete(file.id);
+    }
+  }
+  for (const file of toFiles) {
+    if (matches.has(file.id)) continue;
+    const match = Array.from(unmatched.values()).find(
+      candidate => candidate.name.toLowerCase() === file.name.toLowerCase()
+    );
+    if (match) {
+      matches.set(file.id, match);
+      unmatched.delete(match.id);
+    }
+  }
+
+  const entries = toFiles.map((to) => {
+    const from = matches.get(to.id) ?? null;
+    let status = 'added';
+    if (from) {
+      status = from.code === to.code ? 'unchanged' : 'modified';
+    }
+    return {
+      key: to.id,
+      name: to.name,
+      from,
+      to,
+      status,
+      renamed: Boolean(from) && from.name !== to.name
+    };
+  });
+
+  for (const from of unmatched.values()) {
+    entries.push({ key: from.id, name: from.name, from, to: null, status: 'removed', renamed: false });
+  }
+  return entries;
+}
@@ -0,0 +1,69 @@
+/**
+ * Test case results
+ *
+ * Turns a run of the code against a test case into a pass/fail result,
+ * and summarizes results for the tests table.
+ */
+import { MAX_TEST_CASE_LENGTH } from '../../../shared/tests.js';
+
+/**
+ * Output as compared with the expected output: line endings unified,
+ * trailing spaces and trailing blank lines ignored
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeOutput(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+function truncate(text) {
+  return text.length > MAX_TEST_CASE_LENGTH ? `${text.slice(0, MAX_TEST_CASE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Result of a test case
+ * @param {Object} testCase - { id, expectedOutput, assertion }
+ * @param {Object} run - What the worker returned: { success, output, error, timedOut, durationMs, assertion?: { passed, value } }
+ * @returns {Object} { testCaseId, status, actual, error, durationMs }
+ */
+export function testCaseResult(testCase, run) {
+  const result = {
+    testCaseId: testCase.id,
+    actual: truncate(run.output ?? ''),
+    error: null,
+    durationMs: Math.round(run.durationMs ?? 0)
+  };
+
+  if (run.timedOut) {
+    return { ...result, status: 'timeout', error: run.error };
+  }
+  if (!run.success) {
+    return { ...result, status: 'error', error: truncate(run.error ?? 'Unknown error') };
+  }
+  if (testCase.assertion) {
+    return { ...result, status: run.assertion?.passed ? 'passed' : 'failed', actual: truncate(run.assertion?.value ?? '') };
+  }
+
+  const passed = normalizeOutput(run.output ?? '') === normalizeOutput(testCase.expectedOutput);
+  return { ...result, status: passed ? 'passed' : 'failed' };
+}
+
+/**
+ * Count the passed tests of a run, ignoring results of test cases since removed
+ * @param {Array} testCases - [{ id }]
+ * @param {Array} results - [{ testCaseId, status }]
+ * @returns {Object} { passed, total }
+ */
+export function summarizeTestResults(testCases, results) {
+  const ids = new Set(testCases.map(testCase => testCase.id));
+  const current = results.filter(result => ids.has(result.testCaseId));
+  return {
+    passed: current.filter(result => result.status === 'passed').length,
+    total: current.length
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Timer helpers
+ *
+ * Reading the phases an interviewer types ("intro 5m, coding 35m, Q&A 5m")
+ * and formatting what is left of the countdown.
+ */
+
+const UNIT_MS = {
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  s: 1000
+};
+
+/**
+ * Parse comma-separated phases, each a name followed by a duration
+ * ("coding 35m", "1h", "Q&A 5"); durations without a unit are minutes
+ * @param {string} text
+ * @returns {Array|null} [{ name, durationMs }], or null if a phase has no valid duration
+ */
+export function parsePhases(text) {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const phases = [];
+  for (const part of parts) {
+    const match = /^(.*?)\s*(\d+(?:\.\d+)?)\s*(h|min|m|s)?$/i.exec(part);
+    if (!match) return null;
+    const [, name, amount, unit = 'm'] = match;
+    const durationMs = Math.round(Number(amount) * UNIT_MS[unit.toLowerCase()]);
+    if (durationMs <= 0) return null;
+    phases.push({ name: name.trim(), durationMs });
+  }
+  return phases;
+}
+
+/**
+ * A duration as a countdown clock: "4:05", "1:02:09"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatClock(ms) {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Whiteboard geometry and export
+ *
+ * Helpers for drawing the shared whiteboard as SVG: where an element sits,
+ * where connectors start and end, and turning the board into an image.
+ */
+import { BOARD_WIDTH, BOARD_HEIGHT } from '../../../shared/whiteboard.js';
+
+export const TEXT_FONT_SIZE = 20;
+
+// Approximate width of a character relative to the font size
+const CHARACTER_WIDTH = 0.6;
+
+/**
+ * Convert a pointer position to board coordinates
+ * The board is scaled to fit the SVG element and centered in it.
+ * @param {Element} svg - The board's SVG element
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {Object} { x, y }
+ */
+export function toBoardPoint(svg, clientX, clientY) {
+  const rect = svg.getBoundingClientRect();
+  const scale = Math.min(rect.width / BOARD_WIDTH, rect.height / BOARD_HEIGHT) || 1;
+  const offsetX = (rect.width - BOARD_WIDTH * scale) / 2;
+  const offsetY = (rect.height - BOARD_HEIGHT * scale) / 2;
+
+  return {
+    x: Math.round((clientX - rect.left - offsetX) / scale),
+    y: Math.round((clientY - rect.top - offsetY) / scale)
+  };
+}
+
+/**
+ * Box around an element
+ * @param {Object} element - Any element but a connector
+ * @returns {Object} { x, y, width, height }
+ */
+export function elementBounds(element) {
+  switch (element.type) {
+    case 'text':
+      return {
+        x: element.x,
+        y: element.y,
+        width: Math.max(1, element.text.length) * TEXT_FONT_SIZE * CHARACTER_WIDTH,
+        height: TEXT_FONT_SIZE * 1.25
+      };
+    case 'path': {
+      const xs = element.points.map(([x]) => x);
+      const ys = element.points.map(([, y]) => y);
+      return {
+        x: element.x + Math.min(...xs),
+        y: element.y + Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+      };
+    }
+    default:
+      return { x: element.x, y: element.y, width: element.width, height: element.height };
+  }
+}
+
+/**
+ * Point where the line from an element's center towards a target leaves the element
+ */
+function edgePoint(element, target) {
+  const bounds = elementBounds(element);
+  const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  const dx = target.x - center.x;
+  const dy = target.y - center.y;
+  if (dx === 0 && dy === 0) return center;
+
+  const halfWidth = Math.max(bounds.width / 2, 1);
+  const halfHeight = Math.max(bounds.height / 2, 1);
+  const scale = element.type === 'ellipse'
+    ? 1 / Math.hypot(dx / halfWidth, dy / halfHeight)
+    : Math.min(halfWidth / Math.abs(dx), halfHeight / Math.abs(dy));
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+/**
+ * Center of an element
+ */
+function centerOf(element) {
+  const bounds = elementBounds(element);
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Ends of a connector, on the outline of the elements it connects
+ * @param {Object} from - Element the arrow starts from
+ * @param {Object} to - Element it points to, or a bare { x, y } point while drawing
+ * @returns {Object} { start: { x, y }, end: { x, y } }
+ */
+export function connectorEndpoints(from, to) {
+  const toCenter = to.type ? centerOf(to) : to;
+  return {
+    start: edgePoint(from, toCenter),
+    end: to.type ? edgePoint(to, centerOf(from)) : to
+  };
+}
+
+/**
+ * Points of an arrowhead ending at `end`, for an SVG polygon
+ * @param {Object} start - { x, y }
+ * @param {Object} end - { x, y }
+ * @param {number} [size]
+ * @returns {string}
+ */
+export function arrowHeadPoints(start, end, size = 12) {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const corner = (offset) => {
+    const x = end.x - size * Math.cos(angle + offset);
+    const y = end.y - size * Math.sin(angle + offset);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  };
+  return `${end.x.toFixed(1)},${end.y.toFixed(1)} ${corner(Math.PI / 7)} ${corner(-Math.PI / 7)}`;
+}
+
+/**
+ * SVG path data through the points of a pen stroke
+ * @param {Array} points - [[x, y], ...]
+ * @returns {string}
+ */
+export function pathData(points) {
+  return points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x} ${y}`).join(' ');
+}
+
+/**
+ * Board as a standalone SVG document, without the editing overlays
+ * (elements marked with data-export="skip")
+ * @param {SVGSVGElement} svg - The board's SVG element
+ * @returns {string}
+ */
+export function serializeWhiteboard(svg) {
+  const copy = svg.cloneNode(true);
+  copy.querySelectorAll('[data-export="skip"]').forEach(node => node.remove());
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', String(BOARD_WIDTH));
+  copy.setAttribute('height', String(BOARD_HEIGHT));
+  copy.removeAttribute('class');
+  return new XMLSerializer().serializeToString(copy);
+}
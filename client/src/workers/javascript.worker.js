@@ -5,10 +5,77 @@
  * - No access to DOM/localStorage/Cookies (Security).
  * - Custom console capture.
  * - Isolated scope.
+ * - Other workspace files can be loaded with require('./name') (CommonJS style).
+ * - input() / prompt() read the shared stdin line by line, then (interactive
+ *   mode) pause until the user types a line; null at end of input.
+ * - For test cases, an assertion can be evaluated once the code has run,
+ *   with the code's top-level functions and variables in scope.
  */
+import { createLineReader } from '../utils/programInput.js';
+
+// Extensions tried when a required name has none
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Evaluate code as a CommonJS-style module
+ * @param {string} code
+ * @param {Object} globals - Values visible to the code by name (console, input, ...)
+ * @param {Function} require
+ * @param {Object} module
+ * @returns {*} Value returned by the top-level code
+ */
+function runModule(code, globals, require, module) {
+  const names = [...Object.keys(globals), 'require', 'module', 'exports'];
+  const fn = new Function(...names, `"use strict";\n${code}`);
+  return fn(...Object.values(globals), require, module, module.exports);
+}
+
+/**
+ * Build a require() resolving workspace files by name
+ * Each module is evaluated once; circular requires see the exports built so far.
+ * @param {Array} files - Workspace files [{ name, code }]
+ * @param {Object} globals - Values given to every module (see runModule)
+ * @param {string} [entryName] - File being run, cached as the main module
+ * @param {Object} entryModule - module object of the file being run
+ */
+function createRequire(files, globals, entryName, entryModule) {
+  const filesByName = new Map(files.map(file => [file.name, file]));
+  const cache = new Map();
+  if (entryName) cache.set(entryName, entryModule);
+
+  const resolve = (specifier) => {
+    const name = specifier.replace(/^\.\//, '');
+    if (filesByName.has(name)) return name;
+    return MODULE_EXTENSIONS.map(extension => name + extension).find(candidate => filesByName.has(candidate));
+  };
+
+  const require = (specifier) => {
+    const name = typeof specifier === 'string' ? resolve(specifier) : undefined;
+    if (!name) {
+      throw new Error(`Cannot find module '${specifier}'`);
+    }
+    if (cache.has(name)) {
+      return cache.get(name).exports;
+    }
+
+    const module = { exports: {} };
+    cache.set(name, module);
+    runModule(filesByName.get(name).code, globals, require, module);
+    return module.exports;
+  };
+
+  return require;
+}
+
+/**
+ * Show a value the way console.log shows it
+ */
+function formatValue(value, indent) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value, null, indent) : String(value);
+}
 
 self.onmessage = (e) => {
-  const { code } = e.data;
+  const { code, files = [], entryName, stdin = '', inputChannel = null, assertion = null } = e.data;
   const logs = [];
 
   // Custom console implementation
@@ -29,28 +96,67 @@ self.onmessage = (e) => {
     }
   };
 
+  // Show what was printed so far while waiting for the user to type
+  const readLine = createLineReader(stdin, inputChannel, () => {
+    self.postMessage({ type: 'input-request', output: logs.join('\n') });
+  });
+
+  /**
+   * Read the next input line, printing the message first (like Python's input())
+   * Typed lines are echoed after the message, as in a terminal.
+   */
+  const input = (message) => {
+    const text = message === undefined ? '' : String(message);
+    if (text) logs.push(text);
+
+    const result = readLine();
+    if (result?.typed) {
+      if (text) {
+        logs[logs.length - 1] += result.line;
+      } else {
+        logs.push(result.line);
+      }
+    }
+    return result ? result.line : null;
+  };
+
   try {
     // Execute code
     // We use new Function to create a function body.
     // Note: global objects like 'self' are still accessible, but DOM/window are not.
     // 'use strict' prevents accidental global variable creation.
-    const fn = new Function('console', `"use strict";\n${code}`);
+    const globals = { console: customConsole, input, prompt: input };
+    const module = { exports: {} };
+    const require = createRequire(files, globals, entryName, module);
     
-    // Run it
-    const result = fn(customConsole);
+    // Run it (the assertion is evaluated at the end of the same function body)
+    const source = assertion ? `${code}\n;return (${assertion}\n);` : code;
+    const startedAt = performance.now();
+    const result = runModule(source, globals, require, module);
+    const durationMs = performance.now() - startedAt;
     
     let output = logs.join('\n');
+
+    if (assertion) {
+      self.postMessage({
+        type: 'result',
+        success: true,
+        output,
+        durationMs,
+        assertion: { passed: Boolean(result), value: formatValue(result) }
+      });
+      return;
+    }
     
     // Handle return value
     if (result !== undefined && logs.length === 0) {
-      output = typeof result === 'object' 
-        ? JSON.stringify(result, null, 2) 
-        : String(result);
+      output = formatValue(result, 2);
     }
 
-    self.postMessage({ success: true, output: output || '(No output)' });
+    self.postMessage({ type: 'result', success: true, output, durationMs });
   } catch (err) {
     self.postMessage({ 
+      type: 'result',
       success: false, 
       output: logs.join('\n'), // Return any logs before error
       error: `${err.name}: ${err.message}` 
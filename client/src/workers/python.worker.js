@@ -0,0 +1,194 @@
+/**
+ * Python Execution Worker
+ *
+ * Runs user code with Pyodide (Python compiled to WebAssembly) off the main thread.
+ * - The runtime is downloaded on the first run and kept for later runs.
+ * - stdout/stderr are captured and sent back with the result.
+ * - Workspace files are written to /workspace so they can be imported.
+ * - input() reads the shared stdin line by line, then (interactive mode)
+ *   pauses until the user types a line; EOFError at end of input.
+ * - For test cases, an assertion (a Python expression) can be evaluated
+ *   once the code has run, in the same global scope.
+ *
+ * Messages sent: loading { message }, ready, running (once the runtime is
+ * loaded and the code starts), input-request { output },
+ * result { success, output, error, durationMs, assertion?: { passed, value } }
+ */
+import { createLineReader } from '../utils/programInput.js';
+
+const PYODIDE_URL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
+
+// Folder of the Pyodide file system holding the workspace files
+const WORKSPACE_DIR = '/workspace';
+
+const SETUP_CODE = `
+import io
+import os
+import sys
+from io import StringIO
+import _codecollab
+
+class CaptureOutput:
+    def __init__(self):
+        self.output = StringIO()
+
+    def write(self, text):
+        self.output.write(text)
+
+    def flush(self):
+        pass
+
+    def getvalue(self):
+        return self.output.getvalue()
+
+    def clear(self):
+        self.output = StringIO()
+
+class InputReader(io.TextIOBase):
+    def readable(self):
+        return True
+
+    def readline(self, size=-1):
+        result = _codecollab.read_line()
+        if result is None:
+            return ''
+        # Echo typed lines after the prompt, as in a terminal
+        if result.typed:
+            _stdout_capture.write(result.line + '\\n')
+        return result.line + '\\n'
+
+    def read(self, size=-1):
+        return ''.join(iter(self.readline, ''))
+
+_stdout_capture = CaptureOutput()
+sys.stdout = _stdout_capture
+sys.stderr = _stdout_capture
+sys.stdin = InputReader()
+
+# Workspace files are written here before each run so they can be imported
+os.makedirs('${WORKSPACE_DIR}', exist_ok=True)
+os.chdir('${WORKSPACE_DIR}')
+sys.path.insert(0, '${WORKSPACE_DIR}')
+`;
+
+let pyodidePromise = null;
+
+// Line reader of the current run (see createLineReader)
+let readLine = () => null;
+
+/**
+ * Load Pyodide runtime (once, on the first run)
+ */
+async function loadRuntime() {
+  self.postMessage({ type: 'loading', message: 'Downloading Pyodide...' });
+  const { loadPyodide } = await import(/* @vite-ignore */ `${PYODIDE_URL}pyodide.mjs`);
+
+  self.postMessage({ type: 'loading', message: 'Initializing Python interpreter...' });
+  const pyodide = await loadPyodide({ indexURL: PYODIDE_URL });
+
+  // Returns undefined (None) at end of input
+  pyodide.registerJsModule('_codecollab', {
+    read_line: () => readLine() ?? undefined
+  });
+  pyodide.runPython(SETUP_CODE);
+
+  self.postMessage({ type: 'ready' });
+  return pyodide;
+}
+
+/**
+ * Replace the workspace files in Pyodide's file system
+ * and forget modules imported from the previous version
+ */
+function syncWorkspace(pyodide, files) {
+  const { FS } = pyodide;
+  for (const name of FS.readdir(WORKSPACE_DIR)) {
+    if (name !== '.' && name !== '..') {
+      FS.unlink(`${WORKSPACE_DIR}/${name}`);
+    }
+  }
+  for (const file of files) {
+    FS.writeFile(`${WORKSPACE_DIR}/${file.name}`, file.code);
+  }
+
+  pyodide.runPython(`
+import importlib
+for _name, _module in list(sys.modules.items()):
+    if (getattr(_module, '__file__', None) or '').startswith('${WORKSPACE_DIR}/'):
+        del sys.modules[_name]
+importlib.invalidate_caches()
+  `);
+}
+
+self.onmessage = async (e) => {
+  const { code, files = [], stdin = '', inputChannel = null, assertion = null } = e.data;
+
+  let pyodide;
+  try {
+    pyodidePromise ??= loadRuntime();
+    pyodide = await pyodidePromise;
+  } catch (err) {
+    pyodidePromise = null;
+    self.postMessage({
+      type: 'result',
+      success: false,
+      output: '',
+      error: `Failed to load Python runtime: ${err.message}`
+    });
+    return;
+  }
+
+  const getOutput = () => pyodide.runPython('_stdout_capture.getvalue()');
+  readLine = createLineReader(stdin, inputChannel, () => {
+    self.postMessage({ type: 'input-request', output: getOutput() });
+  });
+
+  try {
+    // Clear previous output
+    pyodide.runPython('_stdout_capture.clear()');
+    syncWorkspace(pyodide, files);
+
+    // Run the user code
+    self.postMessage({ type: 'running' });
+    const startedAt = performance.now();
+    let result;
+    let assertionResult;
+    try {
+      result = pyodide.runPython(code);
+      if (assertion) {
+        pyodide.globals.set('_codecollab_assertion', assertion);
+        pyodide.runPython('_codecollab_value = eval(_codecollab_assertion)');
+        assertionResult = {
+          passed: pyodide.runPython('bool(_codecollab_value)'),
+          value: pyodide.runPython('repr(_codecollab_value)')
+        };
+      }
+    } catch (pyErr) {
+      // Get any partial output before the error
+      self.postMessage({
+        type: 'result',
+        success: false,
+        output: getOutput() || '',
+        error: pyErr.message
+      });
+      return;
+    }
+
+    let output = getOutput();
+    const durationMs = performance.now() - startedAt;
+
+    if (assertionResult) {
+      self.postMessage({ type: 'result', success: true, output, durationMs, assertion: assertionResult });
+      return;
+    }
+
+    // If there's a result and no stdout, show the result
+    if (result !== undefined && result !== null && (!output || !output.trim())) {
+      output = result.toString();
+    }
+
+    self.postMessage({ type: 'result', success: true, output, durationMs });
+  } catch (err) {
+    self.postMessage({ type: 'result', success: false, output: '', error: err.message });
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * ChatPanel Component Unit Tests
+ *
+ * Tests the session chat sidebar.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ChatPanel from '../src/components/ChatPanel.jsx';
+
+describe('ChatPanel Component Unit Tests', () => {
+  const messages = [
+    { id: 'm1', name: 'Ada', color: '#f97316', role: 'interviewer', text: 'Welcome!', sentAt: '2024-01-01T10:00:00.000Z', isOwn: false },
+    { id: 'm2', name: 'Grace', color: '#10b981', role: 'candidate', text: 'Thanks', sentAt: '2024-01-01T10:01:00.000Z', isOwn: true }
+  ];
+
+  it('should list messages with their sender', () => {
+    render(<ChatPanel messages={messages} onSend={vi.fn()} onClose={vi.fn()} />);
+
+    expect(screen.getByText('Welcome!')).toBeInTheDocument();
+    expect(screen.getByText('Ada')).toBeInTheDocument();
+    expect(screen.getByText('Interviewer')).toBeInTheDocument();
+    // Own messages are labeled "You"
+    expect(screen.getByText('You')).toBeInTheDocument();
+    expect(screen.getByText('Thanks').closest('li')).toHaveClass('chat-panel__message--own');
+  });
+
+  it('should show a placeholder without messages', () => {
+    render(<ChatPanel messages={[]} onSend={vi.fn()} onClose={vi.fn()} />);
+
+    expect(screen.getByText('No messages yet')).toBeInTheDocument();
+  });
+
+  it('should send the trimmed message on Enter and clear the box', () => {
+    const onSend = vi.fn();
+    render(<ChatPanel messages={[]} onSend={onSend} onClose={vi.fn()} />);
+
+    const input = screen.getByLabelText('Chat message');
+    fireEvent.change(input, { target: { value: '  Hi all  ' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onSend).toHaveBeenCalledWith('Hi all');
+    expect(input).toHaveValue('');
+  });
+
+  it('should not send blank messages or send while disabled', () => {
+    const onSend = vi.fn();
+    const { rerender } = render(<ChatPanel messages={[]} onSend={onSend} onClose={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Chat message'), { target: { value: '   ' } });
+    expect(screen.getByRole('button', { name: 'Send' })).toBeDisabled();
+
+    rerender(<ChatPanel messages={[]} onSend={onSend} onClose={vi.fn()} disabled />);
+    fireEvent.change(screen.getByLabelText('Chat message'), { target: { value: 'Hello' } });
+    fireEvent.keyDown(screen.getByLabelText('Chat message'), { key: 'Enter' });
+
+    expect(onSend).not.toHaveBeenCalled();
+  });
+
+  it('should close', () => {
+    const onClose = vi.fn();
+    render(<ChatPanel messages={[]} onSend={vi.fn()} onClose={onClose} />);
+
+    fireEvent.click(screen.getByLabelText('Close chat'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -63,6 +63,13 @@ describe('CodeEditor Component Unit Tests', () => {
       expect(screen.getByText('main.txt')).toBeInTheDocument();
     });
 
+    it('should show the open file name when given', () => {
+      render(<CodeEditor {...defaultProps} fileName="utils.js" />);
+      
+      expect(screen.getByText('utils.js')).toBeInTheDocument();
+      expect(screen.queryByText('main.js')).not.toBeInTheDocument();
+    });
+
     it('should pass correct language to Monaco', () => {
       render(<CodeEditor {...defaultProps} language="python" />);
       
@@ -0,0 +1,110 @@
+/**
+ * CommentsPanel Component Unit Tests
+ *
+ * Tests the line comment threads sidebar.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CommentsPanel from '../src/components/CommentsPanel.jsx';
+
+describe('CommentsPanel Component Unit Tests', () => {
+  const files = [{ id: 'f1', name: 'main.js' }];
+  const codes = { f1: 'function add(a, b) {\n  return a - b;\n}' };
+  const comments = [
+    {
+      id: 'c1',
+      fileId: 'f1',
+      start: 21,
+      end: 36,
+      authorName: 'Ada',
+      text: 'Should this subtract?',
+      createdAt: '2024-01-01T10:00:00.000Z',
+      resolved: false,
+      resolvedBy: null,
+      replies: [{ id: 'r1', authorName: 'Grace', text: 'Oops, fixing', createdAt: '2024-01-01T10:01:00.000Z' }]
+    },
+    {
+      id: 'c2',
+      fileId: 'f1',
+      start: 0,
+      end: 20,
+      authorName: 'Ada',
+      text: 'Nice name',
+      createdAt: '2024-01-01T10:02:00.000Z',
+      resolved: true,
+      resolvedBy: 'Grace',
+      replies: []
+    }
+  ];
+
+  const renderPanel = (props = {}) => render(
+    <CommentsPanel
+      comments={comments}
+      files={files}
+      codes={codes}
+      pendingComment={null}
+      selectedCommentId={null}
+      onAdd={vi.fn()}
+      onCancelPending={vi.fn()}
+      onReply={vi.fn()}
+      onResolve={vi.fn()}
+      onSelect={vi.fn()}
+      onClose={vi.fn()}
+      {...props}
+    />
+  );
+
+  it('should list open threads with their lines and replies', () => {
+    renderPanel();
+
+    expect(screen.getByText('main.js, line 2')).toBeInTheDocument();
+    expect(screen.getByText('Should this subtract?')).toBeInTheDocument();
+    expect(screen.getByText('Oops, fixing')).toBeInTheDocument();
+    expect(screen.queryByText('Nice name')).not.toBeInTheDocument();
+  });
+
+  it('should show resolved threads on demand and reopen them', () => {
+    const onResolve = vi.fn();
+    renderPanel({ onResolve });
+
+    fireEvent.click(screen.getByLabelText('Show resolved (1)'));
+    expect(screen.getByText('Nice name')).toBeInTheDocument();
+    expect(screen.getByText(/Resolved by Grace/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Reopen'));
+    expect(onResolve).toHaveBeenCalledWith('c2', false);
+  });
+
+  it('should reply, resolve and show a thread in the editor', () => {
+    const onReply = vi.fn();
+    const onResolve = vi.fn();
+    const onSelect = vi.fn();
+    renderPanel({ onReply, onResolve, onSelect });
+
+    fireEvent.change(screen.getByLabelText('Reply to Ada'), { target: { value: '  Fixed  ' } });
+    fireEvent.click(screen.getByText('Reply', { selector: 'button' }));
+    expect(onReply).toHaveBeenCalledWith('c1', 'Fixed');
+
+    fireEvent.click(screen.getByText('✓ Resolve'));
+    expect(onResolve).toHaveBeenCalledWith('c1', true);
+
+    fireEvent.click(screen.getByText('main.js, line 2'));
+    expect(onSelect).toHaveBeenCalledWith(comments[0]);
+  });
+
+  it('should write a comment on the picked lines', () => {
+    const onAdd = vi.fn();
+    const onCancelPending = vi.fn();
+    renderPanel({ onAdd, onCancelPending, pendingComment: { fileId: 'f1', start: 0, end: 36 } });
+
+    expect(screen.getByText('main.js, lines 1–2')).toBeInTheDocument();
+    const input = screen.getByLabelText('New comment');
+    fireEvent.change(input, { target: { value: 'Needs a test' } });
+    fireEvent.keyDown(input, { key: 'Enter', ctrlKey: true });
+    expect(onAdd).toHaveBeenCalledWith('Needs a test');
+
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(onCancelPending).toHaveBeenCalled();
+  });
+});
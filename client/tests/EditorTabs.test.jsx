@@ -0,0 +1,48 @@
+/**
+ * EditorTabs Component Unit Tests
+ *
+ * Tests the tabs of open files.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import EditorTabs from '../src/components/EditorTabs.jsx';
+
+describe('EditorTabs Component Unit Tests', () => {
+  const tabs = [
+    { id: 'f1', name: 'main.js' },
+    { id: 'f2', name: 'utils.js' }
+  ];
+
+  it('should render a tab per open file and select the active one', () => {
+    render(<EditorTabs tabs={tabs} activeFileId="f2" onSelect={vi.fn()} onClose={vi.fn()} />);
+
+    expect(screen.getAllByRole('tab')).toHaveLength(2);
+    expect(screen.getByRole('tab', { name: 'utils.js' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByRole('tab', { name: 'main.js' })).toHaveAttribute('aria-selected', 'false');
+  });
+
+  it('should switch and close tabs', () => {
+    const onSelect = vi.fn();
+    const onClose = vi.fn();
+    render(<EditorTabs tabs={tabs} activeFileId="f1" onSelect={onSelect} onClose={onClose} />);
+
+    fireEvent.click(screen.getByRole('tab', { name: 'utils.js' }));
+    fireEvent.click(screen.getByLabelText('Close main.js'));
+
+    expect(onSelect).toHaveBeenCalledWith('f2');
+    expect(onClose).toHaveBeenCalledWith('f1');
+  });
+
+  it('should not offer closing tabs without onClose', () => {
+    render(<EditorTabs tabs={tabs} activeFileId="f1" onSelect={vi.fn()} />);
+
+    expect(screen.queryByLabelText('Close main.js')).not.toBeInTheDocument();
+  });
+
+  it('should keep the last tab open', () => {
+    render(<EditorTabs tabs={[tabs[0]]} activeFileId="f1" onSelect={vi.fn()} onClose={vi.fn()} />);
+
+    expect(screen.queryByLabelText('Close main.js')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * FileExplorer Component Unit Tests
+ *
+ * Tests the workspace file tree.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import FileExplorer from '../src/components/FileExplorer.jsx';
+
+describe('FileExplorer Component Unit Tests', () => {
+  const files = [
+    { id: 'f1', name: 'main.js', language: 'javascript' },
+    { id: 'f2', name: 'utils.py', language: 'python' }
+  ];
+
+  const renderExplorer = (props = {}) => {
+    const handlers = {
+      onSelect: vi.fn(),
+      onCreate: vi.fn(),
+      onRename: vi.fn(),
+      onDelete: vi.fn()
+    };
+    render(<FileExplorer files={files} activeFileId="f1" {...handlers} {...props} />);
+    return handlers;
+  };
+
+  describe('Rendering', () => {
+    it('should list every file and mark the open one', () => {
+      renderExplorer();
+
+      expect(screen.getByText('main.js')).toBeInTheDocument();
+      expect(screen.getByText('utils.py')).toBeInTheDocument();
+      expect(screen.getByText('main.js').closest('button')).toHaveAttribute('aria-current', 'true');
+    });
+
+    it('should open a file when clicked', () => {
+      const { onSelect } = renderExplorer();
+
+      fireEvent.click(screen.getByText('utils.py'));
+
+      expect(onSelect).toHaveBeenCalledWith('f2');
+    });
+
+    it('should hide file actions when disabled', () => {
+      renderExplorer({ disabled: true });
+
+      expect(screen.getByLabelText('New file')).toBeDisabled();
+      expect(screen.queryByLabelText('Rename main.js')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Managing files', () => {
+    it('should create a file with a valid name', () => {
+      const { onCreate } = renderExplorer();
+
+      fireEvent.click(screen.getByLabelText('New file'));
+      const input = screen.getByLabelText('New file name');
+      fireEvent.change(input, { target: { value: 'helpers.js' } });
+      fireEvent.submit(input);
+
+      expect(onCreate).toHaveBeenCalledWith('helpers.js');
+    });
+
+    it('should refuse duplicate and invalid names', () => {
+      const { onCreate } = renderExplorer();
+
+      fireEvent.click(screen.getByLabelText('New file'));
+      const input = screen.getByLabelText('New file name');
+
+      fireEvent.change(input, { target: { value: 'MAIN.js' } });
+      expect(screen.getByText('A file with that name already exists')).toBeInTheDocument();
+      fireEvent.submit(input);
+
+      fireEvent.change(input, { target: { value: 'src/app.js' } });
+      fireEvent.submit(input);
+
+      expect(onCreate).not.toHaveBeenCalled();
+    });
+
+    it('should rename a file', () => {
+      const { onRename } = renderExplorer();
+
+      fireEvent.click(screen.getByLabelText('Rename utils.py'));
+      const input = screen.getByLabelText('Rename utils.py');
+      fireEvent.change(input, { target: { value: 'helpers.py' } });
+      fireEvent.submit(input);
+
+      expect(onRename).toHaveBeenCalledWith('f2', 'helpers.py');
+    });
+
+    it('should ask for confirmation before deleting', () => {
+      const { onDelete } = renderExplorer();
+
+      fireEvent.click(screen.getByLabelText('Delete utils.py'));
+      expect(onDelete).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByLabelText('Confirm deleting utils.py'));
+      expect(onDelete).toHaveBeenCalledWith('f2');
+    });
+
+    it('should not offer to delete the last file', () => {
+      renderExplorer({ files: [files[0]] });
+
+      expect(screen.queryByLabelText('Delete main.js')).not.toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * HistoryPanel Component Unit Tests
+ *
+ * Tests the version history sidebar.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import HistoryPanel from '../src/components/HistoryPanel.jsx';
+
+describe('HistoryPanel Component Unit Tests', () => {
+  const snapshots = [
+    { id: 's1', name: 'Brute force', kind: 'manual', createdBy: 'Ada', createdAt: '2024-01-01T10:00:00.000Z', fileNames: ['main.js'] },
+    { id: 's2', name: 'Run of main.js', kind: 'run', createdBy: 'Grace', createdAt: '2024-01-01T10:05:00.000Z', fileNames: ['main.js', 'utils.js'] }
+  ];
+
+  const renderPanel = (props = {}) => render(
+    <HistoryPanel snapshots={snapshots} onCreate={vi.fn()} onPreview={vi.fn()} onCompare={vi.fn()} onClose={vi.fn()} {...props} />
+  );
+
+  it('should list snapshots newest first', () => {
+    renderPanel();
+
+    const names = screen.getAllByRole('listitem').map(item => item.querySelector('.history-panel__name').firstChild.textContent);
+    expect(names).toEqual(['Run of main.js', 'Brute force']);
+    expect(screen.getByText('Run')).toBeInTheDocument();
+    expect(screen.getByText(/Grace · 2 files/)).toBeInTheDocument();
+  });
+
+  it('should save a named snapshot', () => {
+    const onCreate = vi.fn();
+    renderPanel({ onCreate });
+
+    const input = screen.getByLabelText('Snapshot name');
+    fireEvent.change(input, { target: { value: '  Optimized  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onCreate).toHaveBeenCalledWith('Optimized');
+    expect(input).toHaveValue('');
+  });
+
+  it('should preview a snapshot', () => {
+    const onPreview = vi.fn();
+    renderPanel({ onPreview });
+
+    fireEvent.click(screen.getByText('Brute force'));
+    expect(onPreview).toHaveBeenCalledWith('s1');
+  });
+
+  it('should open the comparison once there is something to compare', () => {
+    const onCompare = vi.fn();
+    renderPanel({ onCompare });
+
+    fireEvent.click(screen.getByRole('button', { name: /Compare versions/ }));
+    expect(onCompare).toHaveBeenCalled();
+  });
+
+  it('should show a placeholder without snapshots', () => {
+    renderPanel({ snapshots: [] });
+
+    expect(screen.getByText(/No snapshots yet/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Compare versions/ })).toBeDisabled();
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * NamePrompt Component Tests
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import NamePrompt from '../src/components/NamePrompt.jsx';
+
+describe('NamePrompt Component', () => {
+  it('renders a name input', () => {
+    render(<NamePrompt onSubmit={vi.fn()} />);
+    expect(screen.getByLabelText('Your name')).toBeInTheDocument();
+  });
+
+  it('disables joining until a name is entered', () => {
+    render(<NamePrompt onSubmit={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Join' })).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: '   ' } });
+    expect(screen.getByRole('button', { name: 'Join' })).toBeDisabled();
+  });
+
+  it('submits the trimmed name', () => {
+    const onSubmit = vi.fn();
+    render(<NamePrompt onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: '  Ada  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+    expect(onSubmit).toHaveBeenCalledWith('Ada');
+  });
+});
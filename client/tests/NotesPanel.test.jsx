@@ -0,0 +1,57 @@
+/**
+ * NotesPanel Component Unit Tests
+ *
+ * Tests the private interviewer notes sidebar.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import NotesPanel from '../src/components/NotesPanel.jsx';
+
+describe('NotesPanel Component Unit Tests', () => {
+  const notes = [
+    { id: 'n1', authorName: 'Ada', text: 'Clarified the requirements', createdAt: '2024-01-01T10:00:00.000Z' }
+  ];
+
+  const renderPanel = (props = {}) => render(
+    <NotesPanel notes={notes} onAdd={vi.fn()} onDelete={vi.fn()} onClose={vi.fn()} {...props} />
+  );
+
+  it('should list notes with their time and author', () => {
+    renderPanel();
+
+    expect(screen.getByText('Clarified the requirements')).toBeInTheDocument();
+    expect(screen.getByText('Ada')).toBeInTheDocument();
+    expect(screen.getByText('Only interviewers can see these notes')).toBeInTheDocument();
+    expect(document.querySelector('time')).toHaveAttribute('dateTime', notes[0].createdAt);
+  });
+
+  it('should add the trimmed note on Ctrl+Enter but not on Enter', () => {
+    const onAdd = vi.fn();
+    renderPanel({ onAdd });
+
+    const input = screen.getByLabelText('New note');
+    fireEvent.change(input, { target: { value: '  Good test coverage  ' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onAdd).not.toHaveBeenCalled();
+
+    fireEvent.keyDown(input, { key: 'Enter', ctrlKey: true });
+    expect(onAdd).toHaveBeenCalledWith('Good test coverage');
+    expect(input).toHaveValue('');
+  });
+
+  it('should delete a note', () => {
+    const onDelete = vi.fn();
+    renderPanel({ onDelete });
+
+    fireEvent.click(screen.getByLabelText(/Delete note from/));
+    expect(onDelete).toHaveBeenCalledWith('n1');
+  });
+
+  it('should not add notes while disabled', () => {
+    renderPanel({ disabled: true });
+
+    fireEvent.change(screen.getByLabelText('New note'), { target: { value: 'Note' } });
+    expect(screen.getByRole('button', { name: 'Add note' })).toBeDisabled();
+  });
+});
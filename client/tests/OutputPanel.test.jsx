@@ -0,0 +1,48 @@
+/**
+ * OutputPanel Component Unit Tests
+ *
+ * Tests the console and tests tabs, and the interviewers' hidden tests.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import OutputPanel from '../src/components/OutputPanel.jsx';
+
+describe('OutputPanel Component Unit Tests', () => {
+  const tests = {
+    testCases: [{ id: 'a', input: '', expectedOutput: '3', assertion: '' }],
+    testRun: { ranBy: 'Ada', isRunning: false, results: [{ testCaseId: 'a', status: 'passed', actual: '3', error: null, durationMs: 1 }] },
+    canEdit: false,
+    onChange: vi.fn()
+  };
+
+  it('should switch between the console and the tests', () => {
+    render(<OutputPanel output="hello" error={null} tests={tests} />);
+
+    expect(screen.getByText('hello')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Tests (1/1)' }));
+    expect(screen.getByRole('status')).toHaveTextContent('1/1 passed · run by Ada');
+    expect(screen.queryByText('hello')).not.toBeInTheDocument();
+    expect(screen.queryByRole('region', { name: 'Hidden tests' })).not.toBeInTheDocument();
+  });
+
+  it('should show the hidden tests with their own run button', () => {
+    const onRun = vi.fn();
+    render(
+      <OutputPanel
+        output=""
+        error={null}
+        tests={tests}
+        hiddenTests={{ testCases: [{ id: 'h', input: '-1', expectedOutput: 'error', assertion: '' }], testRun: null, canEdit: true, onChange: vi.fn(), onRun, canRun: true }}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: /Tests/ }));
+    const hidden = screen.getByRole('region', { name: 'Hidden tests' });
+    expect(within(hidden).getByText('-1')).toBeInTheDocument();
+
+    fireEvent.click(within(hidden).getByRole('button', { name: 'Run hidden tests' }));
+    expect(onRun).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * ParticipantManager Component Unit Tests
+ *
+ * Tests admitting and turning away waiting candidates, and removing
+ * candidates from the session.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import ParticipantManager from '../src/components/ParticipantManager.jsx';
+
+describe('ParticipantManager Component Unit Tests', () => {
+  const waiting = [{ id: 'cccc3333', name: 'Linus', requestedAt: '2026-01-01T10:00:00.000Z' }];
+  const users = [
+    { id: 'aaaa1111', name: 'Ada', role: 'interviewer' },
+    { id: 'bbbb2222', name: 'Grace', role: 'candidate' }
+  ];
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const renderManager = (props = {}) => {
+    const handlers = { onAdmit: vi.fn(), onRemove: vi.fn() };
+    render(<ParticipantManager waiting={waiting} users={users} {...handlers} {...props} />);
+    fireEvent.click(screen.getByRole('button', { name: /Participants/ }));
+    return handlers;
+  };
+
+  it('should show how many candidates are waiting', () => {
+    render(<ParticipantManager waiting={waiting} users={users} />);
+    expect(screen.getByLabelText('1 waiting')).toHaveTextContent('1');
+    expect(screen.queryByRole('list')).not.toBeInTheDocument();
+  });
+
+  it('should admit or turn away waiting candidates', () => {
+    const { onAdmit, onRemove } = renderManager();
+    const waitingRoom = screen.getByRole('list', { name: 'Waiting room' });
+
+    fireEvent.click(within(waitingRoom).getByRole('button', { name: 'Admit Linus' }));
+    expect(onAdmit).toHaveBeenCalledWith('cccc3333');
+
+    fireEvent.click(within(waitingRoom).getByRole('button', { name: 'Turn away Linus' }));
+    expect(onRemove).toHaveBeenCalledWith('cccc3333');
+  });
+
+  it('should only list candidates for removal, after confirmation', () => {
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const { onRemove } = renderManager();
+
+    const candidates = screen.getByRole('list', { name: 'Candidates' });
+    expect(within(candidates).queryByText('Ada')).not.toBeInTheDocument();
+
+    const remove = within(candidates).getByRole('button', { name: 'Remove Grace' });
+    fireEvent.click(remove);
+    expect(onRemove).not.toHaveBeenCalled();
+    fireEvent.click(remove);
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(onRemove).toHaveBeenCalledWith('bbbb2222');
+  });
+
+  it('should say when nobody is waiting', () => {
+    renderManager({ waiting: [] });
+    expect(screen.getByText('Nobody is waiting')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/waiting$/)).not.toBeInTheDocument();
+  });
+});
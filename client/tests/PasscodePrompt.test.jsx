@@ -0,0 +1,30 @@
+/**
+ * PasscodePrompt Component Unit Tests
+ *
+ * Tests asking for the passcode of a protected session.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PasscodePrompt from '../src/components/PasscodePrompt.jsx';
+
+describe('PasscodePrompt Component Unit Tests', () => {
+  it('should submit the passcode', () => {
+    const onSubmit = vi.fn();
+    render(<PasscodePrompt onSubmit={onSubmit} />);
+
+    const join = screen.getByRole('button', { name: 'Join' });
+    expect(join).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Passcode'), { target: { value: 'open sesame' } });
+    fireEvent.click(join);
+    expect(onSubmit).toHaveBeenCalledWith('open sesame');
+  });
+
+  it('should hide what is typed and show why the last passcode was refused', () => {
+    render(<PasscodePrompt onSubmit={vi.fn()} error="Wrong passcode, please try again." />);
+
+    expect(screen.getByLabelText('Passcode')).toHaveAttribute('type', 'password');
+    expect(screen.getByRole('alert')).toHaveTextContent('Wrong passcode, please try again.');
+  });
+});
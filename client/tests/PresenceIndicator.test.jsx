@@ -2,7 +2,7 @@
  * PresenceIndicator Component Tests
  */
 import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import PresenceIndicator from '../src/components/PresenceIndicator.jsx';
 
 describe('PresenceIndicator Component', () => {
@@ -33,4 +33,54 @@ describe('PresenceIndicator Component', () => {
     const indicator = container.querySelector('.presence-indicator');
     expect(indicator).toHaveAttribute('title', '5 of 10 users active');
   });
+
+  describe('participant dropdown', () => {
+    const users = [
+      { id: 'aaaa1111', name: 'Ada Lovelace', color: '#f97316', role: 'interviewer', isActive: true, joinedAt: '2024-01-01T10:00:00.000Z' },
+      { id: 'bbbb2222', name: 'Grace', color: '#10b981', isActive: false, joinedAt: '2024-01-01T10:05:00.000Z' }
+    ];
+
+    it('is closed by default', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} />);
+      expect(screen.queryByText('Ada Lovelace')).not.toBeInTheDocument();
+    });
+
+    it('lists participants when clicked', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} />);
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.getByText('Ada Lovelace')).toBeInTheDocument();
+      expect(screen.getByText('Grace')).toBeInTheDocument();
+    });
+
+    it('shows active and away states', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} />);
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.getByText('Active')).toBeInTheDocument();
+      expect(screen.getByText('Away')).toBeInTheDocument();
+    });
+
+    it('renders colored avatars with initials', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} />);
+      fireEvent.click(screen.getByRole('button'));
+
+      const avatar = screen.getByText('AL');
+      expect(avatar).toHaveStyle({ backgroundColor: '#f97316' });
+    });
+
+    it('marks the current user', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} currentUserId="bbbb2222" />);
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.getByText('(you)')).toBeInTheDocument();
+    });
+
+    it('labels the interviewer', () => {
+      render(<PresenceIndicator userCount={2} activeCount={1} users={users} />);
+      fireEvent.click(screen.getByRole('button'));
+
+      expect(screen.getAllByText(/Interviewer/)).toHaveLength(1);
+    });
+  });
 });
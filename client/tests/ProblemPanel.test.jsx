@@ -0,0 +1,60 @@
+/**
+ * ProblemPanel Component Unit Tests
+ *
+ * Tests reading and editing the Markdown problem statement.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ProblemPanel from '../src/components/ProblemPanel.jsx';
+
+describe('ProblemPanel Component Unit Tests', () => {
+  const statement = '# Two Sum\n\nReturn the indices of the two numbers that add up to `target`.';
+
+  const renderPanel = (props = {}) => render(
+    <ProblemPanel statement={statement} canEdit={false} onSave={vi.fn()} onClose={vi.fn()} {...props} />
+  );
+
+  it('should render the statement from Markdown', () => {
+    renderPanel();
+
+    expect(screen.getByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+    expect(screen.getByText('target').tagName).toBe('CODE');
+    expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+  });
+
+  it('should tell candidates when there is no statement yet', () => {
+    renderPanel({ statement: '' });
+
+    expect(screen.getByText('The interviewer has not written a problem statement yet')).toBeInTheDocument();
+  });
+
+  it('should let interviewers edit, preview and save the statement', () => {
+    const onSave = vi.fn();
+    renderPanel({ canEdit: true, onSave });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+    const input = screen.getByLabelText('Problem statement');
+    expect(input).toHaveValue(statement);
+
+    fireEvent.change(input, { target: { value: '## Three Sum' } });
+    fireEvent.click(screen.getByRole('tab', { name: 'Preview' }));
+    expect(screen.getByRole('heading', { name: 'Three Sum' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).toHaveBeenCalledWith('## Three Sum');
+    expect(screen.queryByLabelText('Problem statement')).not.toBeInTheDocument();
+  });
+
+  it('should discard the draft on cancel', () => {
+    const onSave = vi.fn();
+    renderPanel({ canEdit: true, onSave });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+    fireEvent.change(screen.getByLabelText('Problem statement'), { target: { value: 'Draft' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.getByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+  });
+});
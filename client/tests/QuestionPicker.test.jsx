@@ -0,0 +1,51 @@
+/**
+ * QuestionPicker Component Unit Tests
+ *
+ * Tests choosing the question and starter language of a new session.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionPicker from '../src/components/QuestionPicker.jsx';
+
+describe('QuestionPicker Component Unit Tests', () => {
+  const questions = [
+    { id: 'two-sum', title: 'Two Sum', languages: ['javascript', 'python'], testCaseCount: 3 },
+    { id: 'sql', title: 'Pandas Join', languages: ['python'], testCaseCount: 0 }
+  ];
+
+  it('should offer a blank session and every question', () => {
+    render(<QuestionPicker questions={questions} questionId={null} language={null} onChange={vi.fn()} />);
+
+    const select = screen.getByLabelText('Question');
+    expect(select).toHaveValue('');
+    expect(screen.getByRole('option', { name: 'Two Sum (3 tests)' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Pandas Join' })).toBeInTheDocument();
+    expect(screen.queryByLabelText('Language')).not.toBeInTheDocument();
+  });
+
+  it('should keep the language when the new question has it', () => {
+    const onChange = vi.fn();
+    const { rerender } = render(
+      <QuestionPicker questions={questions} questionId={null} language={null} onChange={onChange} />
+    );
+
+    fireEvent.change(screen.getByLabelText('Question'), { target: { value: 'two-sum' } });
+    expect(onChange).toHaveBeenLastCalledWith({ questionId: 'two-sum', language: 'javascript' });
+
+    rerender(<QuestionPicker questions={questions} questionId="two-sum" language="python" onChange={onChange} />);
+    fireEvent.change(screen.getByLabelText('Question'), { target: { value: 'sql' } });
+    expect(onChange).toHaveBeenLastCalledWith({ questionId: 'sql', language: 'python' });
+
+    fireEvent.change(screen.getByLabelText('Question'), { target: { value: '' } });
+    expect(onChange).toHaveBeenLastCalledWith({ questionId: null, language: null });
+  });
+
+  it('should list the languages of the chosen question', () => {
+    const onChange = vi.fn();
+    render(<QuestionPicker questions={questions} questionId="two-sum" language="javascript" onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'python' } });
+    expect(onChange).toHaveBeenCalledWith({ questionId: 'two-sum', language: 'python' });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ReplayControls Component Unit Tests
+ *
+ * Tests the replay playback controls.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ReplayControls from '../src/components/ReplayControls.jsx';
+
+describe('ReplayControls Component Unit Tests', () => {
+  const renderControls = (props = {}) => render(
+    <ReplayControls
+      isPlaying={false}
+      onTogglePlay={vi.fn()}
+      speed={1}
+      onSpeedChange={vi.fn()}
+      position={65000}
+      duration={120000}
+      onSeek={vi.fn()}
+      {...props}
+    />
+  );
+
+  it('should show the position and length of the replay', () => {
+    renderControls();
+
+    expect(screen.getByText('1:05 / 2:00')).toBeInTheDocument();
+    expect(screen.getByLabelText('Timeline')).toHaveValue('65000');
+  });
+
+  it('should play and pause', () => {
+    const onTogglePlay = vi.fn();
+    const { rerender } = renderControls({ onTogglePlay });
+
+    fireEvent.click(screen.getByLabelText('Play'));
+    expect(onTogglePlay).toHaveBeenCalled();
+
+    rerender(
+      <ReplayControls
+        isPlaying={true}
+        onTogglePlay={onTogglePlay}
+        speed={1}
+        onSpeedChange={vi.fn()}
+        position={0}
+        duration={120000}
+        onSeek={vi.fn()}
+      />
+    );
+    expect(screen.getByLabelText('Pause')).toBeInTheDocument();
+  });
+
+  it('should seek and change speed', () => {
+    const onSeek = vi.fn();
+    const onSpeedChange = vi.fn();
+    renderControls({ onSeek, onSpeedChange });
+
+    fireEvent.change(screen.getByLabelText('Timeline'), { target: { value: '30000' } });
+    fireEvent.change(screen.getByLabelText('Playback speed'), { target: { value: '4' } });
+
+    expect(onSeek).toHaveBeenCalledWith(30000);
+    expect(onSpeedChange).toHaveBeenCalledWith(4);
+  });
+
+  it('should mark runs on the timeline', () => {
+    renderControls({ runTimes: [30000, 90000] });
+
+    expect(screen.getByTitle('Run at 0:30')).toHaveStyle({ left: '25%' });
+    expect(screen.getByTitle('Run at 1:30')).toHaveStyle({ left: '75%' });
+  });
+
+  it('should not play an empty replay', () => {
+    renderControls({ duration: 0, position: 0 });
+
+    expect(screen.getByLabelText('Play')).toBeDisabled();
+  });
+});
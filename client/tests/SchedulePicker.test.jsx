@@ -0,0 +1,33 @@
+/**
+ * SchedulePicker Component Unit Tests
+ *
+ * Tests turning scheduling on and picking the window and time to live.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SchedulePicker from '../src/components/SchedulePicker.jsx';
+
+describe('SchedulePicker Component Unit Tests', () => {
+  const schedule = { enabled: false, startsAt: '', endsAt: '', ttlHours: 24 };
+
+  it('should only show the fields once scheduling is on', () => {
+    const onChange = vi.fn();
+    render(<SchedulePicker schedule={schedule} onChange={onChange} />);
+
+    expect(screen.queryByLabelText('Starts')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Schedule for later'));
+    expect(onChange).toHaveBeenCalledWith({ ...schedule, enabled: true });
+  });
+
+  it('should report the window and time to live', () => {
+    const onChange = vi.fn();
+    render(<SchedulePicker schedule={{ ...schedule, enabled: true }} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Starts'), { target: { value: '2026-03-02T14:00' } });
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ startsAt: '2026-03-02T14:00' }));
+
+    fireEvent.change(screen.getByLabelText('Keep unused for'), { target: { value: '168' } });
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ ttlHours: 168 }));
+  });
+});
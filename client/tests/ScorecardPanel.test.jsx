@@ -0,0 +1,101 @@
+/**
+ * ScorecardPanel Component Unit Tests
+ *
+ * Tests rating the candidate, the aggregate shown once submitted and
+ * changing the criteria.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ScorecardPanel from '../src/components/ScorecardPanel.jsx';
+
+describe('ScorecardPanel Component Unit Tests', () => {
+  const rubric = [
+    { id: 'problem-solving', label: 'Problem solving' },
+    { id: 'communication', label: 'Communication' }
+  ];
+
+  const renderPanel = (props = {}) => render(
+    <ScorecardPanel
+      evaluation={{ rubric, submissionCount: 0, submission: null, submissions: null, aggregate: null }}
+      error={null}
+      isLoading={false}
+      isSaving={false}
+      onSubmit={vi.fn()}
+      onSaveRubric={vi.fn()}
+      onClose={vi.fn()}
+      {...props}
+    />
+  );
+
+  it('should submit the ratings, justification and recommendation', () => {
+    const onSubmit = vi.fn().mockResolvedValue(true);
+    renderPanel({ onSubmit });
+
+    const submit = screen.getByRole('button', { name: 'Submit scorecard' });
+    expect(submit).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('Problem solving: 4 (Excellent)'));
+    fireEvent.click(screen.getByLabelText('Communication: 2 (Fair)'));
+    fireEvent.change(screen.getByLabelText('Justification'), { target: { value: 'Quick but quiet' } });
+    fireEvent.click(screen.getByLabelText('Hire'));
+    fireEvent.click(submit);
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      ratings: { 'problem-solving': 4, communication: 2 },
+      justification: 'Quick but quiet',
+      recommendation: 'hire'
+    });
+  });
+
+  it('should show every scorecard and the averages once submitted', () => {
+    const submissions = [
+      { evaluatorId: 'a', evaluatorName: 'Ada', ratings: { 'problem-solving': 4, communication: 3 }, justification: 'Strong', recommendation: 'hire', submittedAt: '2024-01-01T00:00:00.000Z' },
+      { evaluatorId: 'g', evaluatorName: 'Grace', ratings: { 'problem-solving': 2, communication: 2 }, justification: '', recommendation: 'no-hire', submittedAt: '2024-01-01T00:01:00.000Z' }
+    ];
+    renderPanel({
+      evaluation: {
+        rubric,
+        submissionCount: 2,
+        submission: submissions[0],
+        submissions,
+        aggregate: {
+          count: 2,
+          average: 2.75,
+          criteria: [{ ...rubric[0], average: 3 }, { ...rubric[1], average: 2.5 }],
+          recommendations: { hire: 1, 'no-hire': 1 }
+        }
+      }
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent('2.75 / 4 average · 1 hire, 1 no hire · 2 scorecards');
+    expect(screen.getByText('Grace')).toBeInTheDocument();
+    expect(screen.getByText('Problem solving 2 · Communication 2')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit my scorecard' }));
+    expect(screen.getByLabelText('Problem solving: 4 (Excellent)')).toBeChecked();
+    expect(screen.getByRole('button', { name: 'Update scorecard' })).toBeEnabled();
+  });
+
+  it('should let the criteria change until someone submitted', async () => {
+    const onSaveRubric = vi.fn().mockResolvedValue(true);
+    renderPanel({ onSaveRubric });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit criteria' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Remove criterion 2' }));
+    fireEvent.click(screen.getByRole('button', { name: '+ Add criterion' }));
+    fireEvent.change(screen.getByLabelText('Criterion 2'), { target: { value: 'Testing' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save criteria' }));
+
+    expect(onSaveRubric).toHaveBeenCalledWith([rubric[0], { label: 'Testing' }]);
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Submit scorecard' })).toBeInTheDocument());
+  });
+
+  it('should hide the results and the criteria editor from those who did not submit', () => {
+    renderPanel({ evaluation: { rubric, submissionCount: 1, submission: null, submissions: null, aggregate: null } });
+
+    expect(screen.getByText(/1 interviewer has submitted/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Edit criteria' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
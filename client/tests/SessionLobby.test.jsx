@@ -0,0 +1,68 @@
+/**
+ * SessionLobby Component Unit Tests
+ *
+ * Tests the countdown before a scheduled session opens, the waiting room and
+ * the message shown when a session cannot be joined.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import SessionLobby from '../src/components/SessionLobby.jsx';
+
+describe('SessionLobby Component Unit Tests', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderLobby = (props) => render(
+    <MemoryRouter>
+      <SessionLobby {...props} />
+    </MemoryRouter>
+  );
+
+  it('should count down to the start using the server clock', () => {
+    // The server is 30 seconds ahead of us
+    renderLobby({ startsAt: Date.now() + 5 * 60 * 1000, clockOffset: 30 * 1000 });
+
+    expect(screen.getByText('The interview has not started yet')).toBeInTheDocument();
+    expect(screen.getByRole('timer')).toHaveTextContent('4:30');
+
+    act(() => {
+      vi.advanceTimersByTime(60 * 1000);
+    });
+    expect(screen.getByRole('timer')).toHaveTextContent('3:30');
+
+    act(() => {
+      vi.advanceTimersByTime(4 * 60 * 1000);
+    });
+    expect(screen.getByRole('timer')).toHaveTextContent('Joining...');
+  });
+
+  it('should tell candidates in the waiting room that they will be let in', () => {
+    renderLobby({ isWaitingForAdmission: true });
+
+    expect(screen.getByRole('status')).toHaveTextContent('Waiting for the interviewer to let you in');
+    expect(screen.queryByRole('timer')).not.toBeInTheDocument();
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+  });
+
+  it('should explain why a session cannot be joined', () => {
+    renderLobby({ message: 'This session has ended' });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('This session has ended');
+    expect(screen.getByRole('link', { name: 'Back to the home page' })).toHaveAttribute('href', '/');
+    expect(screen.queryByRole('timer')).not.toBeInTheDocument();
+  });
+
+  it('should link an ended interview to its archive', () => {
+    renderLobby({ message: 'The interview has ended', archiveUrl: '/session/abc/archive' });
+
+    expect(screen.getByRole('link', { name: 'See the final code' })).toHaveAttribute('href', '/session/abc/archive');
+  });
+});
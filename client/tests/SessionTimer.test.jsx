@@ -0,0 +1,105 @@
+/**
+ * SessionTimer Component Unit Tests
+ *
+ * Tests the countdown, its phases and the interviewer controls.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import SessionTimer from '../src/components/SessionTimer.jsx';
+
+const MINUTE = 60 * 1000;
+
+describe('SessionTimer Component Unit Tests', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const runningTimer = (phases, overrides = {}) => ({
+    phases,
+    lockOnTimeUp: false,
+    status: 'running',
+    startedAt: Date.now(),
+    elapsedMs: 0,
+    ...overrides
+  });
+
+  it('should count down the current phase', () => {
+    const timer = runningTimer([{ name: 'intro', durationMs: 5 * MINUTE }, { name: 'coding', durationMs: 35 * MINUTE }]);
+    render(<SessionTimer timer={timer} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('intro (1/2)5:00');
+
+    act(() => {
+      vi.advanceTimersByTime(6 * MINUTE);
+    });
+    expect(screen.getByRole('timer')).toHaveTextContent('coding (2/2)34:00');
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('should count from the server clock', () => {
+    const timer = runningTimer([{ name: '', durationMs: 10 * MINUTE }]);
+    // The server is a minute ahead: a minute already went by
+    render(<SessionTimer timer={timer} clockOffset={MINUTE} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('9:00');
+  });
+
+  it('should show when time is up', () => {
+    const timer = runningTimer([{ name: '', durationMs: 10 * MINUTE }], {
+      status: 'finished',
+      startedAt: null,
+      elapsedMs: 10 * MINUTE
+    });
+    const { container } = render(<SessionTimer timer={timer} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('Time is up');
+    expect(container.firstChild).toHaveClass('session-timer--finished');
+  });
+
+  it('should let interviewers start a timer in phases', () => {
+    const onStart = vi.fn();
+    render(<SessionTimer timer={null} canControl onStart={onStart} />);
+
+    fireEvent.click(screen.getByRole('button', { name: '⏱ Timer' }));
+    fireEvent.change(screen.getByLabelText('Phases'), { target: { value: 'intro 5m, coding' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    expect(screen.getByRole('alert')).toBeInTheDocument();
+    expect(onStart).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Phases'), { target: { value: 'intro 5m, coding 35m' } });
+    fireEvent.click(screen.getByLabelText('Make the code read-only for everyone when time is up'));
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+
+    expect(onStart).toHaveBeenCalledWith([
+      { name: 'intro', durationMs: 5 * MINUTE },
+      { name: 'coding', durationMs: 35 * MINUTE }
+    ], true);
+  });
+
+  it('should let interviewers pause, extend and reset the timer', () => {
+    const onPause = vi.fn();
+    const onExtend = vi.fn();
+    const onReset = vi.fn();
+    const timer = runningTimer([{ name: '', durationMs: 10 * MINUTE }]);
+    render(<SessionTimer timer={timer} canControl onPause={onPause} onExtend={onExtend} onReset={onReset} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pause timer' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add 5 minutes' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Reset timer' }));
+
+    expect(onPause).toHaveBeenCalled();
+    expect(onExtend).toHaveBeenCalledWith(5 * MINUTE);
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  it('should show nothing to candidates without a timer', () => {
+    const { container } = render(<SessionTimer timer={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * SnapshotDiff Component Unit Tests
+ *
+ * Tests comparing two versions of the workspace.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SnapshotDiff from '../src/components/SnapshotDiff.jsx';
+
+// Mock Monaco's diff editor since it doesn't work well in jsdom
+vi.mock('@monaco-editor/react', () => ({
+  DiffEditor: ({ original, modified, options }) => (
+    <div
+      data-testid="diff-editor"
+      data-original={original}
+      data-modified={modified}
+      data-side-by-side={String(options.renderSideBySide)}
+    />
+  )
+}));
+
+describe('SnapshotDiff Component Unit Tests', () => {
+  const snapshots = [
+    { id: 's1', name: 'Start', kind: 'manual', createdAt: '2024-01-01T10:00:00.000Z' },
+    { id: 's2', name: 'Run of main.js', kind: 'run', createdAt: '2024-01-01T10:05:00.000Z' }
+  ];
+  const files = {
+    s1: [{ id: 'f1', name: 'main.js', language: 'javascript', code: 'start' }],
+    s2: [{ id: 'f1', name: 'main.js', language: 'javascript', code: 'failing' }]
+  };
+  const currentFiles = [
+    { id: 'f1', name: 'main.js', language: 'javascript', code: 'passing' },
+    { id: 'f2', name: 'utils.js', language: 'javascript', code: 'helpers' }
+  ];
+
+  const renderDiff = (props = {}) => {
+    const loadSnapshot = vi.fn(async (snapshotId) => ({ id: snapshotId, files: files[snapshotId] }));
+    render(
+      <SnapshotDiff
+        snapshots={snapshots}
+        currentFiles={currentFiles}
+        loadSnapshot={loadSnapshot}
+        onClose={vi.fn()}
+        {...props}
+      />
+    );
+    return loadSnapshot;
+  };
+
+  it('should compare the first run with the current code by default', async () => {
+    const loadSnapshot = renderDiff();
+
+    const editor = await screen.findByTestId('diff-editor');
+    expect(loadSnapshot).toHaveBeenCalledWith('s2');
+    expect(editor).toHaveAttribute('data-original', 'failing');
+    expect(editor).toHaveAttribute('data-modified', 'passing');
+    expect(screen.getByText('Modified')).toBeInTheDocument();
+    expect(screen.getByText('Added')).toBeInTheDocument();
+  });
+
+  it('should compare any two points in history', async () => {
+    renderDiff({ initialFromId: 's1' });
+    await screen.findByTestId('diff-editor');
+
+    fireEvent.change(screen.getByLabelText('Compare to'), { target: { value: 's2' } });
+
+    const editor = await screen.findByTestId('diff-editor');
+    expect(editor).toHaveAttribute('data-original', 'start');
+    expect(editor).toHaveAttribute('data-modified', 'failing');
+  });
+
+  it('should switch between side-by-side and inline modes', async () => {
+    renderDiff();
+    const editor = await screen.findByTestId('diff-editor');
+    expect(editor).toHaveAttribute('data-side-by-side', 'true');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Inline' }));
+    expect(screen.getByTestId('diff-editor')).toHaveAttribute('data-side-by-side', 'false');
+    expect(screen.getByRole('button', { name: 'Inline' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should show the file picked in the file list', async () => {
+    renderDiff();
+    await screen.findByTestId('diff-editor');
+
+    fireEvent.click(screen.getByText('utils.js'));
+    expect(screen.getByTestId('diff-editor')).toHaveAttribute('data-original', '');
+    expect(screen.getByTestId('diff-editor')).toHaveAttribute('data-modified', 'helpers');
+  });
+
+  it('should show loading errors', async () => {
+    renderDiff({ loadSnapshot: vi.fn().mockRejectedValue(new Error('This snapshot no longer exists.')) });
+
+    expect(await screen.findByText('This snapshot no longer exists.')).toBeInTheDocument();
+  });
+});
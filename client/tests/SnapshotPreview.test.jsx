@@ -0,0 +1,75 @@
+/**
+ * SnapshotPreview Component Unit Tests
+ *
+ * Tests the read-only preview of a snapshot and restoring it.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SnapshotPreview from '../src/components/SnapshotPreview.jsx';
+
+vi.mock('@monaco-editor/react', () => ({
+  default: ({ value, options }) => (
+    <textarea data-testid="monaco-textarea" value={value} readOnly={options?.readOnly} />
+  )
+}));
+
+describe('SnapshotPreview Component Unit Tests', () => {
+  const snapshot = {
+    id: 's1',
+    name: 'Brute force',
+    createdBy: 'Ada',
+    createdAt: '2024-01-01T10:00:00.000Z',
+    files: [
+      { id: 'f1', name: 'main.js', language: 'javascript', code: 'solve();' },
+      { id: 'f2', name: 'utils.js', language: 'javascript', code: 'export const x = 1;' }
+    ]
+  };
+
+  const renderPreview = (props = {}) => render(
+    <SnapshotPreview snapshot={snapshot} error={null} onRestore={vi.fn()} onCompare={vi.fn()} onClose={vi.fn()} canRestore {...props} />
+  );
+
+  it('should show the saved files read-only', () => {
+    renderPreview();
+
+    expect(screen.getByText('Brute force')).toBeInTheDocument();
+    expect(screen.getByTestId('monaco-textarea')).toHaveValue('solve();');
+
+    fireEvent.click(screen.getByRole('tab', { name: 'utils.js' }));
+    expect(screen.getByTestId('monaco-textarea')).toHaveValue('export const x = 1;');
+  });
+
+  it('should restore the snapshot', () => {
+    const onRestore = vi.fn();
+    renderPreview({ onRestore });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore for everyone' }));
+    expect(onRestore).toHaveBeenCalledWith('s1');
+  });
+
+  it('should compare the snapshot with the current code', () => {
+    const onCompare = vi.fn();
+    renderPreview({ onCompare });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Compare with current' }));
+    expect(onCompare).toHaveBeenCalledWith('s1');
+  });
+
+  it('should not restore while loading or when not allowed', () => {
+    const { rerender } = renderPreview({ snapshot: null });
+    expect(screen.getByText('Loading snapshot...')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Restore for everyone' })).toBeDisabled();
+
+    rerender(<SnapshotPreview snapshot={snapshot} error={null} onRestore={vi.fn()} onCompare={vi.fn()} onClose={vi.fn()} canRestore={false} />);
+    expect(screen.getByRole('button', { name: 'Restore for everyone' })).toBeDisabled();
+  });
+
+  it('should close on Escape', () => {
+    const onClose = vi.fn();
+    renderPreview({ onClose });
+
+    fireEvent.keyDown(window, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+  });
+});
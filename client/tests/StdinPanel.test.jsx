@@ -0,0 +1,95 @@
+/**
+ * StdinPanel Component Unit Tests
+ *
+ * Tests the shared stdin editor and the interactive input prompt.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import StdinPanel from '../src/components/StdinPanel.jsx';
+
+describe('StdinPanel Component Unit Tests', () => {
+  const renderPanel = (props = {}) => render(
+    <StdinPanel
+      value=""
+      onChange={vi.fn()}
+      interactive={false}
+      onInteractiveChange={vi.fn()}
+      interactiveSupported={true}
+      isWaitingForInput={false}
+      onSubmitInput={vi.fn()}
+      onEndInput={vi.fn()}
+      {...props}
+    />
+  );
+
+  it('should edit the shared stdin', () => {
+    const onChange = vi.fn();
+    renderPanel({ value: '1 2', onChange });
+
+    const textarea = screen.getByLabelText('Standard input');
+    expect(textarea).toHaveValue('1 2');
+
+    fireEvent.change(textarea, { target: { value: '1 2\n3' } });
+    expect(onChange).toHaveBeenCalledWith('1 2\n3');
+  });
+
+  it('should disable the stdin when editing is not allowed', () => {
+    renderPanel({ disabled: true });
+
+    expect(screen.getByLabelText('Standard input')).toBeDisabled();
+  });
+
+  it('should toggle interactive mode only when supported', () => {
+    const onInteractiveChange = vi.fn();
+    const { rerender } = renderPanel({ onInteractiveChange });
+
+    fireEvent.click(screen.getByLabelText('Interactive'));
+    expect(onInteractiveChange).toHaveBeenCalledWith(true);
+
+    rerender(
+      <StdinPanel
+        value=""
+        onChange={vi.fn()}
+        interactive={true}
+        onInteractiveChange={onInteractiveChange}
+        interactiveSupported={false}
+        isWaitingForInput={false}
+        onSubmitInput={vi.fn()}
+        onEndInput={vi.fn()}
+      />
+    );
+    expect(screen.getByLabelText('Interactive')).toBeDisabled();
+    expect(screen.getByLabelText('Interactive')).not.toBeChecked();
+  });
+
+  it('should ask for a line while the program waits for input', () => {
+    const onSubmitInput = vi.fn();
+    const onEndInput = vi.fn();
+    const { rerender } = renderPanel({ onSubmitInput, onEndInput });
+
+    expect(screen.queryByLabelText('Program input')).not.toBeInTheDocument();
+
+    rerender(
+      <StdinPanel
+        value=""
+        onChange={vi.fn()}
+        interactive={true}
+        onInteractiveChange={vi.fn()}
+        interactiveSupported={true}
+        isWaitingForInput={true}
+        onSubmitInput={onSubmitInput}
+        onEndInput={onEndInput}
+      />
+    );
+
+    const input = screen.getByLabelText('Program input');
+    fireEvent.change(input, { target: { value: 'Ada' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+    expect(onSubmitInput).toHaveBeenCalledWith('Ada');
+    expect(input).toHaveValue('');
+
+    fireEvent.click(screen.getByRole('button', { name: 'End input' }));
+    expect(onEndInput).toHaveBeenCalled();
+  });
+});
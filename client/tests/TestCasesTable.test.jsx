@@ -0,0 +1,67 @@
+/**
+ * TestCasesTable Component Unit Tests
+ *
+ * Tests showing test results and editing test cases.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TestCasesTable from '../src/components/TestCasesTable.jsx';
+
+describe('TestCasesTable Component Unit Tests', () => {
+  const testCases = [
+    { id: 'a', input: '1 2', expectedOutput: '3', assertion: '' },
+    { id: 'b', input: '', expectedOutput: '', assertion: 'add(2, 2) === 4' }
+  ];
+
+  it('should show the results of the last run', () => {
+    render(
+      <TestCasesTable
+        testCases={testCases}
+        testRun={{
+          ranBy: 'Alice',
+          isRunning: false,
+          results: [
+            { testCaseId: 'a', status: 'passed', actual: '3', error: null, durationMs: 2 },
+            { testCaseId: 'b', status: 'error', actual: '', error: 'ReferenceError: add is not defined', durationMs: 1 }
+          ]
+        }}
+      />
+    );
+
+    expect(screen.getByRole('status')).toHaveTextContent('1/2 passed · run by Alice');
+    expect(screen.getByText('✓ Passed')).toBeInTheDocument();
+    expect(screen.getByText('⚠ Error')).toBeInTheDocument();
+    expect(screen.getByText('ReferenceError: add is not defined')).toBeInTheDocument();
+    expect(screen.getByText('add(2, 2) === 4')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Add test' })).not.toBeInTheDocument();
+  });
+
+  it('should show the progress of a run', () => {
+    render(
+      <TestCasesTable
+        testCases={testCases}
+        testRun={{ ranBy: 'Bob', isRunning: true, results: [{ testCaseId: 'a', status: 'failed', actual: '4', error: null, durationMs: 3 }] }}
+      />
+    );
+
+    expect(screen.getByRole('status')).toHaveTextContent('Running tests (1/2) · started by Bob');
+    expect(screen.getByText('✗ Failed')).toBeInTheDocument();
+    expect(screen.getByText('… Running')).toBeInTheDocument();
+  });
+
+  it('should let interviewers add and delete test cases', () => {
+    const onChange = vi.fn();
+    render(<TestCasesTable testCases={testCases} testRun={null} canEdit onChange={onChange} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Tests have not been run yet');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete test 1' }));
+    expect(onChange).toHaveBeenLastCalledWith([testCases[1]]);
+
+    fireEvent.change(screen.getByLabelText('Test input'), { target: { value: '5 5' } });
+    fireEvent.change(screen.getByLabelText('Expected output'), { target: { value: '10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add test' }));
+    expect(onChange).toHaveBeenLastCalledWith([...testCases, { input: '5 5', expectedOutput: '10', assertion: '' }]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Whiteboard Component Unit Tests
+ *
+ * Tests drawing, selecting, labeling and erasing on the whiteboard.
+ * The board is laid out at its full size, so board coordinates equal pointer coordinates.
+ */
+
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Whiteboard from '../src/components/Whiteboard.jsx';
+
+describe('Whiteboard Component Unit Tests', () => {
+  beforeAll(() => {
+    // jsdom has no PointerEvent (a MouseEvent carries the coordinates) and no layout
+    window.PointerEvent ??= class PointerEvent extends MouseEvent {};
+    SVGElement.prototype.getBoundingClientRect = () => ({ left: 0, top: 0, width: 1600, height: 1000 });
+  });
+
+  const box = { id: 'a', type: 'rect', x: 100, y: 100, width: 200, height: 100, color: '#3b82f6', text: 'API' };
+  const db = { id: 'b', type: 'ellipse', x: 500, y: 100, width: 200, height: 100, color: '#10b981', text: 'DB' };
+
+  const renderBoard = (props = {}) => render(
+    <Whiteboard
+      elements={[box, db]}
+      onAdd={vi.fn()}
+      onUpdate={vi.fn()}
+      onDelete={vi.fn()}
+      onClear={vi.fn()}
+      {...props}
+    />
+  );
+
+  const board = () => screen.getByRole('img', { name: 'Whiteboard drawing' });
+  const elementNode = (id) => document.querySelector(`[data-element-id="${id}"]`).firstElementChild;
+
+  it('should draw the elements with their labels', () => {
+    renderBoard();
+
+    expect(screen.getByText('API')).toBeInTheDocument();
+    expect(screen.getByText('DB')).toBeInTheDocument();
+    expect(elementNode('a')).toHaveAttribute('stroke', '#3b82f6');
+  });
+
+  it('should add a rectangle dragged out on the board', () => {
+    const onAdd = vi.fn();
+    renderBoard({ onAdd });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Rectangle' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Red' }));
+    fireEvent.pointerDown(board(), { clientX: 50, clientY: 400 });
+    fireEvent.pointerMove(board(), { clientX: 250, clientY: 500 });
+    fireEvent.pointerUp(board(), { clientX: 250, clientY: 500 });
+
+    expect(onAdd).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'rect', x: 50, y: 400, width: 200, height: 100, color: '#ef4444', text: ''
+    }));
+  });
+
+  it('should connect two elements', () => {
+    const onAdd = vi.fn();
+    renderBoard({ onAdd });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Connector' }));
+    fireEvent.pointerDown(elementNode('a'), { clientX: 200, clientY: 150 });
+    fireEvent.pointerMove(board(), { clientX: 400, clientY: 150 });
+    fireEvent.pointerUp(elementNode('b'), { clientX: 600, clientY: 150 });
+
+    expect(onAdd).toHaveBeenCalledWith(expect.objectContaining({ type: 'connector', from: 'a', to: 'b' }));
+  });
+
+  it('should move, relabel and erase the selected element', () => {
+    const onUpdate = vi.fn();
+    const onDelete = vi.fn();
+    renderBoard({ onUpdate, onDelete });
+
+    fireEvent.pointerDown(elementNode('a'), { clientX: 150, clientY: 150 });
+    fireEvent.pointerMove(board(), { clientX: 170, clientY: 190 });
+    fireEvent.pointerUp(board(), { clientX: 170, clientY: 190 });
+    expect(onUpdate).toHaveBeenCalledWith('a', { x: 120, y: 140 });
+
+    fireEvent.doubleClick(elementNode('a'));
+    const input = screen.getByLabelText('Label');
+    fireEvent.change(input, { target: { value: 'Gateway' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onUpdate).toHaveBeenCalledWith('a', { text: 'Gateway' });
+
+    fireEvent.keyDown(screen.getByLabelText('Whiteboard'), { key: 'Delete' });
+    expect(onDelete).toHaveBeenCalledWith(['a']);
+  });
+
+  it('should only allow exporting while disabled', () => {
+    renderBoard({ disabled: true });
+
+    expect(screen.getByRole('button', { name: 'Rectangle' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Clear' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Export SVG' })).toBeEnabled();
+    expect(screen.getByRole('button', { name: 'Export PNG' })).toBeEnabled();
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Comment Anchor Unit Tests
+ *
+ * Tests moving comment anchors along with edits and describing their lines.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TextOperation } from '../../shared/textOperation.js';
+import { transformComments, commentLines, formatCommentLines } from '../src/utils/comments.js';
+
+describe('Comment anchors', () => {
+  const code = 'const a = 1;\nconst b = 2;\nconst c = 3;';
+  const comment = { id: 'c1', fileId: 'f1', start: 13, end: 25 };
+
+  it('should move comments when lines are inserted above them', () => {
+    const insertLine = new TextOperation().insert('// setup\n').retain(code.length);
+    const [moved] = transformComments([comment], insertLine, 'f1');
+
+    expect(moved).toMatchObject({ start: 22, end: 34 });
+    expect(commentLines(insertLine.apply(code), moved)).toEqual({ startLine: 3, endLine: 3 });
+  });
+
+  it('should leave comments of other files untouched', () => {
+    const comments = [comment];
+    const edit = new TextOperation().insert('x').retain(code.length);
+
+    expect(transformComments(comments, edit, 'f2')).toBe(comments);
+  });
+
+  it('should collapse a comment whose code is deleted', () => {
+    const deleteLine = new TextOperation().retain(13).delete(13).retain(12);
+    const [moved] = transformComments([comment], deleteLine, 'f1');
+
+    expect(moved.start).toBe(13);
+    expect(moved.end).toBe(13);
+  });
+
+  it('should describe one or several lines', () => {
+    expect(formatCommentLines(commentLines(code, comment))).toBe('line 2');
+    expect(formatCommentLines(commentLines(code, { start: 0, end: code.length }))).toBe('lines 1–3');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Markdown Rendering Unit Tests
+ *
+ * Tests rendering the problem statement to sanitized HTML.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown } from '../src/utils/markdown.js';
+
+describe('renderMarkdown', () => {
+  it('should render code blocks and tables', () => {
+    const html = renderMarkdown('```js\nconst a = 1 < 2;\n```\n\n| n | out |\n|---|---|\n| 1 | 2 |');
+
+    expect(html).toContain('<pre><code class="language-js">const a = 1 &lt; 2;');
+    expect(html).toContain('<th>n</th>');
+    expect(html).toContain('<td>2</td>');
+  });
+
+  it('should strip scripts and event handlers', () => {
+    const html = renderMarkdown('<script>alert(1)</script><img src="data:image/png;base64,AA==" onerror="alert(2)">\n\n[x](javascript:alert(3))');
+
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('onerror');
+    expect(html).not.toContain('href="javascript:');
+  });
+
+  it('should keep data URI images and drop the others', () => {
+    const html = renderMarkdown('![graph](data:image/png;base64,iVBORw0KGgo=) ![remote](https://example.com/a.png)');
+
+    expect(html).toContain('<img src="data:image/png;base64,iVBORw0KGgo=" alt="graph">');
+    expect(html).not.toContain('example.com');
+  });
+
+  it('should open links in a new tab', () => {
+    expect(renderMarkdown('[docs](https://example.com)'))
+      .toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">docs</a>');
+  });
+});
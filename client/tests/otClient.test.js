@@ -0,0 +1,187 @@
+/**
+ * OTClient Unit Tests
+ *
+ * Tests the client side of the operational transformation protocol
+ * and the conversion of Monaco change events into operations.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { TextOperation } from '../../shared/textOperation.js';
+import { OTClient, operationFromMonacoChanges } from '../src/utils/otClient.js';
+
+describe('OTClient Unit Tests', () => {
+  describe('sending local edits', () => {
+    it('should send the first edit immediately', () => {
+      const send = vi.fn();
+      const client = new OTClient(3, send, vi.fn());
+      const op = new TextOperation().insert('a');
+
+      client.applyClient(op);
+
+      expect(send).toHaveBeenCalledWith(3, op, expect.any(String));
+      expect(client.hasPendingChanges()).toBe(true);
+    });
+
+    it('should buffer edits until the outstanding one is acknowledged', () => {
+      const send = vi.fn();
+      const client = new OTClient(0, send, vi.fn());
+
+      client.applyClient(new TextOperation().insert('a'));
+      client.applyClient(new TextOperation().retain(1).insert('b'));
+      client.applyClient(new TextOperation().retain(2).insert('c'));
+      expect(send).toHaveBeenCalledTimes(1);
+
+      client.serverAck();
+
+      expect(send).toHaveBeenCalledTimes(2);
+      const [revision, buffered] = send.mock.calls[1];
+      expect(revision).toBe(1);
+      expect(buffered.apply('a')).toBe('abc');
+    });
+
+    it('should ignore no-op edits', () => {
+      const send = vi.fn();
+      const client = new OTClient(0, send, vi.fn());
+
+      client.applyClient(new TextOperation().retain(5));
+
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receiving remote edits', () => {
+    it('should apply remote edits directly when nothing is pending', () => {
+      const apply = vi.fn();
+      const client = new OTClient(0, vi.fn(), apply, 'ab');
+      const op = new TextOperation().insert('x').retain(2);
+
+      client.applyServer(op);
+
+      expect(apply).toHaveBeenCalledWith(op);
+      expect(client.revision).toBe(1);
+    });
+
+    it('should transform remote edits against pending local edits', () => {
+      const apply = vi.fn();
+      let doc = 'ab';
+      const client = new OTClient(0, vi.fn(), apply, doc);
+
+      // Local: append 'L' -> 'abL'
+      const local = new TextOperation().retain(2).insert('L');
+      doc = local.apply(doc);
+      client.applyClient(local);
+
+      // Remote (also based on 'ab'): prepend 'R'
+      client.applyServer(new TextOperation().insert('R').retain(2));
+      doc = apply.mock.calls[0][0].apply(doc);
+
+      expect(doc).toBe('RabL');
+    });
+  });
+
+  describe('offline edits', () => {
+    it('should count and track local edits until acknowledged', () => {
+      const client = new OTClient(0, vi.fn(), vi.fn(), 'ab');
+
+      client.applyClient(new TextOperation().retain(2).insert('c'));
+      client.applyClient(new TextOperation().retain(3).insert('d'));
+      client.applyClient(new TextOperation().retain(4).insert('e'));
+
+      expect(client.getPendingCount()).toBe(3);
+      expect(client.document).toBe('abcde');
+
+      client.serverAck();
+      expect(client.getPendingCount()).toBe(2);
+      client.serverAck();
+      expect(client.getPendingCount()).toBe(0);
+    });
+
+    it('should round-trip through JSON', () => {
+      const client = new OTClient(4, vi.fn(), vi.fn(), 'ab');
+      client.applyClient(new TextOperation().retain(2).insert('c'));
+      client.applyClient(new TextOperation().retain(3).insert('d'));
+
+      const send = vi.fn();
+      const restored = OTClient.fromJSON(JSON.parse(JSON.stringify(client)), send, vi.fn());
+
+      expect(restored.revision).toBe(4);
+      expect(restored.document).toBe('abcd');
+      expect(restored.outstandingId).toBe(client.outstandingId);
+      expect(restored.getPendingCount()).toBe(2);
+    });
+
+    it('should reject malformed snapshots', () => {
+      expect(() => OTClient.fromJSON(null, vi.fn(), vi.fn())).toThrow();
+      expect(() => OTClient.fromJSON({ revision: 'x', document: '' }, vi.fn(), vi.fn())).toThrow();
+    });
+
+    it('should resend edits the server never received', () => {
+      const send = vi.fn();
+      const apply = vi.fn();
+      const client = new OTClient(0, send, apply, 'ab');
+      client.applyClient(new TextOperation().retain(2).insert('L'));
+      const [, , opId] = send.mock.calls[0];
+
+      // Someone else edited meanwhile
+      client.reconnect([{ operation: new TextOperation().insert('R').retain(2), opId: 'other' }]);
+
+      expect(client.document).toBe('RabL');
+      expect(apply).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledTimes(2);
+      const [revision, resent, resentId] = send.mock.calls[1];
+      expect(revision).toBe(1);
+      expect(resent.apply('Rab')).toBe('RabL');
+      expect(resentId).toBe(opId);
+    });
+
+    it('should treat its own operation in the history as acknowledged', () => {
+      const send = vi.fn();
+      const apply = vi.fn();
+      const client = new OTClient(0, send, apply, 'ab');
+      const local = new TextOperation().retain(2).insert('L');
+      client.applyClient(local);
+      const [, , opId] = send.mock.calls[0];
+      // Typed after the connection dropped
+      client.applyClient(new TextOperation().retain(3).insert('M'));
+
+      client.reconnect([
+        { operation: local, opId },
+        { operation: new TextOperation().insert('R').retain(3), opId: 'other' }
+      ]);
+
+      expect(client.document).toBe('RabLM');
+      expect(client.revision).toBe(2);
+      expect(apply).toHaveBeenCalledTimes(1);
+      // Only the edit made offline is sent, based on the latest revision
+      expect(send).toHaveBeenCalledTimes(2);
+      const [revision, resent, resentId] = send.mock.calls[1];
+      expect(revision).toBe(2);
+      expect(resent.apply('RabL')).toBe('RabLM');
+      expect(resentId).not.toBe(opId);
+      expect(client.getPendingCount()).toBe(1);
+    });
+  });
+
+  describe('operationFromMonacoChanges', () => {
+    it('should convert a single insertion', () => {
+      const op = operationFromMonacoChanges(
+        [{ rangeOffset: 3, rangeLength: 0, text: 'XY' }],
+        7
+      );
+
+      expect(op.apply('abcde')).toBe('abcXYde');
+    });
+
+    it('should convert multi-cursor changes reported in any order', () => {
+      const op = operationFromMonacoChanges(
+        [
+          { rangeOffset: 4, rangeLength: 1, text: 'E' },
+          { rangeOffset: 0, rangeLength: 1, text: 'A' }
+        ],
+        5
+      );
+
+      expect(op.apply('abcde')).toBe('AbcdE');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Program Input Unit Tests
+ *
+ * Tests how programs read the shared stdin and typed lines.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  splitInputLines,
+  createLineReader,
+  createInputChannel,
+  sendInputLine,
+  closeInput
+} from '../src/utils/programInput.js';
+
+describe('Program Input Unit Tests', () => {
+  it('should split stdin into lines', () => {
+    expect(splitInputLines('')).toEqual([]);
+    expect(splitInputLines('a\nb\n')).toEqual(['a', 'b']);
+    expect(splitInputLines('a\r\n\r\nb')).toEqual(['a', '', 'b']);
+  });
+
+  it('should return end of input after stdin without a channel', () => {
+    const onInputRequest = vi.fn();
+    const readLine = createLineReader('3\n4', null, onInputRequest);
+
+    expect(readLine()).toEqual({ line: '3', typed: false });
+    expect(readLine()).toEqual({ line: '4', typed: false });
+    expect(readLine()).toBeNull();
+    expect(onInputRequest).not.toHaveBeenCalled();
+  });
+
+  it('should read typed lines from the channel once stdin is used up', () => {
+    const channel = createInputChannel();
+    // The line is sent before reading, so the read does not block
+    const readLine = createLineReader('1', channel, () => sendInputLine(channel, 'héllo'));
+
+    expect(readLine()).toEqual({ line: '1', typed: false });
+    expect(readLine()).toEqual({ line: 'héllo', typed: true });
+  });
+
+  it('should return end of input once the channel is closed', () => {
+    const channel = createInputChannel();
+    const readLine = createLineReader('', channel, () => closeInput(channel));
+
+    expect(readLine()).toBeNull();
+  });
+});
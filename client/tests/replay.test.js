@@ -0,0 +1,76 @@
+/**
+ * Session Replay Unit Tests
+ *
+ * Tests rebuilding the workspace and console from a replay log.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createReplay, formatPlaybackTime, MAX_IDLE_MS } from '../src/utils/replay.js';
+
+describe('Session Replay Unit Tests', () => {
+  const file = { id: 'f1', name: 'main.js', language: 'javascript', code: '' };
+  const events = [
+    { type: 'file-create', at: 1000, file },
+    { type: 'edit', at: 1100, fileId: 'f1', operation: ['a'] },
+    { type: 'edit', at: 1200, fileId: 'f1', operation: [1, 'b'] },
+    { type: 'file-create', at: 1300, file: { id: 'f2', name: 'utils.py', language: 'python', code: 'x = 1' } },
+    // Long pause before the run
+    { type: 'run', at: 60000, output: '', error: null },
+    { type: 'output', at: 60100, output: 'ab', error: null },
+    { type: 'file-rename', at: 60200, fileId: 'f2', name: 'lib.py', language: 'python' },
+    { type: 'file-delete', at: 60300, fileId: 'f1' }
+  ];
+
+  it('should rebuild the files after any number of events', () => {
+    const replay = createReplay(events);
+
+    expect(replay.stateAt(0).files).toEqual([]);
+    expect(replay.stateAt(2).files).toEqual([{ ...file, code: 'a' }]);
+    expect(replay.stateAt(3).files[0].code).toBe('ab');
+    expect(replay.stateAt(3).lastEditedFileId).toBe('f1');
+    expect(replay.stateAt(7).files.map(f => f.name)).toEqual(['main.js', 'lib.py']);
+    expect(replay.stateAt(8).files.map(f => f.id)).toEqual(['f2']);
+  });
+
+  it('should rebuild the console', () => {
+    const replay = createReplay(events);
+
+    expect(replay.stateAt(5).output).toEqual({ output: '', error: null, isRunning: true });
+    expect(replay.stateAt(6).output).toEqual({ output: 'ab', error: null, isRunning: false });
+    expect(replay.runTimes).toEqual([replay.times[4]]);
+  });
+
+  it('should shorten idle stretches on the timeline', () => {
+    const replay = createReplay(events);
+
+    expect(replay.times.slice(0, 4)).toEqual([0, 100, 200, 300]);
+    expect(replay.times[4]).toBe(300 + MAX_IDLE_MS);
+    expect(replay.duration).toBe(300 + MAX_IDLE_MS + 300);
+  });
+
+  it('should find how many events happened up to a playback time', () => {
+    const replay = createReplay(events);
+
+    expect(replay.eventCountAt(0)).toBe(1);
+    expect(replay.eventCountAt(150)).toBe(2);
+    expect(replay.eventCountAt(replay.duration)).toBe(events.length);
+  });
+
+  it('should seek past keyframes', () => {
+    const typing = [{ type: 'file-create', at: 0, file }];
+    for (let i = 0; i < 1200; i++) {
+      typing.push({ type: 'edit', at: i + 1, fileId: 'f1', operation: i === 0 ? ['x'] : [i, 'x'] });
+    }
+    const replay = createReplay(typing);
+
+    expect(replay.stateAt(1001).files[0].code).toBe('x'.repeat(1000));
+    expect(replay.stateAt(typing.length).files[0].code).toHaveLength(1200);
+    // Earlier states are not changed by later seeks
+    expect(replay.stateAt(501).files[0].code).toHaveLength(500);
+  });
+
+  it('should format playback times', () => {
+    expect(formatPlaybackTime(0)).toBe('0:00');
+    expect(formatPlaybackTime(65400)).toBe('1:05');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Workspace Comparison Unit Tests
+ *
+ * Tests pairing the files of two versions of a workspace.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compareWorkspaces } from '../src/utils/snapshotDiff.js';
+
+describe('compareWorkspaces', () => {
+  const file = (id, name, code) => ({ id, name, language: 'javascript', code });
+
+  it('should report modified, unchanged, added and removed files', () => {
+    const entries = compareWorkspaces(
+      [file('a', 'main.js', 'v1'), file('b', 'utils.js', 'same'), file('c', 'old.js', '')],
+      [file('a', 'main.js', 'v2'), file('b', 'utils.js', 'same'), file('d', 'new.js', '')]
+    );
+
+    expect(entries.map(entry => [entry.name, entry.status])).toEqual([
+      ['main.js', 'modified'],
+      ['utils.js', 'unchanged'],
+      ['new.js', 'added'],
+      ['old.js', 'removed']
+    ]);
+    expect(entries[0].from.code).toBe('v1');
+    expect(entries[2].from).toBeNull();
+    expect(entries[3].to).toBeNull();
+  });
+
+  it('should follow renamed files by ID', () => {
+    const [entry] = compareWorkspaces([file('a', 'main.js', 'x')], [file('a', 'index.js', 'x')]);
+
+    expect(entry).toMatchObject({ name: 'index.js', status: 'unchanged', renamed: true });
+    expect(entry.from.name).toBe('main.js');
+  });
+
+  it('should match recreated files by name, ignoring case', () => {
+    const entries = compareWorkspaces([file('a', 'Utils.js', 'x')], [file('b', 'utils.js', 'y')]);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ status: 'modified', renamed: true });
+  });
+
+  it('should prefer a match by ID over a file reusing the old name', () => {
+    const entries = compareWorkspaces(
+      [file('a', 'main.js', 'old')],
+      [file('b', 'main.js', 'new file'), file('a', 'app.js', 'old')]
+    );
+
+    expect(entries.map(entry => [entry.name, entry.status])).toEqual([
+      ['main.js', 'added'],
+      ['app.js', 'unchanged']
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Test Case Results Unit Tests
+ *
+ * Tests turning runs into pass/fail results and counting them.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizeOutput, testCaseResult, summarizeTestResults } from '../src/utils/testCases.js';
+
+describe('normalizeOutput', () => {
+  it('should ignore line endings, trailing spaces and trailing blank lines', () => {
+    expect(normalizeOutput('1 \r\n2\r\n\n')).toBe('1\n2');
+    expect(normalizeOutput('  indented')).toBe('  indented');
+  });
+});
+
+describe('testCaseResult', () => {
+  const testCase = { id: 't1', input: '1 2', expectedOutput: '3\n', assertion: '' };
+
+  it('should compare the output with the expected output', () => {
+    expect(testCaseResult(testCase, { success: true, output: '3', durationMs: 4.6 })).toEqual({
+      testCaseId: 't1',
+      status: 'passed',
+      actual: '3',
+      error: null,
+      durationMs: 5
+    });
+    expect(testCaseResult(testCase, { success: true, output: '4' }).status).toBe('failed');
+  });
+
+  it('should use the assertion when there is one', () => {
+    const withAssertion = { ...testCase, assertion: 'add(1, 2) === 3' };
+
+    const passed = testCaseResult(withAssertion, { success: true, output: '', assertion: { passed: true, value: 'true' } });
+    expect(passed).toMatchObject({ status: 'passed', actual: 'true' });
+
+    const failed = testCaseResult(withAssertion, { success: true, output: '3', assertion: { passed: false, value: 'false' } });
+    expect(failed).toMatchObject({ status: 'failed', actual: 'false' });
+  });
+
+  it('should report errors and timeouts', () => {
+    const error = testCaseResult(testCase, { success: false, output: '', error: 'ReferenceError: x is not defined' });
+    expect(error).toMatchObject({ status: 'error', error: 'ReferenceError: x is not defined' });
+
+    const timeout = testCaseResult(testCase, { success: false, output: '', error: 'Timed out after 5s', timedOut: true });
+    expect(timeout).toMatchObject({ status: 'timeout', error: 'Timed out after 5s' });
+  });
+});
+
+describe('summarizeTestResults', () => {
+  it('should only count results of the current test cases', () => {
+    const results = [
+      { testCaseId: 'a', status: 'passed' },
+      { testCaseId: 'b', status: 'failed' },
+      { testCaseId: 'removed', status: 'passed' }
+    ];
+
+    expect(summarizeTestResults([{ id: 'a' }, { id: 'b' }], results)).toEqual({ passed: 1, total: 2 });
+  });
+});
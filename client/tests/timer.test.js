@@ -0,0 +1,42 @@
+/**
+ * Timer Helpers Unit Tests
+ *
+ * Tests reading typed phases and formatting the countdown.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parsePhases, formatClock } from '../src/utils/timer.js';
+
+describe('parsePhases', () => {
+  it('should read named phases with their units', () => {
+    expect(parsePhases('intro 5m, coding 35 min, Q&A 30s')).toEqual([
+      { name: 'intro', durationMs: 5 * 60 * 1000 },
+      { name: 'coding', durationMs: 35 * 60 * 1000 },
+      { name: 'Q&A', durationMs: 30 * 1000 }
+    ]);
+  });
+
+  it('should read a plain duration in minutes by default', () => {
+    expect(parsePhases('45')).toEqual([{ name: '', durationMs: 45 * 60 * 1000 }]);
+    expect(parsePhases('1h')).toEqual([{ name: '', durationMs: 60 * 60 * 1000 }]);
+  });
+
+  it('should reject phases without a valid duration', () => {
+    expect(parsePhases('')).toBeNull();
+    expect(parsePhases('intro, coding 35m')).toBeNull();
+    expect(parsePhases('coding 0m')).toBeNull();
+  });
+});
+
+describe('formatClock', () => {
+  it('should round up to the next second', () => {
+    expect(formatClock(245000)).toBe('4:05');
+    expect(formatClock(244001)).toBe('4:05');
+    expect(formatClock(0)).toBe('0:00');
+    expect(formatClock(-1000)).toBe('0:00');
+  });
+
+  it('should show hours for long countdowns', () => {
+    expect(formatClock((60 * 60 + 2 * 60 + 9) * 1000)).toBe('1:02:09');
+  });
+});
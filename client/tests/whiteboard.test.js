@@ -0,0 +1,55 @@
+/**
+ * Whiteboard Geometry Unit Tests
+ *
+ * Tests element bounds, connector ends and exporting the board.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  toBoardPoint,
+  elementBounds,
+  connectorEndpoints,
+  pathData,
+  serializeWhiteboard
+} from '../src/utils/whiteboard.js';
+
+describe('Whiteboard geometry', () => {
+  const box = { id: 'a', type: 'rect', x: 0, y: 0, width: 100, height: 50 };
+  const other = { id: 'b', type: 'rect', x: 300, y: 0, width: 100, height: 50 };
+
+  it('should map pointer positions to board coordinates', () => {
+    // A 800x600 element shows the 1600x1000 board at half size, centered vertically
+    const svg = { getBoundingClientRect: () => ({ left: 10, top: 20, width: 800, height: 600 }) };
+
+    expect(toBoardPoint(svg, 10, 70)).toEqual({ x: 0, y: 0 });
+    expect(toBoardPoint(svg, 410, 320)).toEqual({ x: 800, y: 500 });
+  });
+
+  it('should box pen strokes with their offset', () => {
+    const stroke = { type: 'path', x: 10, y: 20, points: [[0, 5], [30, -5], [15, 40]] };
+
+    expect(elementBounds(stroke)).toEqual({ x: 10, y: 15, width: 30, height: 45 });
+  });
+
+  it('should start and end connectors on the outline of their elements', () => {
+    expect(connectorEndpoints(box, other)).toEqual({ start: { x: 100, y: 25 }, end: { x: 300, y: 25 } });
+
+    const ellipse = { ...other, type: 'ellipse' };
+    expect(connectorEndpoints(ellipse, box).start).toEqual({ x: 300, y: 25 });
+
+    // While drawing, the arrow points at the pointer
+    expect(connectorEndpoints(box, { x: 50, y: 200 }).end).toEqual({ x: 50, y: 200 });
+  });
+
+  it('should export the board without editing overlays', () => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'whiteboard__board');
+    svg.innerHTML = `<path d="${pathData([[0, 0], [10, 5]])}"/><rect data-export="skip"/>`;
+
+    const exported = serializeWhiteboard(svg);
+    expect(exported).toContain('<path d="M0 0 L10 5"');
+    expect(exported).toContain('width="1600"');
+    expect(exported).not.toContain('data-export');
+    expect(svg.querySelector('[data-export]')).not.toBeNull();
+  });
+});
@@ -1,11 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Same cross-origin isolation as the production server (needed for interactive input)
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless'
+};
+
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
+    headers: isolationHeaders,
+    // Allow importing modules from ../shared
+    fs: {
+      allow: ['..']
+    },
     // Proxy API requests to backend during development
     proxy: {
       '/api': {
@@ -21,6 +21,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 import sessionRoutes from './routes/sessions.js';
+import questionRoutes from './routes/questions.js';
 import { registerSocketHandlers } from './socket/handlers.js';
 
 // Configuration
@@ -33,10 +34,11 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: CLIENT_URL,
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true
 }));
-app.use(express.json());
+// Problem statements may embed images as data URIs
+app.use(express.json({ limit: '1mb' }));
 
 // Security Middleware
 app.use(helmet({
@@ -51,7 +53,9 @@ app.use(helmet({
       workerSrc: ["'self'", "blob:"],
     },
   },
-  crossOriginEmbedderPolicy: false,
+  // Cross-origin isolation lets runners pause for interactive input (SharedArrayBuffer);
+  // "credentialless" keeps the CDN scripts (Monaco, Pyodide) and fonts loading
+  crossOriginEmbedderPolicy: { policy: 'credentialless' },
 }));
 
 // Rate limiting
@@ -71,6 +75,7 @@ app.use((req, res, next) => {
 
 // REST API Routes
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/questions', questionRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,143 @@
+/**
+ * Question Bank REST API Routes
+ *
+ * Manage the questions sessions can be started from
+ * (see POST /api/sessions with a templateId):
+ * - GET /api/questions - List the questions
+ * - POST /api/questions - Add a question
+ * - GET /api/questions/:id - Get a question with its starter code and test cases
+ * - PUT /api/questions/:id - Replace a question
+ * - DELETE /api/questions/:id - Remove a question
+ *
+ * Every interviewer starts sessions from the same bank, so changing it takes
+ * the admin token set in QUESTION_BANK_TOKEN, sent as
+ * "Authorization: Bearer <token>". Without that variable the bank is read-only.
+ */
+
+import { Router } from 'express';
+import { timingSafeEqual } from 'crypto';
+import {
+  listQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  summarizeQuestion
+} from '../store/questionStore.js';
+
+const router = Router();
+
+/**
+ * Only let requests with the question bank admin token through
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.QUESTION_BANK_TOKEN;
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Question bank is read-only' });
+  }
+
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  const expected = Buffer.from(adminToken);
+  const given = Buffer.from(match ? match[1] : '');
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/questions
+ * Lists the questions, sorted by title (without their statements and code)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ questions: listQuestions().map(summarizeQuestion) });
+  } catch (error) {
+    console.error('[API] Error listing questions:', error);
+    res.status(500).json({ error: 'Failed to list questions' });
+  }
+});
+
+/**
+ * POST /api/questions
+ * Adds a question
+ * Requires the admin token
+ * Body: { title, statement, starterCode: { javascript?, python? }, testCases: [{ input, expectedOutput }] }
+ */
+router.post('/', requireAdminToken, (req, res) => {
+  try {
+    const question = createQuestion(req.body);
+    if (!question) {
+      return res.status(400).json({ error: 'Invalid question' });
+    }
+
+    console.log(`[API] Created question: ${question.id}`);
+    res.status(201).json(question);
+  } catch (error) {
+    console.error('[API] Error creating question:', error);
+    res.status(500).json({ error: 'Failed to create question' });
+  }
+});
+
+/**
+ * GET /api/questions/:id
+ * Retrieves a question with its statement, starter code and test cases
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const question = getQuestion(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json(question);
+  } catch (error) {
+    console.error('[API] Error retrieving question:', error);
+    res.status(500).json({ error: 'Failed to retrieve question' });
+  }
+});
+
+/**
+ * PUT /api/questions/:id
+ * Replaces a question (same body as POST)
+ * Requires the admin token
+ */
+router.put('/:id', requireAdminToken, (req, res) => {
+  try {
+    const question = updateQuestion(req.params.id, req.body);
+    if (question === null) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    if (!question) {
+      return res.status(400).json({ error: 'Invalid question' });
+    }
+
+    console.log(`[API] Updated question: ${question.id}`);
+    res.json(question);
+  } catch (error) {
+    console.error('[API] Error updating question:', error);
+    res.status(500).json({ error: 'Failed to update question' });
+  }
+});
+
+/**
+ * DELETE /api/questions/:id
+ * Removes a question; sessions started from it are not affected
+ * Requires the admin token
+ */
+router.delete('/:id', requireAdminToken, (req, res) => {
+  try {
+    if (!deleteQuestion(req.params.id)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    console.log(`[API] Deleted question: ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('[API] Error deleting question:', error);
+    res.status(500).json({ error: 'Failed to delete question' });
+  }
+});
+
+export default router;
@@ -2,29 +2,256 @@
  * Session REST API Routes
  * 
  * Handles HTTP endpoints for session management:
- * - POST /api/sessions - Create a new session
- * - GET /api/sessions/:id - Get session details
+ * - POST /api/sessions - Create a new session (optionally from a question of the bank, scheduled,
+ *   with a passcode or a waiting room)
+ * - GET /api/sessions/:id - Get session details (only within its window)
+ * - GET /api/sessions/:id/access - Whether joining takes a passcode
+ * - GET /api/sessions/:id/archive - Final state of an ended interview
+ * - GET /api/sessions/:id/replay - Get the replay log (interviewers only)
+ * - POST /api/sessions/:id/evaluation/evaluators - Get an evaluator token (interviewers only)
+ * - GET / PUT /api/sessions/:id/evaluation - Read or submit a scorecard (interviewers only)
+ * - PUT /api/sessions/:id/evaluation/rubric - Change the scorecard criteria (interviewers only)
+ * - GET /api/sessions/:id/snapshots - List the saved versions of the workspace (only within its window)
+ * - GET /api/sessions/:id/snapshots/:snapshotId - Get a saved version with its files (only within its window)
+ *
+ * Interviewer-only endpoints expect the interviewer token as
+ * "Authorization: Bearer <token>". Endpoints returning the code of a
+ * passcode-protected session expect the passcode as "X-Session-Passcode"
+ * (or the interviewer token); in a session with a waiting room, candidates
+ * also send the participant token the server gave them as "X-Participant-Token".
+ * Scorecard endpoints also expect the interviewer's own evaluator token as
+ * "X-Evaluator-Token", since every interviewer holds the same interviewer token.
  */
 
 import { Router } from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { createSession, getSession } from '../store/sessionStore.js';
+import { isValidProblemStatement } from '../../../shared/problem.js';
+import { normalizeTestCases } from '../../../shared/tests.js';
+import { normalizeEvaluation, normalizeRubric } from '../../../shared/evaluation.js';
+import { normalizeSchedule, scheduleStatus } from '../../../shared/schedule.js';
+import { isValidPasscode } from '../../../shared/passcode.js';
+import {
+  createSession,
+  getSession,
+  getEvaluation,
+  getEvaluatorId,
+  registerEvaluator,
+  setRubric,
+  submitEvaluation,
+  getSnapshot,
+  summarizeSnapshot,
+  isPasscodeProtected,
+  getAdmission,
+  verifyInterviewerToken
+} from '../store/sessionStore.js';
+import { PASSCODE_ERRORS, checkPasscode } from '../store/passcodeAttempts.js';
+import { getQuestion } from '../store/questionStore.js';
 
 const router = Router();
 
+const MAX_EVALUATOR_NAME_LENGTH = 32;
+
+// Status of the answer when a passcode check fails
+const PASSCODE_STATUS = {
+  required: 401,
+  invalid: 401,
+  throttled: 429
+};
+
+// Why a candidate the waiting room keeps out is refused (see getAdmission)
+const ADMISSION_ERRORS = {
+  waiting: 'Not admitted to this session',
+  blocked: 'You were removed from this session'
+};
+
+/**
+ * Interviewer token sent with the request, if any
+ */
+function getBearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * A time in ms as an ISO 8601 string (null stays null)
+ */
+function toISOString(time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+/**
+ * Evaluator ID of the interviewer sending a scorecard request, or answer with 403
+ * @returns {string|null} The evaluator ID, or null once the error was sent
+ */
+function findEvaluator(req, res, session) {
+  const evaluatorId = getEvaluatorId(session.id, req.get('X-Evaluator-Token'));
+  if (!evaluatorId) {
+    res.status(403).json({ error: 'Invalid evaluator token' });
+  }
+  return evaluatorId;
+}
+
+/**
+ * Find the session of an interviewer-only request, or answer with 404/403
+ * @returns {Object|null} The session, or null once the error was sent
+ */
+function findSessionForInterviewer(req, res) {
+  const { id } = req.params;
+  const session = getSession(id);
+  
+  if (!session) {
+    console.warn(`[API] Session not found: ${id}`);
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  
+  if (!verifyInterviewerToken(id, getBearerToken(req))) {
+    res.status(403).json({ error: 'Interviewer access required' });
+    return null;
+  }
+  
+  return session;
+}
+
+/**
+ * Find the session of a request reading its code, or answer with 404/401/429/403
+ * Passcode-protected sessions take the passcode, or the interviewer token.
+ * Candidates are held to the waiting room as when joining: they need a valid
+ * participant token once the session has one, and removed ones are refused.
+ * @returns {Object|null} The session, or null once the error was sent
+ */
+function findSessionForParticipant(req, res) {
+  const { id } = req.params;
+  const session = getSession(id);
+  
+  if (!session) {
+    console.warn(`[API] Session not found: ${id}`);
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  
+  if (!verifyInterviewerToken(id, getBearerToken(req))) {
+    const refusal = checkPasscode(id, req.get('X-Session-Passcode'), req.ip);
+    if (refusal) {
+      res.status(PASSCODE_STATUS[refusal]).json({ error: PASSCODE_ERRORS[refusal] });
+      return null;
+    }
+    
+    const admission = getAdmission(id, req.get('X-Participant-Token'));
+    if (admission !== 'admitted') {
+      res.status(403).json({ error: ADMISSION_ERRORS[admission] });
+      return null;
+    }
+  }
+  
+  return session;
+}
+
+/**
+ * Answer a request for the code of a session outside its window: 403 before it
+ * opens (with when it does), 410 once it closed
+ * @returns {boolean} True if the session is open, false once the error was sent
+ */
+function checkSessionWindow(session, res) {
+  const status = scheduleStatus(session, Date.now());
+  if (status === 'scheduled') {
+    res.status(403).json({ error: 'Session has not started yet', startsAt: toISOString(session.startsAt) });
+    return false;
+  }
+  if (status === 'ended') {
+    res.status(410).json({ error: 'Session has ended' });
+    return false;
+  }
+  return true;
+}
+
 /**
  * POST /api/sessions
  * Creates a new coding session with a unique ID
+ * The interviewer token is only ever returned here: whoever holds it
+ * joins the session as an interviewer, everyone else as a candidate.
+ * Body (all optional):
+ * - templateId: question of the bank to start from (statement, starter code, test cases)
+ * - language: which of the question's starter codes to use (its first one by default)
+ * - problemStatement: Markdown shown next to the editor (overrides the question's)
+ * - hiddenTestCases: test cases only interviewers will see (see shared/tests.js)
+ * - startsAt / endsAt: ISO 8601 dates candidates can join between (see shared/schedule.js)
+ * - ttlHours: how long the session is kept once nobody uses it (24 by default)
+ * - passcode: what candidates must give to join or read the code (stored hashed)
+ * - waitingRoom: whether candidates wait until an interviewer admits them (false by default)
  */
 router.post('/', (req, res) => {
   try {
+    const {
+      templateId,
+      language,
+      problemStatement,
+      hiddenTestCases = [],
+      startsAt,
+      endsAt,
+      ttlHours,
+      passcode,
+      waitingRoom = false
+    } = req.body ?? {};
+    if (problemStatement !== undefined && !isValidProblemStatement(problemStatement)) {
+      return res.status(400).json({ error: 'Invalid problem statement' });
+    }
+    
+    const normalizedHiddenTestCases = normalizeTestCases(hiddenTestCases);
+    if (!normalizedHiddenTestCases) {
+      return res.status(400).json({ error: 'Invalid test cases' });
+    }
+    
+    const schedule = normalizeSchedule({ startsAt, endsAt, ttlHours }, Date.now());
+    if (!schedule) {
+      return res.status(400).json({ error: 'Invalid schedule' });
+    }
+    
+    if (passcode !== undefined && !isValidPasscode(passcode)) {
+      return res.status(400).json({ error: 'Invalid passcode' });
+    }
+    
+    if (typeof waitingRoom !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid waiting room setting' });
+    }
+    
+    const options = {
+      problemStatement,
+      hiddenTestCases: normalizedHiddenTestCases,
+      ...schedule,
+      passcode,
+      waitingRoom
+    };
+    if (templateId !== undefined) {
+      const question = typeof templateId === 'string' ? getQuestion(templateId) : null;
+      if (!question) {
+        return res.status(400).json({ error: 'Template not found' });
+      }
+      
+      const starterLanguage = language ?? Object.keys(question.starterCode)[0];
+      if (!Object.hasOwn(question.starterCode, starterLanguage)) {
+        return res.status(400).json({ error: 'Language not available for this template' });
+      }
+      
+      Object.assign(options, {
+        problemStatement: problemStatement ?? question.statement,
+        language: starterLanguage,
+        code: question.starterCode[starterLanguage],
+        testCases: question.testCases,
+        questionId: question.id
+      });
+    }
+    
     const sessionId = uuidv4();
-    const session = createSession(sessionId);
+    const session = createSession(sessionId, options);
     
     console.log(`[API] Created new session: ${sessionId}`);
     
     res.status(201).json({
       id: session.id,
+      interviewerToken: session.interviewerToken,
+      startsAt: toISOString(session.startsAt),
+      endsAt: toISOString(session.endsAt),
       message: 'Session created successfully'
     });
   } catch (error) {
@@ -36,27 +263,263 @@ router.post('/', (req, res) => {
 /**
  * GET /api/sessions/:id
  * Retrieves the current state of a session
+ * Refused without the passcode of a protected session (401), to candidates
+ * the waiting room keeps out (403), before the session's window opens (403,
+ * with when it does) and once it closed (410).
  */
 router.get('/:id', (req, res) => {
+  try {
+    const session = findSessionForParticipant(req, res);
+    if (!session || !checkSessionWindow(session, res)) return;
+    const { id } = session;
+    
+    console.log(`[API] Retrieved session: ${id}`);
+    
+    // code/language describe the main file; files lists the whole workspace
+    const mainFile = session.files.get(session.mainFileId);
+    res.json({
+      id: session.id,
+      code: mainFile.code,
+      language: mainFile.language,
+      files: Array.from(session.files.values(), file => ({
+        id: file.id,
+        name: file.name,
+        language: file.language,
+        code: file.code
+      })),
+      problemStatement: session.problemStatement,
+      startsAt: toISOString(session.startsAt),
+      endsAt: toISOString(session.endsAt),
+      endedAt: toISOString(session.endedAt)
+    });
+  } catch (error) {
+    console.error('[API] Error retrieving session:', error);
+    res.status(500).json({ error: 'Failed to retrieve session' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/access
+ * Whether joining the session takes a passcode, so clients can ask for it
+ * before connecting (says nothing else about the session)
+ */
+router.get('/:id/access', (req, res) => {
   try {
     const { id } = req.params;
-    const session = getSession(id);
     
-    if (!session) {
+    if (!getSession(id)) {
       console.warn(`[API] Session not found: ${id}`);
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    console.log(`[API] Retrieved session: ${id}`);
+    res.json({ passcodeRequired: isPasscodeProtected(id) });
+  } catch (error) {
+    console.error('[API] Error checking session access:', error);
+    res.status(500).json({ error: 'Failed to check session access' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/archive
+ * Final code, output, test results and details of an ended interview
+ * Same access as the session details (passcode or interviewer token); 409
+ * while the interview is still going on.
+ */
+router.get('/:id/archive', (req, res) => {
+  try {
+    const session = findSessionForParticipant(req, res);
+    if (!session) return;
+    
+    if (session.endedAt === null) {
+      return res.status(409).json({ error: 'Interview has not ended' });
+    }
+    
+    // The console as it was last shared
+    const lastOutput = session.events.findLast(event => event.type === 'run' || event.type === 'output');
+    
+    console.log(`[API] Retrieved archive of session: ${session.id}`);
     
     res.json({
       id: session.id,
-      code: session.code,
-      language: session.language
+      createdAt: session.createdAt,
+      endedAt: toISOString(session.endedAt),
+      endedBy: session.endedBy,
+      questionId: session.questionId,
+      problemStatement: session.problemStatement,
+      mainFileId: session.mainFileId,
+      files: Array.from(session.files.values(), file => ({
+        id: file.id,
+        name: file.name,
+        language: file.language,
+        code: file.code
+      })),
+      output: lastOutput ? { output: lastOutput.output, error: lastOutput.error } : null,
+      testCases: session.testCases,
+      testResults: session.testResults,
+      participants: Array.from(session.participants.values(), ({ name, color }) => ({ name, color }))
     });
   } catch (error) {
-    console.error('[API] Error retrieving session:', error);
-    res.status(500).json({ error: 'Failed to retrieve session' });
+    console.error('[API] Error retrieving archive:', error);
+    res.status(500).json({ error: 'Failed to retrieve archive' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/replay
+ * Retrieves every recorded edit, file and language change, run and output
+ * so the session can be replayed (interviewers only)
+ */
+router.get('/:id/replay', (req, res) => {
+  try {
+    const session = findSessionForInterviewer(req, res);
+    if (!session) return;
+    
+    console.log(`[API] Retrieved replay of session: ${session.id}`);
+    
+    res.json({
+      id: session.id,
+      createdAt: session.createdAt,
+      events: session.events
+    });
+  } catch (error) {
+    console.error('[API] Error retrieving replay:', error);
+    res.status(500).json({ error: 'Failed to retrieve replay' });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/evaluation/evaluators
+ * Issue a new evaluator token, which the interviewer keeps to read and submit
+ * their own scorecard (interviewers only)
+ */
+router.post('/:id/evaluation/evaluators', (req, res) => {
+  try {
+    const session = findSessionForInterviewer(req, res);
+    if (!session) return;
+    
+    res.status(201).json({ evaluatorToken: registerEvaluator(session.id) });
+  } catch (error) {
+    console.error('[API] Error registering evaluator:', error);
+    res.status(500).json({ error: 'Failed to register evaluator' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/evaluation
+ * The rubric and the asking interviewer's scorecard; once they submitted it,
+ * every interviewer's scorecard and their aggregate too (interviewers only)
+ */
+router.get('/:id/evaluation', (req, res) => {
+  try {
+    const session = findSessionForInterviewer(req, res);
+    if (!session) return;
+    
+    const evaluatorId = findEvaluator(req, res, session);
+    if (!evaluatorId) return;
+    
+    res.json(getEvaluation(session.id, evaluatorId));
+  } catch (error) {
+    console.error('[API] Error retrieving evaluation:', error);
+    res.status(500).json({ error: 'Failed to retrieve evaluation' });
+  }
+});
+
+/**
+ * PUT /api/sessions/:id/evaluation
+ * Submit (or revise) the asking interviewer's scorecard (interviewers only)
+ * Body: { evaluatorName, ratings: { criterionId: 1-4 }, justification, recommendation: 'hire' | 'no-hire' }
+ * Answers like GET /api/sessions/:id/evaluation
+ */
+router.put('/:id/evaluation', (req, res) => {
+  try {
+    const session = findSessionForInterviewer(req, res);
+    if (!session) return;
+    
+    const evaluatorId = findEvaluator(req, res, session);
+    if (!evaluatorId) return;
+    
+    const { evaluatorName } = req.body ?? {};
+    const evaluation = normalizeEvaluation(req.body, session.rubric);
+    if (!evaluation) {
+      return res.status(400).json({ error: 'Invalid evaluation' });
+    }
+    
+    const name = typeof evaluatorName === 'string' ? evaluatorName.trim().slice(0, MAX_EVALUATOR_NAME_LENGTH) : '';
+    submitEvaluation(session.id, evaluatorId, name || 'Interviewer', evaluation);
+    console.log(`[API] Evaluation submitted for session: ${session.id}`);
+    
+    res.json(getEvaluation(session.id, evaluatorId));
+  } catch (error) {
+    console.error('[API] Error submitting evaluation:', error);
+    res.status(500).json({ error: 'Failed to submit evaluation' });
+  }
+});
+
+/**
+ * PUT /api/sessions/:id/evaluation/rubric
+ * Replace the scorecard criteria, until the first scorecard is submitted (interviewers only)
+ * Body: { criteria: [{ id?, label }] }
+ */
+router.put('/:id/evaluation/rubric', (req, res) => {
+  try {
+    const session = findSessionForInterviewer(req, res);
+    if (!session) return;
+    
+    const criteria = normalizeRubric(req.body?.criteria);
+    if (!criteria) {
+      return res.status(400).json({ error: 'Invalid rubric' });
+    }
+    
+    const rubric = setRubric(session.id, criteria);
+    if (!rubric) {
+      return res.status(409).json({ error: 'The rubric cannot change once evaluations are submitted' });
+    }
+    
+    res.json({ rubric });
+  } catch (error) {
+    console.error('[API] Error updating rubric:', error);
+    res.status(500).json({ error: 'Failed to update rubric' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/snapshots
+ * Lists the snapshots of a session, oldest first (without their files)
+ * Only within the session's window, like the session details.
+ */
+router.get('/:id/snapshots', (req, res) => {
+  try {
+    const session = findSessionForParticipant(req, res);
+    if (!session || !checkSessionWindow(session, res)) return;
+    
+    res.json({ snapshots: session.snapshots.map(summarizeSnapshot) });
+  } catch (error) {
+    console.error('[API] Error listing snapshots:', error);
+    res.status(500).json({ error: 'Failed to list snapshots' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/snapshots/:snapshotId
+ * Retrieves a snapshot with the files it saved
+ * Only within the session's window, like the session details.
+ */
+router.get('/:id/snapshots/:snapshotId', (req, res) => {
+  try {
+    const { id, snapshotId } = req.params;
+    
+    const session = findSessionForParticipant(req, res);
+    if (!session || !checkSessionWindow(session, res)) return;
+    
+    const snapshot = getSnapshot(id, snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    res.json({ ...summarizeSnapshot(snapshot), files: snapshot.files });
+  } catch (error) {
+    console.error('[API] Error retrieving snapshot:', error);
+    res.status(500).json({ error: 'Failed to retrieve snapshot' });
   }
 });
 
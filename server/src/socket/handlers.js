@@ -2,20 +2,182 @@
  * Socket.IO Event Handlers
  * 
  * Handles real-time communication for collaborative coding:
- * - join-session: Join a session room
- * - code-change: Broadcast code updates
- * - language-change: Broadcast language updates
+ * - join-session: Join a session room (with its passcode, if it has one; candidates wait in a
+ *   lobby until a scheduled session opens, and in the waiting room until an interviewer admits them)
+ * - participant-admit / participant-remove: Let a candidate in, or force them out for good (interviewers only)
+ * - code-change: Apply and broadcast incremental edit operations
+ * - language-change: Broadcast a file's language updates
+ * - file-create / file-rename / file-delete: Manage the workspace files
+ * - stdin-change: Share the standard input fed to programs
+ * - problem-change: Replace the Markdown problem statement (interviewers only)
+ * - test-cases-change: Replace the test cases (interviewers only)
+ * - test-results-change: Share the progress and results of a test run
+ * - hidden-test-cases-change: Replace the hidden test cases (interviewers only, never sent to candidates)
+ * - chat-send: Post a message to the session chat
+ * - note-add / note-delete: Private interviewer notes (only ever sent to interviewers)
+ * - snapshot-create / snapshot-restore: Named versions of the workspace
+ * - comment-add / comment-reply / comment-resolve: Review comments anchored to lines of a file
+ * - whiteboard-add / whiteboard-update / whiteboard-delete / whiteboard-clear: Shared whiteboard drawing
+ * - cursor-change: Broadcast cursor/selection positions
+ * - lock-editor: Make the code read-only for candidates
+ * - timer-start / timer-pause / timer-resume / timer-extend / timer-reset: Shared countdown
+ *   run by the server, which can make the code read-only for everyone when time is up
+ * - presenter-change / viewport-change: "Follow me" mode, others track the presenter's viewport
+ * - session-end: End the interview (interviewers only): everyone is disconnected and the
+ *   session is kept as a read-only archive
+ *
+ * Every mutating event is checked against the sender's role (see permissions.js).
+ * Edits, file and language changes, runs and output are recorded for the session replay.
  */
 
 import { 
   getSession, 
-  updateCode, 
+  getFile,
+  isFileNameTaken,
+  createFile,
+  renameFile,
+  deleteFile,
+  applyOperation, 
+  getOperationsSince,
   updateLanguage, 
+  updateStdin,
+  updateProblemStatement,
+  setTestCases,
+  setHiddenTestCases,
+  setTestResults,
+  addChatMessage,
+  addNote,
+  deleteNote,
+  addComment,
+  replyToComment,
+  setCommentResolved,
+  addWhiteboardElement,
+  updateWhiteboardElement,
+  deleteWhiteboardElements,
+  clearWhiteboard,
+  createSnapshot,
+  getSnapshot,
+  summarizeSnapshot,
+  hasChangedSinceLastSnapshot,
+  restoreSnapshot,
+  recordEvent,
+  registerParticipant,
+  admitParticipant,
+  blockParticipant,
+  getAdmission,
+  setEditorLocked,
+  setTimer,
+  endSession,
+  isSessionEnded,
+  verifyInterviewerToken,
   sessionExists 
 } from '../store/sessionStore.js';
+import { PASSCODE_ERRORS, checkPasscode } from '../store/passcodeAttempts.js';
+import { ROLES, can } from './permissions.js';
+import { TextOperation } from '../../../shared/textOperation.js';
+import { MAX_FILES, isValidFileName } from '../../../shared/files.js';
+import { MAX_CHAT_MESSAGE_LENGTH } from '../../../shared/chat.js';
+import { MAX_WHITEBOARD_ELEMENTS } from '../../../shared/whiteboard.js';
+import { isValidProblemStatement } from '../../../shared/problem.js';
+import { scheduleStatus } from '../../../shared/schedule.js';
+import { MAX_TEST_CASES, normalizeTestCases, normalizeTestResult } from '../../../shared/tests.js';
+import {
+  MAX_EXTENSION_MS,
+  MAX_TIMER_DURATION_MS,
+  describeTimer,
+  extendTimer,
+  finishTimer,
+  normalizePhases,
+  pauseTimer,
+  resumeTimer,
+  startTimer,
+  totalDuration
+} from '../../../shared/timer.js';
 
 // Track active users per session
-const sessionPresence = new Map(); // sessionId -> Map<socketId, { isActive: boolean, joinedAt: Date }>
+const sessionPresence = new Map(); // sessionId -> Map<socketId, { participantToken, name, color, role, isActive, joinedAt, selection }>
+
+// Candidates waiting to be admitted into each session
+const sessionWaitingRooms = new Map(); // sessionId -> Map<socketId, { name, requestedAt }>
+
+// Participant currently presenting in each session
+const sessionPresenters = new Map(); // sessionId -> { socketId, viewport }
+
+// When each running timer runs out
+const timerTimeouts = new Map(); // sessionId -> Timeout
+
+const MAX_NAME_LENGTH = 32;
+const MAX_PARTICIPANT_ID_LENGTH = 64;
+const MAX_OPERATION_ID_LENGTH = 64;
+const MAX_STDIN_LENGTH = 10000;
+// Shared console output and errors are cut past this (the runner keeps the rest)
+const MAX_OUTPUT_LENGTH = 100000;
+const MAX_NOTE_LENGTH = 5000;
+const MAX_SNAPSHOT_NAME_LENGTH = 80;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Languages tests can be run in (in the browser)
+const TESTABLE_LANGUAGES = ['javascript', 'python'];
+
+/**
+ * Normalize a user-supplied display name
+ */
+function sanitizeName(name) {
+  if (typeof name !== 'string') return 'Guest';
+  const cleaned = name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  return cleaned || 'Guest';
+}
+
+/**
+ * Room of a session's interviewer sockets (for private data such as notes)
+ */
+function interviewerRoom(sessionId) {
+  return `${sessionId}:interviewers`;
+}
+
+/**
+ * Public identifier of a socket shared with other participants
+ * Shortened ID for privacy
+ */
+function publicId(socketId) {
+  return socketId.slice(0, 8);
+}
+
+/**
+ * Public description of a workspace file
+ */
+function describeFile(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    language: file.language,
+    code: file.code,
+    revision: file.revision
+  };
+}
+
+/**
+ * Public description of a chat message as seen by one participant
+ * (the sender's participant ID stays private)
+ */
+function describeMessage(message, participantId) {
+  return {
+    id: message.id,
+    name: message.name,
+    color: message.color,
+    role: message.role,
+    text: message.text,
+    sentAt: message.sentAt,
+    isOwn: message.participantId === participantId
+  };
+}
+
+/**
+ * Whether an optional file ID from a client payload is well-formed
+ */
+function isOptionalFileId(fileId) {
+  return fileId === undefined || (typeof fileId === 'string' && fileId.length > 0);
+}
 
 /**
  * Get presence info for a session
@@ -25,7 +187,10 @@ function getSessionPresence(sessionId) {
   if (!users) return { userCount: 0, users: [] };
   
   const userList = Array.from(users.entries()).map(([id, data]) => ({
-    id: id.slice(0, 8), // Shortened ID for privacy
+    id: publicId(id),
+    name: data.name,
+    color: data.color,
+    role: data.role,
     isActive: data.isActive,
     joinedAt: data.joinedAt
   }));
@@ -45,6 +210,144 @@ function broadcastPresence(io, sessionId) {
   io.to(sessionId).emit('presence-update', presence);
 }
 
+/**
+ * Candidates waiting to be admitted into a session, first come first
+ */
+function getWaitingList(sessionId) {
+  const waiting = sessionWaitingRooms.get(sessionId);
+  if (!waiting) return [];
+  
+  return Array.from(waiting.entries(), ([id, data]) => ({
+    id: publicId(id),
+    name: data.name,
+    requestedAt: data.requestedAt
+  }));
+}
+
+/**
+ * Tell a session's interviewers who is waiting to be admitted
+ */
+function broadcastWaitingRoom(io, sessionId) {
+  io.to(interviewerRoom(sessionId)).emit('waiting-room-update', { waiting: getWaitingList(sessionId) });
+}
+
+/**
+ * Take a socket out of a session's waiting room
+ */
+function leaveWaitingRoom(io, socketId, sessionId) {
+  const waiting = sessionWaitingRooms.get(sessionId);
+  if (!waiting?.delete(socketId)) return;
+  
+  if (waiting.size === 0) {
+    sessionWaitingRooms.delete(sessionId);
+  }
+  broadcastWaitingRoom(io, sessionId);
+}
+
+/**
+ * Find the socket of a participant from their public ID
+ * @returns {Object|null} { socketId, participantToken, role, isWaiting } or null if they are not in the session
+ *   (participantToken is null for interviewers and candidates still waiting)
+ */
+function findParticipantSocket(sessionId, userId) {
+  for (const socketId of sessionWaitingRooms.get(sessionId)?.keys() ?? []) {
+    if (publicId(socketId) === userId) {
+      return { socketId, participantToken: null, role: ROLES.CANDIDATE, isWaiting: true };
+    }
+  }
+  for (const [socketId, data] of sessionPresence.get(sessionId) ?? []) {
+    if (publicId(socketId) === userId) {
+      return { socketId, participantToken: data.participantToken, role: data.role, isWaiting: false };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the last known cursor/selection of every participant except one
+ */
+function getSessionCursors(sessionId, excludeSocketId) {
+  const users = sessionPresence.get(sessionId);
+  if (!users) return [];
+  
+  return Array.from(users.entries())
+    .filter(([id, data]) => id !== excludeSocketId && data.selection)
+    .map(([id, data]) => ({ userId: publicId(id), ...data.selection }));
+}
+
+/**
+ * Get the current presenter of a session and their last viewport
+ * @returns {Object|null} { userId, viewport } or null if nobody is presenting
+ */
+function getPresenter(sessionId) {
+  const presenter = sessionPresenters.get(sessionId);
+  if (!presenter) return null;
+  
+  return { userId: publicId(presenter.socketId), viewport: presenter.viewport };
+}
+
+/**
+ * Stop presenting and tell everyone in the session
+ */
+function clearPresenter(io, sessionId) {
+  sessionPresenters.delete(sessionId);
+  io.to(sessionId).emit('presenter-update', { userId: null, viewport: null });
+}
+
+/**
+ * Tell everyone in the session about its timer
+ * serverTime lets clients count down from the server's clock rather than their own.
+ */
+function broadcastTimer(io, sessionId, timer) {
+  io.to(sessionId).emit('timer-update', { timer, serverTime: Date.now() });
+}
+
+/**
+ * End a session's timer when its time is up (or stop waiting for it when it is not running)
+ */
+function scheduleTimeUp(io, sessionId, timer) {
+  clearTimeout(timerTimeouts.get(sessionId));
+  timerTimeouts.delete(sessionId);
+  if (timer?.status !== 'running') return;
+  
+  const timeout = setTimeout(() => {
+    timerTimeouts.delete(sessionId);
+    const current = getSession(sessionId)?.timer;
+    if (current?.status !== 'running') return;
+    
+    const finished = finishTimer(current);
+    setTimer(sessionId, finished);
+    console.log(`[Socket] Time is up in session ${sessionId}`);
+    broadcastTimer(io, sessionId, finished);
+  }, describeTimer(timer, Date.now()).remainingMs);
+  // A pending time-up should not keep the process alive
+  timeout.unref?.();
+  timerTimeouts.set(sessionId, timeout);
+}
+
+/**
+ * Remove a socket from a session's presence and notify the remaining clients
+ */
+function leaveSession(io, socket, sessionId) {
+  socket.leave(sessionId);
+  socket.leave(interviewerRoom(sessionId));
+  
+  if (sessionPresenters.get(sessionId)?.socketId === socket.id) {
+    clearPresenter(io, sessionId);
+  }
+  
+  const users = sessionPresence.get(sessionId);
+  if (!users) return;
+  
+  users.delete(socket.id);
+  if (users.size === 0) {
+    sessionPresence.delete(sessionId);
+  } else {
+    io.to(sessionId).emit('cursor-remove', { userId: publicId(socket.id) });
+    broadcastPresence(io, sessionId);
+  }
+}
+
 /**
  * Register all Socket.IO event handlers
  * @param {Server} io - Socket.IO server instance
@@ -53,16 +356,122 @@ export function registerSocketHandlers(io) {
   io.on('connection', (socket) => {
     console.log(`[Socket] Client connected: ${socket.id}`);
     
-    // Track which session this socket is in
+    // Track which session this socket is in, as which participant and with which role
     let currentSessionId = null;
+    let currentParticipantId = null;
+    let currentRole = null;
+    // Server-issued token proving this candidate was let in (see admitParticipant)
+    let currentParticipantToken = null;
+    // Session whose waiting room this socket is in
+    let waitingSessionId = null;
+
+    /**
+     * Check that this socket joined the session and that its role allows the action
+     * Emits an error to the client when it does not
+     */
+    const authorize = (sessionId, action) => {
+      if (sessionId !== currentSessionId) {
+        socket.emit('error', { message: 'Not a member of this session' });
+        return false;
+      }
+      if (isSessionEnded(sessionId)) {
+        socket.emit('error', { message: 'Interview has ended' });
+        return false;
+      }
+      if (!can(currentRole, action, getSession(sessionId))) {
+        socket.emit('error', { message: 'Permission denied' });
+        return false;
+      }
+      return true;
+    };
+
+    /**
+     * Display name of this socket in its current session
+     */
+    const getDisplayName = (fallback = 'Guest') => {
+      return sessionPresence.get(currentSessionId)?.get(socket.id)?.name ?? fallback;
+    };
+
+    /**
+     * Full session state as seen by this socket
+     * code, language and revision describe the main file; files lists them all.
+     * @param {Object} session
+     * @param {Object} [sinceRevisions] - fileId -> revision; files listed here include
+     *   the operations applied after that revision so a reconnecting client can
+     *   rebase its unsynced edits
+     */
+    const buildSessionState = (session, sinceRevisions) => {
+      const files = Array.from(session.files.values(), (file) => {
+        const description = describeFile(file);
+        const sinceRevision = sinceRevisions?.[file.id];
+        
+        if (sinceRevision !== undefined) {
+          const missed = getOperationsSince(session.id, sinceRevision, file.id);
+          if (missed) {
+            description.operations = missed.map(({ operation, opId }) => ({
+              operation: operation.toJSON(),
+              opId
+            }));
+          }
+        }
+        return description;
+      });
+      
+      const mainFile = session.files.get(session.mainFileId);
+      const state = {
+        code: mainFile.code,
+        language: mainFile.language,
+        revision: mainFile.revision,
+        mainFileId: session.mainFileId,
+        files,
+        stdin: session.stdin,
+        problemStatement: session.problemStatement,
+        testCases: session.testCases,
+        testResults: session.testResults,
+        messages: session.messages.map(message => describeMessage(message, currentParticipantId)),
+        snapshots: session.snapshots.map(summarizeSnapshot),
+        comments: session.comments,
+        whiteboard: session.whiteboard,
+        isLocked: session.isLocked,
+        timer: session.timer,
+        serverTime: Date.now(),
+        role: currentRole,
+        cursors: getSessionCursors(session.id, socket.id),
+        presenter: getPresenter(session.id),
+        userId: publicId(socket.id)
+      };
+      
+      // Notes, hidden tests and the waiting room never leave the interviewers
+      if (currentRole === ROLES.INTERVIEWER) {
+        state.notes = session.notes;
+        state.hiddenTestCases = session.hiddenTestCases;
+        state.waiting = getWaitingList(session.id);
+      } else {
+        state.participantToken = currentParticipantToken;
+      }
+      return state;
+    };
 
     /**
      * Handle joining a session
-     * Client sends: { sessionId: string }
-     * Server responds with: session-state { code, language } or error
+     * Client sends: { sessionId: string, name?: string, participantId?: string, participantToken?: string, token?: string, passcode?: string, revisions?: Object }
+     *   participantId is a stable client-generated ID used to keep the same color
+     *   participantToken is the token the server gave a candidate it let in (from session-state or admission-granted)
+     *   token is the interviewer token from POST /api/sessions (candidates omit it)
+     *   passcode is required from candidates when the session has one (wrong ones are throttled per IP)
+     *   revisions maps fileId -> last revision a reconnecting client saw of that file
+     * Server responds with: session-state { code, language, revision, mainFileId, files, stdin, problemStatement, testCases, testResults, messages, snapshots, comments, whiteboard, isLocked, timer, serverTime, role, cursors, presenter, userId, participantToken?, notes?, hiddenTestCases?, waiting? } or error
+     *   notes, hiddenTestCases and waiting are only included for interviewers, participantToken for candidates
+     *   each file lists the [{ operation, opId }] applied since its revision (when it is known)
+     * Before a scheduled session opens, candidates get session-not-started { startsAt, serverTime }
+     * instead and join again once it does; nobody can join once it ended
+     * In a session with a waiting room, candidates without a valid participantToken get
+     * waiting-for-admission instead (interviewers get waiting-room-update { waiting }) and
+     * join again once admission-granted arrives; removed candidates' tokens are refused
+     * Once an interviewer ended the interview, nobody can join (it is only readable as an archive)
      */
     socket.on('join-session', (data) => {
-      const { sessionId } = data;
+      const { sessionId, name, participantId, participantToken, token, passcode, revisions } = data;
       
       if (!sessionId) {
         socket.emit('error', { message: 'Session ID is required' });
@@ -76,45 +485,106 @@ export function registerSocketHandlers(io) {
         return;
       }
       
-      // Leave previous session if any
-      if (currentSessionId) {
-        socket.leave(currentSessionId);
-        // Remove from presence
-        const prevUsers = sessionPresence.get(currentSessionId);
-        if (prevUsers) {
-          prevUsers.delete(socket.id);
-          if (prevUsers.size === 0) {
-            sessionPresence.delete(currentSessionId);
-          } else {
-            broadcastPresence(io, currentSessionId);
-          }
+      const session = getSession(sessionId);
+      
+      const isInterviewer = verifyInterviewerToken(sessionId, token);
+      if (!isInterviewer) {
+        const refusal = checkPasscode(sessionId, passcode, socket.handshake.address);
+        if (refusal) {
+          socket.emit('error', { message: PASSCODE_ERRORS[refusal] });
+          return;
         }
+      }
+      
+      if (session.endedAt !== null) {
+        socket.emit('error', { message: 'Interview has ended' });
+        return;
+      }
+      
+      // Interviewers may come in early to prepare
+      const status = scheduleStatus(session, Date.now());
+      if (status === 'ended') {
+        socket.emit('error', { message: 'Session has ended' });
+        return;
+      }
+      if (status === 'scheduled' && !isInterviewer) {
+        socket.emit('session-not-started', { startsAt: session.startsAt, serverTime: Date.now() });
+        return;
+      }
+      
+      // Identify the participant (fall back to the socket for anonymous clients)
+      const isValidParticipantId = typeof participantId === 'string'
+        && participantId.length > 0
+        && participantId.length <= MAX_PARTICIPANT_ID_LENGTH;
+      const joiningParticipantId = isValidParticipantId ? participantId : socket.id;
+      
+      const admission = isInterviewer ? 'admitted' : getAdmission(sessionId, participantToken);
+      if (admission === 'blocked') {
+        socket.emit('error', { message: 'You were removed from this session' });
+        return;
+      }
+      
+      // Leave previous session (or waiting room) if any
+      if (currentSessionId) {
+        leaveSession(io, socket, currentSessionId);
         console.log(`[Socket] Client ${socket.id} left session: ${currentSessionId}`);
+        currentSessionId = null;
+        currentRole = null;
+        currentParticipantToken = null;
+      }
+      if (waitingSessionId) {
+        leaveWaitingRoom(io, socket.id, waitingSessionId);
+        waitingSessionId = null;
+      }
+      
+      if (admission === 'waiting') {
+        if (!sessionWaitingRooms.has(sessionId)) {
+          sessionWaitingRooms.set(sessionId, new Map());
+        }
+        sessionWaitingRooms.get(sessionId).set(socket.id, {
+          name: sanitizeName(name),
+          requestedAt: new Date()
+        });
+        waitingSessionId = sessionId;
+        
+        console.log(`[Socket] Client ${socket.id} is waiting to be admitted into session: ${sessionId}`);
+        socket.emit('waiting-for-admission', { sessionId });
+        broadcastWaitingRoom(io, sessionId);
+        return;
       }
       
       // Join the new session room
       socket.join(sessionId);
       currentSessionId = sessionId;
+      currentRole = isInterviewer ? ROLES.INTERVIEWER : ROLES.CANDIDATE;
+      if (currentRole === ROLES.INTERVIEWER) {
+        socket.join(interviewerRoom(sessionId));
+      } else {
+        currentParticipantToken = admitParticipant(sessionId, participantToken);
+      }
+      
+      currentParticipantId = joiningParticipantId;
+      const participant = registerParticipant(sessionId, currentParticipantId, sanitizeName(name));
       
       // Add to presence tracking
       if (!sessionPresence.has(sessionId)) {
         sessionPresence.set(sessionId, new Map());
       }
       sessionPresence.get(sessionId).set(socket.id, {
+        participantToken: currentParticipantToken,
+        name: participant.name,
+        color: participant.color,
+        role: currentRole,
         isActive: true,
-        joinedAt: new Date()
+        joinedAt: new Date(),
+        selection: null
       });
       
-      // Get current session state
-      const session = getSession(sessionId);
-      
-      console.log(`[Socket] Client ${socket.id} joined session: ${sessionId}`);
+      console.log(`[Socket] Client ${socket.id} (${participant.name}, ${currentRole}) joined session: ${sessionId}`);
       
       // Send current state to the joining client
-      socket.emit('session-state', {
-        code: session.code,
-        language: session.language
-      });
+      const sinceRevisions = revisions && typeof revisions === 'object' ? revisions : undefined;
+      socket.emit('session-state', buildSessionState(session, sinceRevisions));
       
       // Broadcast updated presence to all clients
       broadcastPresence(io, sessionId);
@@ -122,38 +592,79 @@ export function registerSocketHandlers(io) {
 
     /**
      * Handle code changes
-     * Client sends: { sessionId: string, code: string }
-     * Server broadcasts: code-update { code } to other clients in room
+     * Client sends: { sessionId: string, fileId?: string, revision: number, operation: Array, opId?: string }
+     *   where operation is a serialized TextOperation based on `revision` of the file
+     *   (the main file when fileId is omitted) and opId a client-generated ID used
+     *   to reconcile after reconnecting
+     * Server acknowledges: code-ack { fileId, revision } to the sender
+     * Server broadcasts: code-update { fileId, operation, revision } to other clients in room
      */
     socket.on('code-change', (data) => {
-      const { sessionId, code } = data;
+      const { sessionId, fileId, revision, operation, opId } = data;
       
-      if (!sessionId || code === undefined) {
+      const isValidOpId = opId === undefined
+        || (typeof opId === 'string' && opId.length > 0 && opId.length <= MAX_OPERATION_ID_LENGTH);
+      if (!sessionId || !Number.isInteger(revision) || !Array.isArray(operation) || !isValidOpId || !isOptionalFileId(fileId)) {
         socket.emit('error', { message: 'Invalid code change data' });
         return;
       }
       
-      // Update the session store
-      const updated = updateCode(sessionId, code);
+      let parsed;
+      try {
+        parsed = TextOperation.fromJSON(operation);
+      } catch (error) {
+        socket.emit('error', { message: 'Invalid code change data' });
+        return;
+      }
       
-      if (!updated) {
+      if (!authorize(sessionId, 'edit-code')) {
+        // Resync so the client drops the rejected edit, only in its own session
+        const session = sessionId === currentSessionId ? getSession(sessionId) : null;
+        if (session) {
+          socket.emit('session-state', buildSessionState(session));
+        }
+        return;
+      }
+      
+      const file = getFile(sessionId, fileId);
+      if (!file) {
+        socket.emit('error', { message: 'File not found' });
+        return;
+      }
+      
+      // Transform against concurrent edits and update the session store
+      const applied = applyOperation(sessionId, revision, parsed, opId ?? null, file.id);
+      
+      if (!applied) {
         socket.emit('error', { message: 'Failed to update code' });
+        const session = getSession(sessionId);
+        if (session) {
+          socket.emit('session-state', buildSessionState(session));
+        }
         return;
       }
       
-      // Broadcast to all OTHER clients in the room (not the sender)
-      socket.to(sessionId).emit('code-update', { code });
+      socket.emit('code-ack', { fileId: file.id, revision: applied.revision });
+      recordEvent(sessionId, 'edit', { fileId: file.id, operation: applied.operation.toJSON() });
+      
+      // Broadcast the transformed operation to all OTHER clients in the room
+      socket.to(sessionId).emit('code-update', {
+        fileId: file.id,
+        operation: applied.operation.toJSON(),
+        revision: applied.revision
+      });
     });
 
     /**
      * Handle language changes
-     * Client sends: { sessionId: string, language: string }
-     * Server broadcasts: language-update { language } to other clients in room
+     * Client sends: { sessionId: string, fileId?: string, language: string }
+     *   (the main file when fileId is omitted)
+     * Server broadcasts: language-update { fileId, language } to other clients in room
      */
     socket.on('language-change', (data) => {
-      const { sessionId, language } = data;
+      const { sessionId, fileId, language } = data;
       
-      if (!sessionId || !language) {
+      if (!sessionId || !language || !isOptionalFileId(fileId)) {
         socket.emit('error', { message: 'Invalid language change data' });
         return;
       }
@@ -165,74 +676,1013 @@ export function registerSocketHandlers(io) {
         return;
       }
       
+      if (!authorize(sessionId, 'change-language')) return;
+      
+      const file = getFile(sessionId, fileId);
+      if (!file) {
+        socket.emit('error', { message: 'File not found' });
+        return;
+      }
+      
       // Update the session store
-      const updated = updateLanguage(sessionId, language);
+      const updated = updateLanguage(sessionId, language, file.id);
       
       if (!updated) {
         socket.emit('error', { message: 'Failed to update language' });
         return;
       }
       
+      recordEvent(sessionId, 'language', { fileId: file.id, language });
+      
       // Broadcast to all OTHER clients in the room (not the sender)
-      socket.to(sessionId).emit('language-update', { language });
+      socket.to(sessionId).emit('language-update', { fileId: file.id, language });
     });
 
     /**
-     * Handle execution output sharing
-     * Client sends: { sessionId: string, output: string, error: string|null, isRunning: boolean }
-     * Server broadcasts: output-update to ALL clients in room (including sender for confirmation)
+     * Handle creating a file
+     * Client sends: { sessionId: string, name: string }
+     * Server broadcasts: file-created { file, createdBy } to ALL clients in room
      */
-    socket.on('output-change', (data) => {
-      const { sessionId, output, error, isRunning } = data;
+    socket.on('file-create', (data) => {
+      const { sessionId, name } = data;
       
       if (!sessionId) {
-        socket.emit('error', { message: 'Invalid output data' });
+        socket.emit('error', { message: 'Invalid file data' });
         return;
       }
       
-      // Broadcast to all OTHER clients in the room
-      socket.to(sessionId).emit('output-update', { 
-        output: output || '', 
-        error: error || null,
-        isRunning: isRunning || false
+      if (!isValidFileName(name)) {
+        socket.emit('error', { message: 'Invalid file name' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-files')) return;
+      
+      if (getSession(sessionId).files.size >= MAX_FILES) {
+        socket.emit('error', { message: 'File limit reached' });
+        return;
+      }
+      
+      if (isFileNameTaken(sessionId, name)) {
+        socket.emit('error', { message: 'A file with that name already exists' });
+        return;
+      }
+      
+      const file = createFile(sessionId, name);
+      if (!file) {
+        socket.emit('error', { message: 'Failed to create file' });
+        return;
+      }
+      
+      recordEvent(sessionId, 'file-create', { file: describeFile(file) });
+      
+      io.to(sessionId).emit('file-created', {
+        file: describeFile(file),
+        createdBy: publicId(socket.id)
       });
     });
 
     /**
-     * Handle activity status change (tab visibility)
-     * Client sends: { sessionId: string, isActive: boolean }
+     * Handle renaming a file
+     * Client sends: { sessionId: string, fileId: string, name: string }
+     * Server broadcasts: file-renamed { fileId, name, language } to ALL clients in room
      */
-    socket.on('activity-change', (data) => {
-      const { sessionId, isActive } = data;
+    socket.on('file-rename', (data) => {
+      const { sessionId, fileId, name } = data;
       
-      if (!sessionId || isActive === undefined) return;
+      if (!sessionId || typeof fileId !== 'string') {
+        socket.emit('error', { message: 'Invalid file data' });
+        return;
+      }
       
-      const users = sessionPresence.get(sessionId);
-      if (users && users.has(socket.id)) {
-        const userData = users.get(socket.id);
-        userData.isActive = isActive;
-        
-        // Broadcast update
-        broadcastPresence(io, sessionId);
+      if (!isValidFileName(name)) {
+        socket.emit('error', { message: 'Invalid file name' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-files')) return;
+      
+      if (!getFile(sessionId, fileId)) {
+        socket.emit('error', { message: 'File not found' });
+        return;
+      }
+      
+      if (isFileNameTaken(sessionId, name, fileId)) {
+        socket.emit('error', { message: 'A file with that name already exists' });
+        return;
+      }
+      
+      const file = renameFile(sessionId, fileId, name);
+      if (!file) {
+        socket.emit('error', { message: 'Failed to rename file' });
+        return;
       }
+      
+      const renamed = { fileId: file.id, name: file.name, language: file.language };
+      recordEvent(sessionId, 'file-rename', renamed);
+      
+      io.to(sessionId).emit('file-renamed', renamed);
     });
 
     /**
-     * Handle client disconnect
+     * Handle deleting a file
+     * Client sends: { sessionId: string, fileId: string }
+     * Server broadcasts: file-deleted { fileId, mainFileId } to ALL clients in room
      */
-    socket.on('disconnect', () => {
-      console.log(`[Socket] Client disconnected: ${socket.id}`);
-      if (currentSessionId) {
-        // Remove from presence tracking
-        const users = sessionPresence.get(currentSessionId);
-        if (users) {
-          users.delete(socket.id);
-          if (users.size === 0) {
-            sessionPresence.delete(currentSessionId);
-          } else {
-            broadcastPresence(io, currentSessionId);
-          }
-        }
+    socket.on('file-delete', (data) => {
+      const { sessionId, fileId } = data;
+      
+      if (!sessionId || typeof fileId !== 'string') {
+        socket.emit('error', { message: 'Invalid file data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-files')) return;
+      
+      if (!getFile(sessionId, fileId)) {
+        socket.emit('error', { message: 'File not found' });
+        return;
+      }
+      
+      if (!deleteFile(sessionId, fileId)) {
+        socket.emit('error', { message: 'Cannot delete the last file' });
+        return;
+      }
+      
+      recordEvent(sessionId, 'file-delete', { fileId });
+      
+      io.to(sessionId).emit('file-deleted', {
+        fileId,
+        mainFileId: getSession(sessionId).mainFileId
+      });
+    });
+
+    /**
+     * Handle edits to the shared standard input
+     * The whole text is sent; the last write wins.
+     * Client sends: { sessionId: string, stdin: string }
+     * Server broadcasts: stdin-update { stdin } to other clients in room
+     */
+    socket.on('stdin-change', (data) => {
+      const { sessionId, stdin } = data;
+      
+      if (!sessionId || typeof stdin !== 'string' || stdin.length > MAX_STDIN_LENGTH) {
+        socket.emit('error', { message: 'Invalid stdin data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'edit-stdin')) return;
+      
+      if (!updateStdin(sessionId, stdin)) {
+        socket.emit('error', { message: 'Failed to update stdin' });
+        return;
+      }
+      
+      socket.to(sessionId).emit('stdin-update', { stdin });
+    });
+
+    /**
+     * Handle a new problem statement
+     * The whole statement is sent when the interviewer saves it.
+     * Client sends: { sessionId: string, statement: string }
+     * Server broadcasts: problem-update { statement, updatedBy } to other clients in room
+     */
+    socket.on('problem-change', (data) => {
+      const { sessionId, statement } = data;
+      
+      if (!sessionId || !isValidProblemStatement(statement)) {
+        socket.emit('error', { message: 'Invalid problem statement' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'edit-problem')) return;
+      
+      if (!updateProblemStatement(sessionId, statement)) {
+        socket.emit('error', { message: 'Failed to update problem statement' });
+        return;
+      }
+      
+      socket.to(sessionId).emit('problem-update', {
+        statement,
+        updatedBy: getDisplayName('Interviewer')
+      });
+    });
+
+    /**
+     * Handle chat messages
+     * Client sends: { sessionId: string, text: string }
+     * Server broadcasts: chat-message { id, name, color, role, text, sentAt, isOwn } to ALL clients in room
+     *   (isOwn is only true in the sender's copy)
+     */
+    socket.on('chat-send', (data) => {
+      const { sessionId, text } = data;
+      
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (!sessionId || !trimmed || trimmed.length > MAX_CHAT_MESSAGE_LENGTH) {
+        socket.emit('error', { message: 'Invalid chat message' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'chat')) return;
+      
+      const message = addChatMessage(sessionId, currentParticipantId, currentRole, trimmed);
+      if (!message) {
+        socket.emit('error', { message: 'Failed to send message' });
+        return;
+      }
+      
+      socket.emit('chat-message', describeMessage(message, currentParticipantId));
+      socket.to(sessionId).emit('chat-message', describeMessage(message, null));
+    });
+
+    /**
+     * Handle adding a private note (interviewers only)
+     * Client sends: { sessionId: string, text: string }
+     * Server sends: note-added { note: { id, authorName, text, createdAt } } to the session's interviewers
+     */
+    socket.on('note-add', (data) => {
+      const { sessionId, text } = data;
+      
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (!sessionId || !trimmed || trimmed.length > MAX_NOTE_LENGTH) {
+        socket.emit('error', { message: 'Invalid note' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'write-notes')) return;
+      
+      const authorName = getDisplayName('Interviewer');
+      const note = addNote(sessionId, authorName, trimmed);
+      if (!note) {
+        socket.emit('error', { message: 'Failed to add note' });
+        return;
+      }
+      
+      io.to(interviewerRoom(sessionId)).emit('note-added', { note });
+    });
+
+    /**
+     * Handle deleting a private note (interviewers only)
+     * Client sends: { sessionId: string, noteId: string }
+     * Server sends: note-deleted { noteId } to the session's interviewers
+     */
+    socket.on('note-delete', (data) => {
+      const { sessionId, noteId } = data;
+      
+      if (!sessionId || typeof noteId !== 'string') {
+        socket.emit('error', { message: 'Invalid note' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'write-notes')) return;
+      
+      if (!deleteNote(sessionId, noteId)) {
+        socket.emit('error', { message: 'Note not found' });
+        return;
+      }
+      
+      io.to(interviewerRoom(sessionId)).emit('note-deleted', { noteId });
+    });
+
+    /**
+     * Handle starting a comment thread on a range of a file
+     * The server keeps the range on the same code as the file is edited.
+     * Client sends: { sessionId: string, fileId: string, start: number, end: number, text: string }
+     *   start/end are character offsets, usually the start of the first line and the end of the last
+     * Server broadcasts: comment-added { comment } to ALL clients in room
+     */
+    socket.on('comment-add', (data) => {
+      const { sessionId, fileId, start, end, text } = data;
+      
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      const isValidRange = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end >= start;
+      if (!sessionId || typeof fileId !== 'string' || !isValidRange || !trimmed || trimmed.length > MAX_COMMENT_LENGTH) {
+        socket.emit('error', { message: 'Invalid comment' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'comment')) return;
+      
+      if (!getFile(sessionId, fileId)) {
+        socket.emit('error', { message: 'File not found' });
+        return;
+      }
+      
+      const authorName = getDisplayName();
+      const comment = addComment(sessionId, fileId, start, end, authorName, trimmed);
+      if (!comment) {
+        socket.emit('error', { message: 'Failed to add comment' });
+        return;
+      }
+      
+      io.to(sessionId).emit('comment-added', { comment });
+    });
+
+    /**
+     * Handle replying to a comment thread
+     * Client sends: { sessionId: string, commentId: string, text: string }
+     * Server broadcasts: comment-updated { comment } to ALL clients in room
+     */
+    socket.on('comment-reply', (data) => {
+      const { sessionId, commentId, text } = data;
+      
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (!sessionId || typeof commentId !== 'string' || !trimmed || trimmed.length > MAX_COMMENT_LENGTH) {
+        socket.emit('error', { message: 'Invalid comment' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'comment')) return;
+      
+      const authorName = getDisplayName();
+      const comment = replyToComment(sessionId, commentId, authorName, trimmed);
+      if (!comment) {
+        socket.emit('error', { message: 'Comment not found' });
+        return;
+      }
+      
+      io.to(sessionId).emit('comment-updated', { comment });
+    });
+
+    /**
+     * Handle resolving or reopening a comment thread
+     * Client sends: { sessionId: string, commentId: string, resolved: boolean }
+     * Server broadcasts: comment-updated { comment } to ALL clients in room
+     */
+    socket.on('comment-resolve', (data) => {
+      const { sessionId, commentId, resolved } = data;
+      
+      if (!sessionId || typeof commentId !== 'string' || typeof resolved !== 'boolean') {
+        socket.emit('error', { message: 'Invalid comment' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'comment')) return;
+      
+      const resolvedBy = getDisplayName();
+      const comment = setCommentResolved(sessionId, commentId, resolved, resolvedBy);
+      if (!comment) {
+        socket.emit('error', { message: 'Comment not found' });
+        return;
+      }
+      
+      io.to(sessionId).emit('comment-updated', { comment });
+    });
+
+    /**
+     * Handle drawing on the whiteboard
+     * The sender draws the element right away; the others get it once it is stored.
+     * Client sends: { sessionId: string, element: Object } (see shared/whiteboard.js)
+     * Server broadcasts: whiteboard-element-added { element } to other clients in room
+     */
+    socket.on('whiteboard-add', (data) => {
+      const { sessionId, element } = data;
+      
+      if (!sessionId || !element || typeof element !== 'object') {
+        socket.emit('error', { message: 'Invalid whiteboard element' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'draw')) return;
+      
+      if (getSession(sessionId).whiteboard.length >= MAX_WHITEBOARD_ELEMENTS) {
+        socket.emit('error', { message: 'Whiteboard is full' });
+        return;
+      }
+      
+      const stored = addWhiteboardElement(sessionId, element);
+      if (!stored) {
+        socket.emit('error', { message: 'Invalid whiteboard element' });
+        return;
+      }
+      
+      socket.to(sessionId).emit('whiteboard-element-added', { element: stored });
+    });
+
+    /**
+     * Handle moving, recoloring or relabeling a whiteboard element
+     * Client sends: { sessionId: string, elementId: string, changes: Object }
+     * Server broadcasts: whiteboard-element-updated { element } to other clients in room
+     */
+    socket.on('whiteboard-update', (data) => {
+      const { sessionId, elementId, changes } = data;
+      
+      if (!sessionId || typeof elementId !== 'string') {
+        socket.emit('error', { message: 'Invalid whiteboard element' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'draw')) return;
+      
+      const element = updateWhiteboardElement(sessionId, elementId, changes);
+      if (!element) {
+        socket.emit('error', { message: 'Invalid whiteboard element' });
+        return;
+      }
+      
+      socket.to(sessionId).emit('whiteboard-element-updated', { element });
+    });
+
+    /**
+     * Handle erasing whiteboard elements (connectors attached to them go too)
+     * Client sends: { sessionId: string, elementIds: string[] }
+     * Server broadcasts: whiteboard-elements-deleted { elementIds } to ALL clients in room
+     */
+    socket.on('whiteboard-delete', (data) => {
+      const { sessionId, elementIds } = data;
+      
+      const isValidIds = Array.isArray(elementIds)
+        && elementIds.length <= MAX_WHITEBOARD_ELEMENTS
+        && elementIds.every(id => typeof id === 'string');
+      if (!sessionId || !isValidIds) {
+        socket.emit('error', { message: 'Invalid whiteboard element' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'draw')) return;
+      
+      const removedIds = deleteWhiteboardElements(sessionId, elementIds);
+      if (removedIds?.length > 0) {
+        io.to(sessionId).emit('whiteboard-elements-deleted', { elementIds: removedIds });
+      }
+    });
+
+    /**
+     * Handle erasing the whole whiteboard
+     * Client sends: { sessionId: string }
+     * Server broadcasts: whiteboard-cleared { clearedBy } to ALL clients in room
+     */
+    socket.on('whiteboard-clear', (data) => {
+      const { sessionId } = data;
+      
+      if (!authorize(sessionId, 'draw')) return;
+      
+      if (!clearWhiteboard(sessionId)) {
+        socket.emit('error', { message: 'Failed to clear whiteboard' });
+        return;
+      }
+      
+      io.to(sessionId).emit('whiteboard-cleared', { clearedBy: getDisplayName() });
+    });
+
+    /**
+     * Handle taking a snapshot of the workspace
+     * Client sends: { sessionId: string, name?: string, onRun?: boolean }
+     *   onRun marks the automatic snapshot taken when code is run; it is
+     *   skipped when nothing changed since the latest snapshot
+     * Server broadcasts: snapshot-created { id, name, kind, createdBy, createdAt, fileNames } to ALL clients in room
+     */
+    socket.on('snapshot-create', (data) => {
+      const { sessionId, name, onRun } = data;
+      
+      const trimmed = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+      if (!sessionId || (name !== undefined && typeof name !== 'string') || trimmed.length > MAX_SNAPSHOT_NAME_LENGTH) {
+        socket.emit('error', { message: 'Invalid snapshot data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'take-snapshot')) return;
+      
+      if (onRun === true && !hasChangedSinceLastSnapshot(sessionId)) return;
+      
+      const author = getDisplayName();
+      const kind = onRun === true ? 'run' : 'manual';
+      const fallbackName = kind === 'run' ? 'Run' : 'Snapshot';
+      const snapshot = createSnapshot(sessionId, trimmed || fallbackName, kind, author);
+      if (!snapshot) {
+        socket.emit('error', { message: 'Failed to take snapshot' });
+        return;
+      }
+      
+      io.to(sessionId).emit('snapshot-created', summarizeSnapshot(snapshot));
+    });
+
+    /**
+     * Handle restoring a snapshot for everyone
+     * The workspace is saved first so the restore can be undone.
+     * Client sends: { sessionId: string, snapshotId: string }
+     * Server broadcasts to ALL clients in room, in order:
+     *   snapshot-created (the workspace before restoring), file-deleted, file-renamed,
+     *   file-created, code-update, language-update for every change, then
+     *   snapshot-restored { snapshotId, name, restoredBy }
+     */
+    socket.on('snapshot-restore', (data) => {
+      const { sessionId, snapshotId } = data;
+      
+      if (!sessionId || typeof snapshotId !== 'string') {
+        socket.emit('error', { message: 'Invalid snapshot data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'restore-snapshot')) return;
+      
+      const snapshot = getSnapshot(sessionId, snapshotId);
+      if (!snapshot) {
+        socket.emit('error', { message: 'Snapshot not found' });
+        return;
+      }
+      
+      const author = getDisplayName();
+      const backup = createSnapshot(sessionId, `Before restoring "${snapshot.name}"`, 'restore', author);
+      if (backup) {
+        io.to(sessionId).emit('snapshot-created', summarizeSnapshot(backup));
+      }
+      
+      const changes = restoreSnapshot(sessionId, snapshotId);
+      if (!changes) {
+        socket.emit('error', { message: 'Failed to restore snapshot' });
+        return;
+      }
+      
+      for (const fileId of changes.deleted) {
+        recordEvent(sessionId, 'file-delete', { fileId });
+        io.to(sessionId).emit('file-deleted', { fileId, mainFileId: getSession(sessionId).mainFileId });
+      }
+      for (const file of changes.renamed) {
+        const renamed = { fileId: file.id, name: file.name, language: file.language };
+        recordEvent(sessionId, 'file-rename', renamed);
+        io.to(sessionId).emit('file-renamed', renamed);
+      }
+      for (const file of changes.created) {
+        recordEvent(sessionId, 'file-create', { file: describeFile(file) });
+        io.to(sessionId).emit('file-created', { file: describeFile(file), createdBy: publicId(socket.id) });
+      }
+      for (const { fileId, operation, revision } of changes.edited) {
+        recordEvent(sessionId, 'edit', { fileId, operation: operation.toJSON() });
+        io.to(sessionId).emit('code-update', { fileId, operation: operation.toJSON(), revision });
+      }
+      for (const file of changes.languages) {
+        recordEvent(sessionId, 'language', { fileId: file.id, language: file.language });
+        io.to(sessionId).emit('language-update', { fileId: file.id, language: file.language });
+      }
+      
+      console.log(`[Socket] ${author} restored snapshot "${snapshot.name}" in session: ${sessionId}`);
+      io.to(sessionId).emit('snapshot-restored', { snapshotId, name: snapshot.name, restoredBy: author });
+    });
+
+    /**
+     * Handle execution output sharing
+     * Client sends: { sessionId: string, output: string, error: string|null, isRunning: boolean }
+     *   output and error are cut to MAX_OUTPUT_LENGTH characters
+     * Server broadcasts: output-update to ALL clients in room (including sender for confirmation)
+     */
+    socket.on('output-change', (data) => {
+      const { sessionId, output = '', error = null, isRunning } = data;
+      
+      if (!sessionId || typeof output !== 'string' || (error !== null && typeof error !== 'string')) {
+        socket.emit('error', { message: 'Invalid output data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'share-output')) return;
+      
+      const shared = {
+        output: output.slice(0, MAX_OUTPUT_LENGTH),
+        error: error ? error.slice(0, MAX_OUTPUT_LENGTH) : null
+      };
+      recordEvent(sessionId, isRunning ? 'run' : 'output', shared);
+      
+      // Broadcast to all OTHER clients in the room
+      socket.to(sessionId).emit('output-update', { 
+        ...shared,
+        isRunning: isRunning || false
+      });
+    });
+
+    /**
+     * Handle new test cases
+     * The whole list is sent; cases without an ID get one.
+     * Client sends: { sessionId: string, testCases: [{ id?, input, expectedOutput, assertion }] }
+     * Server broadcasts: test-cases-update { testCases } to all clients in room (including sender)
+     */
+    socket.on('test-cases-change', (data) => {
+      const { sessionId } = data;
+      const testCases = normalizeTestCases(data.testCases);
+      
+      if (!sessionId || !testCases) {
+        socket.emit('error', { message: 'Invalid test cases' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-tests')) return;
+      
+      const stored = setTestCases(sessionId, testCases);
+      if (!stored) {
+        socket.emit('error', { message: 'Failed to update test cases' });
+        return;
+      }
+      
+      io.to(sessionId).emit('test-cases-update', { testCases: stored });
+    });
+
+    /**
+     * Handle new hidden test cases (interviewers only)
+     * Client sends: { sessionId: string, testCases: [{ id?, input, expectedOutput, assertion }] }
+     * Server sends: hidden-test-cases-update { testCases } to the session's interviewers
+     */
+    socket.on('hidden-test-cases-change', (data) => {
+      const { sessionId } = data;
+      const testCases = normalizeTestCases(data.testCases);
+      
+      if (!sessionId || !testCases) {
+        socket.emit('error', { message: 'Invalid test cases' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-tests')) return;
+      
+      const stored = setHiddenTestCases(sessionId, testCases);
+      if (!stored) {
+        socket.emit('error', { message: 'Failed to update test cases' });
+        return;
+      }
+      
+      io.to(interviewerRoom(sessionId)).emit('hidden-test-cases-update', { testCases: stored });
+    });
+
+    /**
+     * Handle test run progress
+     * Sent when a run starts, after each test case and when it is over.
+     * Client sends: { sessionId: string, language: string, isRunning: boolean, results: [{ testCaseId, status, actual, error, durationMs }] }
+     * Server broadcasts: test-results-update { ranBy, ranAt, language, isRunning, results } to other clients in room
+     */
+    socket.on('test-results-change', (data) => {
+      const { sessionId, language, isRunning } = data;
+      const results = Array.isArray(data.results) && data.results.length <= MAX_TEST_CASES
+        ? data.results.map(normalizeTestResult)
+        : null;
+      
+      if (!sessionId || !TESTABLE_LANGUAGES.includes(language) || !results || results.includes(null)) {
+        socket.emit('error', { message: 'Invalid test results' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'share-output')) return;
+      
+      // Even whether a hidden test passed would tell something about it
+      const hiddenIds = new Set(getSession(sessionId)?.hiddenTestCases.map(testCase => testCase.id));
+      if (results.some(result => hiddenIds.has(result.testCaseId))) {
+        socket.emit('error', { message: 'Hidden test results are not shared' });
+        return;
+      }
+      
+      const stored = setTestResults(sessionId, {
+        ranBy: getDisplayName(),
+        language,
+        isRunning: Boolean(isRunning),
+        results
+      });
+      if (!stored) {
+        socket.emit('error', { message: 'Failed to share test results' });
+        return;
+      }
+      
+      socket.to(sessionId).emit('test-results-update', stored);
+    });
+
+    /**
+     * Handle clearing the shared console
+     * Client sends: { sessionId: string }
+     * Server broadcasts: output-update with empty output to other clients in room
+     */
+    socket.on('output-clear', (data) => {
+      const { sessionId } = data;
+      
+      if (!sessionId) {
+        socket.emit('error', { message: 'Invalid output data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'clear-output')) return;
+      
+      recordEvent(sessionId, 'output', { output: '', error: null });
+      socket.to(sessionId).emit('output-update', { output: '', error: null, isRunning: false });
+    });
+
+    /**
+     * Handle locking/unlocking the editor
+     * Client sends: { sessionId: string, locked: boolean }
+     * Server broadcasts: editor-lock-update { locked } to ALL clients in room
+     */
+    socket.on('lock-editor', (data) => {
+      const { sessionId, locked } = data;
+      
+      if (!sessionId || typeof locked !== 'boolean') {
+        socket.emit('error', { message: 'Invalid lock data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'lock-editor')) return;
+      
+      if (!setEditorLocked(sessionId, locked)) {
+        socket.emit('error', { message: 'Failed to update lock' });
+        return;
+      }
+      
+      io.to(sessionId).emit('editor-lock-update', { locked });
+    });
+
+    /**
+     * Store a new timer state, plan its time-up and broadcast it
+     */
+    const updateTimer = (sessionId, timer) => {
+      if (!setTimer(sessionId, timer)) {
+        socket.emit('error', { message: 'Failed to update timer' });
+        return;
+      }
+      scheduleTimeUp(io, sessionId, timer);
+      broadcastTimer(io, sessionId, timer);
+    };
+
+    /**
+     * Handle starting a timer (replacing any current one)
+     * Client sends: { sessionId: string, phases: [{ name, durationMs }], lockOnTimeUp?: boolean }
+     * Server broadcasts: timer-update { timer, serverTime } to ALL clients in room
+     */
+    socket.on('timer-start', (data) => {
+      const { sessionId, lockOnTimeUp = false } = data;
+      const phases = normalizePhases(data.phases);
+      
+      if (!sessionId || !phases || typeof lockOnTimeUp !== 'boolean') {
+        socket.emit('error', { message: 'Invalid timer' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'control-timer')) return;
+      
+      updateTimer(sessionId, startTimer(phases, lockOnTimeUp, Date.now()));
+    });
+
+    /**
+     * Handle pausing, resuming and removing the timer
+     * Client sends: { sessionId: string }
+     * Server broadcasts: timer-update { timer, serverTime } to ALL clients in room (timer null once reset)
+     */
+    socket.on('timer-pause', (data) => {
+      const { sessionId } = data;
+      
+      if (!authorize(sessionId, 'control-timer')) return;
+      
+      const timer = getSession(sessionId)?.timer;
+      if (timer?.status !== 'running') {
+        socket.emit('error', { message: 'Timer is not running' });
+        return;
+      }
+      updateTimer(sessionId, pauseTimer(timer, Date.now()));
+    });
+
+    socket.on('timer-resume', (data) => {
+      const { sessionId } = data;
+      
+      if (!authorize(sessionId, 'control-timer')) return;
+      
+      const timer = getSession(sessionId)?.timer;
+      if (timer?.status !== 'paused') {
+        socket.emit('error', { message: 'Timer is not paused' });
+        return;
+      }
+      updateTimer(sessionId, resumeTimer(timer, Date.now()));
+    });
+
+    socket.on('timer-reset', (data) => {
+      const { sessionId } = data;
+      
+      if (!authorize(sessionId, 'control-timer')) return;
+      
+      updateTimer(sessionId, null);
+    });
+
+    /**
+     * Handle giving the current phase more time (restarts a timer whose time is up)
+     * Client sends: { sessionId: string, extensionMs: number }
+     * Server broadcasts: timer-update { timer, serverTime } to ALL clients in room
+     */
+    socket.on('timer-extend', (data) => {
+      const { sessionId, extensionMs } = data;
+      
+      if (!sessionId || !Number.isInteger(extensionMs) || extensionMs <= 0 || extensionMs > MAX_EXTENSION_MS) {
+        socket.emit('error', { message: 'Invalid timer' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'control-timer')) return;
+      
+      const timer = getSession(sessionId)?.timer;
+      if (!timer) {
+        socket.emit('error', { message: 'No timer to extend' });
+        return;
+      }
+      
+      const extended = extendTimer(timer, extensionMs, Date.now());
+      if (totalDuration(extended) > MAX_TIMER_DURATION_MS) {
+        socket.emit('error', { message: 'Invalid timer' });
+        return;
+      }
+      updateTimer(sessionId, extended);
+    });
+
+    /**
+     * Handle starting/stopping "follow me" mode
+     * Client sends: { sessionId: string, presenting: boolean }
+     *   Starting takes over from any current presenter
+     * Server broadcasts: presenter-update { userId, viewport } to ALL clients in room
+     *   (userId null when nobody presents any more)
+     */
+    socket.on('presenter-change', (data) => {
+      const { sessionId, presenting } = data;
+      
+      if (!sessionId || typeof presenting !== 'boolean') {
+        socket.emit('error', { message: 'Invalid presenter data' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'present')) return;
+      
+      if (presenting) {
+        sessionPresenters.set(sessionId, { socketId: socket.id, viewport: null });
+        io.to(sessionId).emit('presenter-update', { userId: publicId(socket.id), viewport: null });
+      } else if (sessionPresenters.get(sessionId)?.socketId === socket.id) {
+        clearPresenter(io, sessionId);
+      }
+    });
+
+    /**
+     * Handle the presenter scrolling
+     * Client sends: { sessionId: string, fileId?: string, startLine: number, endLine: number }
+     *   (first and last visible line, 1-based, of the file the presenter has open);
+     *   ignored unless the sender presents
+     * Server broadcasts: viewport-update { userId, fileId, startLine, endLine } to other clients in room
+     */
+    socket.on('viewport-change', (data) => {
+      const { sessionId, fileId, startLine, endLine } = data;
+      
+      const isLine = (value) => Number.isInteger(value) && value >= 1;
+      if (!sessionId || !isLine(startLine) || !isLine(endLine) || endLine < startLine || !isOptionalFileId(fileId)) {
+        socket.emit('error', { message: 'Invalid viewport data' });
+        return;
+      }
+      
+      const presenter = sessionPresenters.get(sessionId);
+      if (sessionId !== currentSessionId || presenter?.socketId !== socket.id) return;
+      
+      presenter.viewport = { fileId: fileId ?? null, startLine, endLine };
+      
+      socket.to(sessionId).emit('viewport-update', {
+        userId: publicId(socket.id),
+        fileId: fileId ?? null,
+        startLine,
+        endLine
+      });
+    });
+
+    /**
+     * Handle cursor / selection changes
+     * Client sends: { sessionId: string, fileId?: string, anchor: number, head: number }
+     *   (character offsets into the file; anchor === head means a plain caret)
+     * Server broadcasts: cursor-update { userId, fileId, anchor, head } to other clients in room
+     */
+    socket.on('cursor-change', (data) => {
+      const { sessionId, fileId, anchor, head } = data;
+      
+      const isOffset = (value) => Number.isInteger(value) && value >= 0;
+      if (!sessionId || !isOffset(anchor) || !isOffset(head) || !isOptionalFileId(fileId)) {
+        socket.emit('error', { message: 'Invalid cursor data' });
+        return;
+      }
+      
+      const users = sessionPresence.get(sessionId);
+      if (!users || !users.has(socket.id)) return;
+      
+      users.get(socket.id).selection = { fileId: fileId ?? null, anchor, head };
+      
+      socket.to(sessionId).emit('cursor-update', {
+        userId: publicId(socket.id),
+        fileId: fileId ?? null,
+        anchor,
+        head
+      });
+    });
+
+    /**
+     * Handle activity status change (tab visibility)
+     * Client sends: { sessionId: string, isActive: boolean }
+     */
+    socket.on('activity-change', (data) => {
+      const { sessionId, isActive } = data;
+      
+      if (!sessionId || isActive === undefined) return;
+      
+      const users = sessionPresence.get(sessionId);
+      if (users && users.has(socket.id)) {
+        const userData = users.get(socket.id);
+        userData.isActive = isActive;
+        
+        // Broadcast update
+        broadcastPresence(io, sessionId);
+      }
+    });
+
+    /**
+     * Handle letting a candidate out of the waiting room
+     * Client sends: { sessionId: string, userId: string } (userId from waiting-room-update)
+     * Server sends: admission-granted { sessionId, participantToken } to the candidate, who
+     *   joins again with the token, and waiting-room-update { waiting } to the interviewers
+     */
+    socket.on('participant-admit', (data) => {
+      const { sessionId, userId } = data;
+      
+      if (!sessionId || typeof userId !== 'string') {
+        socket.emit('error', { message: 'Invalid participant' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-participants')) return;
+      
+      const target = findParticipantSocket(sessionId, userId);
+      if (!target?.isWaiting) {
+        socket.emit('error', { message: 'Participant is not waiting' });
+        return;
+      }
+      
+      const participantToken = admitParticipant(sessionId);
+      leaveWaitingRoom(io, target.socketId, sessionId);
+      console.log(`[Socket] ${getDisplayName()} admitted ${target.socketId} into session: ${sessionId}`);
+      io.to(target.socketId).emit('admission-granted', { sessionId, participantToken });
+    });
+
+    /**
+     * Handle removing a candidate (present or waiting): they are disconnected, their
+     * participant token stops working and the session gets a waiting room, so they
+     * may not join it again unless an interviewer admits them
+     * Client sends: { sessionId: string, userId: string } (userId from presence-update or waiting-room-update)
+     * Server sends: removed-from-session { sessionId } to the candidate before disconnecting them
+     */
+    socket.on('participant-remove', (data) => {
+      const { sessionId, userId } = data;
+      
+      if (!sessionId || typeof userId !== 'string') {
+        socket.emit('error', { message: 'Invalid participant' });
+        return;
+      }
+      
+      if (!authorize(sessionId, 'manage-participants')) return;
+      
+      const target = findParticipantSocket(sessionId, userId);
+      if (!target) {
+        socket.emit('error', { message: 'Participant not found' });
+        return;
+      }
+      if (target.role === ROLES.INTERVIEWER) {
+        socket.emit('error', { message: 'Interviewers cannot be removed' });
+        return;
+      }
+      
+      blockParticipant(sessionId, target.participantToken);
+      console.log(`[Socket] ${getDisplayName()} removed ${target.socketId} from session: ${sessionId}`);
+      
+      // Their own disconnect handler takes them out of the presence and waiting room
+      const targetSocket = io.sockets.sockets.get(target.socketId);
+      targetSocket?.emit('removed-from-session', { sessionId });
+      targetSocket?.disconnect(true);
+    });
+
+    /**
+     * Handle ending the interview for everyone
+     * Client sends: { sessionId: string }
+     * Server sends: session-ended { endedAt, endedBy } to everyone in the session and its
+     *   waiting room, then disconnects them; the final state stays available from
+     *   GET /api/sessions/:id/archive
+     */
+    socket.on('session-end', (data) => {
+      const { sessionId } = data;
+      
+      if (!authorize(sessionId, 'end-session')) return;
+      
+      if (!endSession(sessionId, getDisplayName())) {
+        socket.emit('error', { message: 'Failed to end the interview' });
+        return;
+      }
+      scheduleTimeUp(io, sessionId, null);
+      
+      const { endedAt, endedBy } = getSession(sessionId);
+      console.log(`[Socket] ${endedBy} ended session: ${sessionId}`);
+      
+      const waitingSocketIds = Array.from(sessionWaitingRooms.get(sessionId)?.keys() ?? []);
+      io.to([sessionId, ...waitingSocketIds]).emit('session-ended', { endedAt, endedBy });
+      io.in([sessionId, ...waitingSocketIds]).disconnectSockets(true);
+    });
+
+    /**
+     * Handle client disconnect
+     */
+    socket.on('disconnect', () => {
+      console.log(`[Socket] Client disconnected: ${socket.id}`);
+      if (waitingSessionId) {
+        leaveWaitingRoom(io, socket.id, waitingSessionId);
+      }
+      if (currentSessionId) {
+        // Remove from presence tracking
+        leaveSession(io, socket, currentSessionId);
         
         console.log(`[Socket] Client ${socket.id} left session on disconnect: ${currentSessionId}`);
       }
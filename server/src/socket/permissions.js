@@ -0,0 +1,63 @@
+/**
+ * Role-based permissions for session events
+ *
+ * - interviewer: created the session (holds the interviewer token)
+ * - candidate: joined through the plain session link
+ */
+
+import { isLockedByTimer } from '../../../shared/timer.js';
+
+export const ROLES = {
+  INTERVIEWER: 'interviewer',
+  CANDIDATE: 'candidate'
+};
+
+// Actions that become interviewer-only while the editor is locked
+const LOCKABLE_ACTIONS = new Set(['edit-code', 'manage-files', 'edit-stdin', 'restore-snapshot']);
+
+// action -> roles allowed to perform it
+const PERMISSIONS = {
+  'edit-code': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'manage-files': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'edit-stdin': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'change-language': [ROLES.INTERVIEWER],
+  'share-output': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'clear-output': [ROLES.INTERVIEWER],
+  'lock-editor': [ROLES.INTERVIEWER],
+  'control-timer': [ROLES.INTERVIEWER],
+  'edit-problem': [ROLES.INTERVIEWER],
+  'manage-tests': [ROLES.INTERVIEWER],
+  'present': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'chat': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'comment': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'draw': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'take-snapshot': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'restore-snapshot': [ROLES.INTERVIEWER, ROLES.CANDIDATE],
+  'write-notes': [ROLES.INTERVIEWER],
+  'manage-participants': [ROLES.INTERVIEWER],
+  'end-session': [ROLES.INTERVIEWER]
+};
+
+/**
+ * Check whether a role may perform an action in a session
+ * @param {string} role - One of ROLES
+ * @param {string} action - Key of PERMISSIONS
+ * @param {Object} session - Current session (for state-dependent rules)
+ * @returns {boolean}
+ */
+export function can(role, action, session) {
+  const allowed = PERMISSIONS[action];
+  if (!allowed || !allowed.includes(role)) return false;
+  
+  // Once the time is up on a timer set to lock the code, it is read-only for everyone
+  if (LOCKABLE_ACTIONS.has(action) && isLockedByTimer(session?.timer)) {
+    return false;
+  }
+  
+  // A locked editor is read-only for everyone but interviewers
+  if (LOCKABLE_ACTIONS.has(action) && session?.isLocked) {
+    return role === ROLES.INTERVIEWER;
+  }
+  
+  return true;
+}
@@ -0,0 +1,69 @@
+/**
+ * Passcode checks with brute-force throttling
+ *
+ * Counts wrong passcodes per IP address (over every session): after
+ * MAX_FAILED_ATTEMPTS within ATTEMPT_WINDOW_MS, the address is refused
+ * until its window is over, even with the right passcode.
+ */
+
+import { isPasscodeProtected, verifyPasscode } from './sessionStore.js';
+
+const MAX_FAILED_ATTEMPTS = 10;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// ip -> { count, windowStartedAt }
+const failedAttempts = new Map();
+
+// Why access was refused
+export const PASSCODE_ERRORS = {
+  required: 'Passcode required',
+  invalid: 'Invalid passcode',
+  throttled: 'Too many attempts, try again later'
+};
+
+/**
+ * Failed attempts of an address in its current window
+ */
+function getAttempts(ip, now) {
+  const attempts = failedAttempts.get(ip);
+  if (attempts && now - attempts.windowStartedAt >= ATTEMPT_WINDOW_MS) {
+    failedAttempts.delete(ip);
+    return null;
+  }
+  return attempts ?? null;
+}
+
+/**
+ * Check the passcode a client gave to access a session
+ * A missing passcode is not counted as a failed attempt.
+ * @param {string} sessionId - UUID of the session
+ * @param {string|undefined} passcode - Passcode presented by the client
+ * @param {string} ip - Address of the client
+ * @returns {string|null} null when access is granted, otherwise why not: 'required', 'invalid' or 'throttled'
+ */
+export function checkPasscode(sessionId, passcode, ip) {
+  if (!isPasscodeProtected(sessionId)) return null;
+
+  const now = Date.now();
+  const attempts = getAttempts(ip, now);
+  if (attempts && attempts.count >= MAX_FAILED_ATTEMPTS) return 'throttled';
+
+  if (passcode === undefined || passcode === null || passcode === '') return 'required';
+  if (verifyPasscode(sessionId, passcode)) return null;
+
+  if (attempts) {
+    attempts.count++;
+  } else {
+    failedAttempts.set(ip, { count: 1, windowStartedAt: now });
+  }
+  console.warn(`[Passcode] Wrong passcode for session ${sessionId} from ${ip}`);
+  return 'invalid';
+}
+
+// Forget finished windows regularly (without keeping the process alive)
+setInterval(() => {
+  const now = Date.now();
+  for (const ip of failedAttempts.keys()) {
+    getAttempts(ip, now);
+  }
+}, ATTEMPT_WINDOW_MS).unref();
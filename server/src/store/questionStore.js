@@ -0,0 +1,158 @@
+/**
+ * In-memory question bank
+ *
+ * Questions sessions can be started from: a title, a Markdown statement,
+ * starter code per language and test cases (see shared/tests.js). The bank
+ * is seeded from the JSON files in server/questions; questions added or
+ * changed through the API live in memory like the sessions do.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { mainFileName } from '../../../shared/files.js';
+import { isValidProblemStatement } from '../../../shared/problem.js';
+import { normalizeTestCases } from '../../../shared/tests.js';
+
+const QUESTIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../questions');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_STARTER_CODE_LENGTH = 100000;
+
+// Map to store questions: questionId -> { id, title, statement, starterCode, testCases, createdAt, updatedAt }
+const questions = new Map();
+
+/**
+ * Validate a question, keeping only its known fields
+ * @param {Object} raw - Question as received from a client or read from a file
+ * @returns {Object|null} { title, statement, starterCode, testCases }, or null if it is not valid
+ */
+function normalizeQuestion(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const { title, statement = '', starterCode, testCases = [] } = raw;
+
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) return null;
+  if (!isValidProblemStatement(statement)) return null;
+
+  // At least one language, each of which a workspace file can be named after
+  if (!starterCode || typeof starterCode !== 'object') return null;
+  const starters = Object.entries(starterCode);
+  if (starters.length === 0) return null;
+  for (const [language, code] of starters) {
+    if (!mainFileName(language) || typeof code !== 'string' || code.length > MAX_STARTER_CODE_LENGTH) {
+      return null;
+    }
+  }
+
+  const normalizedTestCases = normalizeTestCases(testCases);
+  if (!normalizedTestCases) return null;
+
+  return {
+    title: title.trim(),
+    statement,
+    starterCode: Object.fromEntries(starters),
+    // Sessions give the test cases their own IDs
+    testCases: normalizedTestCases.map(({ input, expectedOutput, assertion }) => ({ input, expectedOutput, assertion }))
+  };
+}
+
+/**
+ * Load the questions shipped with the server
+ */
+function loadBundledQuestions() {
+  const fileNames = readdirSync(QUESTIONS_DIR).filter(name => name.endsWith('.json')).sort();
+  for (const fileName of fileNames) {
+    const raw = JSON.parse(readFileSync(path.join(QUESTIONS_DIR, fileName), 'utf8'));
+    const question = normalizeQuestion(raw);
+    if (!question) {
+      console.warn(`[QuestionStore] Skipping invalid question file: ${fileName}`);
+      continue;
+    }
+    const id = raw.id || path.basename(fileName, '.json');
+    const now = new Date().toISOString();
+    questions.set(id, { id, ...question, createdAt: now, updatedAt: now });
+  }
+  console.log(`[QuestionStore] Loaded ${questions.size} questions`);
+}
+
+loadBundledQuestions();
+
+/**
+ * Short description of a question, for lists
+ * @param {Object} question
+ * @returns {Object} { id, title, languages, testCaseCount }
+ */
+export function summarizeQuestion(question) {
+  return {
+    id: question.id,
+    title: question.title,
+    languages: Object.keys(question.starterCode),
+    testCaseCount: question.testCases.length
+  };
+}
+
+/**
+ * Every question, sorted by title
+ * @returns {Array}
+ */
+export function listQuestions() {
+  return Array.from(questions.values()).sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Get a question by ID
+ * @param {string} questionId
+ * @returns {Object|null} The question or null if not found
+ */
+export function getQuestion(questionId) {
+  return questions.get(questionId) || null;
+}
+
+/**
+ * Add a question to the bank
+ * @param {Object} raw - { title, statement, starterCode: { language: code }, testCases: [{ input, expectedOutput, assertion }] }
+ * @returns {Object|null} The stored question, or null if it is not valid
+ */
+export function createQuestion(raw) {
+  const question = normalizeQuestion(raw);
+  if (!question) return null;
+
+  const now = new Date().toISOString();
+  const stored = { id: randomUUID(), ...question, createdAt: now, updatedAt: now };
+  questions.set(stored.id, stored);
+  console.log(`[QuestionStore] Created question: ${stored.id}`);
+  return stored;
+}
+
+/**
+ * Replace a question
+ * @param {string} questionId
+ * @param {Object} raw - Same fields as for createQuestion
+ * @returns {Object|null|false} The updated question, null if not found, false if not valid
+ */
+export function updateQuestion(questionId, raw) {
+  const existing = questions.get(questionId);
+  if (!existing) return null;
+
+  const question = normalizeQuestion(raw);
+  if (!question) return false;
+
+  const updated = { ...existing, ...question, updatedAt: new Date().toISOString() };
+  questions.set(questionId, updated);
+  console.log(`[QuestionStore] Updated question: ${questionId}`);
+  return updated;
+}
+
+/**
+ * Remove a question from the bank (sessions started from it keep their copy)
+ * @param {string} questionId
+ * @returns {boolean} True if the question existed
+ */
+export function deleteQuestion(questionId) {
+  const deleted = questions.delete(questionId);
+  if (deleted) {
+    console.log(`[QuestionStore] Deleted question: ${questionId}`);
+  }
+  return deleted;
+}
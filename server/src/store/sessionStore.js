@@ -5,24 +5,219 @@
  * In production, this would be replaced with Redis or a database.
  */
 
-// Map to store sessions: sessionId -> { code, language }
+import { randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'crypto';
+import { TextOperation } from '../../../shared/textOperation.js';
+import { MAX_FILES, languageFromFileName, mainFileName } from '../../../shared/files.js';
+import { MAX_CHAT_HISTORY } from '../../../shared/chat.js';
+import { DEFAULT_RUBRIC, RECOMMENDATIONS } from '../../../shared/evaluation.js';
+import { DEFAULT_TTL_HOURS } from '../../../shared/schedule.js';
+import {
+  MAX_WHITEBOARD_ELEMENTS,
+  isShape,
+  normalizeWhiteboardElement,
+  normalizeWhiteboardChanges,
+  removeWhiteboardElements
+} from '../../../shared/whiteboard.js';
+
+// Map to store sessions: sessionId -> { files, mainFileId, participants, ... }
 const sessions = new Map();
 
+const DEFAULT_CODE = '// Start coding here...\n';
+
+// Edits kept per file to transform late operations against; clients further
+// behind than that get the whole file again
+const MAX_OPERATION_HISTORY = 1000;
+
+// Longest a file may grow through edits, in characters
+const MAX_DOCUMENT_LENGTH = 500000;
+
+// Most events kept in a session's replay log; later events are not recorded
+const MAX_SESSION_EVENTS = 100000;
+
+// Snapshots kept per session; the oldest are dropped first
+const MAX_SNAPSHOTS = 50;
+
+// How long an unused session is kept, unless it was created with its own
+const DEFAULT_TTL_MS = DEFAULT_TTL_HOURS * 60 * 60 * 1000;
+
+// Colors handed out to participants, in order
+const PARTICIPANT_COLORS = [
+  '#f97316',
+  '#10b981',
+  '#3b82f6',
+  '#ec4899',
+  '#eab308',
+  '#14b8a6',
+  '#a855f7',
+  '#ef4444'
+];
+
+/**
+ * Build a workspace file
+ * @param {string} name - File name (its extension sets the language)
+ * @param {string} code - Initial content
+ * @returns {Object} The file object
+ */
+function buildFile(name, code = '') {
+  return {
+    id: randomUUID(),
+    name,
+    language: languageFromFileName(name),
+    code,
+    // The latest edits are kept so late operations can be transformed against
+    // the ones they did not see; baseRevision is the revision the first kept
+    // one applies to (revision === baseRevision + operations.length)
+    revision: 0,
+    baseRevision: 0,
+    operations: [],
+    // Client-generated ID of each operation (null for server-side edits),
+    // so reconnecting clients can tell which of their edits already landed
+    operationIds: []
+  };
+}
+
+/**
+ * File contents recorded when a file appears in the replay log
+ */
+function describeFileForReplay(file) {
+  return { id: file.id, name: file.name, language: file.language, code: file.code };
+}
+
+/**
+ * Give a test case an ID unless it already has one
+ */
+function withTestCaseId(testCase) {
+  const { id = randomUUID(), input, expectedOutput, assertion } = testCase;
+  return { id, input, expectedOutput, assertion };
+}
+
+/**
+ * Hash a session passcode (only the hash and its salt are kept)
+ * @param {string} passcode
+ * @param {string} [salt] - Hex salt, a new one by default
+ * @returns {Object} { salt, hash } in hex
+ */
+function hashPasscode(passcode, salt = randomBytes(16).toString('hex')) {
+  return { salt, hash: scryptSync(passcode, salt, 32).toString('hex') };
+}
+
+/**
+ * Move the comment anchors of a file through an edit
+ */
+function transformComments(session, fileId, operation) {
+  for (const comment of session.comments) {
+    if (comment.fileId === fileId) {
+      comment.start = operation.transformIndex(comment.start);
+      comment.end = Math.max(comment.start, operation.transformIndex(comment.end));
+    }
+  }
+}
+
 /**
  * Create a new session with default values
  * @param {string} sessionId - UUID for the session
+ * @param {Object} [options] - Set up from a question of the bank
+ * @param {string} [options.problemStatement] - Markdown statement of the problem
+ * @param {string} [options.language] - Language of the main file ('javascript' or 'python')
+ * @param {string} [options.code] - Starter code of the main file
+ * @param {Array} [options.testCases] - [{ input, expectedOutput, assertion }] (see shared/tests.js)
+ * @param {Array} [options.hiddenTestCases] - Test cases only interviewers see, same shape
+ * @param {string} [options.questionId] - Question the session was started from
+ * @param {number|null} [options.startsAt] - When candidates may start joining (ms)
+ * @param {number|null} [options.endsAt] - When the session stops accepting joins (ms)
+ * @param {number} [options.ttlMs] - How long the session is kept once nobody uses it
+ * @param {string|null} [options.passcode] - Passcode candidates must give to join (see shared/passcode.js)
+ * @param {boolean} [options.waitingRoom] - Whether candidates wait until an interviewer admits them
  * @returns {Object} The created session object
  */
-export function createSession(sessionId) {
+export function createSession(sessionId, {
+  problemStatement = '',
+  language = 'javascript',
+  code = DEFAULT_CODE,
+  testCases = [],
+  hiddenTestCases = [],
+  questionId = null,
+  startsAt = null,
+  endsAt = null,
+  ttlMs = DEFAULT_TTL_MS,
+  passcode = null,
+  waitingRoom = false
+} = {}) {
+  const mainFile = buildFile(mainFileName(language), code);
+  
   const session = {
     id: sessionId,
-    code: '// Start coding here...\n',
-    language: 'javascript',
+    // Workspace files: fileId -> { id, name, language, code, revision, baseRevision, operations, operationIds }
+    files: new Map([[mainFile.id, mainFile]]),
+    // File opened by default (and targeted by events that do not name a file)
+    mainFileId: mainFile.id,
+    // Secret proving the holder is an interviewer (returned once on creation)
+    interviewerToken: randomBytes(24).toString('hex'),
+    // { salt, hash } of the passcode candidates must give, null when anyone with the link can join
+    passcodeHash: passcode ? hashPasscode(passcode) : null,
+    // Window the session can be joined in (ms, null for no limit; see shared/schedule.js)
+    startsAt,
+    endsAt,
+    // Deleted once unused for this long (counted from startsAt until it opens)
+    ttlMs,
+    // With a waiting room, candidates only get in once an interviewer admitted them
+    waitingRoom,
+    // Participant tokens the server gave candidates it let in, and those of
+    // removed candidates who may not come back (see admitParticipant)
+    admittedParticipantTokens: new Set(),
+    blockedParticipantTokens: new Set(),
+    // Set once an interviewer ended the interview: the session is then a read-only archive
+    endedAt: null,
+    endedBy: null,
+    // When locked, only interviewers may edit the code
+    isLocked: false,
+    // Shared countdown, null until an interviewer starts one (see shared/timer.js)
+    timer: null,
+    // Shared standard input fed to programs when they run
+    stdin: '',
+    // Markdown statement of the problem, shown next to the editor
+    problemStatement,
+    // Question of the bank the session was started from
+    questionId,
+    // Test cases: [{ id, input, expectedOutput, assertion }] (see shared/tests.js)
+    testCases: testCases.map(withTestCaseId),
+    // Last test run shared with everyone:
+    // { ranBy, ranAt, language, isRunning, results: [{ testCaseId, status, actual, error, durationMs }] }
+    testResults: null,
+    // Test cases only ever sent to interviewers, who run them in their own
+    // browser; their results are not shared
+    hiddenTestCases: hiddenTestCases.map(withTestCaseId),
+    // Everyone who ever joined: participantId -> { id, name, color }
+    participants: new Map(),
+    // Chat history, oldest first: [{ id, participantId, name, color, role, text, sentAt }]
+    messages: [],
+    // Private interviewer notes, oldest first: [{ id, authorName, text, createdAt }]
+    notes: [],
+    // Scorecard criteria every interviewer rates: [{ id, label }]
+    rubric: DEFAULT_RUBRIC.map(criterion => ({ ...criterion })),
+    // Evaluator tokens handed to interviewers (see registerEvaluator): evaluatorToken -> evaluatorId
+    // The interviewer token is shared, so this is what tells one interviewer from another.
+    evaluators: new Map(),
+    // Interviewer scorecards, one per interviewer (see shared/evaluation.js):
+    // evaluatorId -> { evaluatorId, evaluatorName, ratings, justification, recommendation, submittedAt }
+    evaluations: new Map(),
+    // Review comment threads anchored to a range of a file, oldest first:
+    // [{ id, fileId, start, end, authorName, text, createdAt, resolved, resolvedBy, replies: [{ id, authorName, text, createdAt }] }]
+    // start/end are character offsets, moved along as the file is edited
+    comments: [],
+    // Whiteboard drawing, in drawing order (see shared/whiteboard.js)
+    whiteboard: [],
+    // Replay log, oldest first: [{ type, at, ...data }] (see recordEvent)
+    events: [],
+    // Saved versions of the workspace, oldest first:
+    // [{ id, name, kind, createdBy, createdAt, files: [{ id, name, language, code }] }]
+    snapshots: [],
     createdAt: new Date().toISOString(),
     lastActiveAt: Date.now()
   };
   
   sessions.set(sessionId, session);
+  recordEvent(sessionId, 'file-create', { file: describeFileForReplay(mainFile) });
   console.log(`[SessionStore] Created session: ${sessionId}`);
   
   return session;
@@ -38,40 +233,1106 @@ export function getSession(sessionId) {
 }
 
 /**
- * Update the code in a session
+ * Get a file of a session
+ * @param {string} sessionId - UUID of the session
+ * @param {string|null} [fileId] - File ID (defaults to the main file)
+ * @returns {Object|null} The file object or null if not found
+ */
+export function getFile(sessionId, fileId = null) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  
+  return session.files.get(fileId ?? session.mainFileId) || null;
+}
+
+/**
+ * Check whether a file name is used by another file of the session
+ * @param {string} sessionId - UUID of the session
+ * @param {string} name - File name
+ * @param {string|null} [exceptFileId] - File being renamed (ignored in the check)
+ * @returns {boolean} True if the name is taken
+ */
+export function isFileNameTaken(sessionId, name, exceptFileId = null) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  
+  const lowerName = name.toLowerCase();
+  return Array.from(session.files.values()).some(
+    file => file.id !== exceptFileId && file.name.toLowerCase() === lowerName
+  );
+}
+
+/**
+ * Add a file to a session
+ * @param {string} sessionId - UUID of the session
+ * @param {string} name - File name (validated by the caller)
+ * @returns {Object|null} The created file, or null if the session is missing,
+ *   the name is taken or the file limit is reached
+ */
+export function createFile(sessionId, name) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for file creation: ${sessionId}`);
+    return null;
+  }
+  
+  if (session.files.size >= MAX_FILES || isFileNameTaken(sessionId, name)) {
+    return null;
+  }
+  
+  const file = buildFile(name);
+  session.files.set(file.id, file);
+  session.lastActiveAt = Date.now();
+  console.log(`[SessionStore] Created file "${name}" in session: ${sessionId}`);
+  
+  return file;
+}
+
+/**
+ * Rename a file (its language follows the new extension)
+ * @param {string} sessionId - UUID of the session
+ * @param {string} fileId - File ID
+ * @param {string} name - New file name (validated by the caller)
+ * @returns {Object|null} The renamed file, or null if not found or the name is taken
+ */
+export function renameFile(sessionId, fileId, name) {
+  const file = getFile(sessionId, fileId);
+  if (!file || isFileNameTaken(sessionId, name, fileId)) {
+    return null;
+  }
+  
+  file.name = name;
+  file.language = languageFromFileName(name);
+  sessions.get(sessionId).lastActiveAt = Date.now();
+  console.log(`[SessionStore] Renamed file ${fileId} to "${name}" in session: ${sessionId}`);
+  
+  return file;
+}
+
+/**
+ * Delete a file
+ * The last file cannot be deleted; deleting the main file makes the
+ * first remaining file the main one.
+ * @param {string} sessionId - UUID of the session
+ * @param {string} fileId - File ID
+ * @returns {boolean} True if the file was deleted
+ */
+export function deleteFile(sessionId, fileId) {
+  const session = sessions.get(sessionId);
+  if (!session || !session.files.has(fileId) || session.files.size === 1) {
+    return false;
+  }
+  
+  session.files.delete(fileId);
+  session.comments = session.comments.filter(comment => comment.fileId !== fileId);
+  if (session.mainFileId === fileId) {
+    session.mainFileId = session.files.keys().next().value;
+  }
+  session.lastActiveAt = Date.now();
+  console.log(`[SessionStore] Deleted file ${fileId} in session: ${sessionId}`);
+  
+  return true;
+}
+
+/**
+ * Replace the whole code of a file
+ * Recorded as a single operation so connected editors stay in sync
  * @param {string} sessionId - UUID of the session
  * @param {string} code - New code content
+ * @param {string|null} [fileId] - File ID (defaults to the main file)
  * @returns {boolean} True if update was successful
  */
-export function updateCode(sessionId, code) {
+export function updateCode(sessionId, code, fileId = null) {
+  const file = getFile(sessionId, fileId);
+  if (!file) {
+    console.warn(`[SessionStore] Session or file not found for code update: ${sessionId}`);
+    return false;
+  }
+  
+  const operation = new TextOperation()
+    .delete(file.code.length)
+    .insert(code);
+  
+  file.code = code;
+  recordOperation(file, operation, null);
+  transformComments(sessions.get(sessionId), file.id, operation);
+  sessions.get(sessionId).lastActiveAt = Date.now();
+  console.log(`[SessionStore] Updated code of ${file.name} in session: ${sessionId} (${code.length} chars)`);
+  return true;
+}
+
+/**
+ * Add an applied edit to a file's history, dropping the oldest past MAX_OPERATION_HISTORY
+ * @param {Object} file - Workspace file
+ * @param {TextOperation} operation - The edit as applied
+ * @param {string|null} opId - Client-generated ID of the edit
+ */
+function recordOperation(file, operation, opId) {
+  file.operations.push(operation);
+  file.operationIds.push(opId);
+  if (file.operations.length > MAX_OPERATION_HISTORY) {
+    const dropped = file.operations.length - MAX_OPERATION_HISTORY;
+    file.operations.splice(0, dropped);
+    file.operationIds.splice(0, dropped);
+    file.baseRevision += dropped;
+  }
+  file.revision = file.baseRevision + file.operations.length;
+}
+
+/**
+ * Apply an edit operation made against a given revision of a file
+ * The operation is transformed against every operation applied since
+ * that revision, so concurrent edits from several clients converge.
+ * Edits based on a revision older than the kept history, or growing the file
+ * past MAX_DOCUMENT_LENGTH, are rejected.
+ * @param {string} sessionId - UUID of the session
+ * @param {number} revision - Revision the client based the operation on
+ * @param {TextOperation} operation - The client's edit
+ * @param {string|null} [opId] - Client-generated ID of the edit
+ * @param {string|null} [fileId] - File ID (defaults to the main file)
+ * @returns {Object|null} { operation, revision } as applied, or null if rejected
+ */
+export function applyOperation(sessionId, revision, operation, opId = null, fileId = null) {
+  const file = getFile(sessionId, fileId);
+  if (!file) {
+    console.warn(`[SessionStore] Session or file not found for operation: ${sessionId}`);
+    return null;
+  }
+  if (isSessionEnded(sessionId)) {
+    console.warn(`[SessionStore] Rejected operation for ended session: ${sessionId}`);
+    return null;
+  }
+  
+  if (!Number.isInteger(revision) || revision < file.baseRevision || revision > file.revision) {
+    console.warn(`[SessionStore] Invalid revision ${revision} for session: ${sessionId}`);
+    return null;
+  }
+  
+  try {
+    let transformed = operation;
+    for (const concurrent of file.operations.slice(revision - file.baseRevision)) {
+      [transformed] = TextOperation.transform(transformed, concurrent);
+    }
+    
+    const code = transformed.apply(file.code);
+    if (code.length > MAX_DOCUMENT_LENGTH && code.length > file.code.length) {
+      console.warn(`[SessionStore] Rejected operation making ${file.name} too long in session: ${sessionId}`);
+      return null;
+    }
+    
+    file.code = code;
+    recordOperation(file, transformed, opId);
+    transformComments(sessions.get(sessionId), file.id, transformed);
+    sessions.get(sessionId).lastActiveAt = Date.now();
+    
+    return { operation: transformed, revision: file.revision };
+  } catch (error) {
+    console.warn(`[SessionStore] Rejected operation for session ${sessionId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get every operation applied to a file after a given revision
+ * Used to bring a reconnecting client up to date without replacing its document.
+ * @param {string} sessionId - UUID of the session
+ * @param {number} revision - Last revision the client saw
+ * @param {string|null} [fileId] - File ID (defaults to the main file)
+ * @returns {Array|null} [{ operation, opId }] in order, or null if the revision is unknown
+ *   or older than the kept history
+ */
+export function getOperationsSince(sessionId, revision, fileId = null) {
+  const file = getFile(sessionId, fileId);
+  if (!file) return null;
+  
+  if (!Number.isInteger(revision) || revision < file.baseRevision || revision > file.revision) {
+    return null;
+  }
+  
+  const start = revision - file.baseRevision;
+  return file.operations.slice(start).map((operation, i) => ({
+    operation,
+    opId: file.operationIds[start + i]
+  }));
+}
+
+/**
+ * Update the language of a file
+ * @param {string} sessionId - UUID of the session
+ * @param {string} language - New language selection
+ * @param {string|null} [fileId] - File ID (defaults to the main file)
+ * @returns {boolean} True if update was successful
+ */
+export function updateLanguage(sessionId, language, fileId = null) {
+  const file = getFile(sessionId, fileId);
+  if (!file) {
+    console.warn(`[SessionStore] Session or file not found for language update: ${sessionId}`);
+    return false;
+  }
+  if (isSessionEnded(sessionId)) {
+    console.warn(`[SessionStore] Rejected language update for ended session: ${sessionId}`);
+    return false;
+  }
+  
+  file.language = language;
+  sessions.get(sessionId).lastActiveAt = Date.now();
+  console.log(`[SessionStore] Updated language of ${file.name} in session: ${sessionId} -> ${language}`);
+  return true;
+}
+
+/**
+ * Replace the shared standard input
+ * @param {string} sessionId - UUID of the session
+ * @param {string} stdin - New input text
+ * @returns {boolean} True if update was successful
+ */
+export function updateStdin(sessionId, stdin) {
   const session = sessions.get(sessionId);
   if (!session) {
-    console.warn(`[SessionStore] Session not found for code update: ${sessionId}`);
+    console.warn(`[SessionStore] Session not found for stdin update: ${sessionId}`);
     return false;
   }
   
-  session.code = code;
+  session.stdin = stdin;
   session.lastActiveAt = Date.now();
-  console.log(`[SessionStore] Updated code in session: ${sessionId} (${code.length} chars)`);
   return true;
 }
 
 /**
- * Update the language in a session
+ * Replace the problem statement
  * @param {string} sessionId - UUID of the session
- * @param {string} language - New language selection
+ * @param {string} statement - Markdown text
  * @returns {boolean} True if update was successful
  */
-export function updateLanguage(sessionId, language) {
+export function updateProblemStatement(sessionId, statement) {
   const session = sessions.get(sessionId);
   if (!session) {
-    console.warn(`[SessionStore] Session not found for language update: ${sessionId}`);
+    console.warn(`[SessionStore] Session not found for problem statement update: ${sessionId}`);
     return false;
   }
   
-  session.language = language;
+  session.problemStatement = statement;
+  session.lastActiveAt = Date.now();
+  return true;
+}
+
+/**
+ * Replace the test cases
+ * @param {string} sessionId - UUID of the session
+ * @param {Array} testCases - Validated test cases (see normalizeTestCases); those without an ID get one
+ * @returns {Array|null} The stored test cases, or null if the session does not exist
+ */
+export function setTestCases(sessionId, testCases) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for test cases update: ${sessionId}`);
+    return null;
+  }
+  
+  session.testCases = testCases.map(withTestCaseId);
+  session.lastActiveAt = Date.now();
+  return session.testCases;
+}
+
+/**
+ * Replace the hidden test cases
+ * @param {string} sessionId - UUID of the session
+ * @param {Array} testCases - Validated test cases (see normalizeTestCases); those without an ID get one
+ * @returns {Array|null} The stored test cases, or null if the session does not exist
+ */
+export function setHiddenTestCases(sessionId, testCases) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for hidden test cases update: ${sessionId}`);
+    return null;
+  }
+  
+  session.hiddenTestCases = testCases.map(withTestCaseId);
+  session.lastActiveAt = Date.now();
+  return session.hiddenTestCases;
+}
+
+/**
+ * Keep the latest test run so participants joining later see it
+ * @param {string} sessionId - UUID of the session
+ * @param {Object} testResults - { ranBy, language, isRunning, results }
+ * @returns {Object|null} The stored run (with ranAt), or null if the session does not exist
+ */
+export function setTestResults(sessionId, testResults) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for test results: ${sessionId}`);
+    return null;
+  }
+  
+  session.testResults = { ...testResults, ranAt: new Date().toISOString() };
+  session.lastActiveAt = Date.now();
+  return session.testResults;
+}
+
+/**
+ * Lock or unlock the editor for candidates
+ * @param {string} sessionId - UUID of the session
+ * @param {boolean} locked - Whether the editor should be locked
+ * @returns {boolean} True if update was successful
+ */
+export function setEditorLocked(sessionId, locked) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for lock update: ${sessionId}`);
+    return false;
+  }
+  
+  session.isLocked = locked;
+  session.lastActiveAt = Date.now();
+  console.log(`[SessionStore] Editor ${locked ? 'locked' : 'unlocked'} in session: ${sessionId}`);
+  return true;
+}
+
+/**
+ * Replace the timer
+ * @param {string} sessionId - UUID of the session
+ * @param {Object|null} timer - New timer state (see shared/timer.js), null to remove it
+ * @returns {boolean} True if update was successful
+ */
+export function setTimer(sessionId, timer) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for timer update: ${sessionId}`);
+    return false;
+  }
+  
+  session.timer = timer;
+  session.lastActiveAt = Date.now();
+  return true;
+}
+
+/**
+ * End the interview: the session is kept as a read-only archive until it expires
+ * @param {string} sessionId - UUID of the session
+ * @param {string} endedBy - Display name of the interviewer who ended it
+ * @returns {boolean} True if it was ended now (false if not found or already ended)
+ */
+export function endSession(sessionId, endedBy) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for ending: ${sessionId}`);
+    return false;
+  }
+  if (session.endedAt !== null) return false;
+  
+  session.endedAt = Date.now();
+  session.endedBy = endedBy;
+  session.lastActiveAt = session.endedAt;
+  console.log(`[SessionStore] Ended session: ${sessionId}`);
+  return true;
+}
+
+/**
+ * @param {string} sessionId - UUID of the session
+ * @returns {boolean} Whether an interviewer ended the interview
+ */
+export function isSessionEnded(sessionId) {
+  return Boolean(sessions.get(sessionId)?.endedAt);
+}
+
+/**
+ * Check whether a token is the session's interviewer token
+ * @param {string} sessionId - UUID of the session
+ * @param {string} token - Token presented by a client
+ * @returns {boolean} True if the token grants interviewer access
+ */
+export function verifyInterviewerToken(sessionId, token) {
+  const session = sessions.get(sessionId);
+  if (!session || typeof token !== 'string') return false;
+  
+  const expected = Buffer.from(session.interviewerToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * @param {string} sessionId - UUID of the session
+ * @returns {boolean} Whether joining the session takes a passcode
+ */
+export function isPasscodeProtected(sessionId) {
+  return Boolean(sessions.get(sessionId)?.passcodeHash);
+}
+
+/**
+ * Check a passcode against the session's
+ * @param {string} sessionId - UUID of the session
+ * @param {string} passcode - Passcode presented by a client
+ * @returns {boolean} True if it matches (or the session has none)
+ */
+export function verifyPasscode(sessionId, passcode) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  if (!session.passcodeHash) return true;
+  if (typeof passcode !== 'string') return false;
+  
+  const expected = Buffer.from(session.passcodeHash.hash, 'hex');
+  const given = Buffer.from(hashPasscode(passcode, session.passcodeHash.salt).hash, 'hex');
+  return timingSafeEqual(expected, given);
+}
+
+/**
+ * Let a candidate into a session: they get a participant token proving it,
+ * which lets them back in without waiting when they reconnect
+ * @param {string} sessionId - UUID of the session
+ * @param {string|null} [participantToken] - Token the candidate already holds, if any
+ * @returns {string|null} The candidate's participant token (the same one when it is still valid),
+ *   or null if the session is not found
+ */
+export function admitParticipant(sessionId, participantToken = null) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for admission: ${sessionId}`);
+    return null;
+  }
+  
+  session.lastActiveAt = Date.now();
+  if (session.admittedParticipantTokens.has(participantToken)) {
+    return participantToken;
+  }
+  
+  const token = randomBytes(24).toString('hex');
+  session.admittedParticipantTokens.add(token);
+  return token;
+}
+
+/**
+ * Keep a removed candidate from joining the session again
+ * Their participant token stops working, and the session gets a waiting room
+ * (if it had none) so they cannot come back as someone new without being admitted.
+ * @param {string} sessionId - UUID of the session
+ * @param {string|null} participantToken - Token of the removed candidate (null when they never got in)
+ * @returns {boolean} True if the session exists
+ */
+export function blockParticipant(sessionId, participantToken) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for removal: ${sessionId}`);
+    return false;
+  }
+  
+  if (typeof participantToken === 'string') {
+    session.admittedParticipantTokens.delete(participantToken);
+    session.blockedParticipantTokens.add(participantToken);
+  }
+  session.waitingRoom = true;
+  session.lastActiveAt = Date.now();
+  console.log(`[SessionStore] Blocked a participant in session: ${sessionId}`);
+  return true;
+}
+
+/**
+ * Where a candidate stands with a session's waiting room
+ * @param {string} sessionId - UUID of the session
+ * @param {string} [participantToken] - Participant token the candidate presents, if any
+ * @returns {string} 'blocked' (removed by an interviewer), 'waiting' (to be admitted) or 'admitted'
+ */
+export function getAdmission(sessionId, participantToken) {
+  const session = sessions.get(sessionId);
+  if (!session) return 'blocked';
+  if (session.blockedParticipantTokens.has(participantToken)) return 'blocked';
+  if (session.waitingRoom && !session.admittedParticipantTokens.has(participantToken)) return 'waiting';
+  return 'admitted';
+}
+
+/**
+ * Register (or refresh) a participant of a session
+ * Each participant keeps the same color for the lifetime of the session,
+ * and new participants get the first color nobody in the session uses yet.
+ * @param {string} sessionId - UUID of the session
+ * @param {string} participantId - Stable client-generated participant ID
+ * @param {string} name - Display name
+ * @returns {Object|null} { id, name, color } or null if session not found
+ */
+export function registerParticipant(sessionId, participantId, name) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for participant: ${sessionId}`);
+    return null;
+  }
+  
+  const existing = session.participants.get(participantId);
+  if (existing) {
+    existing.name = name;
+    return existing;
+  }
+  
+  const usedColors = new Set(Array.from(session.participants.values(), p => p.color));
+  const color = PARTICIPANT_COLORS.find(c => !usedColors.has(c))
+    || PARTICIPANT_COLORS[session.participants.size % PARTICIPANT_COLORS.length];
+  
+  const participant = { id: participantId, name, color };
+  session.participants.set(participantId, participant);
+  console.log(`[SessionStore] Registered participant "${name}" in session: ${sessionId}`);
+  
+  return participant;
+}
+
+/**
+ * Add a chat message to a session's history
+ * The sender's current name and color are copied onto the message.
+ * @param {string} sessionId - UUID of the session
+ * @param {string} participantId - Registered participant sending the message
+ * @param {string} role - Sender's role in the session
+ * @param {string} text - Message text (validated by the caller)
+ * @returns {Object|null} The stored message, or null if the session or participant is missing
+ */
+export function addChatMessage(sessionId, participantId, role, text) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for chat message: ${sessionId}`);
+    return null;
+  }
+  
+  const participant = session.participants.get(participantId);
+  if (!participant) return null;
+  
+  const message = {
+    id: randomUUID(),
+    participantId,
+    name: participant.name,
+    color: participant.color,
+    role,
+    text,
+    sentAt: new Date().toISOString()
+  };
+  
+  session.messages.push(message);
+  if (session.messages.length > MAX_CHAT_HISTORY) {
+    session.messages.splice(0, session.messages.length - MAX_CHAT_HISTORY);
+  }
+  session.lastActiveAt = Date.now();
+  return message;
+}
+
+/**
+ * Add a private interviewer note, timestamped now
+ * @param {string} sessionId - UUID of the session
+ * @param {string} authorName - Display name of the interviewer writing it
+ * @param {string} text - Note text (validated by the caller)
+ * @returns {Object|null} The stored note, or null if session not found
+ */
+export function addNote(sessionId, authorName, text) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for note: ${sessionId}`);
+    return null;
+  }
+  
+  const note = {
+    id: randomUUID(),
+    authorName,
+    text,
+    createdAt: new Date().toISOString()
+  };
+  
+  session.notes.push(note);
+  session.lastActiveAt = Date.now();
+  return note;
+}
+
+/**
+ * Delete a private interviewer note
+ * @param {string} sessionId - UUID of the session
+ * @param {string} noteId - ID of the note
+ * @returns {boolean} True if the note was deleted
+ */
+export function deleteNote(sessionId, noteId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  
+  const index = session.notes.findIndex(note => note.id === noteId);
+  if (index === -1) return false;
+  
+  session.notes.splice(index, 1);
+  session.lastActiveAt = Date.now();
+  return true;
+}
+
+/**
+ * Replace the scorecard criteria
+ * @param {string} sessionId - UUID of the session
+ * @param {Array} criteria - Validated criteria (see normalizeRubric); those without an ID get one
+ * @returns {Array|null|false} The stored rubric, null if the session does not exist,
+ *   false once evaluations were submitted against the current one
+ */
+export function setRubric(sessionId, criteria) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for rubric update: ${sessionId}`);
+    return null;
+  }
+  if (session.evaluations.size > 0) return false;
+  
+  session.rubric = criteria.map(({ id = randomUUID(), label }) => ({ id, label }));
+  session.lastActiveAt = Date.now();
+  return session.rubric;
+}
+
+/**
+ * Give an interviewer their own evaluator identity for the scorecard
+ * @param {string} sessionId - UUID of the session
+ * @returns {string|null} The evaluator token proving it, or null if session not found
+ */
+export function registerEvaluator(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for evaluator: ${sessionId}`);
+    return null;
+  }
+  
+  const token = randomBytes(24).toString('hex');
+  session.evaluators.set(token, randomUUID());
+  session.lastActiveAt = Date.now();
+  return token;
+}
+
+/**
+ * @param {string} sessionId - UUID of the session
+ * @param {string|null} evaluatorToken - Token given by registerEvaluator
+ * @returns {string|null} The evaluator ID it stands for, or null if it is unknown
+ */
+export function getEvaluatorId(sessionId, evaluatorToken) {
+  const session = sessions.get(sessionId);
+  if (!session || typeof evaluatorToken !== 'string') return null;
+  return session.evaluators.get(evaluatorToken) ?? null;
+}
+
+/**
+ * Store an interviewer's scorecard, replacing the one they submitted before
+ * @param {string} sessionId - UUID of the session
+ * @param {string} evaluatorId - Evaluator ID of the interviewer (see getEvaluatorId)
+ * @param {string} evaluatorName - Display name of the interviewer
+ * @param {Object} evaluation - Validated against the rubric (see normalizeEvaluation)
+ * @returns {Object|null} The stored scorecard, or null if session not found
+ */
+export function submitEvaluation(sessionId, evaluatorId, evaluatorName, evaluation) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for evaluation: ${sessionId}`);
+    return null;
+  }
+  
+  const submission = { evaluatorId, evaluatorName, ...evaluation, submittedAt: new Date().toISOString() };
+  session.evaluations.set(evaluatorId, submission);
   session.lastActiveAt = Date.now();
-  console.log(`[SessionStore] Updated language in session: ${sessionId} -> ${language}`);
+  return submission;
+}
+
+/**
+ * Average of some ratings, to two decimals
+ */
+function averageRating(ratings) {
+  const sum = ratings.reduce((total, rating) => total + rating, 0);
+  return Math.round((sum / ratings.length) * 100) / 100;
+}
+
+/**
+ * Combine every submitted scorecard
+ * @returns {Object} { count, average, criteria: [{ id, label, average }], recommendations: { hire, no-hire } }
+ */
+function aggregateEvaluations(rubric, submissions) {
+  const recommendations = Object.fromEntries(RECOMMENDATIONS.map(recommendation => [recommendation, 0]));
+  for (const submission of submissions) {
+    recommendations[submission.recommendation]++;
+  }
+  
+  return {
+    count: submissions.length,
+    average: averageRating(submissions.flatMap(submission => Object.values(submission.ratings))),
+    criteria: rubric.map(({ id, label }) => ({
+      id,
+      label,
+      average: averageRating(submissions.map(submission => submission.ratings[id]))
+    })),
+    recommendations
+  };
+}
+
+/**
+ * The scorecard as seen by one interviewer
+ * Others' scorecards and the aggregate are only shown to interviewers who
+ * submitted theirs, so everyone rates independently.
+ * @param {string} sessionId - UUID of the session
+ * @param {string} evaluatorId - Evaluator ID of the interviewer asking
+ * @returns {Object|null} { rubric, submissionCount, submission, submissions, aggregate }, or null if session not found
+ */
+export function getEvaluation(sessionId, evaluatorId) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  
+  const submission = session.evaluations.get(evaluatorId) ?? null;
+  const submissions = Array.from(session.evaluations.values());
+  return {
+    rubric: session.rubric,
+    submissionCount: submissions.length,
+    submission,
+    submissions: submission ? submissions : null,
+    aggregate: submission ? aggregateEvaluations(session.rubric, submissions) : null
+  };
+}
+
+/**
+ * Start a comment thread on a range of a file
+ * @param {string} sessionId - UUID of the session
+ * @param {string} fileId - File ID
+ * @param {number} start - Offset where the range starts
+ * @param {number} end - Offset where the range ends (clamped to the file)
+ * @param {string} authorName - Display name of the author
+ * @param {string} text - Comment text (validated by the caller)
+ * @returns {Object|null} The comment, or null if the session or file is missing
+ */
+export function addComment(sessionId, fileId, start, end, authorName, text) {
+  const session = sessions.get(sessionId);
+  const file = session?.files.get(fileId);
+  if (!file) {
+    console.warn(`[SessionStore] Session or file not found for comment: ${sessionId}`);
+    return null;
+  }
+  
+  const clampedStart = Math.max(0, Math.min(start, file.code.length));
+  const comment = {
+    id: randomUUID(),
+    fileId,
+    start: clampedStart,
+    end: Math.max(clampedStart, Math.min(end, file.code.length)),
+    authorName,
+    text,
+    createdAt: new Date().toISOString(),
+    resolved: false,
+    resolvedBy: null,
+    replies: []
+  };
+  
+  session.comments.push(comment);
+  session.lastActiveAt = Date.now();
+  return comment;
+}
+
+/**
+ * Reply to a comment thread
+ * @param {string} sessionId - UUID of the session
+ * @param {string} commentId - ID of the thread
+ * @param {string} authorName - Display name of the author
+ * @param {string} text - Reply text (validated by the caller)
+ * @returns {Object|null} The updated thread, or null if not found
+ */
+export function replyToComment(sessionId, commentId, authorName, text) {
+  const session = sessions.get(sessionId);
+  const comment = session?.comments.find(candidate => candidate.id === commentId);
+  if (!comment) return null;
+  
+  comment.replies.push({
+    id: randomUUID(),
+    authorName,
+    text,
+    createdAt: new Date().toISOString()
+  });
+  session.lastActiveAt = Date.now();
+  return comment;
+}
+
+/**
+ * Resolve or reopen a comment thread
+ * @param {string} sessionId - UUID of the session
+ * @param {string} commentId - ID of the thread
+ * @param {boolean} resolved - Whether the thread is resolved
+ * @param {string} resolvedBy - Display name of whoever resolved it
+ * @returns {Object|null} The updated thread, or null if not found
+ */
+export function setCommentResolved(sessionId, commentId, resolved, resolvedBy) {
+  const session = sessions.get(sessionId);
+  const comment = session?.comments.find(candidate => candidate.id === commentId);
+  if (!comment) return null;
+  
+  comment.resolved = resolved;
+  comment.resolvedBy = resolved ? resolvedBy : null;
+  session.lastActiveAt = Date.now();
+  return comment;
+}
+
+/**
+ * Add an element to the whiteboard
+ * @param {string} sessionId - UUID of the session
+ * @param {Object} rawElement - Element as drawn by a client (see shared/whiteboard.js)
+ * @returns {Object|null} The stored element, or null if the session is missing, the element
+ *   is invalid, its ID is taken, the board is full or a connector's ends are not shapes on the board
+ */
+export function addWhiteboardElement(sessionId, rawElement) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for whiteboard: ${sessionId}`);
+    return null;
+  }
+  
+  const element = normalizeWhiteboardElement(rawElement);
+  if (!element) return null;
+  
+  const board = session.whiteboard;
+  if (board.length >= MAX_WHITEBOARD_ELEMENTS || board.some(existing => existing.id === element.id)) {
+    return null;
+  }
+  if (element.type === 'connector') {
+    const ends = [element.from, element.to].map(id => board.find(existing => existing.id === id));
+    if (!ends.every(isShape)) return null;
+  }
+  
+  board.push(element);
+  session.lastActiveAt = Date.now();
+  return element;
+}
+
+/**
+ * Change an element of the whiteboard
+ * @param {string} sessionId - UUID of the session
+ * @param {string} elementId - ID of the element
+ * @param {Object} changes - Raw changes, validated against the element's type
+ * @returns {Object|null} The updated element, or null if not found or the changes are invalid
+ */
+export function updateWhiteboardElement(sessionId, elementId, changes) {
+  const session = sessions.get(sessionId);
+  const element = session?.whiteboard.find(existing => existing.id === elementId);
+  if (!element) return null;
+  
+  const normalized = normalizeWhiteboardChanges(element, changes);
+  if (!normalized) return null;
+  
+  Object.assign(element, normalized);
+  session.lastActiveAt = Date.now();
+  return element;
+}
+
+/**
+ * Erase elements of the whiteboard, and the connectors attached to them
+ * @param {string} sessionId - UUID of the session
+ * @param {Array<string>} elementIds - IDs of the elements
+ * @returns {Array<string>|null} IDs of every element erased, or null if session not found
+ */
+export function deleteWhiteboardElements(sessionId, elementIds) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  
+  const { elements, removedIds } = removeWhiteboardElements(session.whiteboard, elementIds);
+  session.whiteboard = elements;
+  if (removedIds.length > 0) {
+    session.lastActiveAt = Date.now();
+  }
+  return removedIds;
+}
+
+/**
+ * Erase the whole whiteboard
+ * @param {string} sessionId - UUID of the session
+ * @returns {boolean} True if the session exists
+ */
+export function clearWhiteboard(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  
+  session.whiteboard = [];
+  session.lastActiveAt = Date.now();
+  return true;
+}
+
+/**
+ * Save the current workspace as a snapshot
+ * @param {string} sessionId - UUID of the session
+ * @param {string} name - Snapshot name
+ * @param {string} kind - 'manual', 'run' (taken when code is run) or 'restore' (taken before restoring another)
+ * @param {string} createdBy - Display name of whoever took it
+ * @returns {Object|null} The snapshot, or null if session not found
+ */
+export function createSnapshot(sessionId, name, kind, createdBy) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    console.warn(`[SessionStore] Session not found for snapshot: ${sessionId}`);
+    return null;
+  }
+  
+  const snapshot = {
+    id: randomUUID(),
+    name,
+    kind,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    files: Array.from(session.files.values(), describeFileForReplay)
+  };
+  
+  session.snapshots.push(snapshot);
+  if (session.snapshots.length > MAX_SNAPSHOTS) {
+    session.snapshots.splice(0, session.snapshots.length - MAX_SNAPSHOTS);
+  }
+  console.log(`[SessionStore] Saved snapshot "${name}" (${kind}) in session: ${sessionId}`);
+  
+  return snapshot;
+}
+
+/**
+ * Get a snapshot of a session
+ * @param {string} sessionId - UUID of the session
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Object|null} The snapshot or null if not found
+ */
+export function getSnapshot(sessionId, snapshotId) {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  
+  return session.snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+}
+
+/**
+ * Snapshot without its files, as listed in the version history
+ * @param {Object} snapshot
+ * @returns {Object} { id, name, kind, createdBy, createdAt, fileNames }
+ */
+export function summarizeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    name: snapshot.name,
+    kind: snapshot.kind,
+    createdBy: snapshot.createdBy,
+    createdAt: snapshot.createdAt,
+    fileNames: snapshot.files.map(file => file.name)
+  };
+}
+
+/**
+ * Check whether the workspace differs from the latest snapshot
+ * @param {string} sessionId - UUID of the session
+ * @returns {boolean} True if there is no snapshot yet or something changed since
+ */
+export function hasChangedSinceLastSnapshot(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  
+  const latest = session.snapshots[session.snapshots.length - 1];
+  if (!latest || latest.files.length !== session.files.size) return true;
+  
+  return latest.files.some((saved) => {
+    const file = session.files.get(saved.id);
+    return !file || file.name !== saved.name || file.language !== saved.language || file.code !== saved.code;
+  });
+}
+
+/**
+ * Bring the workspace back to a snapshot
+ * Files are matched by ID, then by name. Files added since are deleted and
+ * files deleted since are created again. Code changes are applied as
+ * operations so connected editors stay in sync.
+ * @param {string} sessionId - UUID of the session
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Object|null} What changed: { deleted: [fileId], renamed: [file], created: [file],
+ *   edited: [{ fileId, operation, revision }], languages: [file] },
+ *   or null if the session or snapshot is missing
+ */
+export function restoreSnapshot(sessionId, snapshotId) {
+  const session = sessions.get(sessionId);
+  const snapshot = getSnapshot(sessionId, snapshotId);
+  if (!session || !snapshot) return null;
+  
+  const changes = { deleted: [], renamed: [], created: [], edited: [], languages: [] };
+  
+  // Snapshot file ID -> current file
+  const matches = new Map();
+  for (const saved of snapshot.files) {
+    if (session.files.has(saved.id)) {
+      matches.set(saved.id, session.files.get(saved.id));
+    }
+  }
+  const matchedIds = new Set(Array.from(matches.values(), file => file.id));
+  for (const saved of snapshot.files) {
+    if (matches.has(saved.id)) continue;
+    const sameName = Array.from(session.files.values()).find(
+      file => !matchedIds.has(file.id) && file.name.toLowerCase() === saved.name.toLowerCase()
+    );
+    if (sameName) {
+      matches.set(saved.id, sameName);
+      matchedIds.add(sameName.id);
+    }
+  }
+  
+  // Files added since the snapshot (the last file stays until the others exist)
+  const removeUnmatched = () => {
+    for (const fileId of Array.from(session.files.keys())) {
+      if (!matchedIds.has(fileId) && deleteFile(sessionId, fileId)) {
+        changes.deleted.push(fileId);
+      }
+    }
+  };
+  removeUnmatched();
+  
+  for (const saved of snapshot.files) {
+    const file = matches.get(saved.id);
+    if (file && file.name !== saved.name && renameFile(sessionId, file.id, saved.name)) {
+      changes.renamed.push(file);
+    }
+  }
+  
+  for (const saved of snapshot.files) {
+    if (matches.has(saved.id)) continue;
+    const file = createFile(sessionId, saved.name);
+    if (file) {
+      file.language = saved.language;
+      updateCode(sessionId, saved.code, file.id);
+      matchedIds.add(file.id);
+      changes.created.push(file);
+    }
+  }
+  removeUnmatched();
+  
+  for (const saved of snapshot.files) {
+    const file = matches.get(saved.id);
+    if (!file) continue;
+    
+    if (file.code !== saved.code) {
+      // Only the changed range is replaced, so comments elsewhere keep their place
+      const operation = TextOperation.fromDiff(file.code, saved.code);
+      const applied = applyOperation(sessionId, file.revision, operation, null, file.id);
+      if (applied) {
+        changes.edited.push({ fileId: file.id, ...applied });
+      }
+    }
+    if (file.language !== saved.language) {
+      file.language = saved.language;
+      changes.languages.push(file);
+    }
+  }
+  
+  session.lastActiveAt = Date.now();
+  console.log(`[SessionStore] Restored snapshot "${snapshot.name}" in session: ${sessionId}`);
+  return changes;
+}
+
+/**
+ * Append an event to a session's replay log
+ * Types: file-create { file }, file-rename { fileId, name, language },
+ * file-delete { fileId }, edit { fileId, operation }, language { fileId, language },
+ * run { output, error } (a run started or is still going), output { output, error }
+ * and truncated (the log is full: nothing after it was recorded).
+ * @param {string} sessionId - UUID of the session
+ * @param {string} type - Event type
+ * @param {Object} [data] - Event payload
+ * @returns {boolean} True if the event was recorded
+ */
+export function recordEvent(sessionId, type, data = {}) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  
+  if (session.events.length >= MAX_SESSION_EVENTS) {
+    if (session.events.length === MAX_SESSION_EVENTS) {
+      console.warn(`[SessionStore] Replay log full, no longer recording session: ${sessionId}`);
+      // Marks the log as truncated (and keeps the warning from repeating)
+      session.events.push({ type: 'truncated', at: Date.now() });
+    }
+    return false;
+  }
+  
+  session.events.push({ type, at: Date.now(), ...data });
   return true;
 }
 
@@ -94,19 +1355,22 @@ export function getSessionCount() {
 
 /**
  * Cleanup expired sessions
- * Removes sessions inactive for more than 24 hours
+ * Removes sessions inactive for longer than their time to live; a session
+ * scheduled for later is not inactive before it opens
  * @returns {number} Number of deleted sessions
  */
 export function cleanupSessions() {
-  const EXPIRATION_MS = 24 * 60 * 60 * 1000; // 24 hours
   const now = Date.now();
   let deletedCount = 0;
   
   for (const [id, session] of sessions.entries()) {
     // Legacy support: if lastActiveAt missing, use createdAt or assume old
-    const lastActive = session.lastActiveAt || new Date(session.createdAt).getTime();
+    const lastActive = Math.max(
+      session.lastActiveAt || new Date(session.createdAt).getTime(),
+      session.startsAt ?? 0
+    );
     
-    if (now - lastActive > EXPIRATION_MS) {
+    if (now - lastActive > (session.ttlMs ?? DEFAULT_TTL_MS)) {
       sessions.delete(id);
       deletedCount++;
     }
@@ -2,14 +2,16 @@
  * REST API Integration Tests
  * 
  * Tests the HTTP endpoints for session management:
- * - POST /api/sessions - Create a new session
- * - GET /api/sessions/:id - Get session details
+ * - POST /api/sessions - Create a new session (optionally scheduled)
+ * - GET /api/sessions/:id - Get session details (within the session's window)
+ * - GET /api/sessions/:id/replay - Get the replay log (interviewers only)
  * - GET /health - Health check
  */
 
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import request from 'supertest';
 import { createTestServer } from './setup.js';
+import { addNote, createSnapshot, getSession } from '../src/store/sessionStore.js';
 
 describe('REST API Integration Tests', () => {
   let server;
@@ -51,6 +53,13 @@ describe('REST API Integration Tests', () => {
       expect(csp).toContain("fonts.googleapis.com"); // Fonts
     });
 
+    it('should enable cross-origin isolation for interactive input', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.headers['cross-origin-opener-policy']).toBe('same-origin');
+      expect(response.headers['cross-origin-embedder-policy']).toBe('credentialless');
+    });
+
     it('should include Rate Limiting headers on API routes', async () => {
       // Rate limiter is mounted on /api/
       const response = await request(app).get('/api/sessions/rate-limit-check').expect(404);
@@ -70,6 +79,7 @@ describe('REST API Integration Tests', () => {
 
       expect(response.body).toHaveProperty('id');
       expect(response.body).toHaveProperty('message', 'Session created successfully');
+      expect(response.body.interviewerToken).toMatch(/^[0-9a-f]{48}$/);
       
       // Verify the ID looks like a UUID (8-4-4-4-12 format)
       const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -82,6 +92,72 @@ describe('REST API Integration Tests', () => {
 
       expect(response1.body.id).not.toBe(response2.body.id);
     });
+
+    it('should accept a problem statement', async () => {
+      const statement = '# Two Sum\n\n| n | output |\n|---|---|\n| 2 | 3 |\n\n![diagram](data:image/png;base64,iVBORw0KGgo=)';
+      const createResponse = await request(app)
+        .post('/api/sessions')
+        .send({ problemStatement: statement })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/sessions/${createResponse.body.id}`)
+        .expect(200);
+      expect(response.body.problemStatement).toBe(statement);
+    });
+
+    it('should reject an invalid problem statement', async () => {
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ problemStatement: 42 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid problem statement');
+    });
+
+    it('should keep hidden test cases out of the session details', async () => {
+      const createResponse = await request(app)
+        .post('/api/sessions')
+        .send({ hiddenTestCases: [{ input: '0\n', expectedOutput: '0' }] })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/sessions/${createResponse.body.id}`)
+        .expect(200);
+      expect(JSON.stringify(response.body)).not.toContain('hidden');
+
+      await request(app)
+        .post('/api/sessions')
+        .send({ hiddenTestCases: [{ input: 0 }] })
+        .expect(400);
+    });
+
+    it('should schedule a session', async () => {
+      const startsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const endsAt = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ startsAt, endsAt, ttlHours: 48 })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ startsAt, endsAt });
+      expect(getSession(response.body.id).ttlMs).toBe(48 * 60 * 60 * 1000);
+    });
+
+    it('should reject an invalid schedule', async () => {
+      const past = new Date(Date.now() - 60 * 1000).toISOString();
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      for (const schedule of [
+        { startsAt: 'tomorrow' },
+        { endsAt: past },
+        { startsAt: future, endsAt: future },
+        { ttlHours: 0 }
+      ]) {
+        const response = await request(app).post('/api/sessions').send(schedule).expect(400);
+        expect(response.body).toHaveProperty('error', 'Invalid schedule');
+      }
+    });
   });
 
   describe('GET /api/sessions/:id', () => {
@@ -104,6 +180,65 @@ describe('REST API Integration Tests', () => {
       expect(getResponse.body).toHaveProperty('language', 'javascript');
     });
 
+    it('should list the workspace files', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+
+      const getResponse = await request(app)
+        .get(`/api/sessions/${createResponse.body.id}`)
+        .expect(200);
+
+      expect(getResponse.body.files).toEqual([{
+        id: expect.any(String),
+        name: 'main.js',
+        language: 'javascript',
+        code: getResponse.body.code
+      }]);
+    });
+
+    it('should never expose the interviewer token', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+
+      const getResponse = await request(app)
+        .get(`/api/sessions/${createResponse.body.id}`)
+        .expect(200);
+
+      expect(getResponse.body).not.toHaveProperty('interviewerToken');
+      expect(JSON.stringify(getResponse.body)).not.toContain(createResponse.body.interviewerToken);
+    });
+
+    it('should never expose interviewer notes', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      addNote(createResponse.body.id, 'Ada', 'Strong on recursion');
+
+      const getResponse = await request(app)
+        .get(`/api/sessions/${createResponse.body.id}`)
+        .expect(200);
+
+      expect(getResponse.body).not.toHaveProperty('notes');
+      expect(JSON.stringify(getResponse.body)).not.toContain('Strong on recursion');
+    });
+
+    it('should only return a scheduled session within its window', async () => {
+      const startsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const createResponse = await request(app)
+        .post('/api/sessions')
+        .send({ startsAt })
+        .expect(201);
+      const sessionId = createResponse.body.id;
+
+      const early = await request(app).get(`/api/sessions/${sessionId}`).expect(403);
+      expect(early.body).toEqual({ error: 'Session has not started yet', startsAt });
+
+      const session = getSession(sessionId);
+      session.startsAt = Date.now() - 1000;
+      const open = await request(app).get(`/api/sessions/${sessionId}`).expect(200);
+      expect(open.body.startsAt).toBe(new Date(session.startsAt).toISOString());
+
+      session.endsAt = Date.now() - 1;
+      const late = await request(app).get(`/api/sessions/${sessionId}`).expect(410);
+      expect(late.body).toHaveProperty('error', 'Session has ended');
+    });
+
     it('should return 404 for non-existent session', async () => {
       const response = await request(app)
         .get('/api/sessions/non-existent-session-id')
@@ -113,4 +248,110 @@ describe('REST API Integration Tests', () => {
       expect(response.body).toHaveProperty('error', 'Session not found');
     });
   });
+
+  describe('GET /api/sessions/:id/replay', () => {
+    it('should return the replay log to interviewers', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      const { id, interviewerToken } = createResponse.body;
+
+      const response = await request(app)
+        .get(`/api/sessions/${id}/replay`)
+        .set('Authorization', `Bearer ${interviewerToken}`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.id).toBe(id);
+      expect(Date.parse(response.body.createdAt)).not.toBeNaN();
+      // The log starts with the initial file
+      expect(response.body.events).toHaveLength(1);
+      expect(response.body.events[0]).toMatchObject({
+        type: 'file-create',
+        file: { name: 'main.js', language: 'javascript', code: '// Start coding here...\n' }
+      });
+      expect(typeof response.body.events[0].at).toBe('number');
+    });
+
+    it('should refuse requests without the interviewer token', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      const { id } = createResponse.body;
+
+      await request(app).get(`/api/sessions/${id}/replay`).expect(403);
+      const response = await request(app)
+        .get(`/api/sessions/${id}/replay`)
+        .set('Authorization', 'Bearer not-the-token')
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error', 'Interviewer access required');
+    });
+
+    it('should return 404 for non-existent session', async () => {
+      await request(app).get('/api/sessions/non-existent-session-id/replay').expect(404);
+    });
+  });
+
+  describe('GET /api/sessions/:id/snapshots', () => {
+    it('should list snapshots without their files', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      const { id } = createResponse.body;
+      createSnapshot(id, 'First attempt', 'manual', 'Ada');
+
+      const response = await request(app)
+        .get(`/api/sessions/${id}/snapshots`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.snapshots).toHaveLength(1);
+      expect(response.body.snapshots[0]).toMatchObject({
+        name: 'First attempt',
+        kind: 'manual',
+        createdBy: 'Ada',
+        fileNames: ['main.js']
+      });
+      expect(response.body.snapshots[0]).not.toHaveProperty('files');
+    });
+
+    it('should return a snapshot with its files', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      const { id } = createResponse.body;
+      const snapshot = createSnapshot(id, 'First attempt', 'manual', 'Ada');
+
+      const response = await request(app)
+        .get(`/api/sessions/${id}/snapshots/${snapshot.id}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: snapshot.id, name: 'First attempt' });
+      expect(response.body.files).toEqual([
+        expect.objectContaining({ name: 'main.js', language: 'javascript', code: '// Start coding here...\n' })
+      ]);
+    });
+
+    it('should return 404 for unknown sessions and snapshots', async () => {
+      const createResponse = await request(app).post('/api/sessions').expect(201);
+      const { id } = createResponse.body;
+
+      await request(app).get('/api/sessions/non-existent-session-id/snapshots').expect(404);
+      const response = await request(app).get(`/api/sessions/${id}/snapshots/unknown`).expect(404);
+      expect(response.body).toHaveProperty('error', 'Snapshot not found');
+    });
+
+    it('should only return the snapshots of a scheduled session within its window', async () => {
+      const startsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const createResponse = await request(app).post('/api/sessions').send({ startsAt }).expect(201);
+      const { id } = createResponse.body;
+      const snapshot = createSnapshot(id, 'Prepared', 'manual', 'Ada');
+
+      const early = await request(app).get(`/api/sessions/${id}/snapshots`).expect(403);
+      expect(early.body).toEqual({ error: 'Session has not started yet', startsAt });
+      await request(app).get(`/api/sessions/${id}/snapshots/${snapshot.id}`).expect(403);
+
+      const session = getSession(id);
+      session.startsAt = Date.now() - 1000;
+      await request(app).get(`/api/sessions/${id}/snapshots/${snapshot.id}`).expect(200);
+
+      session.endsAt = Date.now() - 1;
+      const late = await request(app).get(`/api/sessions/${id}/snapshots`).expect(410);
+      expect(late.body).toHaveProperty('error', 'Session has ended');
+      await request(app).get(`/api/sessions/${id}/snapshots/${snapshot.id}`).expect(410);
+    });
+  });
 });
@@ -0,0 +1,125 @@
+/**
+ * Ended Interview Integration Tests
+ *
+ * Tests ending an interview:
+ * - session-end - Disconnect everyone and freeze the session (interviewers only)
+ * - code-change / language-change / join-session - Refused once it ended
+ * - GET /api/sessions/:id/archive - Final state of the ended interview
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer, joinSession, waitFor } from './setup.js';
+import { applyOperation, getSession, updateLanguage } from '../src/store/sessionStore.js';
+import { TextOperation } from '../../shared/textOperation.js';
+
+describe('Ended Interview Integration Tests', () => {
+  let server;
+  let app;
+
+  beforeAll(async () => {
+    server = createTestServer();
+    await server.start();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  afterEach(() => {
+    server.disconnectClients();
+  });
+
+  // An interviewer and a candidate in a session
+  const setUp = async (body) => {
+    const { sessionId, token } = await server.createSession(body);
+    const interviewer = await server.createClient();
+    await joinSession(interviewer, { sessionId, name: 'Ada', token });
+    const candidate = await server.createClient();
+    const candidateState = await joinSession(candidate, { sessionId, name: 'Grace', passcode: body?.passcode });
+    return { sessionId, token, interviewer, candidate, candidateState };
+  };
+
+  const endInterview = async (interviewer, candidate, sessionId) => {
+    const ended = waitFor(candidate, 'session-ended');
+    const disconnected = waitFor(candidate, 'disconnect');
+    interviewer.emit('session-end', { sessionId });
+    const payload = await ended;
+    await disconnected;
+    return payload;
+  };
+
+  it('should only let interviewers end the interview', async () => {
+    const { sessionId, candidate } = await setUp();
+
+    const refused = waitFor(candidate, 'error');
+    candidate.emit('session-end', { sessionId });
+    expect((await refused).message).toBe('Permission denied');
+    expect(getSession(sessionId).endedAt).toBeNull();
+  });
+
+  it('should disconnect everyone and tell them who ended the interview', async () => {
+    const { sessionId, interviewer, candidate } = await setUp();
+
+    const interviewerDisconnected = waitFor(interviewer, 'disconnect');
+    const payload = await endInterview(interviewer, candidate, sessionId);
+    expect(payload).toEqual({ endedAt: expect.any(Number), endedBy: 'Ada' });
+    expect(await interviewerDisconnected).toBe('io server disconnect');
+
+    // Nobody gets back in, interviewers included
+    const comeback = await server.createClient();
+    expect(await joinSession(comeback, { sessionId })).toBe('Interview has ended');
+  });
+
+  it('should refuse code and language changes once ended', async () => {
+    const { sessionId, interviewer, candidate, candidateState } = await setUp();
+    await endInterview(interviewer, candidate, sessionId);
+
+    const session = getSession(sessionId);
+    const mainFile = session.files.get(session.mainFileId);
+    const code = mainFile.code;
+    const insert = new TextOperation().insert('x').retain(code.length);
+    expect(applyOperation(sessionId, mainFile.revision, insert)).toBeNull();
+    expect(updateLanguage(sessionId, 'python')).toBe(false);
+    expect(mainFile.code).toBe(code);
+    expect(mainFile.language).toBe(candidateState.language);
+  });
+
+  it('should keep the final state as a read-only archive', async () => {
+    const { sessionId, token, interviewer, candidate, candidateState } = await setUp({ passcode: 'open sesame' });
+
+    const other = waitFor(interviewer, 'output-update');
+    candidate.emit('output-change', { sessionId, output: '42\n', isRunning: false });
+    await other;
+
+    // Not before the interview ended
+    const early = await request(app).get(`/api/sessions/${sessionId}/archive`).set('Authorization', `Bearer ${token}`).expect(409);
+    expect(early.body).toEqual({ error: 'Interview has not ended' });
+
+    await endInterview(interviewer, candidate, sessionId);
+
+    // As protected as the session itself
+    await request(app).get(`/api/sessions/${sessionId}/archive`).expect(401);
+
+    const response = await request(app)
+      .get(`/api/sessions/${sessionId}/archive`)
+      .set('X-Session-Passcode', 'open sesame')
+      .expect(200);
+    expect(response.body).toMatchObject({
+      id: sessionId,
+      endedAt: expect.any(String),
+      endedBy: 'Ada',
+      mainFileId: candidateState.mainFileId,
+      files: [{ id: candidateState.mainFileId, code: candidateState.code, language: candidateState.language }],
+      output: { output: '42\n', error: null },
+      testResults: null
+    });
+    expect(response.body.participants.map(participant => participant.name)).toEqual(['Ada', 'Grace']);
+    expect(response.body).not.toHaveProperty('hiddenTestCases');
+    expect(response.body).not.toHaveProperty('notes');
+
+    const details = await request(app).get(`/api/sessions/${sessionId}`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(details.body.endedAt).toBe(response.body.endedAt);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Evaluation (Scorecard) Integration Tests
+ *
+ * Tests the interviewer-only scorecard endpoints:
+ * - POST /api/sessions/:id/evaluation/evaluators - Get an evaluator token
+ * - GET / PUT /api/sessions/:id/evaluation - Read or submit a scorecard
+ * - PUT /api/sessions/:id/evaluation/rubric - Change the criteria
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from './setup.js';
+import { DEFAULT_RUBRIC } from '../../shared/evaluation.js';
+
+describe('Evaluation Integration Tests', () => {
+  let server;
+  let app;
+
+  beforeAll(async () => {
+    server = createTestServer();
+    await server.start();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  const createSession = async () => {
+    const response = await request(app).post('/api/sessions').expect(201);
+    return { id: response.body.id, auth: `Bearer ${response.body.interviewerToken}` };
+  };
+
+  // Each interviewer reads and submits their scorecard with their own evaluator token
+  const registerEvaluator = async (id, auth) => {
+    const response = await request(app)
+      .post(`/api/sessions/${id}/evaluation/evaluators`)
+      .set('Authorization', auth)
+      .expect(201);
+    return response.body.evaluatorToken;
+  };
+
+  const ratings = (rating) => Object.fromEntries(DEFAULT_RUBRIC.map(({ id }) => [id, rating]));
+
+  it('should only be available to interviewers', async () => {
+    const { id, auth } = await createSession();
+    const evaluatorToken = await registerEvaluator(id, auth);
+
+    await request(app).get(`/api/sessions/${id}/evaluation`).set('X-Evaluator-Token', evaluatorToken).expect(403);
+    await request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', 'Bearer wrong')
+      .set('X-Evaluator-Token', evaluatorToken)
+      .send({ ratings: ratings(4), recommendation: 'hire' })
+      .expect(403);
+    await request(app).post(`/api/sessions/${id}/evaluation/evaluators`).expect(403);
+    await request(app).get('/api/sessions/missing/evaluation').set('Authorization', auth).expect(404);
+
+    const session = await request(app).get(`/api/sessions/${id}`).expect(200);
+    expect(session.body).not.toHaveProperty('evaluations');
+    expect(session.body).not.toHaveProperty('rubric');
+  });
+
+  it('should identify interviewers by the evaluator token the server issued', async () => {
+    const { id, auth } = await createSession();
+    const ada = await registerEvaluator(id, auth);
+
+    await request(app).get(`/api/sessions/${id}/evaluation`).set('Authorization', auth).expect(403);
+    const forged = await request(app)
+      .get(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', 'forged')
+      .expect(403);
+    expect(forged.body).toHaveProperty('error', 'Invalid evaluator token');
+
+    // The scorecard belongs to the token, whatever ID the body claims
+    const submitted = await request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', ada)
+      .send({ evaluatorId: 'grace', evaluatorName: 'Ada', ratings: ratings(4), recommendation: 'hire' })
+      .expect(200);
+    expect(submitted.body.submission.evaluatorId).not.toBe('grace');
+
+    const grace = await registerEvaluator(id, auth);
+    const other = await request(app)
+      .get(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', grace)
+      .expect(200);
+    expect(other.body).toMatchObject({ submissionCount: 1, submission: null, submissions: null, aggregate: null });
+  });
+
+  it('should keep scorecards independent until submitted, then show the aggregate', async () => {
+    const { id, auth } = await createSession();
+    const ada = await registerEvaluator(id, auth);
+    const grace = await registerEvaluator(id, auth);
+
+    const first = await request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', ada)
+      .send({ evaluatorName: 'Ada', ratings: ratings(4), justification: ' Clean solution ', recommendation: 'hire' })
+      .expect(200);
+    expect(first.body.submission).toMatchObject({ evaluatorName: 'Ada', justification: 'Clean solution', recommendation: 'hire' });
+
+    // A second interviewer does not see the first scorecard before submitting theirs
+    const before = await request(app)
+      .get(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', grace)
+      .expect(200);
+    expect(before.body).toMatchObject({ rubric: DEFAULT_RUBRIC, submissionCount: 1, submission: null, submissions: null, aggregate: null });
+
+    const after = await request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', grace)
+      .send({ evaluatorName: 'Grace', ratings: { ...ratings(2), testing: 1 }, recommendation: 'no-hire' })
+      .expect(200);
+    expect(after.body.submissions).toHaveLength(2);
+    expect(after.body.aggregate).toMatchObject({
+      count: 2,
+      average: 2.88,
+      recommendations: { hire: 1, 'no-hire': 1 }
+    });
+    expect(after.body.aggregate.criteria).toContainEqual({ id: 'testing', label: 'Testing', average: 2.5 });
+  });
+
+  it('should validate scorecards against the rubric', async () => {
+    const { id, auth } = await createSession();
+    const evaluatorToken = await registerEvaluator(id, auth);
+    const submit = (body) => request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', evaluatorToken)
+      .send(body);
+
+    const missing = await submit({ ratings: { testing: 3 }, recommendation: 'hire' }).expect(400);
+    expect(missing.body).toHaveProperty('error', 'Invalid evaluation');
+    await submit({ ratings: ratings(5), recommendation: 'hire' }).expect(400);
+    await submit({ ratings: ratings(3), recommendation: 'maybe' }).expect(400);
+    await submit({ ratings: ratings(3) }).expect(400);
+  });
+
+  it('should let interviewers change the rubric until the first scorecard', async () => {
+    const { id, auth } = await createSession();
+
+    const updated = await request(app)
+      .put(`/api/sessions/${id}/evaluation/rubric`)
+      .set('Authorization', auth)
+      .send({ criteria: [{ id: 'design', label: ' System design ' }, { label: 'Debugging' }] })
+      .expect(200);
+    expect(updated.body.rubric).toEqual([
+      { id: 'design', label: 'System design' },
+      { id: expect.any(String), label: 'Debugging' }
+    ]);
+
+    await request(app)
+      .put(`/api/sessions/${id}/evaluation/rubric`)
+      .set('Authorization', auth)
+      .send({ criteria: [] })
+      .expect(400);
+
+    const [design, debugging] = updated.body.rubric;
+    await request(app)
+      .put(`/api/sessions/${id}/evaluation`)
+      .set('Authorization', auth)
+      .set('X-Evaluator-Token', await registerEvaluator(id, auth))
+      .send({ ratings: { [design.id]: 3, [debugging.id]: 4 }, recommendation: 'hire' })
+      .expect(200);
+
+    const locked = await request(app)
+      .put(`/api/sessions/${id}/evaluation/rubric`)
+      .set('Authorization', auth)
+      .send({ criteria: [{ label: 'Anything' }] })
+      .expect(409);
+    expect(locked.body).toHaveProperty('error', 'The rubric cannot change once evaluations are submitted');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Passcode-Protected Session Integration Tests
+ *
+ * Tests sessions created with a passcode:
+ * - POST /api/sessions - Create a session with a passcode
+ * - GET /api/sessions/:id/access - Whether a passcode is needed
+ * - GET /api/sessions/:id (and snapshots) - Refused without the passcode
+ * - join-session - Refused without the passcode; wrong ones throttled per IP
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer, joinSession } from './setup.js';
+import { getSession } from '../src/store/sessionStore.js';
+
+describe('Passcode Integration Tests', () => {
+  let server;
+  let app;
+
+  beforeAll(async () => {
+    server = createTestServer();
+    await server.start();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  afterEach(() => {
+    server.disconnectClients();
+  });
+
+  const createSession = (passcode = 'open sesame') => server.createSession({ passcode });
+
+  it('should only keep a hash of the passcode', async () => {
+    const { sessionId } = await createSession();
+
+    const session = getSession(sessionId);
+    expect(JSON.stringify(session.passcodeHash)).not.toContain('open sesame');
+    expect(session.passcodeHash).toEqual({ salt: expect.any(String), hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    const response = await request(app).post('/api/sessions').send({ passcode: 'abc' }).expect(400);
+    expect(response.body).toHaveProperty('error', 'Invalid passcode');
+  });
+
+  it('should tell whether a passcode is needed', async () => {
+    const { sessionId } = await createSession();
+    const open = await request(app).post('/api/sessions').expect(201);
+
+    const protectedAccess = await request(app).get(`/api/sessions/${sessionId}/access`).expect(200);
+    expect(protectedAccess.body).toEqual({ passcodeRequired: true });
+    const openAccess = await request(app).get(`/api/sessions/${open.body.id}/access`).expect(200);
+    expect(openAccess.body).toEqual({ passcodeRequired: false });
+  });
+
+  it('should refuse to return the code without the passcode', async () => {
+    const { sessionId, token } = await createSession();
+
+    const missing = await request(app).get(`/api/sessions/${sessionId}`).expect(401);
+    expect(missing.body).toEqual({ error: 'Passcode required' });
+    expect(missing.body).not.toHaveProperty('code');
+    await request(app).get(`/api/sessions/${sessionId}/snapshots`).expect(401);
+
+    const wrong = await request(app).get(`/api/sessions/${sessionId}`).set('X-Session-Passcode', 'guess').expect(401);
+    expect(wrong.body).toEqual({ error: 'Invalid passcode' });
+
+    const right = await request(app).get(`/api/sessions/${sessionId}`).set('X-Session-Passcode', 'open sesame').expect(200);
+    expect(right.body).toHaveProperty('code');
+    await request(app).get(`/api/sessions/${sessionId}`).set('Authorization', `Bearer ${token}`).expect(200);
+  });
+
+  it('should only let candidates join with the passcode', async () => {
+    const { sessionId, token } = await createSession();
+
+    const stranger = await server.createClient();
+    expect(await joinSession(stranger, { sessionId })).toBe('Passcode required');
+
+    const candidate = await server.createClient();
+    const state = await joinSession(candidate, { sessionId, passcode: 'open sesame' });
+    expect(state.role).toBe('candidate');
+
+    // The interviewer token is enough
+    const interviewer = await server.createClient();
+    const interviewerState = await joinSession(interviewer, { sessionId, token });
+    expect(interviewerState.role).toBe('interviewer');
+  });
+
+  // Runs last: the address stays throttled for the rest of the file
+  it('should throttle wrong passcodes per IP', async () => {
+    const { sessionId } = await createSession();
+    const client = await server.createClient();
+
+    let message;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      message = await joinSession(client, { sessionId, passcode: `guess-${attempt}` });
+      if (message !== 'Invalid passcode') break;
+    }
+    expect(message).toBe('Too many attempts, try again later');
+
+    // Even the right passcode, over REST too
+    expect(await joinSession(client, { sessionId, passcode: 'open sesame' })).toBe('Too many attempts, try again later');
+    const response = await request(app).get(`/api/sessions/${sessionId}`).set('X-Session-Passcode', 'open sesame').expect(429);
+    expect(response.body).toEqual({ error: 'Too many attempts, try again later' });
+  });
+});
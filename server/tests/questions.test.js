@@ -0,0 +1,153 @@
+/**
+ * Question Bank Integration Tests
+ *
+ * Tests the question bank endpoints and starting sessions from a question:
+ * - GET / POST /api/questions - List and add questions
+ * - GET / PUT / DELETE /api/questions/:id - Read, replace and remove a question
+ * - Changing the bank takes the admin token
+ * - POST /api/sessions with a templateId
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from './setup.js';
+import { getSession } from '../src/store/sessionStore.js';
+
+describe('Question Bank Integration Tests', () => {
+  let server;
+  let app;
+  let previousAdminToken;
+
+  const adminToken = 'question-bank-admin';
+  const auth = `Bearer ${adminToken}`;
+
+  const question = {
+    title: 'Sum of Two Numbers',
+    statement: '# Sum\n\nPrint the sum of the two numbers on the first line.',
+    starterCode: {
+      python: 'a, b = map(int, input().split())\n',
+      javascript: 'const [a, b] = input().split(\' \').map(Number);\n'
+    },
+    testCases: [{ input: '1 2\n', expectedOutput: '3' }]
+  };
+
+  beforeAll(async () => {
+    previousAdminToken = process.env.QUESTION_BANK_TOKEN;
+    process.env.QUESTION_BANK_TOKEN = adminToken;
+    server = createTestServer();
+    await server.start();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    if (previousAdminToken === undefined) {
+      delete process.env.QUESTION_BANK_TOKEN;
+    } else {
+      process.env.QUESTION_BANK_TOKEN = previousAdminToken;
+    }
+  });
+
+  describe('CRUD', () => {
+    it('should list the bundled questions', async () => {
+      const response = await request(app).get('/api/questions').expect(200);
+
+      expect(response.body.questions).toContainEqual({
+        id: 'two-sum',
+        title: 'Two Sum',
+        languages: ['javascript', 'python'],
+        testCaseCount: 3
+      });
+    });
+
+    it('should add, replace and remove a question', async () => {
+      const created = await request(app).post('/api/questions').set('Authorization', auth).send(question).expect(201);
+      expect(created.body).toMatchObject(question);
+
+      const id = created.body.id;
+      const updated = await request(app)
+        .put(`/api/questions/${id}`)
+        .set('Authorization', auth)
+        .send({ ...question, title: 'Sum' })
+        .expect(200);
+      expect(updated.body.title).toBe('Sum');
+
+      const fetched = await request(app).get(`/api/questions/${id}`).expect(200);
+      expect(fetched.body.title).toBe('Sum');
+
+      await request(app).delete(`/api/questions/${id}`).set('Authorization', auth).expect(204);
+      await request(app).get(`/api/questions/${id}`).expect(404);
+    });
+
+    it('should reject invalid questions', async () => {
+      const noLanguage = await request(app)
+        .post('/api/questions')
+        .set('Authorization', auth)
+        .send({ ...question, starterCode: {} })
+        .expect(400);
+      expect(noLanguage.body).toHaveProperty('error', 'Invalid question');
+
+      await request(app).post('/api/questions').set('Authorization', auth).send({ ...question, starterCode: { cobol: '' } }).expect(400);
+      await request(app).post('/api/questions').set('Authorization', auth).send({ ...question, testCases: [{ input: 1 }] }).expect(400);
+      await request(app).put('/api/questions/two-sum').set('Authorization', auth).send({ title: '' }).expect(400);
+      await request(app).put('/api/questions/missing').set('Authorization', auth).send(question).expect(404);
+    });
+  });
+
+  describe('admin token', () => {
+    it('should reject changes without the admin token', async () => {
+      const missing = await request(app).post('/api/questions').send(question).expect(401);
+      expect(missing.body).toEqual({ error: 'Invalid admin token' });
+
+      await request(app).post('/api/questions').set('Authorization', 'Bearer guess').send(question).expect(401);
+      await request(app).put('/api/questions/two-sum').send({ ...question, title: 'Hacked' }).expect(401);
+      await request(app).delete('/api/questions/two-sum').expect(401);
+
+      const twoSum = await request(app).get('/api/questions/two-sum').expect(200);
+      expect(twoSum.body.title).toBe('Two Sum');
+    });
+
+    it('should keep the bank read-only when no admin token is configured', async () => {
+      delete process.env.QUESTION_BANK_TOKEN;
+      try {
+        const response = await request(app).delete('/api/questions/two-sum').set('Authorization', auth).expect(403);
+        expect(response.body).toEqual({ error: 'Question bank is read-only' });
+      } finally {
+        process.env.QUESTION_BANK_TOKEN = adminToken;
+      }
+      await request(app).get('/api/questions/two-sum').expect(200);
+    });
+  });
+
+  describe('POST /api/sessions with a templateId', () => {
+    it('should set the session up from the question', async () => {
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ templateId: 'two-sum', language: 'python' })
+        .expect(201);
+
+      const session = getSession(response.body.id);
+      const mainFile = session.files.get(session.mainFileId);
+      expect(mainFile.name).toBe('main.py');
+      expect(mainFile.language).toBe('python');
+      expect(mainFile.code).toContain('def two_sum(nums, target):');
+      expect(session.problemStatement).toMatch(/^# Two Sum/);
+      expect(session.testCases).toHaveLength(3);
+      expect(session.questionId).toBe('two-sum');
+    });
+
+    it('should reject unknown templates and languages', async () => {
+      const unknown = await request(app)
+        .post('/api/sessions')
+        .send({ templateId: 'missing' })
+        .expect(400);
+      expect(unknown.body).toHaveProperty('error', 'Template not found');
+
+      const language = await request(app)
+        .post('/api/sessions')
+        .send({ templateId: 'two-sum', language: 'other' })
+        .expect(400);
+      expect(language.body).toHaveProperty('error', 'Language not available for this template');
+    });
+  });
+});
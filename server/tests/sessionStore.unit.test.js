@@ -6,11 +6,41 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TextOperation } from '../../shared/textOperation.js';
+import { MAX_CHAT_HISTORY } from '../../shared/chat.js';
 import {
   createSession,
   getSession,
+  getFile,
+  isFileNameTaken,
+  createFile,
+  renameFile,
+  deleteFile,
   updateCode,
+  applyOperation,
+  getOperationsSince,
   updateLanguage,
+  updateStdin,
+  updateProblemStatement,
+  addChatMessage,
+  addNote,
+  deleteNote,
+  addComment,
+  replyToComment,
+  setCommentResolved,
+  addWhiteboardElement,
+  updateWhiteboardElement,
+  deleteWhiteboardElements,
+  clearWhiteboard,
+  createSnapshot,
+  getSnapshot,
+  summarizeSnapshot,
+  hasChangedSinceLastSnapshot,
+  restoreSnapshot,
+  recordEvent,
+  registerParticipant,
+  setEditorLocked,
+  verifyInterviewerToken,
   sessionExists,
   getSessionCount,
   cleanupSessions
@@ -31,16 +61,16 @@ describe('Session Store Unit Tests', () => {
 
     it('should initialize session with default code comment', () => {
       const sessionId = 'test-session-create-2';
-      const session = createSession(sessionId);
+      createSession(sessionId);
 
-      expect(session.code).toBe('// Start coding here...\n');
+      expect(getFile(sessionId).code).toBe('// Start coding here...\n');
     });
 
     it('should initialize session with javascript as default language', () => {
       const sessionId = 'test-session-create-3';
-      const session = createSession(sessionId);
+      createSession(sessionId);
 
-      expect(session.language).toBe('javascript');
+      expect(getFile(sessionId).language).toBe('javascript');
     });
 
     it('should set createdAt timestamp', () => {
@@ -80,7 +110,7 @@ describe('Session Store Unit Tests', () => {
       const result = updateCode(sessionId, newCode);
 
       expect(result).toBe(true);
-      expect(getSession(sessionId).code).toBe(newCode);
+      expect(getFile(sessionId).code).toBe(newCode);
     });
 
     it('should return false for non-existent session', () => {
@@ -94,7 +124,7 @@ describe('Session Store Unit Tests', () => {
 
       const result = updateCode(sessionId, '');
       expect(result).toBe(true);
-      expect(getSession(sessionId).code).toBe('');
+      expect(getFile(sessionId).code).toBe('');
     });
 
     it('should handle multiline code', () => {
@@ -105,7 +135,205 @@ describe('Session Store Unit Tests', () => {
   console.log("Hello!");
 }`;
       updateCode(sessionId, multilineCode);
-      expect(getSession(sessionId).code).toBe(multilineCode);
+      expect(getFile(sessionId).code).toBe(multilineCode);
+    });
+  });
+
+  describe('applyOperation', () => {
+    it('should apply an operation based on the current revision', () => {
+      const sessionId = 'test-session-op-1';
+      createSession(sessionId);
+
+      const op = new TextOperation().retain(24).insert('let x = 1;');
+      const result = applyOperation(sessionId, 0, op);
+
+      expect(result).not.toBeNull();
+      expect(result.revision).toBe(1);
+      expect(getFile(sessionId).code).toBe('// Start coding here...\nlet x = 1;');
+    });
+
+    it('should transform an operation against concurrent ones', () => {
+      const sessionId = 'test-session-op-2';
+      createSession(sessionId);
+      updateCode(sessionId, 'ac');
+
+      // Two clients both edit revision 1 ('ac')
+      applyOperation(sessionId, 1, new TextOperation().retain(1).insert('b').retain(1));
+      const result = applyOperation(sessionId, 1, new TextOperation().retain(2).insert('d'));
+
+      expect(result.revision).toBe(3);
+      expect(result.operation.ops).toEqual([3, 'd']);
+      expect(getFile(sessionId).code).toBe('abcd');
+    });
+
+    it('should reject revisions from the future', () => {
+      const sessionId = 'test-session-op-3';
+      createSession(sessionId);
+
+      const result = applyOperation(sessionId, 5, new TextOperation().retain(24));
+      expect(result).toBeNull();
+    });
+
+    it('should reject operations that do not fit the document', () => {
+      const sessionId = 'test-session-op-4';
+      createSession(sessionId);
+
+      const result = applyOperation(sessionId, 0, new TextOperation().retain(3).insert('x'));
+      expect(result).toBeNull();
+      expect(getFile(sessionId).code).toBe('// Start coding here...\n');
+    });
+
+    it('should return null for non-existent session', () => {
+      const result = applyOperation('non-existent', 0, new TextOperation());
+      expect(result).toBeNull();
+    });
+
+    it('should reject operations growing the document past its maximum length', () => {
+      const sessionId = 'test-session-op-6';
+      createSession(sessionId);
+
+      const tooLong = new TextOperation().retain(24).insert('x'.repeat(500000));
+      expect(applyOperation(sessionId, 0, tooLong)).toBeNull();
+      expect(getFile(sessionId).code).toBe('// Start coding here...\n');
+
+      const longest = new TextOperation().retain(24).insert('x'.repeat(500000 - 24));
+      expect(applyOperation(sessionId, 0, longest)).not.toBeNull();
+      expect(applyOperation(sessionId, 1, new TextOperation().retain(500000).insert('x'))).toBeNull();
+      expect(applyOperation(sessionId, 1, new TextOperation().delete(1).retain(499999))).not.toBeNull();
+    });
+
+    it('should only keep the latest operations', () => {
+      const sessionId = 'test-session-op-7';
+      createSession(sessionId);
+
+      for (let revision = 0; revision < 1001; revision++) {
+        applyOperation(sessionId, revision, new TextOperation().insert('a').retain(24 + revision));
+      }
+
+      const file = getFile(sessionId);
+      expect(file.revision).toBe(1001);
+      expect(file.operations).toHaveLength(1000);
+      expect(applyOperation(sessionId, 0, new TextOperation().retain(24))).toBeNull();
+
+      // Still transformed against the kept ones
+      const result = applyOperation(sessionId, 1, new TextOperation().retain(25).insert('b'));
+      expect(result.revision).toBe(1002);
+      expect(file.code.endsWith('// Start coding here...\nb')).toBe(true);
+    });
+
+    it('should count whole-code updates as a revision', () => {
+      const sessionId = 'test-session-op-5';
+      createSession(sessionId);
+
+      updateCode(sessionId, 'print(1)');
+      expect(getFile(sessionId).revision).toBe(1);
+    });
+  });
+
+  describe('getOperationsSince', () => {
+    it('should return the operations after a revision with their IDs', () => {
+      const sessionId = 'test-session-since-1';
+      createSession(sessionId);
+
+      applyOperation(sessionId, 0, new TextOperation().retain(24).insert('a'), 'op-1');
+      applyOperation(sessionId, 1, new TextOperation().retain(25).insert('b'));
+
+      const missed = getOperationsSince(sessionId, 1);
+      expect(missed).toHaveLength(1);
+      expect(missed[0].operation.ops).toEqual([25, 'b']);
+      expect(missed[0].opId).toBeNull();
+      expect(getOperationsSince(sessionId, 0)[0].opId).toBe('op-1');
+    });
+
+    it('should return an empty list for the current revision', () => {
+      const sessionId = 'test-session-since-2';
+      createSession(sessionId);
+
+      expect(getOperationsSince(sessionId, 0)).toEqual([]);
+    });
+
+    it('should return null for unknown revisions or sessions', () => {
+      const sessionId = 'test-session-since-3';
+      createSession(sessionId);
+
+      expect(getOperationsSince(sessionId, 3)).toBeNull();
+      expect(getOperationsSince(sessionId, -1)).toBeNull();
+      expect(getOperationsSince('non-existent', 0)).toBeNull();
+    });
+
+    it('should return null for revisions older than the kept operations', () => {
+      const sessionId = 'test-session-since-4';
+      createSession(sessionId);
+
+      for (let revision = 0; revision < 1002; revision++) {
+        applyOperation(sessionId, revision, new TextOperation().retain(24 + revision).insert('a'), `op-${revision}`);
+      }
+
+      expect(getOperationsSince(sessionId, 1)).toBeNull();
+      const missed = getOperationsSince(sessionId, 2);
+      expect(missed).toHaveLength(1000);
+      expect(missed[0]).toMatchObject({ operation: { ops: [26, 'a'] }, opId: 'op-2' });
+    });
+  });
+
+  describe('workspace files', () => {
+    it('should start with a single main file', () => {
+      const sessionId = 'test-session-files-1';
+      const session = createSession(sessionId);
+
+      expect(session.files.size).toBe(1);
+      expect(getFile(sessionId)).toMatchObject({ id: session.mainFileId, name: 'main.js', revision: 0 });
+    });
+
+    it('should create files with the language implied by their name', () => {
+      const sessionId = 'test-session-files-2';
+      createSession(sessionId);
+
+      const file = createFile(sessionId, 'helpers.py');
+
+      expect(file).toMatchObject({ name: 'helpers.py', language: 'python', code: '', revision: 0 });
+      expect(getFile(sessionId, file.id)).toBe(file);
+    });
+
+    it('should refuse duplicate names regardless of case', () => {
+      const sessionId = 'test-session-files-3';
+      createSession(sessionId);
+
+      expect(isFileNameTaken(sessionId, 'MAIN.js')).toBe(true);
+      expect(createFile(sessionId, 'Main.js')).toBeNull();
+    });
+
+    it('should keep edits to different files apart', () => {
+      const sessionId = 'test-session-files-4';
+      createSession(sessionId);
+      const file = createFile(sessionId, 'util.js');
+
+      applyOperation(sessionId, 0, new TextOperation().insert('x'), null, file.id);
+
+      expect(getFile(sessionId, file.id)).toMatchObject({ code: 'x', revision: 1 });
+      expect(getFile(sessionId).revision).toBe(0);
+    });
+
+    it('should rename a file and update its language', () => {
+      const sessionId = 'test-session-files-5';
+      createSession(sessionId);
+      const file = createFile(sessionId, 'util.js');
+
+      renameFile(sessionId, file.id, 'util.py');
+
+      expect(getFile(sessionId, file.id)).toMatchObject({ name: 'util.py', language: 'python' });
+      expect(isFileNameTaken(sessionId, 'util.py', file.id)).toBe(false);
+    });
+
+    it('should delete files but never the last one', () => {
+      const sessionId = 'test-session-files-6';
+      const session = createSession(sessionId);
+      const file = createFile(sessionId, 'util.js');
+
+      expect(deleteFile(sessionId, session.mainFileId)).toBe(true);
+      expect(session.mainFileId).toBe(file.id);
+      expect(deleteFile(sessionId, file.id)).toBe(false);
+      expect(getFile(sessionId, file.id)).toBe(file);
     });
   });
 
@@ -117,7 +345,7 @@ describe('Session Store Unit Tests', () => {
       const result = updateLanguage(sessionId, 'python');
 
       expect(result).toBe(true);
-      expect(getSession(sessionId).language).toBe('python');
+      expect(getFile(sessionId).language).toBe('python');
     });
 
     it('should return false for non-existent session', () => {
@@ -126,6 +354,406 @@ describe('Session Store Unit Tests', () => {
     });
   });
 
+  describe('updateStdin', () => {
+    it('should start empty and store the shared input', () => {
+      const sessionId = 'test-session-stdin-1';
+      const session = createSession(sessionId);
+
+      expect(session.stdin).toBe('');
+      expect(updateStdin(sessionId, '3\n1 2 3\n')).toBe(true);
+      expect(getSession(sessionId).stdin).toBe('3\n1 2 3\n');
+    });
+
+    it('should return false for non-existent session', () => {
+      expect(updateStdin('non-existent', 'x')).toBe(false);
+    });
+  });
+
+  describe('updateProblemStatement', () => {
+    it('should keep the statement given at creation and replace it', () => {
+      const sessionId = 'test-session-problem-1';
+      const session = createSession(sessionId, { problemStatement: '# Two Sum' });
+
+      expect(session.problemStatement).toBe('# Two Sum');
+      expect(updateProblemStatement(sessionId, '# Three Sum')).toBe(true);
+      expect(getSession(sessionId).problemStatement).toBe('# Three Sum');
+      expect(createSession('test-session-problem-2').problemStatement).toBe('');
+    });
+
+    it('should return false for non-existent session', () => {
+      expect(updateProblemStatement('non-existent', 'x')).toBe(false);
+    });
+  });
+
+  describe('registerParticipant', () => {
+    it('should register a participant with a name and color', () => {
+      const sessionId = 'test-session-participant-1';
+      createSession(sessionId);
+
+      const participant = registerParticipant(sessionId, 'p1', 'Ada');
+
+      expect(participant).toEqual({ id: 'p1', name: 'Ada', color: expect.stringMatching(/^#[0-9a-f]{6}$/) });
+    });
+
+    it('should give different participants different colors', () => {
+      const sessionId = 'test-session-participant-2';
+      createSession(sessionId);
+
+      const first = registerParticipant(sessionId, 'p1', 'Ada');
+      const second = registerParticipant(sessionId, 'p2', 'Grace');
+
+      expect(first.color).not.toBe(second.color);
+    });
+
+    it('should keep the same color when a participant rejoins', () => {
+      const sessionId = 'test-session-participant-3';
+      createSession(sessionId);
+
+      const first = registerParticipant(sessionId, 'p1', 'Ada');
+      registerParticipant(sessionId, 'p2', 'Grace');
+      const again = registerParticipant(sessionId, 'p1', 'Ada L.');
+
+      expect(again.color).toBe(first.color);
+      expect(again.name).toBe('Ada L.');
+    });
+
+    it('should return null for non-existent session', () => {
+      expect(registerParticipant('non-existent', 'p1', 'Ada')).toBeNull();
+    });
+  });
+
+  describe('addChatMessage', () => {
+    it('should store messages with the sender name, color and role', () => {
+      const sessionId = 'test-session-chat-1';
+      createSession(sessionId);
+      const participant = registerParticipant(sessionId, 'p1', 'Ada');
+
+      const message = addChatMessage(sessionId, 'p1', 'candidate', 'Hello');
+
+      expect(message).toMatchObject({
+        participantId: 'p1',
+        name: 'Ada',
+        color: participant.color,
+        role: 'candidate',
+        text: 'Hello'
+      });
+      expect(getSession(sessionId).messages).toEqual([message]);
+    });
+
+    it('should keep only the most recent messages', () => {
+      const sessionId = 'test-session-chat-2';
+      createSession(sessionId);
+      registerParticipant(sessionId, 'p1', 'Ada');
+
+      for (let i = 0; i < MAX_CHAT_HISTORY + 5; i++) {
+        addChatMessage(sessionId, 'p1', 'candidate', `message ${i}`);
+      }
+
+      const { messages } = getSession(sessionId);
+      expect(messages).toHaveLength(MAX_CHAT_HISTORY);
+      expect(messages[0].text).toBe('message 5');
+    });
+
+    it('should return null for unknown sessions and participants', () => {
+      const sessionId = 'test-session-chat-3';
+      createSession(sessionId);
+
+      expect(addChatMessage('non-existent', 'p1', 'candidate', 'Hi')).toBeNull();
+      expect(addChatMessage(sessionId, 'unknown', 'candidate', 'Hi')).toBeNull();
+    });
+  });
+
+  describe('interviewer notes', () => {
+    it('should add timestamped notes and delete them', () => {
+      const sessionId = 'test-session-notes-1';
+      createSession(sessionId);
+
+      const note = addNote(sessionId, 'Ada', 'Good questions');
+      expect(note).toMatchObject({ authorName: 'Ada', text: 'Good questions' });
+      expect(Date.parse(note.createdAt)).not.toBeNaN();
+      expect(getSession(sessionId).notes).toEqual([note]);
+
+      expect(deleteNote(sessionId, note.id)).toBe(true);
+      expect(deleteNote(sessionId, note.id)).toBe(false);
+      expect(getSession(sessionId).notes).toEqual([]);
+    });
+
+    it('should return null/false for non-existent session', () => {
+      expect(addNote('non-existent', 'Ada', 'x')).toBeNull();
+      expect(deleteNote('non-existent', 'n1')).toBe(false);
+    });
+  });
+
+  describe('comments', () => {
+    it('should keep comment anchors on the same code as the file is edited', () => {
+      const sessionId = 'test-session-comments-1';
+      const session = createSession(sessionId);
+      updateCode(sessionId, 'line one\nline two\n');
+
+      const comment = addComment(sessionId, session.mainFileId, 9, 17, 'Ada', 'This is O(n²)');
+      expect(comment).toMatchObject({ start: 9, end: 17, authorName: 'Ada', resolved: false, replies: [] });
+
+      // Insert a line above the comment, then type inside its range
+      const { revision } = getFile(sessionId);
+      applyOperation(sessionId, revision, new TextOperation().insert('new\n').retain(18));
+      applyOperation(sessionId, revision + 1, new TextOperation().retain(18).insert('!').retain(4));
+
+      expect(comment).toMatchObject({ start: 13, end: 22 });
+      expect(getFile(sessionId).code.slice(comment.start, comment.end)).toBe('line !two');
+    });
+
+    it('should thread replies and resolve comments', () => {
+      const sessionId = 'test-session-comments-2';
+      const session = createSession(sessionId);
+      const comment = addComment(sessionId, session.mainFileId, 0, 5, 'Ada', 'Why?');
+
+      replyToComment(sessionId, comment.id, 'Grace', 'Because');
+      expect(comment.replies).toEqual([expect.objectContaining({ authorName: 'Grace', text: 'Because' })]);
+
+      setCommentResolved(sessionId, comment.id, true, 'Ada');
+      expect(comment).toMatchObject({ resolved: true, resolvedBy: 'Ada' });
+      setCommentResolved(sessionId, comment.id, false, 'Grace');
+      expect(comment).toMatchObject({ resolved: false, resolvedBy: null });
+    });
+
+    it('should drop the comments of deleted files', () => {
+      const sessionId = 'test-session-comments-3';
+      const session = createSession(sessionId);
+      const file = createFile(sessionId, 'utils.js');
+      addComment(sessionId, file.id, 0, 0, 'Ada', 'Empty file');
+
+      deleteFile(sessionId, file.id);
+      expect(session.comments).toEqual([]);
+    });
+
+    it('should return null for unknown sessions, files and comments', () => {
+      const sessionId = 'test-session-comments-4';
+      createSession(sessionId);
+
+      expect(addComment('non-existent', 'f1', 0, 0, 'Ada', 'x')).toBeNull();
+      expect(addComment(sessionId, 'unknown', 0, 0, 'Ada', 'x')).toBeNull();
+      expect(replyToComment(sessionId, 'unknown', 'Ada', 'x')).toBeNull();
+      expect(setCommentResolved(sessionId, 'unknown', true, 'Ada')).toBeNull();
+    });
+  });
+
+  describe('whiteboard', () => {
+    const box = (id, x = 0) => ({ id, type: 'rect', x, y: 0, width: 100, height: 50, color: '#3b82f6', text: id });
+
+    it('should store valid elements and reject invalid or duplicate ones', () => {
+      const sessionId = 'test-session-whiteboard-1';
+      const session = createSession(sessionId);
+
+      expect(addWhiteboardElement(sessionId, { ...box('a'), extra: 'dropped' })).toEqual(box('a'));
+      expect(addWhiteboardElement(sessionId, box('a'))).toBeNull();
+      expect(addWhiteboardElement(sessionId, { ...box('b'), width: -5 })).toBeNull();
+      expect(addWhiteboardElement(sessionId, { ...box('c'), type: 'triangle' })).toBeNull();
+      expect(addWhiteboardElement(sessionId, { id: 'p', type: 'path', x: 0, y: 0, color: '#000000', points: [[0, 0]] })).toBeNull();
+      expect(addWhiteboardElement('non-existent', box('d'))).toBeNull();
+      expect(session.whiteboard).toEqual([box('a')]);
+    });
+
+    it('should only connect shapes that are on the board', () => {
+      const sessionId = 'test-session-whiteboard-2';
+      createSession(sessionId);
+      addWhiteboardElement(sessionId, box('a'));
+      addWhiteboardElement(sessionId, box('b', 200));
+      const arrow = { id: 'ab', type: 'connector', from: 'a', to: 'b', color: '#000000', text: '' };
+
+      expect(addWhiteboardElement(sessionId, { ...arrow, to: 'missing' })).toBeNull();
+      expect(addWhiteboardElement(sessionId, arrow)).toEqual(arrow);
+      expect(addWhiteboardElement(sessionId, { ...arrow, id: 'loop', from: 'ab', to: 'a' })).toBeNull();
+    });
+
+    it('should update only the fields an element may change', () => {
+      const sessionId = 'test-session-whiteboard-3';
+      createSession(sessionId);
+      addWhiteboardElement(sessionId, box('a'));
+
+      expect(updateWhiteboardElement(sessionId, 'a', { x: 40, text: 'API' })).toMatchObject({ x: 40, text: 'API' });
+      expect(updateWhiteboardElement(sessionId, 'a', { type: 'ellipse' })).toBeNull();
+      expect(updateWhiteboardElement(sessionId, 'a', { color: 'red' })).toBeNull();
+      expect(updateWhiteboardElement(sessionId, 'unknown', { x: 1 })).toBeNull();
+    });
+
+    it('should erase the connectors of erased shapes and clear the board', () => {
+      const sessionId = 'test-session-whiteboard-4';
+      const session = createSession(sessionId);
+      addWhiteboardElement(sessionId, box('a'));
+      addWhiteboardElement(sessionId, box('b', 200));
+      addWhiteboardElement(sessionId, box('c', 400));
+      addWhiteboardElement(sessionId, { id: 'ab', type: 'connector', from: 'a', to: 'b', color: '#000000', text: '' });
+
+      expect(deleteWhiteboardElements(sessionId, ['a', 'unknown'])).toEqual(['a', 'ab']);
+      expect(session.whiteboard.map(element => element.id)).toEqual(['b', 'c']);
+
+      expect(clearWhiteboard(sessionId)).toBe(true);
+      expect(session.whiteboard).toEqual([]);
+      expect(clearWhiteboard('non-existent')).toBe(false);
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should save the files of the workspace', () => {
+      const sessionId = 'test-session-snapshots-1';
+      createSession(sessionId);
+      const file = createFile(sessionId, 'utils.py');
+      updateCode(sessionId, 'x = 1', file.id);
+
+      const snapshot = createSnapshot(sessionId, 'Working', 'manual', 'Ada');
+      expect(snapshot).toMatchObject({ name: 'Working', kind: 'manual', createdBy: 'Ada' });
+      expect(snapshot.files).toContainEqual({ id: file.id, name: 'utils.py', language: 'python', code: 'x = 1' });
+      expect(getSnapshot(sessionId, snapshot.id)).toBe(snapshot);
+      expect(summarizeSnapshot(snapshot)).toEqual({
+        id: snapshot.id,
+        name: 'Working',
+        kind: 'manual',
+        createdBy: 'Ada',
+        createdAt: snapshot.createdAt,
+        fileNames: ['main.js', 'utils.py']
+      });
+
+      // Later edits do not change the snapshot
+      updateCode(sessionId, 'x = 2', file.id);
+      expect(getSnapshot(sessionId, snapshot.id).files[1].code).toBe('x = 1');
+    });
+
+    it('should tell whether the workspace changed since the latest snapshot', () => {
+      const sessionId = 'test-session-snapshots-2';
+      createSession(sessionId);
+
+      expect(hasChangedSinceLastSnapshot(sessionId)).toBe(true);
+      createSnapshot(sessionId, 'Run', 'run', 'Ada');
+      expect(hasChangedSinceLastSnapshot(sessionId)).toBe(false);
+      updateCode(sessionId, 'changed');
+      expect(hasChangedSinceLastSnapshot(sessionId)).toBe(true);
+    });
+
+    it('should restore code, languages and files', () => {
+      const sessionId = 'test-session-snapshots-3';
+      const session = createSession(sessionId);
+      const helper = createFile(sessionId, 'helper.js');
+      updateCode(sessionId, 'const a = 1;');
+      const snapshot = createSnapshot(sessionId, 'Before', 'manual', 'Ada');
+
+      updateCode(sessionId, 'const a = 2;');
+      updateLanguage(sessionId, 'other');
+      renameFile(sessionId, helper.id, 'help.js');
+      const added = createFile(sessionId, 'extra.js');
+      deleteFile(sessionId, helper.id);
+      const revision = getFile(sessionId).revision;
+
+      const changes = restoreSnapshot(sessionId, snapshot.id);
+
+      expect(changes.deleted).toEqual([added.id]);
+      expect(changes.created.map(file => file.name)).toEqual(['helper.js']);
+      expect(changes.edited).toEqual([
+        expect.objectContaining({ fileId: session.mainFileId, revision: revision + 1 })
+      ]);
+      expect(changes.languages.map(file => file.id)).toEqual([session.mainFileId]);
+      expect(getFile(sessionId).code).toBe('const a = 1;');
+      expect(getFile(sessionId).language).toBe('javascript');
+      expect(Array.from(session.files.values(), file => file.name)).toEqual(['main.js', 'helper.js']);
+    });
+
+    it('should match renamed files by ID', () => {
+      const sessionId = 'test-session-snapshots-4';
+      const session = createSession(sessionId);
+      const snapshot = createSnapshot(sessionId, 'Before', 'manual', 'Ada');
+      renameFile(sessionId, session.mainFileId, 'index.js');
+
+      const changes = restoreSnapshot(sessionId, snapshot.id);
+      expect(changes.renamed.map(file => file.id)).toEqual([session.mainFileId]);
+      expect(changes.created).toEqual([]);
+      expect(getFile(sessionId).name).toBe('main.js');
+    });
+
+    it('should return null for unknown sessions and snapshots', () => {
+      const sessionId = 'test-session-snapshots-5';
+      createSession(sessionId);
+
+      expect(createSnapshot('non-existent', 'x', 'manual', 'Ada')).toBeNull();
+      expect(getSnapshot(sessionId, 'unknown')).toBeNull();
+      expect(restoreSnapshot(sessionId, 'unknown')).toBeNull();
+    });
+  });
+
+  describe('recordEvent', () => {
+    it('should start the log with the initial file and append timestamped events', () => {
+      const sessionId = 'test-session-events-1';
+      const session = createSession(sessionId);
+
+      expect(session.events).toHaveLength(1);
+      expect(session.events[0]).toMatchObject({ type: 'file-create', file: { id: session.mainFileId } });
+
+      expect(recordEvent(sessionId, 'output', { output: 'hi', error: null })).toBe(true);
+      expect(session.events[1]).toMatchObject({ type: 'output', output: 'hi', error: null });
+      expect(session.events[1].at).toBeGreaterThanOrEqual(session.events[0].at);
+    });
+
+    it('should mark the log as truncated once full', () => {
+      const sessionId = 'test-session-events-2';
+      const session = createSession(sessionId);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      while (recordEvent(sessionId, 'output', { output: '', error: null }));
+      const length = session.events.length;
+      expect(session.events[length - 1].type).toBe('truncated');
+
+      expect(recordEvent(sessionId, 'output', { output: '', error: null })).toBe(false);
+      expect(session.events).toHaveLength(length);
+      expect(warn).toHaveBeenCalledTimes(1);
+      warn.mockRestore();
+    });
+
+    it('should return false for non-existent session', () => {
+      expect(recordEvent('non-existent', 'output', {})).toBe(false);
+    });
+  });
+
+  describe('verifyInterviewerToken', () => {
+    it('should accept the token generated for the session', () => {
+      const sessionId = 'test-session-token-1';
+      const session = createSession(sessionId);
+
+      expect(verifyInterviewerToken(sessionId, session.interviewerToken)).toBe(true);
+    });
+
+    it('should reject wrong, missing or malformed tokens', () => {
+      const sessionId = 'test-session-token-2';
+      const session = createSession(sessionId);
+
+      expect(verifyInterviewerToken(sessionId, 'wrong')).toBe(false);
+      expect(verifyInterviewerToken(sessionId, undefined)).toBe(false);
+      expect(verifyInterviewerToken(sessionId, { token: session.interviewerToken })).toBe(false);
+    });
+
+    it('should reject tokens from another session', () => {
+      const first = createSession('test-session-token-3');
+      createSession('test-session-token-4');
+
+      expect(verifyInterviewerToken('test-session-token-4', first.interviewerToken)).toBe(false);
+      expect(verifyInterviewerToken('non-existent', first.interviewerToken)).toBe(false);
+    });
+  });
+
+  describe('setEditorLocked', () => {
+    it('should lock and unlock the editor', () => {
+      const sessionId = 'test-session-lock-1';
+      createSession(sessionId);
+
+      expect(setEditorLocked(sessionId, true)).toBe(true);
+      expect(getSession(sessionId).isLocked).toBe(true);
+
+      setEditorLocked(sessionId, false);
+      expect(getSession(sessionId).isLocked).toBe(false);
+    });
+
+    it('should return false for non-existent session', () => {
+      expect(setEditorLocked('non-existent', true)).toBe(false);
+    });
+  });
+
   describe('sessionExists', () => {
     it('should return true for existing session', () => {
       const sessionId = 'test-session-exists-1';
@@ -196,5 +824,33 @@ describe('Session Store Unit Tests', () => {
       cleanupSessions();
       expect(sessionExists(sessionId)).toBe(true);
     });
+
+    it('should use the session time to live', () => {
+      createSession('short-lived-session', { ttlMs: 60 * 60 * 1000 });
+      createSession('long-lived-session', { ttlMs: 72 * 60 * 60 * 1000 });
+
+      vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+      cleanupSessions();
+      expect(sessionExists('short-lived-session')).toBe(false);
+
+      vi.advanceTimersByTime(48 * 60 * 60 * 1000);
+      cleanupSessions();
+      expect(sessionExists('long-lived-session')).toBe(true);
+    });
+
+    it('should keep scheduled sessions until they open', () => {
+      const sessionId = 'scheduled-session';
+      createSession(sessionId, { startsAt: Date.now() + 7 * 24 * 60 * 60 * 1000 });
+
+      // Unused for six days, but it only opens tomorrow
+      vi.advanceTimersByTime(6 * 24 * 60 * 60 * 1000);
+      cleanupSessions();
+      expect(sessionExists(sessionId)).toBe(true);
+
+      // Then expires like any other once unused for its time to live after opening
+      vi.advanceTimersByTime(2 * 24 * 60 * 60 * 1000 + 1);
+      cleanupSessions();
+      expect(sessionExists(sessionId)).toBe(false);
+    });
   });
 });
@@ -3,6 +3,7 @@
  * 
  * Creates an isolated Express + Socket.IO server instance for testing.
  * Uses dynamic port assignment to avoid conflicts.
+ * Also holds the session and client helpers shared by the integration tests.
  */
 
 import express from 'express';
@@ -11,20 +12,23 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { io as ioc } from 'socket.io-client';
+import request from 'supertest';
 
 import sessionRoutes from '../src/routes/sessions.js';
+import questionRoutes from '../src/routes/questions.js';
 import { registerSocketHandlers } from '../src/socket/handlers.js';
 
 /**
  * Create a test server instance
- * @returns {Object} { app, httpServer, io, getUrl }
+ * @returns {Object} { app, httpServer, io, start, stop, getUrl, createSession, createClient, disconnectClients }
  */
 export function createTestServer() {
   const app = express();
 
   // Middleware
   app.use(cors({ origin: '*' }));
-  app.use(express.json());
+  app.use(express.json({ limit: '1mb' }));
 
   // Security Middleware (Mirroring production)
   app.use(helmet({
@@ -39,7 +43,7 @@ export function createTestServer() {
         workerSrc: ["'self'", "blob:"],
       },
     },
-    crossOriginEmbedderPolicy: false,
+    crossOriginEmbedderPolicy: { policy: 'credentialless' },
   }));
 
   // Rate limiting (Mirroring production)
@@ -53,6 +57,7 @@ export function createTestServer() {
 
   // Routes
   app.use('/api/sessions', sessionRoutes);
+  app.use('/api/questions', questionRoutes);
 
   // Health check
   app.get('/health', (req, res) => {
@@ -97,5 +102,82 @@ export function createTestServer() {
 
   const getUrl = () => serverUrl;
 
-  return { app, httpServer, io, start, stop, getUrl };
+  /**
+   * Create a session through the API
+   * @param {Object} body - POST /api/sessions body
+   * @returns {Promise<Object>} { sessionId, token }
+   */
+  const createSession = async (body = {}) => {
+    const response = await request(app).post('/api/sessions').send(body).expect(201);
+    return { sessionId: response.body.id, token: response.body.interviewerToken };
+  };
+
+  // Clients connected by createClient, until disconnectClients
+  let clients = [];
+
+  /**
+   * Connect a Socket.IO client to the running server
+   * @returns {Promise<Socket>} The connected client
+   */
+  const createClient = () => {
+    return new Promise((resolve) => {
+      const socket = ioc(serverUrl, {
+        transports: ['websocket'],
+        forceNew: true
+      });
+      socket.on('connect', () => {
+        clients.push(socket);
+        resolve(socket);
+      });
+    });
+  };
+
+  const disconnectClients = () => {
+    clients.forEach(socket => {
+      if (socket.connected) {
+        socket.disconnect();
+      }
+    });
+    clients = [];
+  };
+
+  return { app, httpServer, io, start, stop, getUrl, createSession, createClient, disconnectClients };
+}
+
+/**
+ * Wait for the next occurrence of an event
+ * @param {Socket} socket - Client to listen on
+ * @param {string} event - Event name
+ * @returns {Promise<*>} The event payload
+ */
+export function waitFor(socket, event) {
+  return new Promise((resolve) => {
+    socket.once(event, resolve);
+  });
+}
+
+/**
+ * Join a session and wait for the answer
+ * @param {Socket} client - Connected client
+ * @param {Object} payload - join-session payload
+ * @returns {Promise<Object|string>} The session state, 'waiting' when held in
+ *   the waiting room, or the error message
+ */
+export function joinSession(client, payload) {
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      client.off('session-state', onState);
+      client.off('waiting-for-admission', onWaiting);
+      client.off('error', onError);
+      resolve(result);
+    };
+    const onState = (state) => finish(state);
+    const onWaiting = () => finish('waiting');
+    const onError = ({ message }) => finish(message);
+
+    client.on('session-state', onState);
+    client.on('waiting-for-admission', onWaiting);
+    client.on('error', onError);
+    client.emit('join-session', payload);
+  });
 }
@@ -2,70 +2,47 @@
  * Socket.IO Integration Tests
  * 
  * Tests real-time communication for collaborative coding:
- * - join-session: Join a session and receive initial state
- * - code-change: Broadcast code updates to other clients
+ * - join-session: Join a session and receive initial state (or wait for a scheduled one)
+ * - code-change: Apply edit operations and broadcast them to other clients
  * - language-change: Broadcast language updates to other clients
+ * - file-create / file-rename / file-delete: Manage workspace files
+ * - stdin-change: Share the standard input with other clients
+ * - problem-change: Interviewers edit the problem statement
+ * - test-cases-change / test-results-change: Test cases and shared test runs
+ * - chat-send: Post chat messages, replayed to late joiners
+ * - note-add / note-delete: Private notes, only sent to interviewers
+ * - whiteboard-*: Shared whiteboard drawing, kept in the session
+ * - Replay log: Edits, file changes, runs and output are recorded
+ * - cursor-change: Broadcast cursor/selection positions to other clients
  * - Session isolation: Changes in one session don't affect others
  */
 
 import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
-import { io as ioc } from 'socket.io-client';
 import request from 'supertest';
-import { createTestServer } from './setup.js';
+import { createTestServer, joinSession } from './setup.js';
+import { TextOperation } from '../../shared/textOperation.js';
 
 describe('Socket.IO Integration Tests', () => {
   let server;
-  let serverUrl;
-  let sockets = [];
-
-  // Helper to create a connected socket client
-  const createClient = () => {
-    return new Promise((resolve) => {
-      const socket = ioc(serverUrl, {
-        transports: ['websocket'],
-        forceNew: true
-      });
-      socket.on('connect', () => {
-        sockets.push(socket);
-        resolve(socket);
-      });
-    });
-  };
-
-  // Helper to create a session via API
-  const createSession = async () => {
-    const response = await request(server.app).post('/api/sessions');
-    return response.body.id;
-  };
-
-  // Helper to disconnect all sockets
-  const disconnectAll = () => {
-    sockets.forEach(socket => {
-      if (socket.connected) {
-        socket.disconnect();
-      }
-    });
-    sockets = [];
-  };
 
   beforeAll(async () => {
     server = createTestServer();
-    serverUrl = await server.start();
+    await server.start();
   });
 
   afterAll(async () => {
-    disconnectAll();
+    server.disconnectClients();
     await server.stop();
   });
 
   afterEach(() => {
-    disconnectAll();
+    server.disconnectClients();
   });
 
   describe('join-session', () => {
     it('should receive session state when joining a valid session', async () => {
-      const sessionId = await createSession();
-      const client = await createClient();
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
 
       const sessionState = await new Promise((resolve) => {
         client.on('session-state', resolve);
@@ -74,10 +51,11 @@ describe('Socket.IO Integration Tests', () => {
 
       expect(sessionState).toHaveProperty('code');
       expect(sessionState).toHaveProperty('language', 'javascript');
+      expect(sessionState).toHaveProperty('revision', 0);
     });
 
     it('should receive error when joining non-existent session', async () => {
-      const client = await createClient();
+      const client = await server.createClient();
 
       const error = await new Promise((resolve) => {
         client.on('error', resolve);
@@ -86,15 +64,102 @@ describe('Socket.IO Integration Tests', () => {
 
       expect(error).toHaveProperty('message', 'Session not found');
     });
+
+    it('should keep candidates in the lobby until a scheduled session opens', async () => {
+      const startsAt = Date.now() + 200;
+      const response = await request(server.app)
+        .post('/api/sessions')
+        .send({ startsAt: new Date(startsAt).toISOString(), endsAt: new Date(startsAt + 200).toISOString() });
+      const { id: sessionId, interviewerToken: token } = response.body;
+
+      const candidate = await server.createClient();
+      const lobby = await new Promise((resolve) => {
+        candidate.once('session-not-started', resolve);
+        candidate.emit('join-session', { sessionId });
+      });
+      expect(lobby).toEqual({ startsAt, serverTime: expect.any(Number) });
+
+      // Interviewers can get ready before it opens
+      const interviewer = await server.createClient();
+      const interviewerState = await joinSession(interviewer, { sessionId, token });
+      expect(interviewerState.role).toBe('interviewer');
+
+      await new Promise(resolve => setTimeout(resolve, startsAt - Date.now() + 10));
+      const state = await joinSession(candidate, { sessionId });
+      expect(state.role).toBe('candidate');
+
+      // Nobody can join once it ended
+      await new Promise(resolve => setTimeout(resolve, startsAt + 200 - Date.now() + 10));
+      const latecomer = await server.createClient();
+      const error = await new Promise((resolve) => {
+        latecomer.once('error', resolve);
+        latecomer.emit('join-session', { sessionId, token });
+      });
+      expect(error).toHaveProperty('message', 'Session has ended');
+    });
+  });
+
+  describe('presence', () => {
+    it('should list participants with their display name and color', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const presence = await new Promise((resolve) => {
+        client.on('presence-update', resolve);
+        client.emit('join-session', { sessionId, name: '  Ada   Lovelace ', participantId: 'participant-ada' });
+      });
+
+      expect(presence.userCount).toBe(1);
+      expect(presence.users[0]).toMatchObject({
+        id: client.id.slice(0, 8),
+        name: 'Ada Lovelace',
+        color: expect.stringMatching(/^#[0-9a-f]{6}$/),
+        isActive: true
+      });
+    });
+
+    it('should fall back to a default name', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const presence = await new Promise((resolve) => {
+        client.on('presence-update', resolve);
+        client.emit('join-session', { sessionId, name: '   ' });
+      });
+
+      expect(presence.users[0].name).toBe('Guest');
+    });
+
+    it('should keep a participant\'s color across reconnects', async () => {
+      const { sessionId } = await server.createSession();
+      const join = async (participantId) => {
+        const client = await server.createClient();
+        const statePromise = new Promise((resolve) => client.once('session-state', resolve));
+        const presencePromise = new Promise((resolve) => client.once('presence-update', resolve));
+        client.emit('join-session', { sessionId, name: participantId, participantId });
+        const [state, presence] = await Promise.all([statePromise, presencePromise]);
+        return { client, presence, userId: state.userId };
+      };
+
+      const first = await join('participant-a');
+      const colorBefore = first.presence.users.find(u => u.id === first.userId).color;
+      first.client.disconnect();
+
+      await join('participant-b');
+      const again = await join('participant-a');
+      const colorAfter = again.presence.users.find(u => u.id === again.userId).color;
+
+      expect(colorAfter).toBe(colorBefore);
+    });
   });
 
   describe('code-change', () => {
     it('should broadcast code changes to other clients in the same session', async () => {
-      const sessionId = await createSession();
+      const { sessionId } = await server.createSession();
       
       // Connect two clients
-      const client1 = await createClient();
-      const client2 = await createClient();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
 
       // Both clients join the session
       await new Promise((resolve) => {
@@ -112,18 +177,105 @@ describe('Socket.IO Integration Tests', () => {
         client2.on('code-update', resolve);
       });
 
-      // Client 1 emits a code change
-      const newCode = 'console.log("Hello from test!");';
-      client1.emit('code-change', { sessionId, code: newCode });
+      // Client 1 emits an edit appending a line
+      const operation = new TextOperation().retain(24).insert('console.log("Hello from test!");');
+      client1.emit('code-change', { sessionId, revision: 0, operation: operation.toJSON() });
 
       // Wait for client 2 to receive the update
       const update = await codeUpdatePromise;
-      expect(update).toHaveProperty('code', newCode);
+      expect(update).toHaveProperty('operation', operation.toJSON());
+      expect(update).toHaveProperty('revision', 1);
+    });
+
+    it('should acknowledge the sender with the new revision', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      await new Promise((resolve) => {
+        client.on('session-state', resolve);
+        client.emit('join-session', { sessionId });
+      });
+
+      const ack = await new Promise((resolve) => {
+        client.on('code-ack', resolve);
+        client.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(24).insert('x').toJSON()
+        });
+      });
+
+      expect(ack).toHaveProperty('revision', 1);
+    });
+
+    it('should transform concurrent edits so every client converges', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+
+      await new Promise((resolve) => {
+        client1.on('session-state', resolve);
+        client1.emit('join-session', { sessionId });
+      });
+      await new Promise((resolve) => {
+        client2.on('session-state', resolve);
+        client2.emit('join-session', { sessionId });
+      });
+
+      // Both clients edit revision 0 without seeing each other's change
+      const ack1 = new Promise((resolve) => client1.on('code-ack', resolve));
+      client1.emit('code-change', {
+        sessionId,
+        revision: 0,
+        operation: new TextOperation().insert('A').retain(24).toJSON()
+      });
+      await ack1;
+
+      const ack2 = new Promise((resolve) => client2.on('code-ack', resolve));
+      client2.emit('code-change', {
+        sessionId,
+        revision: 0,
+        operation: new TextOperation().retain(24).insert('B').toJSON()
+      });
+      await ack2;
+
+      const response = await request(server.app).get(`/api/sessions/${sessionId}`);
+      expect(response.body.code).toBe('A// Start coding here...\nB');
+    });
+
+    it('should reject malformed operations', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const error = await new Promise((resolve) => {
+        client.on('error', resolve);
+        client.emit('code-change', { sessionId, revision: 0, operation: 'not an operation' });
+      });
+
+      expect(error).toHaveProperty('message', 'Invalid code change data');
+    });
+
+    it('should reject invalid operation IDs', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        client.on('error', resolve);
+        client.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(24).insert('x').toJSON(),
+          opId: 'x'.repeat(65)
+        });
+      });
+
+      expect(error).toHaveProperty('message', 'Invalid code change data');
     });
 
     it('should NOT send code update back to the sender', async () => {
-      const sessionId = await createSession();
-      const client = await createClient();
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
 
       // Join session
       await new Promise((resolve) => {
@@ -138,7 +290,11 @@ describe('Socket.IO Integration Tests', () => {
       });
 
       // Emit code change
-      client.emit('code-change', { sessionId, code: 'test code' });
+      client.emit('code-change', {
+        sessionId,
+        revision: 0,
+        operation: new TextOperation().retain(24).insert('test code').toJSON()
+      });
 
       // Wait a bit and verify no update was received
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -148,16 +304,16 @@ describe('Socket.IO Integration Tests', () => {
 
   describe('language-change', () => {
     it('should broadcast language changes to other clients in the same session', async () => {
-      const sessionId = await createSession();
+      const { sessionId, token } = await server.createSession();
       
       // Connect two clients
-      const client1 = await createClient();
-      const client2 = await createClient();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
 
-      // Both clients join the session
+      // Both clients join the session (client 1 as the interviewer)
       await new Promise((resolve) => {
         client1.on('session-state', resolve);
-        client1.emit('join-session', { sessionId });
+        client1.emit('join-session', { sessionId, token });
       });
 
       await new Promise((resolve) => {
@@ -179,15 +335,1315 @@ describe('Socket.IO Integration Tests', () => {
     });
   });
 
+  describe('reconnection', () => {
+    it('should send the operations missed since the given revision', async () => {
+      const { sessionId } = await server.createSession();
+      const writer = await server.createClient();
+      await joinSession(writer, { sessionId });
+
+      // Two edits land while the other client is away
+      await new Promise((resolve) => {
+        writer.once('code-ack', resolve);
+        writer.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(24).insert('a').toJSON(),
+          opId: 'op-a'
+        });
+      });
+      await new Promise((resolve) => {
+        writer.once('code-ack', resolve);
+        writer.emit('code-change', {
+          sessionId,
+          revision: 1,
+          operation: new TextOperation().retain(25).insert('b').toJSON()
+        });
+      });
+
+      const returning = await server.createClient();
+      const { mainFileId } = await joinSession(returning, { sessionId });
+      const state = await joinSession(returning, { sessionId, revisions: { [mainFileId]: 0 } });
+
+      expect(state.revision).toBe(2);
+      expect(state.files[0].operations).toEqual([
+        { operation: [24, 'a'], opId: 'op-a' },
+        { operation: [25, 'b'], opId: null }
+      ]);
+    });
+
+    it('should omit operations for fresh joins and unknown revisions', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const fresh = await joinSession(client, { sessionId });
+      expect(fresh.files[0]).not.toHaveProperty('operations');
+
+      const future = await joinSession(client, { sessionId, revisions: { [fresh.mainFileId]: 42 } });
+      expect(future.files[0]).not.toHaveProperty('operations');
+    });
+  });
+
+  describe('workspace files', () => {
+    // Helper to create a file and wait for the broadcast
+    const createFile = (client, sessionId, name) => {
+      return new Promise((resolve) => {
+        client.once('file-created', resolve);
+        client.emit('file-create', { sessionId, name });
+      });
+    };
+
+    it('should list the files in the session state', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const state = await joinSession(client, { sessionId });
+
+      expect(state.files).toEqual([{
+        id: state.mainFileId,
+        name: 'main.js',
+        language: 'javascript',
+        code: state.code,
+        revision: 0
+      }]);
+    });
+
+    it('should broadcast created files to everyone in the session', async () => {
+      const { sessionId } = await server.createSession();
+      const creator = await server.createClient();
+      const other = await server.createClient();
+      const creatorState = await joinSession(creator, { sessionId });
+      await joinSession(other, { sessionId });
+
+      const received = new Promise((resolve) => other.once('file-created', resolve));
+      const created = await createFile(creator, sessionId, 'utils.py');
+
+      expect(created.file).toMatchObject({ name: 'utils.py', language: 'python', code: '', revision: 0 });
+      expect(created.createdBy).toBe(creatorState.userId);
+      expect(await received).toEqual(created);
+    });
+
+    it('should reject invalid and duplicate file names', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      const invalid = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('file-create', { sessionId, name: '../secrets.js' });
+      });
+      const duplicate = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('file-create', { sessionId, name: 'Main.js' });
+      });
+
+      expect(invalid).toHaveProperty('message', 'Invalid file name');
+      expect(duplicate).toHaveProperty('message', 'A file with that name already exists');
+    });
+
+    it('should apply edits to the given file only', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      await joinSession(client1, { sessionId });
+      await joinSession(client2, { sessionId });
+      const { file } = await createFile(client1, sessionId, 'utils.js');
+
+      const update = new Promise((resolve) => client2.once('code-update', resolve));
+      const ack = await new Promise((resolve) => {
+        client1.once('code-ack', resolve);
+        client1.emit('code-change', {
+          sessionId,
+          fileId: file.id,
+          revision: 0,
+          operation: new TextOperation().insert('x').toJSON()
+        });
+      });
+
+      expect(ack).toEqual({ fileId: file.id, revision: 1 });
+      expect(await update).toEqual({ fileId: file.id, operation: ['x'], revision: 1 });
+      const response = await request(server.app).get(`/api/sessions/${sessionId}`);
+      expect(response.body.code).toBe('// Start coding here...\n');
+      expect(response.body.files[1]).toMatchObject({ name: 'utils.js', code: 'x' });
+    });
+
+    it('should rename and delete files for everyone', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      const state = await joinSession(client, { sessionId });
+      const { file } = await createFile(client, sessionId, 'utils.js');
+
+      const renamed = await new Promise((resolve) => {
+        client.once('file-renamed', resolve);
+        client.emit('file-rename', { sessionId, fileId: file.id, name: 'utils.py' });
+      });
+      expect(renamed).toEqual({ fileId: file.id, name: 'utils.py', language: 'python' });
+
+      const deleted = await new Promise((resolve) => {
+        client.once('file-deleted', resolve);
+        client.emit('file-delete', { sessionId, fileId: state.mainFileId });
+      });
+      expect(deleted).toEqual({ fileId: state.mainFileId, mainFileId: file.id });
+
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('file-delete', { sessionId, fileId: file.id });
+      });
+      expect(error).toHaveProperty('message', 'Cannot delete the last file');
+    });
+
+    it('should not let candidates manage files while the editor is locked', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      await new Promise((resolve) => {
+        candidate.once('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('file-create', { sessionId, name: 'notes.txt' });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+  });
+
+  describe('timer', () => {
+    it('should let interviewers run a timer everyone sees', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      const initial = await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+      expect(initial.timer).toBeNull();
+      expect(initial.serverTime).toEqual(expect.any(Number));
+
+      const phases = [{ name: 'Intro', durationMs: 300000 }, { name: 'Coding', durationMs: 2100000 }];
+      const started = await new Promise((resolve) => {
+        candidate.once('timer-update', resolve);
+        interviewer.emit('timer-start', { sessionId, phases });
+      });
+      expect(started.timer).toMatchObject({ phases, lockOnTimeUp: false, status: 'running', elapsedMs: 0 });
+      expect(started.serverTime).toEqual(expect.any(Number));
+
+      const paused = await new Promise((resolve) => {
+        candidate.once('timer-update', resolve);
+        interviewer.emit('timer-pause', { sessionId });
+      });
+      expect(paused.timer.status).toBe('paused');
+
+      const extended = await new Promise((resolve) => {
+        candidate.once('timer-update', resolve);
+        interviewer.emit('timer-extend', { sessionId, extensionMs: 60000 });
+      });
+      expect(extended.timer.phases[0].durationMs).toBe(360000);
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId });
+      expect(state.timer).toEqual(extended.timer);
+
+      const denied = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('timer-resume', { sessionId });
+      });
+      expect(denied).toHaveProperty('message', 'Permission denied');
+
+      const reset = await new Promise((resolve) => {
+        candidate.once('timer-update', resolve);
+        interviewer.emit('timer-reset', { sessionId });
+      });
+      expect(reset.timer).toBeNull();
+    });
+
+    it('should make the code read-only for everyone when time is up', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const state = await joinSession(interviewer, { sessionId, token });
+
+      const finished = await new Promise((resolve) => {
+        interviewer.on('timer-update', ({ timer }) => {
+          if (timer.status === 'finished') resolve(timer);
+        });
+        interviewer.emit('timer-start', { sessionId, phases: [{ name: '', durationMs: 50 }], lockOnTimeUp: true });
+      });
+      expect(finished.elapsedMs).toBe(50);
+      interviewer.off('timer-update');
+
+      const error = await new Promise((resolve) => {
+        interviewer.once('error', resolve);
+        interviewer.emit('code-change', {
+          sessionId,
+          revision: state.revision,
+          operation: new TextOperation().retain(state.code.length).insert('!').toJSON()
+        });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+
+      // More time lifts the lock
+      const extended = await new Promise((resolve) => {
+        interviewer.once('timer-update', resolve);
+        interviewer.emit('timer-extend', { sessionId, extensionMs: 60000 });
+      });
+      expect(extended.timer.status).toBe('running');
+    });
+  });
+
+  describe('shared stdin', () => {
+    it('should broadcast stdin and replay it to late joiners', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      const initial = await joinSession(client1, { sessionId });
+      await joinSession(client2, { sessionId });
+      expect(initial.stdin).toBe('');
+
+      const update = await new Promise((resolve) => {
+        client2.once('stdin-update', resolve);
+        client1.emit('stdin-change', { sessionId, stdin: '2\nAda\nGrace\n' });
+      });
+      expect(update).toEqual({ stdin: '2\nAda\nGrace\n' });
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId });
+      expect(state.stdin).toBe('2\nAda\nGrace\n');
+    });
+
+    it('should reject oversized input', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('stdin-change', { sessionId, stdin: 'x'.repeat(10001) });
+      });
+
+      expect(error).toHaveProperty('message', 'Invalid stdin data');
+    });
+
+    it('should not let candidates edit stdin while the editor is locked', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      await new Promise((resolve) => {
+        candidate.once('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('stdin-change', { sessionId, stdin: '42' });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+  });
+
+  describe('problem statement', () => {
+    it('should share the statement set by an interviewer', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      const initial = await joinSession(interviewer, { sessionId, token, name: 'Ada' });
+      await joinSession(candidate, { sessionId });
+      expect(initial.problemStatement).toBe('');
+
+      const update = await new Promise((resolve) => {
+        candidate.once('problem-update', resolve);
+        interviewer.emit('problem-change', { sessionId, statement: '## Reverse a list' });
+      });
+      expect(update).toEqual({ statement: '## Reverse a list', updatedBy: 'Ada' });
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId });
+      expect(state.problemStatement).toBe('## Reverse a list');
+    });
+
+    it('should not let candidates edit the statement', async () => {
+      const { sessionId } = await server.createSession();
+      const candidate = await server.createClient();
+      await joinSession(candidate, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('problem-change', { sessionId, statement: 'Easy one' });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+  });
+
+  describe('test cases', () => {
+    it('should give new test cases IDs and send them to everyone', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      const initial = await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+      expect(initial.testCases).toEqual([]);
+      expect(initial.testResults).toBeNull();
+
+      const [own, received] = await Promise.all([
+        new Promise((resolve) => interviewer.once('test-cases-update', resolve)),
+        new Promise((resolve) => candidate.once('test-cases-update', resolve)),
+        interviewer.emit('test-cases-change', {
+          sessionId,
+          testCases: [{ input: '2 3\n', expectedOutput: '5' }, { assertion: ' add(2, 3) === 5 ' }]
+        })
+      ]);
+
+      expect(received).toEqual(own);
+      expect(received.testCases).toEqual([
+        { id: expect.any(String), input: '2 3\n', expectedOutput: '5', assertion: '' },
+        { id: expect.any(String), input: '', expectedOutput: '', assertion: 'add(2, 3) === 5' }
+      ]);
+    });
+
+    it('should not let candidates change the test cases', async () => {
+      const { sessionId } = await server.createSession();
+      const candidate = await server.createClient();
+      await joinSession(candidate, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('test-cases-change', { sessionId, testCases: [] });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+
+    it('should share test results and replay them to late joiners', async () => {
+      const { sessionId } = await server.createSession();
+      const runner = await server.createClient();
+      const watcher = await server.createClient();
+      await joinSession(runner, { sessionId, name: 'Ada' });
+      await joinSession(watcher, { sessionId });
+
+      const results = [{ testCaseId: 't1', status: 'failed', actual: '6', error: null, durationMs: 12.4 }];
+      const update = await new Promise((resolve) => {
+        watcher.once('test-results-update', resolve);
+        runner.emit('test-results-change', { sessionId, language: 'python', isRunning: false, results });
+      });
+      expect(update).toMatchObject({
+        ranBy: 'Ada',
+        language: 'python',
+        isRunning: false,
+        results: [{ ...results[0], durationMs: 12 }]
+      });
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId });
+      expect(state.testResults).toEqual(update);
+
+      const error = await new Promise((resolve) => {
+        runner.once('error', resolve);
+        runner.emit('test-results-change', { sessionId, language: 'python', results: [{ testCaseId: 't1', status: 'great' }] });
+      });
+      expect(error).toHaveProperty('message', 'Invalid test results');
+    });
+  });
+
+  describe('hidden test cases', () => {
+    it('should only send hidden test cases to interviewers', async () => {
+      const response = await request(server.app)
+        .post('/api/sessions')
+        .send({ hiddenTestCases: [{ input: '-1\n', expectedOutput: 'error' }] });
+      const { id: sessionId, interviewerToken: token } = response.body;
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      const interviewerState = await joinSession(interviewer, { sessionId, token });
+      const candidateState = await joinSession(candidate, { sessionId });
+
+      expect(interviewerState.hiddenTestCases).toEqual([
+        { id: expect.any(String), input: '-1\n', expectedOutput: 'error', assertion: '' }
+      ]);
+      expect(candidateState).not.toHaveProperty('hiddenTestCases');
+
+      const candidateEvents = [];
+      candidate.onAny((event) => candidateEvents.push(event));
+
+      const update = await new Promise((resolve) => {
+        interviewer.once('hidden-test-cases-update', resolve);
+        interviewer.emit('hidden-test-cases-change', { sessionId, testCases: [{ assertion: 'isPrime(1) === false' }] });
+      });
+      expect(update.testCases).toEqual([
+        { id: expect.any(String), input: '', expectedOutput: '', assertion: 'isPrime(1) === false' }
+      ]);
+
+      // Round trip so the candidate would have received a leaked update by now
+      await new Promise((resolve) => {
+        candidate.once('chat-message', resolve);
+        candidate.emit('chat-send', { sessionId, text: 'ping' });
+      });
+      expect(candidateEvents).not.toContain('hidden-test-cases-update');
+
+      const denied = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('hidden-test-cases-change', { sessionId, testCases: [] });
+      });
+      expect(denied).toHaveProperty('message', 'Permission denied');
+    });
+
+    it('should refuse to share the results of hidden tests', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+
+      const { testCases } = await new Promise((resolve) => {
+        interviewer.once('hidden-test-cases-update', resolve);
+        interviewer.emit('hidden-test-cases-change', { sessionId, testCases: [{ input: '', expectedOutput: '' }] });
+      });
+
+      const error = await new Promise((resolve) => {
+        interviewer.once('error', resolve);
+        interviewer.emit('test-results-change', {
+          sessionId,
+          language: 'javascript',
+          isRunning: false,
+          results: [{ testCaseId: testCases[0].id, status: 'passed' }]
+        });
+      });
+      expect(error).toHaveProperty('message', 'Hidden test results are not shared');
+    });
+  });
+
+  describe('chat', () => {
+    it('should deliver messages with the sender name to everyone', async () => {
+      const { sessionId } = await server.createSession();
+      const sender = await server.createClient();
+      const receiver = await server.createClient();
+      await joinSession(sender, { sessionId, name: 'Ada' });
+      await joinSession(receiver, { sessionId, name: 'Grace' });
+
+      const [own, received] = await Promise.all([
+        new Promise((resolve) => sender.once('chat-message', resolve)),
+        new Promise((resolve) => receiver.once('chat-message', resolve)),
+        sender.emit('chat-send', { sessionId, text: '  Hello there  ' })
+      ]);
+
+      expect(own).toMatchObject({ name: 'Ada', role: 'candidate', text: 'Hello there', isOwn: true });
+      expect(typeof own.sentAt).toBe('string');
+      expect(received).toEqual({ ...own, isOwn: false });
+      expect(received).not.toHaveProperty('participantId');
+    });
+
+    it('should send the history to late joiners', async () => {
+      const { sessionId } = await server.createSession();
+      const sender = await server.createClient();
+      await joinSession(sender, { sessionId, name: 'Ada', participantId: 'participant-ada' });
+
+      await new Promise((resolve) => {
+        sender.once('chat-message', resolve);
+        sender.emit('chat-send', { sessionId, text: 'First!' });
+      });
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId, name: 'Grace' });
+      expect(state.messages).toHaveLength(1);
+      expect(state.messages[0]).toMatchObject({ name: 'Ada', text: 'First!', isOwn: false });
+
+      // The sender still recognizes their messages after reconnecting
+      const rejoined = await server.createClient();
+      const ownState = await joinSession(rejoined, { sessionId, name: 'Ada', participantId: 'participant-ada' });
+      expect(ownState.messages[0].isOwn).toBe(true);
+    });
+
+    it('should reject empty and oversized messages', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      for (const text of ['   ', 'x'.repeat(2001), 42]) {
+        const error = await new Promise((resolve) => {
+          client.once('error', resolve);
+          client.emit('chat-send', { sessionId, text });
+        });
+        expect(error).toHaveProperty('message', 'Invalid chat message');
+      }
+    });
+
+    it('should let candidates chat while the editor is locked', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      await new Promise((resolve) => {
+        candidate.once('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      const message = await new Promise((resolve) => {
+        interviewer.once('chat-message', resolve);
+        candidate.emit('chat-send', { sessionId, text: 'Can I ask a question?' });
+      });
+      expect(message).toMatchObject({ role: 'candidate', text: 'Can I ask a question?' });
+    });
+  });
+
+  describe('interviewer notes', () => {
+    it('should share notes between interviewers only', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const coInterviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token, name: 'Ada' });
+      await joinSession(coInterviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      let candidateReceived = false;
+      candidate.on('note-added', () => {
+        candidateReceived = true;
+      });
+
+      const [toAuthor, toCoInterviewer] = await Promise.all([
+        new Promise((resolve) => interviewer.once('note-added', resolve)),
+        new Promise((resolve) => coInterviewer.once('note-added', resolve)),
+        interviewer.emit('note-add', { sessionId, text: 'Asked about edge cases' })
+      ]);
+
+      expect(toAuthor.note).toMatchObject({ authorName: 'Ada', text: 'Asked about edge cases' });
+      expect(Date.parse(toAuthor.note.createdAt)).not.toBeNaN();
+      expect(toCoInterviewer).toEqual(toAuthor);
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(candidateReceived).toBe(false);
+    });
+
+    it('should include notes in the session state of interviewers only', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+
+      await new Promise((resolve) => {
+        interviewer.once('note-added', resolve);
+        interviewer.emit('note-add', { sessionId, text: 'Private' });
+      });
+
+      const lateInterviewer = await server.createClient();
+      const lateCandidate = await server.createClient();
+      const interviewerState = await joinSession(lateInterviewer, { sessionId, token });
+      const candidateState = await joinSession(lateCandidate, { sessionId });
+
+      expect(interviewerState.notes).toHaveLength(1);
+      expect(candidateState).not.toHaveProperty('notes');
+      expect(JSON.stringify(candidateState)).not.toContain('Private');
+    });
+
+    it('should delete notes', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+
+      const { note } = await new Promise((resolve) => {
+        interviewer.once('note-added', resolve);
+        interviewer.emit('note-add', { sessionId, text: 'Typo' });
+      });
+
+      const deleted = await new Promise((resolve) => {
+        interviewer.once('note-deleted', resolve);
+        interviewer.emit('note-delete', { sessionId, noteId: note.id });
+      });
+      expect(deleted).toEqual({ noteId: note.id });
+
+      const rejoined = await server.createClient();
+      const state = await joinSession(rejoined, { sessionId, token });
+      expect(state.notes).toEqual([]);
+    });
+
+    it('should not let candidates write notes', async () => {
+      const { sessionId } = await server.createSession();
+      const candidate = await server.createClient();
+      await joinSession(candidate, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('note-add', { sessionId, text: 'I did great' });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+  });
+
+  describe('comments', () => {
+    it('should share comment threads with everyone', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      const state = await joinSession(client1, { sessionId, name: 'Ada' });
+      await joinSession(client2, { sessionId, name: 'Grace' });
+
+      const [toAuthor, toOther] = await Promise.all([
+        new Promise((resolve) => client1.once('comment-added', resolve)),
+        new Promise((resolve) => client2.once('comment-added', resolve)),
+        client1.emit('comment-add', { sessionId, fileId: state.mainFileId, start: 0, end: 5, text: ' O(n²) ' })
+      ]);
+      expect(toAuthor.comment).toMatchObject({ fileId: state.mainFileId, start: 0, end: 5, authorName: 'Ada', text: 'O(n²)' });
+      expect(toOther).toEqual(toAuthor);
+
+      const { comment } = await new Promise((resolve) => {
+        client1.once('comment-updated', resolve);
+        client2.emit('comment-reply', { sessionId, commentId: toAuthor.comment.id, text: 'Fixed' });
+      });
+      expect(comment.replies).toEqual([expect.objectContaining({ authorName: 'Grace', text: 'Fixed' })]);
+
+      // client2 may still get its own reply first
+      const resolved = await new Promise((resolve) => {
+        client2.on('comment-updated', (update) => {
+          if (update.comment.resolved) resolve(update);
+        });
+        client1.emit('comment-resolve', { sessionId, commentId: comment.id, resolved: true });
+      });
+      expect(resolved.comment).toMatchObject({ resolved: true, resolvedBy: 'Ada' });
+
+      const lateState = await joinSession(await server.createClient(), { sessionId });
+      expect(lateState.comments).toEqual([resolved.comment]);
+    });
+
+    it('should move comments along with edits', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      const state = await joinSession(client, { sessionId });
+
+      await new Promise((resolve) => {
+        client.once('comment-added', resolve);
+        client.emit('comment-add', { sessionId, fileId: state.mainFileId, start: 3, end: 8, text: 'Note' });
+      });
+      await new Promise((resolve) => {
+        client.once('code-ack', resolve);
+        client.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().insert('\n\n').retain(state.code.length).toJSON()
+        });
+      });
+
+      const rejoined = await joinSession(await server.createClient(), { sessionId });
+      expect(rejoined.comments[0]).toMatchObject({ start: 5, end: 10 });
+    });
+
+    it('should reject invalid comments', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      const state = await joinSession(client, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('comment-add', { sessionId, fileId: state.mainFileId, start: 5, end: 2, text: 'Backwards' });
+      });
+      expect(error).toHaveProperty('message', 'Invalid comment');
+
+      const notFound = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('comment-reply', { sessionId, commentId: 'unknown', text: 'Hello?' });
+      });
+      expect(notFound).toHaveProperty('message', 'Comment not found');
+    });
+  });
+
+  describe('whiteboard', () => {
+    const box = (id) => ({ id, type: 'rect', x: 10, y: 20, width: 100, height: 50, color: '#3b82f6', text: '' });
+
+    it('should share drawings with the others and keep them in the session', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      await joinSession(client1, { sessionId });
+      await joinSession(client2, { sessionId });
+
+      const added = await new Promise((resolve) => {
+        client2.once('whiteboard-element-added', resolve);
+        client1.emit('whiteboard-add', { sessionId, element: box('server') });
+      });
+      expect(added.element).toEqual(box('server'));
+
+      const updated = await new Promise((resolve) => {
+        client1.once('whiteboard-element-updated', resolve);
+        client2.emit('whiteboard-update', { sessionId, elementId: 'server', changes: { x: 300, text: 'API' } });
+      });
+      expect(updated.element).toMatchObject({ id: 'server', x: 300, text: 'API' });
+
+      const lateState = await joinSession(await server.createClient(), { sessionId });
+      expect(lateState.whiteboard).toEqual([updated.element]);
+    });
+
+    it('should erase elements and their connectors for everyone', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      await joinSession(client1, { sessionId });
+      await joinSession(client2, { sessionId });
+
+      for (const element of [box('a'), box('b'), { id: 'ab', type: 'connector', from: 'a', to: 'b', color: '#000000', text: '' }]) {
+        await new Promise((resolve) => {
+          client2.once('whiteboard-element-added', resolve);
+          client1.emit('whiteboard-add', { sessionId, element });
+        });
+      }
+
+      const [toSender, toOther] = await Promise.all([
+        new Promise((resolve) => client1.once('whiteboard-elements-deleted', resolve)),
+        new Promise((resolve) => client2.once('whiteboard-elements-deleted', resolve)),
+        client1.emit('whiteboard-delete', { sessionId, elementIds: ['b'] })
+      ]);
+      expect(toSender.elementIds).toEqual(['b', 'ab']);
+      expect(toOther).toEqual(toSender);
+
+      const cleared = await new Promise((resolve) => {
+        client1.once('whiteboard-cleared', resolve);
+        client2.emit('whiteboard-clear', { sessionId });
+      });
+      expect(cleared).toHaveProperty('clearedBy');
+
+      const lateState = await joinSession(await server.createClient(), { sessionId });
+      expect(lateState.whiteboard).toEqual([]);
+    });
+
+    it('should reject invalid elements', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('whiteboard-add', { sessionId, element: { ...box('a'), color: 'javascript:alert(1)' } });
+      });
+      expect(error).toHaveProperty('message', 'Invalid whiteboard element');
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should share snapshots with everyone and skip unchanged run snapshots', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      await joinSession(client1, { sessionId, name: 'Ada' });
+      await joinSession(client2, { sessionId });
+
+      const [toAuthor, toOther] = await Promise.all([
+        new Promise((resolve) => client1.once('snapshot-created', resolve)),
+        new Promise((resolve) => client2.once('snapshot-created', resolve)),
+        client1.emit('snapshot-create', { sessionId, name: '  Brute force  ' })
+      ]);
+      expect(toAuthor).toMatchObject({ name: 'Brute force', kind: 'manual', createdBy: 'Ada', fileNames: ['main.js'] });
+      expect(toOther).toEqual(toAuthor);
+
+      let runSnapshots = 0;
+      client2.on('snapshot-created', () => {
+        runSnapshots++;
+      });
+      client1.emit('snapshot-create', { sessionId, onRun: true });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(runSnapshots).toBe(0);
+
+      const state = await joinSession(await server.createClient(), { sessionId });
+      expect(state.snapshots).toEqual([toAuthor]);
+    });
+
+    it('should restore a snapshot for everyone', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+      const state = await joinSession(client1, { sessionId, name: 'Ada' });
+      await joinSession(client2, { sessionId });
+
+      const snapshot = await new Promise((resolve) => {
+        client1.once('snapshot-created', resolve);
+        client1.emit('snapshot-create', { sessionId, name: 'Start' });
+      });
+      await new Promise((resolve) => {
+        client1.once('code-ack', resolve);
+        client1.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(state.code.length).insert('// more').toJSON()
+        });
+      });
+
+      const backups = [];
+      client2.on('snapshot-created', (summary) => backups.push(summary));
+      // Ignore the edit above, which may still be on its way to client2
+      const updates = [];
+      client2.on('code-update', (update) => {
+        if (update.revision > 1) updates.push(update);
+      });
+
+      const restored = await new Promise((resolve) => {
+        client2.once('snapshot-restored', resolve);
+        client1.emit('snapshot-restore', { sessionId, snapshotId: snapshot.id });
+      });
+
+      expect(restored).toEqual({ snapshotId: snapshot.id, name: 'Start', restoredBy: 'Ada' });
+      expect(backups).toEqual([expect.objectContaining({ kind: 'restore', name: 'Before restoring "Start"' })]);
+      expect(updates).toHaveLength(1);
+      expect(updates[0]).toMatchObject({ fileId: state.mainFileId, revision: 2 });
+      const code = TextOperation.fromJSON(updates[0].operation).apply(state.code + '// more');
+      expect(code).toBe(state.code);
+    });
+
+    it('should not let candidates restore while the editor is locked', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      const snapshot = await new Promise((resolve) => {
+        candidate.once('snapshot-created', resolve);
+        candidate.emit('snapshot-create', { sessionId, name: 'Mine' });
+      });
+      await new Promise((resolve) => {
+        candidate.once('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      const error = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('snapshot-restore', { sessionId, snapshotId: snapshot.id });
+      });
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+  });
+
+  describe('replay log', () => {
+    it('should record edits, file and language changes, runs and output', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const state = await joinSession(interviewer, { sessionId, token });
+
+      await new Promise((resolve) => {
+        interviewer.once('code-ack', resolve);
+        interviewer.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(state.code.length).insert('x').toJSON()
+        });
+      });
+      const { file } = await new Promise((resolve) => {
+        interviewer.once('file-created', resolve);
+        interviewer.emit('file-create', { sessionId, name: 'utils.js' });
+      });
+      interviewer.emit('language-change', { sessionId, language: 'python' });
+      interviewer.emit('output-change', { sessionId, output: '', error: null, isRunning: true });
+      interviewer.emit('output-change', { sessionId, output: '42', error: null, isRunning: false });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const response = await request(server.app)
+        .get(`/api/sessions/${sessionId}/replay`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { events } = response.body;
+      expect(events.map(event => event.type)).toEqual([
+        'file-create', 'edit', 'file-create', 'language', 'run', 'output'
+      ]);
+      expect(events[1]).toMatchObject({ fileId: state.mainFileId, operation: [state.code.length, 'x'] });
+      expect(events[2].file).toMatchObject({ id: file.id, name: 'utils.js' });
+      expect(events[3]).toMatchObject({ fileId: state.mainFileId, language: 'python' });
+      expect(events[5]).toMatchObject({ output: '42', error: null });
+      // Events are in chronological order
+      const times = events.map(event => event.at);
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    it('should reject invalid output and cut long output before recording it', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      const refused = new Promise((resolve) => candidate.once('error', resolve));
+      candidate.emit('output-change', { sessionId, output: { huge: true }, error: null, isRunning: false });
+      expect(await refused).toHaveProperty('message', 'Invalid output data');
+
+      const update = new Promise((resolve) => interviewer.once('output-update', resolve));
+      candidate.emit('output-change', { sessionId, output: 'x'.repeat(200000), error: 'y'.repeat(200000), isRunning: false });
+      const { output, error } = await update;
+      expect(output).toHaveLength(100000);
+      expect(error).toHaveLength(100000);
+
+      const response = await request(server.app)
+        .get(`/api/sessions/${sessionId}/replay`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body.events.filter(event => event.type === 'output')).toEqual([
+        expect.objectContaining({ output, error })
+      ]);
+    });
+  });
+
+  describe('follow me mode', () => {
+    it('should broadcast the presenter to everyone in the session', async () => {
+      const { sessionId } = await server.createSession();
+      const presenter = await server.createClient();
+      const follower = await server.createClient();
+      const presenterState = await joinSession(presenter, { sessionId });
+      await joinSession(follower, { sessionId });
+
+      const [toPresenter, toFollower] = await Promise.all([
+        new Promise((resolve) => presenter.once('presenter-update', resolve)),
+        new Promise((resolve) => follower.once('presenter-update', resolve)),
+        presenter.emit('presenter-change', { sessionId, presenting: true })
+      ]);
+
+      expect(toPresenter).toEqual({ userId: presenterState.userId, viewport: null });
+      expect(toFollower).toEqual(toPresenter);
+    });
+
+    it('should relay the presenter viewport and replay it to late joiners', async () => {
+      const { sessionId } = await server.createSession();
+      const presenter = await server.createClient();
+      const follower = await server.createClient();
+      const presenterState = await joinSession(presenter, { sessionId });
+      await joinSession(follower, { sessionId });
+
+      await new Promise((resolve) => {
+        follower.once('presenter-update', resolve);
+        presenter.emit('presenter-change', { sessionId, presenting: true });
+      });
+
+      const update = await new Promise((resolve) => {
+        follower.on('viewport-update', resolve);
+        presenter.emit('viewport-change', { sessionId, fileId: presenterState.mainFileId, startLine: 40, endLine: 70 });
+      });
+      expect(update).toEqual({
+        userId: presenterState.userId,
+        fileId: presenterState.mainFileId,
+        startLine: 40,
+        endLine: 70
+      });
+
+      const lateJoiner = await server.createClient();
+      const state = await joinSession(lateJoiner, { sessionId });
+      expect(state.presenter).toEqual({
+        userId: presenterState.userId,
+        viewport: { fileId: presenterState.mainFileId, startLine: 40, endLine: 70 }
+      });
+    });
+
+    it('should ignore viewports from participants who are not presenting', async () => {
+      const { sessionId } = await server.createSession();
+      const presenter = await server.createClient();
+      const other = await server.createClient();
+      await joinSession(presenter, { sessionId });
+      await joinSession(other, { sessionId });
+
+      let received = false;
+      presenter.on('viewport-update', () => {
+        received = true;
+      });
+      other.emit('viewport-change', { sessionId, startLine: 1, endLine: 10 });
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(received).toBe(false);
+    });
+
+    it('should reject invalid viewports', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        client.on('error', resolve);
+        client.emit('viewport-change', { sessionId, startLine: 10, endLine: 2 });
+      });
+
+      expect(error).toHaveProperty('message', 'Invalid viewport data');
+    });
+
+    it('should stop presenting when the presenter leaves', async () => {
+      const { sessionId } = await server.createSession();
+      const presenter = await server.createClient();
+      const follower = await server.createClient();
+      await joinSession(presenter, { sessionId });
+      await joinSession(follower, { sessionId });
+
+      await new Promise((resolve) => {
+        follower.once('presenter-update', resolve);
+        presenter.emit('presenter-change', { sessionId, presenting: true });
+      });
+
+      const update = await new Promise((resolve) => {
+        follower.once('presenter-update', resolve);
+        presenter.disconnect();
+      });
+
+      expect(update).toEqual({ userId: null, viewport: null });
+    });
+  });
+
+  describe('cursor-change', () => {
+    it('should broadcast cursor positions to other clients', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+
+      await new Promise((resolve) => {
+        client1.on('session-state', resolve);
+        client1.emit('join-session', { sessionId });
+      });
+      await new Promise((resolve) => {
+        client2.on('session-state', resolve);
+        client2.emit('join-session', { sessionId });
+      });
+
+      const update = await new Promise((resolve) => {
+        client2.on('cursor-update', resolve);
+        client1.emit('cursor-change', { sessionId, anchor: 3, head: 10 });
+      });
+
+      expect(update).toEqual({ userId: client1.id.slice(0, 8), fileId: null, anchor: 3, head: 10 });
+    });
+
+    it('should include existing cursors in the state sent to late joiners', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+
+      await new Promise((resolve) => {
+        client1.on('session-state', resolve);
+        client1.emit('join-session', { sessionId });
+      });
+      client1.emit('cursor-change', { sessionId, anchor: 5, head: 5 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const client2 = await server.createClient();
+      const sessionState = await new Promise((resolve) => {
+        client2.on('session-state', resolve);
+        client2.emit('join-session', { sessionId });
+      });
+
+      expect(sessionState.cursors).toEqual([
+        { userId: client1.id.slice(0, 8), fileId: null, anchor: 5, head: 5 }
+      ]);
+    });
+
+    it('should notify others when a participant leaves', async () => {
+      const { sessionId } = await server.createSession();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
+
+      await new Promise((resolve) => {
+        client1.on('session-state', resolve);
+        client1.emit('join-session', { sessionId });
+      });
+      await new Promise((resolve) => {
+        client2.on('session-state', resolve);
+        client2.emit('join-session', { sessionId });
+      });
+
+      const userId = client1.id.slice(0, 8);
+      const removal = new Promise((resolve) => client2.on('cursor-remove', resolve));
+      client1.disconnect();
+
+      expect(await removal).toEqual({ userId });
+    });
+
+    it('should reject invalid cursor data', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const error = await new Promise((resolve) => {
+        client.on('error', resolve);
+        client.emit('cursor-change', { sessionId, anchor: -1, head: 'x' });
+      });
+
+      expect(error).toHaveProperty('message', 'Invalid cursor data');
+    });
+  });
+
+  describe('roles and permissions', () => {
+    it('should join as interviewer with the token and as candidate without it', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+
+      const interviewerState = await joinSession(interviewer, { sessionId, token });
+      const candidateState = await joinSession(candidate, { sessionId });
+
+      expect(interviewerState).toHaveProperty('role', 'interviewer');
+      expect(candidateState).toHaveProperty('role', 'candidate');
+    });
+
+    it('should treat a wrong token as a candidate', async () => {
+      const { sessionId } = await server.createSession();
+      const client = await server.createClient();
+
+      const state = await joinSession(client, { sessionId, token: 'not-the-token' });
+      expect(state).toHaveProperty('role', 'candidate');
+    });
+
+    it('should not let candidates change the language', async () => {
+      const { sessionId } = await server.createSession();
+      const candidate = await server.createClient();
+      await joinSession(candidate, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        candidate.on('error', resolve);
+        candidate.emit('language-change', { sessionId, language: 'python' });
+      });
+
+      expect(error).toHaveProperty('message', 'Permission denied');
+      const response = await request(server.app).get(`/api/sessions/${sessionId}`);
+      expect(response.body.language).toBe('javascript');
+    });
+
+    it('should reject events for a session the socket has not joined', async () => {
+      const { sessionId, token } = await server.createSession();
+      const other = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId, token });
+
+      const error = await new Promise((resolve) => {
+        client.on('error', resolve);
+        client.emit('language-change', { sessionId: other.sessionId, language: 'python' });
+      });
+
+      expect(error).toHaveProperty('message', 'Not a member of this session');
+    });
+
+    it('should reject edits to an unknown session without resyncing', async () => {
+      const client = await server.createClient();
+      const states = [];
+      client.on('session-state', state => states.push(state));
+
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('code-change', { sessionId: 'x', revision: 0, operation: [1] });
+      });
+
+      expect(error).toHaveProperty('message', 'Not a member of this session');
+      expect(states).toEqual([]);
+      expect(client.connected).toBe(true);
+    });
+
+    it('should not resync a session the socket has not joined', async () => {
+      const { sessionId, token } = await server.createSession();
+      const other = await server.createSession();
+      const client = await server.createClient();
+      await joinSession(client, { sessionId, token });
+
+      const states = [];
+      client.on('session-state', state => states.push(state));
+      const error = await new Promise((resolve) => {
+        client.once('error', resolve);
+        client.emit('code-change', {
+          sessionId: other.sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(24).insert('peek').toJSON()
+        });
+      });
+
+      expect(error).toHaveProperty('message', 'Not a member of this session');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(states).toEqual([]);
+    });
+
+    it('should broadcast editor locks from interviewers', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      const update = await new Promise((resolve) => {
+        candidate.on('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      expect(update).toEqual({ locked: true });
+    });
+
+    it('should not let candidates lock the editor', async () => {
+      const { sessionId } = await server.createSession();
+      const candidate = await server.createClient();
+      await joinSession(candidate, { sessionId });
+
+      const error = await new Promise((resolve) => {
+        candidate.on('error', resolve);
+        candidate.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      expect(error).toHaveProperty('message', 'Permission denied');
+    });
+
+    it('should reject candidate edits while locked and resync them', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      await new Promise((resolve) => {
+        candidate.once('editor-lock-update', resolve);
+        interviewer.emit('lock-editor', { sessionId, locked: true });
+      });
+
+      const errorPromise = new Promise((resolve) => candidate.once('error', resolve));
+      const resyncPromise = new Promise((resolve) => candidate.once('session-state', resolve));
+      candidate.emit('code-change', {
+        sessionId,
+        revision: 0,
+        operation: new TextOperation().retain(24).insert('hack').toJSON()
+      });
+
+      expect(await errorPromise).toHaveProperty('message', 'Permission denied');
+      const resync = await resyncPromise;
+      expect(resync.isLocked).toBe(true);
+      expect(resync.code).toBe('// Start coding here...\n');
+    });
+
+    it('should still let interviewers edit while locked', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+
+      interviewer.emit('lock-editor', { sessionId, locked: true });
+      const ack = await new Promise((resolve) => {
+        interviewer.on('code-ack', resolve);
+        interviewer.emit('code-change', {
+          sessionId,
+          revision: 0,
+          operation: new TextOperation().retain(24).insert('ok').toJSON()
+        });
+      });
+
+      expect(ack).toHaveProperty('revision', 1);
+    });
+
+    it('should only let interviewers clear the shared output', async () => {
+      const { sessionId, token } = await server.createSession();
+      const interviewer = await server.createClient();
+      const candidate = await server.createClient();
+      await joinSession(interviewer, { sessionId, token });
+      await joinSession(candidate, { sessionId });
+
+      const denied = await new Promise((resolve) => {
+        candidate.once('error', resolve);
+        candidate.emit('output-clear', { sessionId });
+      });
+      expect(denied).toHaveProperty('message', 'Permission denied');
+
+      const cleared = await new Promise((resolve) => {
+        candidate.once('output-update', resolve);
+        interviewer.emit('output-clear', { sessionId });
+      });
+      expect(cleared).toEqual({ output: '', error: null, isRunning: false });
+    });
+  });
+
   describe('Session Isolation', () => {
     it('should NOT broadcast changes to clients in different sessions', async () => {
       // Create two different sessions
-      const sessionId1 = await createSession();
-      const sessionId2 = await createSession();
+      const { sessionId: sessionId1 } = await server.createSession();
+      const { sessionId: sessionId2 } = await server.createSession();
       
       // Connect clients to different sessions
-      const client1 = await createClient();
-      const client2 = await createClient();
+      const client1 = await server.createClient();
+      const client2 = await server.createClient();
 
       // Client 1 joins session 1
       await new Promise((resolve) => {
@@ -210,7 +1666,8 @@ describe('Socket.IO Integration Tests', () => {
       // Client 1 emits a code change in session 1
       client1.emit('code-change', { 
         sessionId: sessionId1, 
-        code: 'code for session 1' 
+        revision: 0,
+        operation: new TextOperation().retain(24).insert('code for session 1').toJSON()
       });
 
       // Wait and verify client 2 did NOT receive the update
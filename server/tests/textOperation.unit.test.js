@@ -0,0 +1,172 @@
+/**
+ * TextOperation Unit Tests
+ *
+ * Tests the operational transformation primitives shared by
+ * the client and the server.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TextOperation } from '../../shared/textOperation.js';
+
+describe('TextOperation Unit Tests', () => {
+  describe('building operations', () => {
+    it('should track base and target lengths', () => {
+      const op = new TextOperation().retain(5).insert('abc').delete(2).retain(1);
+
+      expect(op.baseLength).toBe(8);
+      expect(op.targetLength).toBe(9);
+    });
+
+    it('should merge consecutive components of the same kind', () => {
+      const op = new TextOperation().retain(2).retain(3).insert('a').insert('b').delete(1).delete(1);
+
+      expect(op.ops).toEqual([5, 'ab', -2]);
+    });
+
+    it('should keep inserts before deletes', () => {
+      const op = new TextOperation().delete(3).insert('x');
+
+      expect(op.ops).toEqual(['x', -3]);
+    });
+
+    it('should detect no-op operations', () => {
+      expect(new TextOperation().isNoop()).toBe(true);
+      expect(new TextOperation().retain(10).isNoop()).toBe(true);
+      expect(new TextOperation().retain(1).insert('a').isNoop()).toBe(false);
+    });
+  });
+
+  describe('apply', () => {
+    it('should apply inserts, deletes and retains', () => {
+      const op = new TextOperation().retain(6).delete(5).insert('there');
+
+      expect(op.apply('hello world')).toBe('hello there');
+    });
+
+    it('should throw when the base length does not match', () => {
+      const op = new TextOperation().retain(3);
+
+      expect(() => op.apply('hello')).toThrow();
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip through JSON', () => {
+      const op = new TextOperation().retain(2).insert('hi').delete(1);
+      const parsed = TextOperation.fromJSON(JSON.parse(JSON.stringify(op)));
+
+      expect(parsed.ops).toEqual(op.ops);
+      expect(parsed.baseLength).toBe(op.baseLength);
+    });
+
+    it('should reject invalid payloads', () => {
+      expect(() => TextOperation.fromJSON('nope')).toThrow();
+      expect(() => TextOperation.fromJSON([1, { a: 1 }])).toThrow();
+      expect(() => TextOperation.fromJSON([1.5])).toThrow();
+    });
+  });
+
+  describe('transformIndex', () => {
+    it('should shift offsets after an insertion', () => {
+      const op = new TextOperation().retain(2).insert('abc').retain(5);
+
+      expect(op.transformIndex(1)).toBe(1);
+      expect(op.transformIndex(4)).toBe(7);
+    });
+
+    it('should pull offsets back after a deletion', () => {
+      const op = new TextOperation().retain(2).delete(3).retain(5);
+
+      expect(op.transformIndex(8)).toBe(5);
+      // Inside the deleted range collapses to its start
+      expect(op.transformIndex(3)).toBe(2);
+    });
+  });
+
+  describe('fromDiff', () => {
+    it('should produce an operation turning old text into new text', () => {
+      const oldText = 'function add(a, b) {\n  return a + b;\n}';
+      const newText = 'function add(a, b, c) {\n  return a + b + c;\n}';
+      const op = TextOperation.fromDiff(oldText, newText);
+
+      expect(op.apply(oldText)).toBe(newText);
+    });
+
+    it('should retain the unchanged prefix and suffix', () => {
+      const op = TextOperation.fromDiff('abcdef', 'abXdef');
+
+      expect(op.ops).toEqual([2, 'X', -1, 3]);
+    });
+  });
+
+  describe('compose', () => {
+    it('should behave like applying both operations in order', () => {
+      const doc = 'hello world';
+      const a = new TextOperation().retain(5).insert(',').retain(6);
+      const b = new TextOperation().retain(12).insert('!');
+
+      expect(a.compose(b).apply(doc)).toBe(b.apply(a.apply(doc)));
+    });
+
+    it('should throw when lengths do not line up', () => {
+      const a = new TextOperation().retain(3);
+      const b = new TextOperation().retain(4);
+
+      expect(() => a.compose(b)).toThrow();
+    });
+  });
+
+  describe('transform', () => {
+    const converge = (doc, a, b) => {
+      const [aPrime, bPrime] = TextOperation.transform(a, b);
+      return [bPrime.apply(a.apply(doc)), aPrime.apply(b.apply(doc))];
+    };
+
+    it('should converge for inserts at different positions', () => {
+      const doc = 'abc';
+      const a = new TextOperation().insert('X').retain(3);
+      const b = new TextOperation().retain(3).insert('Y');
+
+      const [left, right] = converge(doc, a, b);
+      expect(left).toBe('XabcY');
+      expect(right).toBe(left);
+    });
+
+    it('should put the first operation first when inserting at the same position', () => {
+      const doc = 'ab';
+      const a = new TextOperation().retain(1).insert('A').retain(1);
+      const b = new TextOperation().retain(1).insert('B').retain(1);
+
+      const [left, right] = converge(doc, a, b);
+      expect(left).toBe('aABb');
+      expect(right).toBe(left);
+    });
+
+    it('should converge for overlapping deletes', () => {
+      const doc = 'abcdef';
+      const a = new TextOperation().retain(1).delete(3).retain(2);
+      const b = new TextOperation().retain(2).delete(3).retain(1);
+
+      const [left, right] = converge(doc, a, b);
+      expect(left).toBe('af');
+      expect(right).toBe(left);
+    });
+
+    it('should converge when one side edits text the other deletes', () => {
+      const doc = 'hello world';
+      const a = new TextOperation().delete(6).retain(5);
+      const b = new TextOperation().retain(8).insert('!!').retain(3);
+
+      const [left, right] = converge(doc, a, b);
+      expect(left).toBe('wo!!rld');
+      expect(right).toBe(left);
+    });
+
+    it('should throw for operations on different documents', () => {
+      const a = new TextOperation().retain(2);
+      const b = new TextOperation().retain(3);
+
+      expect(() => TextOperation.transform(a, b)).toThrow();
+    });
+  });
+});
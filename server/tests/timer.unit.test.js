@@ -0,0 +1,64 @@
+/**
+ * Timer Unit Tests
+ *
+ * Tests the interview timer state shared by the client and the server.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePhases,
+  describeTimer,
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  extendTimer,
+  finishTimer,
+  isLockedByTimer
+} from '../../shared/timer.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Timer Unit Tests', () => {
+  const phases = [
+    { name: 'Intro', durationMs: 5 * MINUTE },
+    { name: 'Coding', durationMs: 35 * MINUTE },
+    { name: 'Q&A', durationMs: 5 * MINUTE }
+  ];
+
+  it('should validate phases', () => {
+    expect(normalizePhases([{ name: ' Coding ', durationMs: MINUTE }])).toEqual([{ name: 'Coding', durationMs: MINUTE }]);
+    expect(normalizePhases([{ durationMs: MINUTE }])).toEqual([{ name: '', durationMs: MINUTE }]);
+    expect(normalizePhases([])).toBeNull();
+    expect(normalizePhases([{ name: 'Coding', durationMs: 0 }])).toBeNull();
+    expect(normalizePhases([{ name: 'Coding', durationMs: 9 * 60 * MINUTE }])).toBeNull();
+  });
+
+  it('should tell the current phase and the time left', () => {
+    const timer = startTimer(phases, false, 0);
+
+    expect(describeTimer(timer, 0)).toEqual({ remainingMs: 45 * MINUTE, phaseIndex: 0, phaseRemainingMs: 5 * MINUTE, isTimeUp: false });
+    expect(describeTimer(timer, 10 * MINUTE)).toEqual({ remainingMs: 35 * MINUTE, phaseIndex: 1, phaseRemainingMs: 30 * MINUTE, isTimeUp: false });
+    expect(describeTimer(timer, 50 * MINUTE)).toEqual({ remainingMs: 0, phaseIndex: 2, phaseRemainingMs: 0, isTimeUp: true });
+  });
+
+  it('should stop counting while paused', () => {
+    const paused = pauseTimer(startTimer(phases, false, 0), 2 * MINUTE);
+    expect(describeTimer(paused, 30 * MINUTE).remainingMs).toBe(43 * MINUTE);
+
+    const resumed = resumeTimer(paused, 30 * MINUTE);
+    expect(describeTimer(resumed, 31 * MINUTE).remainingMs).toBe(42 * MINUTE);
+  });
+
+  it('should extend the current phase, and run again once time was up', () => {
+    const extended = extendTimer(startTimer(phases, false, 0), 5 * MINUTE, 10 * MINUTE);
+    expect(extended.phases[1].durationMs).toBe(40 * MINUTE);
+
+    const finished = finishTimer(startTimer(phases, true, 0));
+    expect(isLockedByTimer(finished)).toBe(true);
+
+    const overtime = extendTimer(finished, 2 * MINUTE, 60 * MINUTE);
+    expect(overtime.status).toBe('running');
+    expect(isLockedByTimer(overtime)).toBe(false);
+    expect(describeTimer(overtime, 61 * MINUTE)).toMatchObject({ remainingMs: MINUTE, phaseIndex: 2 });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Waiting Room Integration Tests
+ *
+ * Tests sessions created with a waiting room:
+ * - join-session - Candidates wait until an interviewer admits them
+ * - participant-admit - Let a waiting candidate in (interviewers only)
+ * - participant-remove - Disconnect a candidate and keep them out of the session
+ * - Participant tokens - Issued by the server to the candidates it lets in
+ * - GET /api/sessions/:id (and snapshots) - Held to the waiting room too
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer, joinSession, waitFor } from './setup.js';
+
+describe('Waiting Room Integration Tests', () => {
+  let server;
+  let app;
+
+  beforeAll(async () => {
+    server = createTestServer();
+    await server.start();
+    app = server.app;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  afterEach(() => {
+    server.disconnectClients();
+  });
+
+  const createSession = (body = { waitingRoom: true }) => server.createSession(body);
+
+  // An interviewer in the session, and a candidate waiting to be admitted
+  const setUp = async () => {
+    const { sessionId, token } = await createSession();
+    const interviewer = await server.createClient();
+    await joinSession(interviewer, { sessionId, token });
+
+    const candidate = await server.createClient();
+    const update = waitFor(interviewer, 'waiting-room-update');
+    expect(await joinSession(candidate, { sessionId, name: 'Ada', participantId: 'ada' })).toBe('waiting');
+    const { waiting } = await update;
+    return { sessionId, interviewer, candidate, waiting };
+  };
+
+  it('should reject an invalid waiting room setting', async () => {
+    const response = await request(app).post('/api/sessions').send({ waitingRoom: 'yes' }).expect(400);
+    expect(response.body).toHaveProperty('error', 'Invalid waiting room setting');
+  });
+
+  it('should keep candidates waiting until an interviewer admits them', async () => {
+    const { sessionId, interviewer, candidate, waiting } = await setUp();
+    expect(waiting).toEqual([{ id: expect.any(String), name: 'Ada', requestedAt: expect.any(String) }]);
+
+    // Admitting one candidate leaves the others waiting
+    const other = await server.createClient();
+    const queued = waitFor(interviewer, 'waiting-room-update');
+    expect(await joinSession(other, { sessionId, name: 'Grace', participantId: 'grace' })).toBe('waiting');
+    await queued;
+
+    const granted = waitFor(candidate, 'admission-granted');
+    const emptied = waitFor(interviewer, 'waiting-room-update');
+    interviewer.emit('participant-admit', { sessionId, userId: waiting[0].id });
+    const { participantToken } = await granted;
+    expect(participantToken).toEqual(expect.any(String));
+    expect((await emptied).waiting.map(entry => entry.name)).toEqual(['Grace']);
+
+    const state = await joinSession(candidate, { sessionId, name: 'Ada', participantId: 'ada', participantToken });
+    expect(state.role).toBe('candidate');
+    expect(state.participantToken).toBe(participantToken);
+    expect(state).not.toHaveProperty('waiting');
+
+    // Admitted candidates come back with their token without waiting
+    const reconnected = await server.createClient();
+    const again = await joinSession(reconnected, { sessionId, name: 'Ada', participantToken });
+    expect(again.role).toBe('candidate');
+
+    // The participant ID alone is not enough, nor a made-up token
+    const impostor = await server.createClient();
+    expect(await joinSession(impostor, { sessionId, name: 'Ada', participantId: 'ada' })).toBe('waiting');
+    expect(await joinSession(impostor, { sessionId, participantToken: 'made-up' })).toBe('waiting');
+  });
+
+  it('should show interviewers who is already waiting when they join', async () => {
+    const { sessionId, token } = await createSession();
+    const candidate = await server.createClient();
+    expect(await joinSession(candidate, { sessionId, name: 'Ada', participantId: 'ada' })).toBe('waiting');
+
+    const interviewer = await server.createClient();
+    const state = await joinSession(interviewer, { sessionId, token });
+    expect(state.waiting.map(entry => entry.name)).toEqual(['Ada']);
+
+    // Leaving the waiting room takes them off the list
+    const update = waitFor(interviewer, 'waiting-room-update');
+    candidate.disconnect();
+    expect((await update).waiting).toEqual([]);
+  });
+
+  it('should only let interviewers admit and remove participants', async () => {
+    const { sessionId, token } = await createSession({});
+    const interviewer = await server.createClient();
+    const interviewerState = await joinSession(interviewer, { sessionId, token });
+
+    const candidate = await server.createClient();
+    await joinSession(candidate, { sessionId, participantId: 'ada' });
+
+    const errors = [];
+    candidate.on('error', ({ message }) => errors.push(message));
+    candidate.emit('participant-remove', { sessionId, userId: interviewerState.userId });
+    candidate.emit('participant-admit', { sessionId, userId: interviewerState.userId });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(errors).toEqual(['Permission denied', 'Permission denied']);
+
+    const refused = waitFor(interviewer, 'error');
+    interviewer.emit('participant-remove', { sessionId, userId: interviewerState.userId });
+    expect((await refused).message).toBe('Interviewers cannot be removed');
+  });
+
+  it('should disconnect removed participants and keep them out', async () => {
+    const { sessionId, token } = await createSession({});
+    const interviewer = await server.createClient();
+    await joinSession(interviewer, { sessionId, token });
+
+    const candidate = await server.createClient();
+    const joined = waitFor(interviewer, 'presence-update');
+    const { userId, participantToken } = await joinSession(candidate, { sessionId, participantId: 'ada' });
+    await joined;
+
+    const removed = waitFor(candidate, 'removed-from-session');
+    const disconnected = waitFor(candidate, 'disconnect');
+    const presence = waitFor(interviewer, 'presence-update');
+    interviewer.emit('participant-remove', { sessionId, userId });
+
+    expect(await removed).toEqual({ sessionId });
+    expect(await disconnected).toBe('io server disconnect');
+    expect((await presence).users.map(user => user.role)).toEqual(['interviewer']);
+
+    const comeback = await server.createClient();
+    expect(await joinSession(comeback, { sessionId, participantToken })).toBe('You were removed from this session');
+
+    // Coming back as someone new takes an interviewer's admission from now on
+    const update = waitFor(interviewer, 'waiting-room-update');
+    expect(await joinSession(comeback, { sessionId, participantId: 'someone-else' })).toBe('waiting');
+    expect((await update).waiting).toHaveLength(1);
+  });
+
+  it('should let interviewers turn away waiting candidates', async () => {
+    const { sessionId, interviewer, candidate, waiting } = await setUp();
+
+    const removed = waitFor(candidate, 'removed-from-session');
+    const emptied = waitFor(interviewer, 'waiting-room-update');
+    interviewer.emit('participant-remove', { sessionId, userId: waiting[0].id });
+    await removed;
+    expect((await emptied).waiting).toEqual([]);
+  });
+
+  it('should hold REST reads to the waiting room', async () => {
+    const { sessionId, interviewer, candidate, waiting } = await setUp();
+    const created = waitFor(interviewer, 'snapshot-created');
+    interviewer.emit('snapshot-create', { sessionId, name: 'Start' });
+    const snapshot = await created;
+    const paths = [
+      `/api/sessions/${sessionId}`,
+      `/api/sessions/${sessionId}/snapshots`,
+      `/api/sessions/${sessionId}/snapshots/${snapshot.id}`
+    ];
+
+    for (const path of paths) {
+      const response = await request(app).get(path).expect(403);
+      expect(response.body).toEqual({ error: 'Not admitted to this session' });
+    }
+
+    const granted = waitFor(candidate, 'admission-granted');
+    interviewer.emit('participant-admit', { sessionId, userId: waiting[0].id });
+    const { participantToken } = await granted;
+    const { userId } = await joinSession(candidate, { sessionId, participantToken });
+
+    for (const path of paths) {
+      await request(app).get(path).set('X-Participant-Token', participantToken).expect(200);
+    }
+
+    const removed = waitFor(candidate, 'disconnect');
+    interviewer.emit('participant-remove', { sessionId, userId });
+    await removed;
+    const response = await request(app)
+      .get(`/api/sessions/${sessionId}`)
+      .set('X-Participant-Token', participantToken)
+      .expect(403);
+    expect(response.body).toEqual({ error: 'You were removed from this session' });
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Chat limits
+ *
+ * The message box stops at the longest message the server accepts, and
+ * the sidebar keeps as many messages as the session replays to late joiners.
+ */
+
+// Longest message a participant may send (characters)
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+// Messages kept per session; the oldest are dropped first
+export const MAX_CHAT_HISTORY = 200;
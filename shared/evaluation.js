@@ -0,0 +1,81 @@
+/**
+ * Interview evaluation (scorecard)
+ *
+ * The scorecard panel bounds its inputs with these limits, and the server
+ * validates rubrics and scorecards with them. A session has a rubric (a
+ * list of criteria); each interviewer rates every criterion from 1 to 4,
+ * justifies the ratings and recommends hiring or not.
+ */
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 4;
+
+export const RECOMMENDATIONS = ['hire', 'no-hire'];
+
+export const MAX_CRITERIA = 12;
+export const MAX_CRITERION_LABEL_LENGTH = 80;
+export const MAX_JUSTIFICATION_LENGTH = 5000;
+
+const MAX_CRITERION_ID_LENGTH = 64;
+
+// Rubric of new sessions
+export const DEFAULT_RUBRIC = [
+  { id: 'problem-solving', label: 'Problem solving' },
+  { id: 'code-quality', label: 'Code quality' },
+  { id: 'communication', label: 'Communication' },
+  { id: 'testing', label: 'Testing' }
+];
+
+/**
+ * Validate rubric criteria, keeping only their known fields
+ * @param {Array} criteria - [{ id?, label }]
+ * @returns {Array|null} [{ label }] (plus id when it had one), or null if any is not valid
+ */
+export function normalizeRubric(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) return null;
+
+  const normalized = [];
+  for (const criterion of criteria) {
+    if (!criterion || typeof criterion !== 'object') return null;
+    const { id, label } = criterion;
+
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    if (!trimmed || trimmed.length > MAX_CRITERION_LABEL_LENGTH) return null;
+
+    if (id === undefined) {
+      normalized.push({ label: trimmed });
+    } else if (typeof id === 'string' && id.length > 0 && id.length <= MAX_CRITERION_ID_LENGTH) {
+      normalized.push({ id, label: trimmed });
+    } else {
+      return null;
+    }
+  }
+
+  const ids = normalized.filter(criterion => criterion.id).map(criterion => criterion.id);
+  return new Set(ids).size === ids.length ? normalized : null;
+}
+
+/**
+ * Validate an evaluation against a rubric
+ * @param {Object} evaluation - { ratings: { criterionId: rating }, justification, recommendation }
+ * @param {Array} rubric - [{ id, label }]
+ * @returns {Object|null} { ratings, justification, recommendation }, or null if it is not valid
+ */
+export function normalizeEvaluation(evaluation, rubric) {
+  if (!evaluation || typeof evaluation !== 'object') return null;
+  const { ratings, justification = '', recommendation } = evaluation;
+
+  // Every criterion of the rubric is rated, and nothing else
+  if (!ratings || typeof ratings !== 'object' || Object.keys(ratings).length !== rubric.length) return null;
+  const normalizedRatings = {};
+  for (const { id } of rubric) {
+    const rating = ratings[id];
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) return null;
+    normalizedRatings[id] = rating;
+  }
+
+  if (typeof justification !== 'string' || justification.length > MAX_JUSTIFICATION_LENGTH) return null;
+  if (!RECOMMENDATIONS.includes(recommendation)) return null;
+
+  return { ratings: normalizedRatings, justification: justification.trim(), recommendation };
+}
@@ -0,0 +1,59 @@
+/**
+ * Workspace file helpers
+ *
+ * The file explorer checks a new name against these rules as it is typed;
+ * the server checks it again when a file is created or renamed, and sets
+ * the file's language from its extension.
+ */
+
+// Most files a session may contain
+export const MAX_FILES = 20;
+
+export const MAX_FILE_NAME_LENGTH = 64;
+
+// Letters, digits, dot, dash and underscore; no folders, no leading dot
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  py: 'python'
+};
+
+// Extension given to new files of each language
+const EXTENSION_BY_LANGUAGE = {
+  javascript: 'js',
+  python: 'py'
+};
+
+/**
+ * Whether a string can be used as a file name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidFileName(name) {
+  return typeof name === 'string'
+    && name.length <= MAX_FILE_NAME_LENGTH
+    && FILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Language implied by a file name's extension
+ * @param {string} name
+ * @returns {string} 'javascript', 'python' or 'other'
+ */
+export function languageFromFileName(name) {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return LANGUAGE_BY_EXTENSION[extension] || 'other';
+}
+
+/**
+ * Name of the main file of a workspace in a language
+ * @param {string} language - 'javascript' or 'python'
+ * @returns {string|null} e.g. 'main.py', or null for languages without an extension
+ */
+export function mainFileName(language) {
+  const extension = EXTENSION_BY_LANGUAGE[language];
+  return extension ? `main.${extension}` : null;
+}
@@ -0,0 +1,20 @@
+/**
+ * Session passcode limits
+ *
+ * The create form and the passcode prompt hold passcodes to the same
+ * lengths the server checks before hashing one.
+ */
+
+export const MIN_PASSCODE_LENGTH = 4;
+export const MAX_PASSCODE_LENGTH = 64;
+
+/**
+ * Whether a value can be used as a session passcode
+ * @param {*} passcode
+ * @returns {boolean}
+ */
+export function isValidPasscode(passcode) {
+  return typeof passcode === 'string'
+    && passcode.length >= MIN_PASSCODE_LENGTH
+    && passcode.length <= MAX_PASSCODE_LENGTH;
+}
@@ -0,0 +1,19 @@
+/**
+ * Problem statement limits
+ *
+ * The statement editor counts down to the same limit the server checks
+ * when an interviewer saves the statement or creates a session with one.
+ */
+
+// Longest statement, in characters of Markdown. Images are embedded as
+// data URIs, so this leaves room for a few screenshots.
+export const MAX_PROBLEM_STATEMENT_LENGTH = 500000;
+
+/**
+ * Whether a value can be used as a problem statement
+ * @param {*} statement
+ * @returns {boolean}
+ */
+export function isValidProblemStatement(statement) {
+  return typeof statement === 'string' && statement.length <= MAX_PROBLEM_STATEMENT_LENGTH;
+}
@@ -0,0 +1,58 @@
+/**
+ * Session scheduling
+ *
+ * The home page checks the picked window with normalizeSchedule before
+ * creating the session, and the server normalizes it again. A session may
+ * only open at startsAt and stop accepting joins at endsAt (both optional,
+ * in ms); it is deleted once nobody used it for its time to live.
+ */
+
+export const DEFAULT_TTL_HOURS = 24;
+export const MAX_TTL_HOURS = 30 * 24;
+
+// How far ahead a session can be scheduled
+export const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an optional date given as an ISO 8601 string
+ * @returns {number|null|undefined} Time in ms, null when absent, undefined when not valid
+ */
+function parseDate(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') return undefined;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Validate the schedule of a new session
+ * @param {Object} schedule - { startsAt?, endsAt? } as ISO 8601 strings, ttlHours?
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} { startsAt, endsAt, ttlMs } (dates in ms or null), or null if not valid
+ */
+export function normalizeSchedule({ startsAt, endsAt, ttlHours = DEFAULT_TTL_HOURS } = {}, now) {
+  const start = parseDate(startsAt);
+  const end = parseDate(endsAt);
+  if (start === undefined || end === undefined) return null;
+
+  const latest = now + MAX_SCHEDULE_AHEAD_MS;
+  if (start !== null && start > latest) return null;
+  // The window must still be open at some point
+  if (end !== null && (end <= Math.max(start ?? now, now) || end > latest)) return null;
+
+  if (!Number.isInteger(ttlHours) || ttlHours < 1 || ttlHours > MAX_TTL_HOURS) return null;
+
+  return { startsAt: start, endsAt: end, ttlMs: ttlHours * 60 * 60 * 1000 };
+}
+
+/**
+ * Where a session stands in its window
+ * @param {Object} session - { startsAt, endsAt }
+ * @param {number} now - Current time in ms
+ * @returns {string} 'scheduled' (not open yet), 'open' or 'ended'
+ */
+export function scheduleStatus(session, now) {
+  if (session.startsAt !== null && now < session.startsAt) return 'scheduled';
+  if (session.endsAt !== null && now >= session.endsAt) return 'ended';
+  return 'open';
+}
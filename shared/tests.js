@@ -0,0 +1,78 @@
+/**
+ * Test cases and their results
+ *
+ * The server normalizes test cases and the reported results with these
+ * before storing or broadcasting them; the runner cuts what it reports to
+ * the same lengths.
+ *
+ * Every test runs the program with `input` as its stdin, then either:
+ * - compares what it printed with `expectedOutput`, or
+ * - when `assertion` is set, evaluates that expression (in the program's
+ *   language and scope, typically calling the candidate's function) and
+ *   passes when it is truthy.
+ */
+
+// Most test cases a session or a question may hold
+export const MAX_TEST_CASES = 50;
+
+// Longest input or expected output (same limit as the shared stdin)
+export const MAX_TEST_CASE_LENGTH = 10000;
+
+export const MAX_ASSERTION_LENGTH = 1000;
+
+// How a test ended
+export const TEST_STATUSES = ['passed', 'failed', 'error', 'timeout'];
+
+const MAX_TEST_CASE_ID_LENGTH = 64;
+
+function isText(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+/**
+ * Validate a test case, keeping only its known fields
+ * @param {Object} testCase - { id?, input?, expectedOutput?, assertion? }
+ * @returns {Object|null} { input, expectedOutput, assertion } (plus id when it had one), or null if it is not valid
+ */
+export function normalizeTestCase(testCase) {
+  if (!testCase || typeof testCase !== 'object') return null;
+  const { id, input = '', expectedOutput = '', assertion = '' } = testCase;
+
+  if (!isText(input, MAX_TEST_CASE_LENGTH)) return null;
+  if (!isText(expectedOutput, MAX_TEST_CASE_LENGTH)) return null;
+  if (!isText(assertion, MAX_ASSERTION_LENGTH)) return null;
+
+  const normalized = { input, expectedOutput, assertion: assertion.trim() };
+  if (typeof id === 'string' && id.length > 0 && id.length <= MAX_TEST_CASE_ID_LENGTH) {
+    normalized.id = id;
+  }
+  return normalized;
+}
+
+/**
+ * Validate a list of test cases
+ * @param {Array} testCases
+ * @returns {Array|null} The normalized test cases, or null if any is not valid
+ */
+export function normalizeTestCases(testCases) {
+  if (!Array.isArray(testCases) || testCases.length > MAX_TEST_CASES) return null;
+  const normalized = testCases.map(normalizeTestCase);
+  return normalized.includes(null) ? null : normalized;
+}
+
+/**
+ * Validate the result of one test case
+ * @param {Object} result - { testCaseId, status, actual, error, durationMs }
+ * @returns {Object|null} The result, or null if it is not valid
+ */
+export function normalizeTestResult(result) {
+  if (!result || typeof result !== 'object') return null;
+  const { testCaseId, status, actual = '', error = null, durationMs = 0 } = result;
+
+  if (!isText(testCaseId, MAX_TEST_CASE_ID_LENGTH) || !TEST_STATUSES.includes(status)) return null;
+  if (!isText(actual, MAX_TEST_CASE_LENGTH)) return null;
+  if (error !== null && !isText(error, MAX_TEST_CASE_LENGTH)) return null;
+  if (typeof durationMs !== 'number' || !Number.isFinite(durationMs) || durationMs < 0) return null;
+
+  return { testCaseId, status, actual, error, durationMs: Math.round(durationMs) };
+}
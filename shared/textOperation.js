@@ -0,0 +1,439 @@
+/**
+ * TextOperation - Operational Transformation for plain text
+ *
+ * The server applies every edit with it, transforming late ones against
+ * those they missed; each editor rebases its unconfirmed edits on the
+ * ones it receives (see client/src/utils/otClient.js).
+ *
+ * An operation walks the whole document from left to right and is stored
+ * as a list of components:
+ * - positive integer: retain (skip over) n characters
+ * - negative integer: delete n characters
+ * - string: insert the text at the current position
+ *
+ * The algorithm follows the one used by ot.js (MIT licensed).
+ */
+
+const isRetain = (op) => typeof op === 'number' && op > 0;
+const isDelete = (op) => typeof op === 'number' && op < 0;
+const isInsert = (op) => typeof op === 'string';
+
+export class TextOperation {
+  constructor() {
+    this.ops = [];
+    // Length of the document the operation can be applied to
+    this.baseLength = 0;
+    // Length of the document after the operation is applied
+    this.targetLength = 0;
+  }
+
+  /**
+   * Skip over n characters
+   * @param {number} n - Number of characters to retain
+   * @returns {TextOperation} this (chainable)
+   */
+  retain(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('retain expects a non-negative integer');
+    }
+    if (n === 0) return this;
+
+    this.baseLength += n;
+    this.targetLength += n;
+
+    const last = this.ops.length - 1;
+    if (isRetain(this.ops[last])) {
+      this.ops[last] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  /**
+   * Insert text at the current position
+   * @param {string} str - Text to insert
+   * @returns {TextOperation} this (chainable)
+   */
+  insert(str) {
+    if (typeof str !== 'string') {
+      throw new Error('insert expects a string');
+    }
+    if (str === '') return this;
+
+    this.targetLength += str.length;
+
+    const ops = this.ops;
+    const last = ops.length - 1;
+    if (isInsert(ops[last])) {
+      ops[last] += str;
+    } else if (isDelete(ops[last])) {
+      // Keep inserts before deletes so equivalent operations look the same
+      if (isInsert(ops[last - 1])) {
+        ops[last - 1] += str;
+      } else {
+        ops.push(ops[last]);
+        ops[last] = str;
+      }
+    } else {
+      ops.push(str);
+    }
+    return this;
+  }
+
+  /**
+   * Delete n characters at the current position
+   * @param {number|string} n - Number of characters (or the deleted text)
+   * @returns {TextOperation} this (chainable)
+   */
+  delete(n) {
+    if (typeof n === 'string') n = n.length;
+    if (!Number.isInteger(n)) {
+      throw new Error('delete expects an integer or a string');
+    }
+    if (n === 0) return this;
+    if (n > 0) n = -n;
+
+    this.baseLength -= n;
+
+    const last = this.ops.length - 1;
+    if (isDelete(this.ops[last])) {
+      this.ops[last] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  /**
+   * Whether the operation leaves the document unchanged
+   * @returns {boolean}
+   */
+  isNoop() {
+    return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+  }
+
+  /**
+   * Apply the operation to a string
+   * @param {string} str - Document to transform
+   * @returns {string} The new document
+   */
+  apply(str) {
+    if (str.length !== this.baseLength) {
+      throw new Error("The operation's base length must be equal to the string's length");
+    }
+
+    const parts = [];
+    let index = 0;
+
+    for (const op of this.ops) {
+      if (isRetain(op)) {
+        parts.push(str.slice(index, index + op));
+        index += op;
+      } else if (isInsert(op)) {
+        parts.push(op);
+      } else {
+        index -= op;
+      }
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Map a character offset in the original document to the
+   * equivalent offset after this operation (used for cursors)
+   * Text inserted exactly at the offset pushes it to the right.
+   * @param {number} index - Offset in the document before the operation
+   * @returns {number} Offset in the document after the operation
+   */
+  transformIndex(index) {
+    let newIndex = index;
+    let remaining = index;
+
+    for (const op of this.ops) {
+      if (isRetain(op)) {
+        remaining -= op;
+      } else if (isInsert(op)) {
+        newIndex += op.length;
+      } else {
+        newIndex -= Math.min(remaining, -op);
+        remaining += op;
+      }
+      if (remaining < 0) break;
+    }
+
+    return newIndex;
+  }
+
+  /**
+   * Combine this operation with one that follows it into a single operation
+   * apply(apply(s, a), b) === apply(s, a.compose(b))
+   * @param {TextOperation} other - Operation applied after this one
+   * @returns {TextOperation}
+   */
+  compose(other) {
+    if (this.targetLength !== other.baseLength) {
+      throw new Error('The base length of the second operation has to be the target length of the first operation');
+    }
+
+    const operation = new TextOperation();
+    const ops1 = this.ops;
+    const ops2 = other.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        operation.delete(op1);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        operation.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+
+      if (op1 === undefined) {
+        throw new Error('Cannot compose operations: first operation is too short');
+      }
+      if (op2 === undefined) {
+        throw new Error('Cannot compose operations: first operation is too long');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          operation.retain(op2);
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          operation.retain(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          operation.retain(op1);
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === -op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          operation.insert(op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === op2) {
+          operation.insert(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          operation.insert(op1);
+          op2 -= op1.length;
+          op1 = ops1[i1++];
+        }
+      } else {
+        // op1 is a retain, op2 is a delete
+        if (op1 > -op2) {
+          operation.delete(op2);
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          operation.delete(op2);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          operation.delete(op1);
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Serialize for sending over the wire
+   * @returns {Array}
+   */
+  toJSON() {
+    return this.ops;
+  }
+
+  /**
+   * Build an operation from its serialized form
+   * @param {Array} ops - Components as produced by toJSON()
+   * @returns {TextOperation}
+   * @throws {Error} If the payload is not a valid operation
+   */
+  static fromJSON(ops) {
+    if (!Array.isArray(ops)) {
+      throw new Error('Operation must be an array');
+    }
+
+    const operation = new TextOperation();
+    for (const op of ops) {
+      if (isRetain(op)) {
+        operation.retain(op);
+      } else if (isInsert(op)) {
+        operation.insert(op);
+      } else if (isDelete(op)) {
+        operation.delete(op);
+      } else {
+        throw new Error(`Unknown operation component: ${JSON.stringify(op)}`);
+      }
+    }
+    return operation;
+  }
+
+  /**
+   * Transform two concurrent operations A and B (same base document) into
+   * A' and B' such that apply(apply(s, A), B') === apply(apply(s, B), A').
+   * When both insert at the same position, A's text ends up first.
+   * @param {TextOperation} a
+   * @param {TextOperation} b
+   * @returns {[TextOperation, TextOperation]} [A', B']
+   */
+  static transform(a, b) {
+    if (a.baseLength !== b.baseLength) {
+      throw new Error('Both operations have to have the same base length');
+    }
+
+    const aPrime = new TextOperation();
+    const bPrime = new TextOperation();
+    const ops1 = a.ops;
+    const ops2 = b.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        aPrime.insert(op1);
+        bPrime.retain(op1.length);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        aPrime.retain(op2.length);
+        bPrime.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+
+      if (op1 === undefined) {
+        throw new Error('Cannot transform operations: first operation is too short');
+      }
+      if (op2 === undefined) {
+        throw new Error('Cannot transform operations: first operation is too long');
+      }
+
+      let minLength;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          minLength = op2;
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          minLength = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = op1;
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.retain(minLength);
+        bPrime.retain(minLength);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both sides deleted the same text - nothing left to do
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          minLength = op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (-op1 === op2) {
+          minLength = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = -op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.delete(minLength);
+      } else {
+        // op1 is a retain, op2 is a delete
+        if (op1 > -op2) {
+          minLength = -op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          minLength = op1;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        bPrime.delete(minLength);
+      }
+    }
+
+    return [aPrime, bPrime];
+  }
+
+  /**
+   * Build the smallest single-range operation turning oldText into newText
+   * (common prefix and suffix are retained)
+   * @param {string} oldText
+   * @param {string} newText
+   * @returns {TextOperation}
+   */
+  static fromDiff(oldText, newText) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (
+      suffix < maxSuffix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    return new TextOperation()
+      .retain(prefix)
+      .delete(oldText.length - prefix - suffix)
+      .insert(newText.slice(prefix, newText.length - suffix))
+      .retain(suffix);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Interview timer
+ *
+ * Shared by the client and the server: the server owns the timer and
+ * broadcasts it, every client counts down from the same state. A timer is a
+ * list of phases ("intro 5m, coding 35m, Q&A 5m"; a plain countdown is a
+ * single unnamed phase) run one after the other:
+ * { phases: [{ name, durationMs }], lockOnTimeUp, status, startedAt, elapsedMs }
+ * - status: 'running', 'paused' or 'finished'
+ * - startedAt: server time (ms) the timer last started running, null otherwise
+ * - elapsedMs: time spent before startedAt
+ * Functions here never modify a timer, they return a new one.
+ */
+
+export const MAX_PHASES = 10;
+export const MAX_PHASE_NAME_LENGTH = 40;
+
+// Longest a whole timer may last, and be extended by at once
+export const MAX_TIMER_DURATION_MS = 8 * 60 * 60 * 1000;
+export const MAX_EXTENSION_MS = 60 * 60 * 1000;
+
+/**
+ * Validate the phases of a timer
+ * @param {Array} phases - [{ name, durationMs }]
+ * @returns {Array|null} The phases with trimmed names, or null if any is not valid
+ */
+export function normalizePhases(phases) {
+  if (!Array.isArray(phases) || phases.length === 0 || phases.length > MAX_PHASES) return null;
+
+  const normalized = [];
+  for (const phase of phases) {
+    if (!phase || typeof phase !== 'object') return null;
+    const { name = '', durationMs } = phase;
+    if (typeof name !== 'string' || name.trim().length > MAX_PHASE_NAME_LENGTH) return null;
+    if (!Number.isInteger(durationMs) || durationMs <= 0) return null;
+    normalized.push({ name: name.trim(), durationMs });
+  }
+
+  return totalDuration({ phases: normalized }) <= MAX_TIMER_DURATION_MS ? normalized : null;
+}
+
+/**
+ * @param {Object} timer
+ * @returns {number} Duration of all the phases, in ms
+ */
+export function totalDuration(timer) {
+  return timer.phases.reduce((total, phase) => total + phase.durationMs, 0);
+}
+
+/**
+ * @param {Object} timer
+ * @param {number} now - Server time in ms
+ * @returns {number} Time counted so far, in ms (never more than the whole duration)
+ */
+export function elapsedTime(timer, now) {
+  const running = timer.status === 'running' ? Math.max(0, now - timer.startedAt) : 0;
+  return Math.min(timer.elapsedMs + running, totalDuration(timer));
+}
+
+/**
+ * Where a timer stands
+ * @param {Object} timer
+ * @param {number} now - Server time in ms
+ * @returns {Object} { remainingMs, phaseIndex, phaseRemainingMs, isTimeUp }
+ */
+export function describeTimer(timer, now) {
+  const elapsed = elapsedTime(timer, now);
+  const total = totalDuration(timer);
+
+  let phaseEnd = 0;
+  let phaseIndex = timer.phases.length - 1;
+  for (let index = 0; index < timer.phases.length; index++) {
+    phaseEnd += timer.phases[index].durationMs;
+    if (elapsed < phaseEnd) {
+      phaseIndex = index;
+      break;
+    }
+  }
+
+  return {
+    remainingMs: total - elapsed,
+    phaseIndex,
+    phaseRemainingMs: Math.max(0, Math.min(phaseEnd, total) - elapsed),
+    isTimeUp: timer.status === 'finished' || elapsed >= total
+  };
+}
+
+/**
+ * A timer starting now
+ * @param {Array} phases - Validated phases (see normalizePhases)
+ * @param {boolean} lockOnTimeUp - Whether the code becomes read-only for everyone at time-up
+ * @param {number} now - Server time in ms
+ */
+export function startTimer(phases, lockOnTimeUp, now) {
+  return { phases, lockOnTimeUp, status: 'running', startedAt: now, elapsedMs: 0 };
+}
+
+/**
+ * @returns {Object} The timer stopped where it is
+ */
+export function pauseTimer(timer, now) {
+  return { ...timer, status: 'paused', startedAt: null, elapsedMs: elapsedTime(timer, now) };
+}
+
+/**
+ * @returns {Object} The paused timer running again
+ */
+export function resumeTimer(timer, now) {
+  return { ...timer, status: 'running', startedAt: now };
+}
+
+/**
+ * Give the current phase (the last one once time is up) more time
+ * A timer that ran out runs again.
+ * @param {Object} timer
+ * @param {number} extensionMs
+ * @param {number} now - Server time in ms
+ */
+export function extendTimer(timer, extensionMs, now) {
+  const { phaseIndex } = describeTimer(timer, now);
+  const phases = timer.phases.map((phase, index) => (
+    index === phaseIndex ? { ...phase, durationMs: phase.durationMs + extensionMs } : phase
+  ));
+
+  if (timer.status !== 'finished') {
+    return { ...timer, phases };
+  }
+  return { ...timer, phases, status: 'running', startedAt: now, elapsedMs: totalDuration(timer) };
+}
+
+/**
+ * @returns {Object} The timer once its time is up
+ */
+export function finishTimer(timer) {
+  return { ...timer, status: 'finished', startedAt: null, elapsedMs: totalDuration(timer) };
+}
+
+/**
+ * Whether time ran out on a timer that makes the code read-only
+ * @param {Object|null} timer
+ * @returns {boolean}
+ */
+export function isLockedByTimer(timer) {
+  return Boolean(timer?.lockOnTimeUp && timer.status === 'finished');
+}
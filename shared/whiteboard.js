@@ -0,0 +1,155 @@
+/**
+ * Whiteboard elements
+ *
+ * The board limits what can be drawn with these; the server normalizes
+ * every element and change it receives before storing it. Elements are
+ * plain objects in board coordinates:
+ * - rect / ellipse: { id, type, x, y, width, height, color, text }
+ * - text: { id, type, x, y, color, text }
+ * - path (freehand pen): { id, type, x, y, color, points: [[x, y], ...] }, points relative to x/y
+ * - connector: { id, type, from, to, color, text }, an arrow between two other elements
+ */
+
+// Logical size of the board; the view scales it to fit
+export const BOARD_WIDTH = 1600;
+export const BOARD_HEIGHT = 1000;
+
+// Most elements a whiteboard may hold
+export const MAX_WHITEBOARD_ELEMENTS = 500;
+
+// Most points in one pen stroke
+export const MAX_PATH_POINTS = 2000;
+
+export const MAX_WHITEBOARD_TEXT_LENGTH = 200;
+
+const MAX_ELEMENT_ID_LENGTH = 64;
+
+// Coordinates are kept within a margin around the board
+const MAX_COORDINATE = 10000;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Element types that can be moved, and connected by connectors
+const SHAPE_TYPES = new Set(['rect', 'ellipse', 'text', 'path']);
+
+// Fields of each type that can be changed after it is drawn
+const UPDATABLE_FIELDS = {
+  rect: ['x', 'y', 'width', 'height', 'color', 'text'],
+  ellipse: ['x', 'y', 'width', 'height', 'color', 'text'],
+  text: ['x', 'y', 'color', 'text'],
+  path: ['x', 'y', 'color'],
+  connector: ['color', 'text']
+};
+
+/**
+ * Whether an element can be moved and connected
+ * @param {Object} element
+ * @returns {boolean}
+ */
+export function isShape(element) {
+  return SHAPE_TYPES.has(element?.type);
+}
+
+function isCoordinate(value) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+function isSize(value) {
+  return isCoordinate(value) && value > 0;
+}
+
+function isLabel(value) {
+  return typeof value === 'string' && value.length <= MAX_WHITEBOARD_TEXT_LENGTH;
+}
+
+function isElementId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ELEMENT_ID_LENGTH;
+}
+
+function isPoint(point) {
+  return Array.isArray(point) && point.length === 2 && isCoordinate(point[0]) && isCoordinate(point[1]);
+}
+
+// Validators of each field, for new elements and changes alike
+const FIELD_VALIDATORS = {
+  x: isCoordinate,
+  y: isCoordinate,
+  width: isSize,
+  height: isSize,
+  color: value => typeof value === 'string' && COLOR_PATTERN.test(value),
+  text: isLabel,
+  points: value => Array.isArray(value)
+    && value.length >= 2
+    && value.length <= MAX_PATH_POINTS
+    && value.every(isPoint),
+  from: isElementId,
+  to: isElementId
+};
+
+const REQUIRED_FIELDS = {
+  rect: ['x', 'y', 'width', 'height', 'color', 'text'],
+  ellipse: ['x', 'y', 'width', 'height', 'color', 'text'],
+  text: ['x', 'y', 'color', 'text'],
+  path: ['x', 'y', 'color', 'points'],
+  connector: ['from', 'to', 'color', 'text']
+};
+
+/**
+ * Validate a new element, keeping only the fields of its type
+ * @param {Object} element - Element as received from a client
+ * @returns {Object|null} The element, or null if it is not valid
+ */
+export function normalizeWhiteboardElement(element) {
+  const fields = REQUIRED_FIELDS[element?.type];
+  if (!fields || !isElementId(element.id)) return null;
+
+  const normalized = { id: element.id, type: element.type };
+  for (const field of fields) {
+    if (!FIELD_VALIDATORS[field](element[field])) return null;
+    normalized[field] = element[field];
+  }
+
+  if (element.type === 'text' && !element.text.trim()) return null;
+  if (element.type === 'connector' && element.from === element.to) return null;
+  return normalized;
+}
+
+/**
+ * Validate changes to an element
+ * @param {Object} element - Element being changed
+ * @param {Object} changes - Changed fields as received from a client
+ * @returns {Object|null} The changes, or null if any is not allowed for this element
+ */
+export function normalizeWhiteboardChanges(element, changes) {
+  if (!changes || typeof changes !== 'object') return null;
+
+  const allowed = UPDATABLE_FIELDS[element.type];
+  const entries = Object.entries(changes);
+  if (entries.length === 0) return null;
+
+  for (const [field, value] of entries) {
+    if (!allowed.includes(field) || !FIELD_VALIDATORS[field](value)) return null;
+  }
+  if (element.type === 'text' && changes.text !== undefined && !changes.text.trim()) return null;
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Remove elements along with the connectors attached to them
+ * @param {Array} elements - Current elements
+ * @param {Array<string>} elementIds - Elements to remove
+ * @returns {Object} { elements, removedIds } - Remaining elements and every ID removed
+ */
+export function removeWhiteboardElements(elements, elementIds) {
+  const removed = new Set(elementIds.filter(id => elements.some(element => element.id === id)));
+  for (const element of elements) {
+    if (element.type === 'connector' && (removed.has(element.from) || removed.has(element.to))) {
+      removed.add(element.id);
+    }
+  }
+
+  return {
+    elements: removed.size > 0 ? elements.filter(element => !removed.has(element.id)) : elements,
+    removedIds: [...removed]
+  };
+}